@@ -1,30 +1,230 @@
-import { useState, useRef } from 'react';
-import { Upload, FileJson, Play, Download, Settings, Loader2, X, Trash2, Database, CheckCircle2 } from 'lucide-react';
+import { useState, useRef, useEffect } from 'react';
+import { Upload, FileJson, Play, Pause, Square, Download, Settings, Loader2, X, Trash2, Database, CheckCircle2, Search, Package, Binary, History, HardDrive, Copy, Target, Network, ScatterChart, Shrink, DatabaseBackup, FileX, RotateCcw } from 'lucide-react';
 import './App.css';
-import { embedTextsLocally } from './lib/localEmbedder';
-
-const DEFAULT_API_URL = 'http://192.168.1.236:9989/v1/embeddings';
-const DEFAULT_MODEL = 'Qwen3-Embedding-4B-GGUF';
-const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
-const BATCH_SIZE = 8;
-const EMBEDDING_MODES = {
-  LOCAL: 'local',
-  API: 'api'
+import SearchView from './components/SearchView';
+import DuplicatesView from './components/DuplicatesView';
+import EvaluationView from './components/EvaluationView';
+import MapView from './components/MapView';
+import TemplateSettings from './components/TemplateSettings';
+import PreflightPanel from './components/PreflightPanel';
+import StoragePanel from './components/StoragePanel';
+import { readJsonlRecords, readJsonlSample } from './lib/jsonl';
+import { getModelId, createDefaultEmbeddingConfig } from './lib/embedding';
+import { getProviderSettings, getProviderCapabilities, getDefaultProviderConfigs, PROVIDER_LABELS } from './lib/providers';
+import { buildVectorBundle, getBundleBaseName, getBundleFileNames } from './lib/vectorBundle';
+import { getQuantizationSidecarName, QUANTIZATION_LABELS } from './lib/quantization';
+import { getReductionSidecarName, REDUCTION_LABELS, DEFAULT_REDUCTION_DIMENSION } from './lib/reduction';
+import { getIndexFileName } from './lib/hnsw';
+import { exportVectors, EXPORT_FORMATS, EXPORT_LABELS } from './lib/vectorExport';
+import { convertSource, getSourceFormat, getIngestedFileName, recordsToJsonl, SOURCE_FILE_ACCEPT } from './lib/ingest';
+import { DEFAULT_TEMPLATE_ID } from './lib/templates';
+import { describeChunkingStats, CHUNKING_MODES, CHUNKING_LABELS } from './lib/chunking';
+import { NAMED_VECTOR_SPECS } from './lib/namedVectors';
+import { describeValidation, VALIDATION_MODES, VALIDATION_LABELS } from './lib/validation';
+import { getErrorsSidecarName, serializeFailures, summarizeFailures, describeFailures } from './lib/failures';
+import {
+  supportsFilePicker,
+  getJobKey,
+  getOutputTarget,
+  loadCheckpoint,
+  discardJob,
+  OUTPUT_TARGETS
+} from './lib/outputSink';
+import { loadSettings, saveSettings, loadJobs, saveJob, deleteJobs, JOB_BLOB_PARTS } from './lib/browserStore';
+
+// Statuses the queue picks up; cancelled and interrupted files resume from their last checkpoint.
+const QUEUED_STATUSES = ['pending', 'error', 'cancelled', 'interrupted'];
+// A source that could not be converted keeps its row to show why, but is never queued.
+const CONVERSION_FAILED = 'conversion_failed';
+const TEMPLATE_PREVIEW_COUNT = 3;
+const VIEWS = {
+  EMBED: 'embed',
+  SEARCH: 'search',
+  DUPLICATES: 'duplicates',
+  EVALUATE: 'evaluate',
+  MAP: 'map'
+};
+
+// Row fields saved to IndexedDB (browserStore.js). The input, cache file and outputs are
+// saved as blobs; object URLs and the output file handle cannot outlive the page.
+const STORED_JOB_FIELDS = [
+  'id', 'addedAt', 'source', 'status', 'progress', 'total', 'processed', 'cachedTexts', 'quantization',
+  'reduction', 'annIndex', 'refresh', 'chunking', 'failures', 'runConfig', 'partial', 'validation', 'error'
+];
+// A run that was going when the page closed continues from its checkpoint, if it has one.
+const INTERRUPTED_STATUSES = ['processing', 'paused'];
+
+const toObjectUrl = (blob) => (blob ? URL.createObjectURL(blob) : null);
+
+const getJobBlobs = (fileItem) => {
+  const outputs = fileItem.outputs || {};
+  return {
+    input: fileItem.file,
+    cache: fileItem.cacheFile,
+    result: outputs.result,
+    reducer: outputs.reducer,
+    codebook: outputs.codebook,
+    index: outputs.index,
+    errors: outputs.errors
+  };
 };
 
+// In-memory output is lost with the page, so its checkpoint cannot be resumed.
+function toStoredJob(fileItem) {
+  const job = Object.fromEntries(STORED_JOB_FIELDS.map(field => [field, fileItem[field] ?? null]));
+  const { partial } = fileItem;
+  job.partial = partial && partial.output.type !== OUTPUT_TARGETS.MEMORY
+    ? { ...partial, output: { type: partial.output.type, name: partial.output.name } }
+    : null;
+  return job;
+}
+
+function fromStoredJob({ blobs, ...job }) {
+  const outputs = {
+    result: blobs.result || null,
+    reducer: blobs.reducer || null,
+    codebook: blobs.codebook || null,
+    index: blobs.index || null,
+    errors: blobs.errors || null
+  };
+  const wasRunning = INTERRUPTED_STATUSES.includes(job.status);
+  return {
+    ...job,
+    file: blobs.input,
+    cacheFile: blobs.cache || null,
+    outputHandle: null,
+    status: wasRunning ? (job.partial ? 'interrupted' : 'pending') : job.status,
+    progress: wasRunning && !job.partial ? 0 : job.progress,
+    processed: wasRunning && !job.partial ? 0 : job.processed,
+    outputs,
+    resultUrl: toObjectUrl(outputs.result),
+    reducerUrl: toObjectUrl(outputs.reducer),
+    codebookUrl: toObjectUrl(outputs.codebook),
+    indexUrl: toObjectUrl(outputs.index),
+    errorsUrl: toObjectUrl(outputs.errors)
+  };
+}
+
+// Row updates for a checkpoint found in OPFS, which is newer than anything in IndexedDB.
+function getCheckpointUpdates(file, checkpoint) {
+  const { state } = checkpoint;
+  return {
+    status: 'interrupted',
+    partial: checkpoint,
+    processed: state.processedCount,
+    progress: Math.min(99, Math.round((state.processedBytes / file.size) * 100)),
+    refresh: state.refresh,
+    chunking: state.chunking
+  };
+}
+
+const toErrorsBlob = (failures) => (failures.length > 0
+  ? new Blob([serializeFailures(failures)], { type: 'application/jsonl' })
+  : null);
+
+// Saved settings win, but fields added since they were saved keep their defaults.
+const mergeSavedConfig = (config, saved) => ({
+  ...config,
+  ...saved,
+  providers: { ...config.providers, ...saved.providers }
+});
+
 function App() {
   const [files, setFiles] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [isQueuePaused, setIsQueuePaused] = useState(false);
+  const [isValidating, setIsValidating] = useState(false);
+  const [preflightFiles, setPreflightFiles] = useState(null);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.SQLITE);
+  const [isExporting, setIsExporting] = useState(false);
   const [config, setConfig] = useState({
-    mode: EMBEDDING_MODES.LOCAL,
-    apiUrl: DEFAULT_API_URL,
-    model: DEFAULT_MODEL,
-    localModel: DEFAULT_LOCAL_MODEL
+    ...createDefaultEmbeddingConfig(),
+    quantization: '',
+    reduction: '',
+    reductionDimension: '',
+    annIndex: '',
+    templateId: DEFAULT_TEMPLATE_ID,
+    customTemplate: '',
+    templateLibrary: {},
+    chunking: CHUNKING_MODES.OFF,
+    maxTokens: '',
+    namedVectors: [],
+    validation: VALIDATION_MODES.WARN
   });
   const [showConfig, setShowConfig] = useState(false);
+  const [templateSamples, setTemplateSamples] = useState({ name: null, records: [] });
+  const [view, setView] = useState(VIEWS.EMBED);
   const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
-  const isLocalMode = config.mode === EMBEDDING_MODES.LOCAL;
+  const cacheInputRef = useRef(null);
+  const cacheTargetRef = useRef(null);
+  const workerRef = useRef(null);
+  const activeJobRef = useRef(null);
+  const queueRef = useRef({ paused: false, cancelled: false });
+  const skippedRef = useRef(new Set());
+  const [isRestored, setIsRestored] = useState(false);
+  const restoreStartedRef = useRef(false);
+  const savedJobsRef = useRef(new Map());
+  const providerSettings = getProviderSettings(config);
+  const providerCapabilities = getProviderCapabilities({ ...config, maxTokens: '' });
+  const providerDefaults = getDefaultProviderConfigs()[providerSettings.provider];
+  const setProviderConfig = (updates) => setConfig({
+    ...config,
+    providers: { ...config.providers, [providerSettings.provider]: { ...config.providers[providerSettings.provider], ...updates } }
+  });
+
+  // Brings back the queue and settings of the last session. Files added meanwhile go after it.
+  useEffect(() => {
+    if (restoreStartedRef.current) return;
+    restoreStartedRef.current = true;
+
+    (async () => {
+      try {
+        const [savedConfig, jobs] = await Promise.all([loadSettings(), loadJobs()]);
+        if (savedConfig) setConfig(current => mergeSavedConfig(current, savedConfig));
+
+        const restored = [];
+        for (const job of jobs.filter(j => j.blobs.input)) {
+          let fileItem = fromStoredJob(job);
+          if (job.status === 'interrupted' || INTERRUPTED_STATUSES.includes(job.status)) {
+            const checkpoint = await loadCheckpoint(getJobKey(fileItem.file));
+            if (checkpoint) fileItem = { ...fileItem, ...getCheckpointUpdates(fileItem.file, checkpoint) };
+          }
+          restored.push(fileItem);
+        }
+        // Already in IndexedDB; only later changes need saving.
+        savedJobsRef.current = new Map(restored.map(f => [f.id, f]));
+        setFiles(prev => [...restored, ...prev]);
+      } catch (err) {
+        console.error('Could not restore the saved queue:', err);
+      }
+      setIsRestored(true);
+    })();
+  }, []);
+
+  // Saves the rows that changed since the last render, and their blobs only when replaced.
+  useEffect(() => {
+    if (!isRestored) return;
+    const saved = savedJobsRef.current;
+    for (const fileItem of files) {
+      const before = saved.get(fileItem.id);
+      if (before === fileItem) continue;
+      const blobs = getJobBlobs(fileItem);
+      const previous = before ? getJobBlobs(before) : {};
+      const changed = Object.fromEntries(JOB_BLOB_PARTS
+        .filter(part => (blobs[part] || null) !== (previous[part] || null))
+        .map(part => [part, blobs[part] || null]));
+      saveJob(toStoredJob(fileItem), changed).catch(err => console.error('Could not save the queue:', err));
+    }
+    const ids = new Set(files.map(f => f.id));
+    deleteJobs([...saved.keys()].filter(id => !ids.has(id))).catch(err => console.error('Could not save the queue:', err));
+    savedJobsRef.current = new Map(files.map(f => [f.id, f]));
+  }, [files, isRestored]);
+
+  useEffect(() => {
+    if (!isRestored) return;
+    saveSettings(config).catch(err => console.error('Could not save the settings:', err));
+  }, [config, isRestored]);
 
   const handleFileSelect = (e) => {
     if (!e.target.files.length) return;
@@ -32,18 +232,61 @@ function App() {
     e.target.value = '';
   };
 
-  const addFiles = (fileList) => {
-    const newFiles = Array.from(fileList).map(file => ({
+  const addFiles = async (fileList) => {
+    const items = await Promise.all(Array.from(fileList).map(convertUpload));
+    const addedAt = Date.now();
+    const newFiles = items.map(({ file, source, error }, index) => ({
       file,
+      source,
       id: Math.random().toString(36).substr(2, 9),
-      status: 'pending',
+      addedAt: addedAt + index,
+      status: error ? CONVERSION_FAILED : 'pending',
       progress: 0,
       total: 0,
       processed: 0,
+      cachedTexts: 0,
+      outputs: null,
       resultUrl: null,
-      error: null
+      codebookUrl: null,
+      quantization: null,
+      reducerUrl: null,
+      reduction: null,
+      indexUrl: null,
+      annIndex: null,
+      errorsUrl: null,
+      failures: null,
+      runConfig: null,
+      cacheFile: null,
+      outputHandle: null,
+      refresh: null,
+      chunking: null,
+      partial: null,
+      validation: null,
+      error
     }));
     setFiles(prev => [...prev, ...newFiles]);
+    newFiles.forEach(({ id, file }) => restoreCheckpoint(id, file));
+  };
+
+  // Markdown, text, CSV and HTML uploads are converted to KB records (see lib/ingest.js)
+  // and queued as `<name>_rag.jsonl`; JSONL files pass through unchanged.
+  const convertUpload = async (file) => {
+    if (!getSourceFormat(file.name)) return { file, source: null, error: null };
+    try {
+      const { format, records } = await convertSource(await file.text(), file.name);
+      if (records.length === 0) throw new Error('no text to convert');
+      const converted = new File([recordsToJsonl(records)], getIngestedFileName(file.name), { type: 'application/jsonl' });
+      return { file: converted, source: { name: file.name, format, records: records.length }, error: null };
+    } catch (e) {
+      return { file, source: null, error: `Could not convert ${file.name}: ${e.message}` };
+    }
+  };
+
+  // A checkpoint left in browser storage means an earlier run of this file was
+  // interrupted (tab closed or crashed); Start picks it up from there.
+  const restoreCheckpoint = async (id, file) => {
+    const checkpoint = await loadCheckpoint(getJobKey(file));
+    if (checkpoint) updateFileStatus(id, getCheckpointUpdates(file, checkpoint));
   };
 
   const handleDragEnter = (e) => {
@@ -70,128 +313,258 @@ function App() {
 
   const removeFile = (id) => {
     if (isProcessing) return;
+    const fileItem = files.find(f => f.id === id);
+    if (fileItem) discardJob(getJobKey(fileItem.file));
     setFiles(prev => prev.filter(f => f.id !== id));
   };
 
+  // A previous .embedded.jsonl lets unchanged records keep their vectors.
+  const chooseCacheFile = (id) => {
+    if (isProcessing) return;
+    cacheTargetRef.current = id;
+    cacheInputRef.current.click();
+  };
+
+  const handleCacheSelect = (e) => {
+    const [cacheFile] = e.target.files;
+    if (cacheFile && cacheTargetRef.current) {
+      updateFileStatus(cacheTargetRef.current, { cacheFile });
+    }
+    cacheTargetRef.current = null;
+    e.target.value = '';
+  };
+
+  // Streams straight to a file on disk instead of browser storage.
+  const chooseOutputFile = async (id) => {
+    if (isProcessing) return;
+    const fileItem = files.find(f => f.id === id);
+    try {
+      const outputHandle = await window.showSaveFilePicker({
+        suggestedName: fileItem.file.name.replace('.jsonl', '.embedded.jsonl'),
+        types: [{ description: 'JSON Lines', accept: { 'application/jsonl': ['.jsonl'] } }]
+      });
+      updateFileStatus(id, { outputHandle });
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error(err);
+    }
+  };
+
   const clearAll = () => {
     if (isProcessing) return;
+    files.forEach(f => discardJob(getJobKey(f.file)));
     setFiles([]);
   };
 
-  const getEmbeddingText = (record) => {
-    if (record.dense_context) return record.dense_context;
-    if (record.question && record.answer) return `Q: ${record.question}\nA: ${record.answer}`;
-    return record.text || "";
+  const openSettings = async () => {
+    setShowConfig(true);
+    const sample = files[0];
+    if (!sample || sample.file.name === templateSamples.name) return;
+    try {
+      setTemplateSamples({ name: sample.file.name, records: await readJsonlSample(sample.file, TEMPLATE_PREVIEW_COUNT) });
+    } catch (err) {
+      console.error('Template preview error:', err);
+    }
+  };
+
+  // One long-lived worker keeps the local model loaded between files.
+  const getWorker = () => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('./workers/embedWorker.js', import.meta.url), { type: 'module' });
+    }
+    return workerRef.current;
   };
 
-  async function* lineIterator(file) {
-    const stream = file.stream();
-    const reader = stream.getReader();
-    const decoder = new TextDecoder();
-    let { value: chunk, done: readerDone } = await reader.read();
-    let buffer = '';
+  // Posts a job message and resolves with the worker's final reply for that file
+  // (done, cancelled, validated or error); progress and checkpoints update the row.
+  const requestWorker = (message) => new Promise(resolve => {
+    const worker = getWorker();
+    const { jobId } = message;
 
-    while (!readerDone || buffer) {
-      if (chunk) {
-        buffer += decoder.decode(chunk, { stream: true });
+    const finish = (result) => {
+      worker.removeEventListener('message', handleMessage);
+      worker.removeEventListener('error', handleError);
+      resolve(result);
+    };
+    const handleMessage = ({ data }) => {
+      if (data.jobId !== jobId) return;
+      if (data.type === 'progress') {
+        updateFileStatus(jobId, { processed: data.processed, progress: data.progress });
+      } else if (data.type === 'checkpoint') {
+        updateFileStatus(jobId, { partial: data.checkpoint });
+      } else {
+        finish(data);
       }
+    };
+    // The worker failed to load or crashed; start a fresh one for the next file.
+    const handleError = (e) => {
+      worker.terminate();
+      workerRef.current = null;
+      finish({ type: 'error', error: e.message || 'Embedding worker failed' });
+    };
 
-      const lines = buffer.split('\n');
-      buffer = readerDone ? '' : lines.pop();
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+    worker.postMessage(message);
+  });
 
-      for (const line of lines) {
-        if (line.trim()) yield line;
-      }
+  // A resumed file keeps the settings it started with, so its vectors stay in one space.
+  const getJobConfig = (fileItem) => (fileItem.partial ? fileItem.partial.config : config);
 
-      if (readerDone) break;
-      ({ value: chunk, done: readerDone } = await reader.read());
-    }
-  }
+  // A resumed file keeps writing where it stopped. A checkpoint restored after a reload
+  // cannot keep its file handle, so the same output file has to be chosen again.
+  const getJobOutput = ({ file, partial, outputHandle }) => {
+    if (!partial) return getOutputTarget(getJobKey(file), outputHandle);
+    return partial.output.type === OUTPUT_TARGETS.FILE && !partial.output.handle
+      ? { ...partial.output, handle: outputHandle }
+      : partial.output;
+  };
 
   const processFile = async (fileItem) => {
-    try {
-      updateFileStatus(fileItem.id, { status: 'processing', progress: 0 });
-
-      const totalSize = fileItem.file.size;
-      let processedBytes = 0;
-      const processedLines = [];
-      let batch = [];
-      let batchRecords = [];
-      const iterator = lineIterator(fileItem.file);
-      let processedCount = 0;
-
-      for await (const line of iterator) {
-        processedBytes += new TextEncoder().encode(line + '\n').length;
-
-        try {
-          const record = JSON.parse(line);
-          const textToEmbed = getEmbeddingText(record);
-
-          if (record.embedding && Array.isArray(record.embedding) && record.embedding.length > 0) {
-            processedLines.push(JSON.stringify(record));
-            processedCount++;
-          } else if (!textToEmbed) {
-            processedLines.push(line);
-            processedCount++;
-          } else {
-            batch.push(textToEmbed);
-            batchRecords.push(record);
-          }
+    const jobConfig = getJobConfig(fileItem);
+    activeJobRef.current = fileItem.id;
+    // The previous (partial) download points at the file about to be appended to.
+    if (fileItem.resultUrl) {
+      URL.revokeObjectURL(fileItem.resultUrl);
+    }
+    updateFileStatus(fileItem.id, {
+      status: 'processing',
+      error: null,
+      outputs: null,
+      resultUrl: null,
+      errorsUrl: null,
+      failures: null,
+      progress: fileItem.partial ? fileItem.progress : 0
+    });
 
-          if (batch.length >= BATCH_SIZE) {
-            await processBatch(batch, batchRecords, processedLines, config);
-            processedCount += batch.length;
-            batch = [];
-            batchRecords = [];
+    const running = requestWorker({
+      type: 'start',
+      jobId: fileItem.id,
+      file: fileItem.file,
+      cacheFile: fileItem.cacheFile,
+      config: jobConfig,
+      output: getJobOutput(fileItem),
+      resume: fileItem.partial ? fileItem.partial.state : null
+    });
+    if (queueRef.current.paused) {
+      pauseFile(fileItem.id);
+    }
+    const result = await running;
+    activeJobRef.current = null;
 
-            updateFileStatus(fileItem.id, {
-              processed: processedCount,
-              progress: Math.min(99, Math.round((processedBytes / totalSize) * 100))
-            });
+    if (result.type === 'error') {
+      updateFileStatus(fileItem.id, { status: 'error', error: result.error });
+      return;
+    }
+    const resultUrl = URL.createObjectURL(result.output);
 
-            await new Promise(resolve => setTimeout(resolve, 0));
-          }
+    if (result.type === 'cancelled') {
+      const { checkpoint } = result;
+      updateFileStatus(fileItem.id, {
+        status: 'cancelled',
+        processed: checkpoint.state.processedCount,
+        outputs: { result: result.output },
+        resultUrl,
+        refresh: checkpoint.state.refresh,
+        chunking: checkpoint.state.chunking,
+        partial: checkpoint
+      });
+      return;
+    }
 
-        } catch (e) {
-          console.error('Error parsing line', e);
-          processedLines.push(line);
-        }
-      }
+    const { processedCount, cachedTexts, reduction, annIndex, quantization, refresh, chunking, failures } = result;
+    const outputs = {
+      result: result.output,
+      reducer: reduction
+        ? new Blob([JSON.stringify({ ...reduction, model: getModelId(jobConfig) }, null, 2)], { type: 'application/json' })
+        : null,
+      codebook: quantization
+        ? new Blob([JSON.stringify({ ...quantization, model: getModelId(jobConfig) }, null, 2)], { type: 'application/json' })
+        : null,
+      index: annIndex ? new Blob([annIndex.buffer], { type: 'application/octet-stream' }) : null,
+      errors: toErrorsBlob(failures)
+    };
 
-      if (batch.length > 0) {
-        await processBatch(batch, batchRecords, processedLines, config);
-        processedCount += batch.length;
-      }
+    updateFileStatus(fileItem.id, {
+      status: 'done',
+      progress: 100,
+      processed: processedCount,
+      total: processedCount,
+      cachedTexts,
+      outputs,
+      resultUrl,
+      codebookUrl: toObjectUrl(outputs.codebook),
+      quantization,
+      reducerUrl: toObjectUrl(outputs.reducer),
+      // The projection matrix is only needed in the sidecar
+      reduction: reduction && {
+        method: reduction.method,
+        from: reduction.from,
+        dimension: reduction.dimension,
+        explained: reduction.explained,
+        queries: reduction.queries,
+        recall: reduction.recall,
+        hits: reduction.hits
+      },
+      indexUrl: toObjectUrl(outputs.index),
+      annIndex: annIndex && annIndex.report,
+      errorsUrl: toObjectUrl(outputs.errors),
+      failures: outputs.errors && summarizeFailures(failures),
+      refresh,
+      chunking,
+      runConfig: jobConfig,
+      partial: null
+    });
+  };
 
-      const blob = new Blob([processedLines.join('\n')], { type: 'application/jsonl' });
-      const url = URL.createObjectURL(blob);
+  // Re-processes only the lines in the row's errors sidecar, with the settings of the run
+  // that wrote the output, and patches their rows (see embedJsonlFile). The patched copy is
+  // written to memory because the previous output is read at the same time; a cancelled
+  // or failed retry leaves the previous output as it was.
+  const retryFailed = async (fileItem) => {
+    if (isProcessing) return;
+    const { outputs } = fileItem;
+    setIsProcessing(true);
+    activeJobRef.current = fileItem.id;
+    updateFileStatus(fileItem.id, { status: 'processing', error: null, progress: 0 });
+
+    const result = await requestWorker({
+      type: 'start',
+      jobId: fileItem.id,
+      file: fileItem.file,
+      config: fileItem.runConfig || config,
+      output: { type: OUTPUT_TARGETS.MEMORY, name: fileItem.file.name, lines: [] },
+      retry: { output: outputs.result, errors: outputs.errors, reducer: outputs.reducer, codebook: outputs.codebook }
+    });
+    activeJobRef.current = null;
+    setIsProcessing(false);
 
+    if (result.type !== 'done') {
       updateFileStatus(fileItem.id, {
         status: 'done',
         progress: 100,
-        processed: processedCount,
-        total: processedCount,
-        resultUrl: url
+        error: result.type === 'error' ? `Retry failed: ${result.error}` : null
       });
-
-    } catch (err) {
-      console.error(err);
-      updateFileStatus(fileItem.id, { status: 'error', error: err.message });
-    }
-  };
-
-  const processBatch = async (texts, records, outputBuffer, config) => {
-    const embeddings = config.mode === EMBEDDING_MODES.LOCAL
-      ? await embedTextsLocally(texts, config.localModel)
-      : await fetchBatchEmbeddings(texts, config);
-
-    if (!embeddings || embeddings.length !== records.length) {
-      throw new Error('Embedding service returned an unexpected payload');
+      return;
     }
 
-    records.forEach((record, index) => {
-      record.embedding = embeddings[index];
-      outputBuffer.push(JSON.stringify(record));
+    const { failures, annIndex } = result;
+    const patched = {
+      ...outputs,
+      result: result.output,
+      // A quantized output keeps its index, which was built before quantizing
+      index: annIndex ? new Blob([annIndex.buffer], { type: 'application/octet-stream' }) : outputs.index,
+      errors: toErrorsBlob(failures)
+    };
+    [fileItem.resultUrl, fileItem.errorsUrl, annIndex && fileItem.indexUrl].filter(Boolean).forEach(url => URL.revokeObjectURL(url));
+    updateFileStatus(fileItem.id, {
+      status: 'done',
+      progress: 100,
+      outputs: patched,
+      resultUrl: URL.createObjectURL(patched.result),
+      errorsUrl: toObjectUrl(patched.errors),
+      failures: patched.errors && summarizeFailures(failures),
+      indexUrl: annIndex ? toObjectUrl(patched.index) : fileItem.indexUrl,
+      annIndex: annIndex ? annIndex.report : fileItem.annIndex
     });
   };
 
@@ -199,45 +572,108 @@ function App() {
     setFiles(prev => prev.map(f => f.id === id ? { ...f, ...updates } : f));
   };
 
-  const fetchBatchEmbeddings = async (texts, config) => {
-    try {
-      const cleanTexts = texts.map(t => t.replace(/\n/g, ' '));
-
-      const response = await fetch(config.apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: config.model,
-          input: cleanTexts
-        })
-      });
+  // Pause and cancel take effect at the next batch boundary inside the worker.
+  const pauseFile = (id) => {
+    if (activeJobRef.current !== id) return;
+    workerRef.current.postMessage({ type: 'pause', jobId: id });
+    updateFileStatus(id, { status: 'paused' });
+  };
 
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => '');
-        throw new Error(`API Error ${response.status}${errorText ? `: ${errorText}` : ''}`);
-      }
+  const resumeFile = (id) => {
+    if (activeJobRef.current !== id) return;
+    workerRef.current.postMessage({ type: 'resume', jobId: id });
+    updateFileStatus(id, { status: 'processing' });
+  };
 
-      const data = await response.json();
+  // The active file stops with a partial result; a queued file is just skipped.
+  const cancelFile = (id) => {
+    if (activeJobRef.current === id) {
+      workerRef.current.postMessage({ type: 'cancel', jobId: id });
+    } else {
+      skippedRef.current.add(id);
+      updateFileStatus(id, { status: 'cancelled' });
+    }
+  };
 
-      if (data.data && Array.isArray(data.data)) {
-        return data.data.map(item => item.embedding);
-      }
+  const pauseQueue = () => {
+    queueRef.current.paused = true;
+    setIsQueuePaused(true);
+    if (activeJobRef.current) pauseFile(activeJobRef.current);
+  };
 
-      throw new Error('Unexpected response format');
-    } catch (e) {
-      console.error('Embedding fetch error:', e);
-      throw e;
-    }
+  const resumeQueue = () => {
+    queueRef.current.paused = false;
+    setIsQueuePaused(false);
+    if (activeJobRef.current) resumeFile(activeJobRef.current);
   };
 
-  const startProcessing = async () => {
+  // Files that have not started stay pending.
+  const cancelQueue = () => {
+    queueRef.current.cancelled = true;
+    if (activeJobRef.current) cancelFile(activeJobRef.current);
+  };
+
+  const runQueue = async (queuedFiles) => {
     setIsProcessing(true);
-    const pendingFiles = files.filter(f => f.status === 'pending' || f.status === 'error');
+    setIsQueuePaused(false);
+    queueRef.current = { paused: false, cancelled: false };
+    skippedRef.current = new Set();
 
-    for (const file of pendingFiles) {
+    for (const file of queuedFiles) {
+      if (queueRef.current.cancelled) break;
+      if (skippedRef.current.has(file.id)) continue;
       await processFile(file);
     }
     setIsProcessing(false);
+    setIsQueuePaused(false);
+  };
+
+  // Pre-flight: validates every queued file in the worker and opens the panel if any has issues.
+  const startProcessing = async () => {
+    const queuedFiles = files.filter(f => QUEUED_STATUSES.includes(f.status));
+    if (config.validation === VALIDATION_MODES.OFF) {
+      runQueue(queuedFiles);
+      return;
+    }
+
+    setIsValidating(true);
+    const checkedFiles = [];
+    for (const fileItem of queuedFiles) {
+      const result = await requestWorker({ type: 'validate', jobId: fileItem.id, file: fileItem.file, config: getJobConfig(fileItem) });
+      const validation = result.type === 'validated' ? result.report : null;
+      if (!validation) console.error(`Validation of ${fileItem.file.name} failed:`, result.error);
+      updateFileStatus(fileItem.id, { validation });
+      checkedFiles.push({ ...fileItem, validation });
+    }
+    setIsValidating(false);
+
+    if (checkedFiles.some(f => f.validation && (f.validation.errors > 0 || f.validation.warnings > 0))) {
+      setPreflightFiles(checkedFiles);
+    } else {
+      runQueue(checkedFiles);
+    }
+  };
+
+  const continueAfterPreflight = () => {
+    const checkedFiles = preflightFiles;
+    setPreflightFiles(null);
+    if (config.validation !== VALIDATION_MODES.BLOCK) {
+      runQueue(checkedFiles);
+      return;
+    }
+    const hasErrors = (f) => f.validation && f.validation.errors > 0;
+    checkedFiles.filter(hasErrors).forEach(f => updateFileStatus(f.id, {
+      status: 'error',
+      error: `Blocked by ${f.validation.errors} validation error(s)`
+    }));
+    runQueue(checkedFiles.filter(f => !hasErrors(f)));
+  };
+
+  const triggerDownload = (href, fileName) => {
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = fileName;
+    a.click();
   };
 
   const downloadAll = () => {
@@ -246,12 +682,84 @@ function App() {
       a.href = f.resultUrl;
       a.download = f.file.name.replace('.jsonl', '.embedded.jsonl');
       a.click();
+      if (f.reducerUrl) {
+        triggerDownload(f.reducerUrl, getReductionSidecarName(f.file.name.replace('.jsonl', '.embedded.jsonl')));
+      }
+      if (f.codebookUrl) {
+        triggerDownload(f.codebookUrl, getQuantizationSidecarName(f.file.name.replace('.jsonl', '.embedded.jsonl')));
+      }
+      if (f.indexUrl) {
+        triggerDownload(f.indexUrl, getIndexFileName(f.file.name.replace('.jsonl', '.embedded.jsonl')));
+      }
+      if (f.errorsUrl) {
+        triggerDownload(f.errorsUrl, getErrorsSidecarName(f.file.name.replace('.jsonl', '.embedded.jsonl')));
+      }
     });
   };
 
+  // The model that embedded this output, which the settings may no longer name: the run's
+  // own config, else the records' provenance (rows restored from before runConfig was kept).
+  const getOutputModelId = (fileItem, records) => {
+    if (fileItem.runConfig) return getModelId(fileItem.runConfig);
+    const provenance = records.find(record => record.embedding_provenance)?.embedding_provenance;
+    return provenance?.model ?? getModelId(config);
+  };
+
+  const downloadBundle = async (fileItem) => {
+    try {
+      const blob = await fetch(fileItem.resultUrl).then(res => res.blob());
+      const { records } = await readJsonlRecords(blob);
+      const baseName = getBundleBaseName(fileItem.file.name);
+      const { manifest, vectorBytes, metadataJson } = await buildVectorBundle(records, {
+        baseName,
+        modelId: getOutputModelId(fileItem, records)
+      });
+
+      const fileNames = getBundleFileNames(baseName);
+      const parts = [
+        [new Blob([vectorBytes], { type: 'application/octet-stream' }), fileNames.vectors],
+        [new Blob([metadataJson], { type: 'application/json' }), fileNames.metadata],
+        [new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }), fileNames.manifest]
+      ];
+      for (const [partBlob, fileName] of parts) {
+        const url = URL.createObjectURL(partBlob);
+        triggerDownload(url, fileName);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      }
+    } catch (err) {
+      console.error(err);
+      updateFileStatus(fileItem.id, { error: `Bundle export failed: ${err.message}` });
+    }
+  };
+
+  // One export per finished file, in the format picked next to "Download All".
+  const exportAll = async () => {
+    setIsExporting(true);
+    for (const fileItem of files.filter(f => f.status === 'done')) {
+      try {
+        const blob = await fetch(fileItem.resultUrl).then(res => res.blob());
+        const { records } = await readJsonlRecords(blob);
+        const { files: exported } = await exportVectors(records, exportFormat, {
+          baseName: getBundleBaseName(fileItem.file.name),
+          modelId: getOutputModelId(fileItem, records)
+        });
+        for (const { name, data, type } of exported) {
+          const url = URL.createObjectURL(new Blob([data], { type }));
+          triggerDownload(url, name);
+          setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+      } catch (err) {
+        console.error(err);
+        updateFileStatus(fileItem.id, { error: `${EXPORT_LABELS[exportFormat]} export failed: ${err.message}` });
+      }
+    }
+    setIsExporting(false);
+  };
+
   const totalFiles = files.length;
   const processedRecords = files.reduce((acc, f) => acc + (f.processed || 0), 0);
-  const completedFiles = files.filter(f => f.status === 'done').length;
+  const doneFiles = files.filter(f => f.status === 'done');
+  const completedFiles = doneFiles.length;
 
   return (
     <div className="app">
@@ -267,9 +775,46 @@ function App() {
               <p>Local JSONL Embedding Processor</p>
             </div>
           </div>
+          <nav className="view-tabs">
+            <button
+              className={view === VIEWS.EMBED ? 'active' : ''}
+              onClick={() => setView(VIEWS.EMBED)}
+            >
+              <Database size={16} />
+              Embed
+            </button>
+            <button
+              className={view === VIEWS.SEARCH ? 'active' : ''}
+              onClick={() => setView(VIEWS.SEARCH)}
+            >
+              <Search size={16} />
+              Search
+            </button>
+            <button
+              className={view === VIEWS.DUPLICATES ? 'active' : ''}
+              onClick={() => setView(VIEWS.DUPLICATES)}
+            >
+              <Copy size={16} />
+              Duplicates
+            </button>
+            <button
+              className={view === VIEWS.EVALUATE ? 'active' : ''}
+              onClick={() => setView(VIEWS.EVALUATE)}
+            >
+              <Target size={16} />
+              Evaluate
+            </button>
+            <button
+              className={view === VIEWS.MAP ? 'active' : ''}
+              onClick={() => setView(VIEWS.MAP)}
+            >
+              <ScatterChart size={16} />
+              Map
+            </button>
+          </nav>
           <button
             className="settings-btn"
-            onClick={() => setShowConfig(true)}
+            onClick={openSettings}
             title="Settings"
           >
             <Settings size={18} />
@@ -279,166 +824,358 @@ function App() {
 
       {/* Main */}
       <main className="main">
-        <div className="container">
-          {/* Upload Zone */}
-          <div
-            className={`upload-zone ${isDragging ? 'dragging' : ''}`}
-            onClick={() => !isProcessing && fileInputRef.current.click()}
-            onDragEnter={handleDragEnter}
-            onDragOver={handleDragOver}
-            onDragLeave={handleDragLeave}
-            onDrop={handleDrop}
-            style={{ cursor: isProcessing ? 'not-allowed' : 'pointer' }}
-          >
-            <div className="upload-icon">
-              <Upload size={32} />
+        {view === VIEWS.SEARCH ? (
+          <div className="container">
+            <SearchView config={config} processedFiles={doneFiles} />
+          </div>
+        ) : view === VIEWS.DUPLICATES ? (
+          <div className="container">
+            <DuplicatesView processedFiles={doneFiles} />
+          </div>
+        ) : view === VIEWS.EVALUATE ? (
+          <div className="container">
+            <EvaluationView config={config} processedFiles={doneFiles} />
+          </div>
+        ) : view === VIEWS.MAP ? (
+          <div className="container">
+            <MapView config={config} processedFiles={doneFiles} />
+          </div>
+        ) : (
+          <div className="container">
+            {/* Upload Zone */}
+            <div
+              className={`upload-zone ${isDragging ? 'dragging' : ''}`}
+              onClick={() => !isProcessing && fileInputRef.current.click()}
+              onDragEnter={handleDragEnter}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              onDrop={handleDrop}
+              style={{ cursor: isProcessing ? 'not-allowed' : 'pointer' }}
+            >
+              <div className="upload-icon">
+                <Upload size={32} />
+              </div>
+              <h2>Upload JSONL Files</h2>
+              <p>Click to browse or drag and drop files here</p>
+              <span className="upload-hint">Multiple files supported • Markdown, text, CSV and HTML are converted to records</span>
+              <input
+                type="file"
+                ref={fileInputRef}
+                onChange={handleFileSelect}
+                multiple
+                accept={`.jsonl,.json,${SOURCE_FILE_ACCEPT}`}
+                style={{ display: 'none' }}
+                disabled={isProcessing}
+              />
             </div>
-            <h2>Upload JSONL Files</h2>
-            <p>Click to browse or drag and drop files here</p>
-            <span className="upload-hint">Multiple files supported</span>
             <input
               type="file"
-              ref={fileInputRef}
-              onChange={handleFileSelect}
-              multiple
+              ref={cacheInputRef}
+              onChange={handleCacheSelect}
               accept=".jsonl,.json"
               style={{ display: 'none' }}
-              disabled={isProcessing}
             />
-          </div>
 
-          {/* File List */}
-          {files.length > 0 ? (
-            <div className="file-list">
-              <div className="list-header">
-                <div className="stats">
-                  <div>
-                    <span className="stat-value">{totalFiles}</span>
-                    <span>Files</span>
-                  </div>
-                  {processedRecords > 0 && (
-                    <div>
-                      <span className="stat-value primary">{processedRecords}</span>
-                      <span>Records</span>
-                    </div>
-                  )}
-                  {completedFiles > 0 && (
+            {/* File List */}
+            {files.length > 0 ? (
+              <div className="file-list">
+                <div className="list-header">
+                  <div className="stats">
                     <div>
-                      <span className="stat-value">{completedFiles}</span>
-                      <span>Done</span>
+                      <span className="stat-value">{totalFiles}</span>
+                      <span>Files</span>
                     </div>
+                    {processedRecords > 0 && (
+                      <div>
+                        <span className="stat-value primary">{processedRecords}</span>
+                        <span>Records</span>
+                      </div>
+                    )}
+                    {completedFiles > 0 && (
+                      <div>
+                        <span className="stat-value">{completedFiles}</span>
+                        <span>Done</span>
+                      </div>
+                    )}
+                  </div>
+                  {!isProcessing && (
+                    <button className="clear-btn" onClick={clearAll}>
+                      <Trash2 size={16} />
+                      Clear All
+                    </button>
                   )}
                 </div>
-                {!isProcessing && (
-                  <button className="clear-btn" onClick={clearAll}>
-                    <Trash2 size={16} />
-                    Clear All
-                  </button>
-                )}
-              </div>
 
-              <table className="file-table">
-                <thead>
-                  <tr>
-                    <th>File</th>
-                    <th>Status</th>
-                    <th>Progress</th>
-                    <th style={{ textAlign: 'right' }}>Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {files.map(file => (
-                    <tr key={file.id}>
-                      <td>
-                        <div className="file-name">
-                          <div className={`file-icon ${file.status === 'done' ? 'success' : file.status === 'error' ? 'error' : ''}`}>
-                            {file.status === 'done' ? (
-                              <CheckCircle2 size={20} />
-                            ) : (
-                              <FileJson size={20} />
-                            )}
-                          </div>
-                          <div className="file-info">
-                            <h4>{file.file.name}</h4>
-                            <div className="file-size">
-                              {file.file.size > 1024 * 1024
-                                ? `${(file.file.size / 1024 / 1024).toFixed(2)} MB`
-                                : `${(file.file.size / 1024).toFixed(2)} KB`}
-                            </div>
-                          </div>
-                        </div>
-                      </td>
-                      <td>
-                        <span className={`status ${file.status}`}>
-                          {file.status}
-                        </span>
-                        {file.error && (
-                          <div className="file-error-text">{file.error}</div>
-                        )}
-                      </td>
-                      <td className="progress-cell">
-                        {file.status === 'processing' ? (
-                          <>
-                            <div className="progress-bar">
-                              <div className="progress-fill" style={{ width: `${file.progress}%` }}></div>
+                <table className="file-table">
+                  <thead>
+                    <tr>
+                      <th>File</th>
+                      <th>Status</th>
+                      <th>Progress</th>
+                      <th style={{ textAlign: 'right' }}>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {files.map(file => (
+                      <tr key={file.id}>
+                        <td>
+                          <div className="file-name">
+                            <div className={`file-icon ${file.status === 'done' ? 'success' : file.status === 'error' || file.status === CONVERSION_FAILED ? 'error' : ''}`}>
+                              {file.status === 'done' ? (
+                                <CheckCircle2 size={20} />
+                              ) : (
+                                <FileJson size={20} />
+                              )}
                             </div>
-                            <div className="progress-text">{file.progress}% • {file.processed} records</div>
-                          </>
-                        ) : file.processed > 0 ? (
-                          <div className="progress-text">{file.processed} records processed</div>
-                        ) : (
-                          <div className="progress-text">—</div>
-                        )}
-                      </td>
-                      <td>
-                        <div className="actions">
-                          {file.status === 'done' && (
-                            <a
-                              href={file.resultUrl}
-                              download={file.file.name.replace('.jsonl', '.embedded.jsonl')}
-                              className="action-btn download"
-                              title="Download"
-                            >
-                              <Download size={16} />
-                            </a>
-                          )}
-                          {file.status === 'processing' && (
-                            <div className="action-btn">
-                              <Loader2 size={16} className="spin" />
+                            <div className="file-info">
+                              <h4>{file.file.name}</h4>
+                              <div className="file-size">
+                                {file.file.size > 1024 * 1024
+                                  ? `${(file.file.size / 1024 / 1024).toFixed(2)} MB`
+                                  : `${(file.file.size / 1024).toFixed(2)} KB`}
+                                {file.source && ` • ${file.source.records} records converted from ${file.source.name}`}
+                                {file.cacheFile && ` • reusing vectors from ${file.cacheFile.name}`}
+                                {file.outputHandle && ` • writing to ${file.outputHandle.name}`}
+                              </div>
+                              {file.validation && (file.validation.errors > 0 || file.validation.warnings > 0) && (
+                                <div
+                                  className={`validation-summary ${file.validation.errors > 0 ? 'error' : 'warning'}`}
+                                  title={describeValidation(file.validation)}
+                                >
+                                  {file.validation.errors} error(s) • {file.validation.warnings} warning(s)
+                                </div>
+                              )}
                             </div>
+                          </div>
+                        </td>
+                        <td>
+                          <span className={`status ${file.status}`}>
+                            {file.status.replace('_', ' ')}
+                          </span>
+                          {file.error && (
+                            <div className="file-error-text">{file.error}</div>
                           )}
-                          {(file.status === 'pending' || file.status === 'error') && (
-                            <button className="action-btn delete" onClick={() => removeFile(file.id)}>
-                              <X size={16} />
-                            </button>
+                        </td>
+                        <td className="progress-cell">
+                          {file.status === 'processing' || file.status === 'paused' ? (
+                            <>
+                              <div className="progress-bar">
+                                <div className="progress-fill" style={{ width: `${file.progress}%` }}></div>
+                              </div>
+                              <div className="progress-text">{file.progress}% • {file.processed} records</div>
+                            </>
+                          ) : file.processed > 0 ? (
+                            <>
+                              <div className="progress-text">
+                                {file.processed} records processed
+                                {file.partial && ` • ${file.progress}% of file, resumes where it stopped`}
+                              </div>
+                              {file.cachedTexts > 0 && (
+                                <div className="progress-text">{file.cachedTexts} text(s) from the embedding cache</div>
+                              )}
+                              {file.failures && (
+                                <div className="progress-text failed">{describeFailures(file.failures)}, kept without vectors</div>
+                              )}
+                              {file.refresh && (file.refresh.reused > 0 || file.refresh.removed > 0) && (
+                                <div className="progress-text">
+                                  {file.refresh.reused} reused • {file.refresh.reembedded} re-embedded • {file.refresh.added} new • {file.refresh.removed} removed
+                                </div>
+                              )}
+                              {file.chunking && file.chunking.overLimit > 0 && (
+                                <div
+                                  className="progress-text"
+                                  title={file.chunking.records.map(r => `${r.id}: ${r.tokens} tokens (+${r.excess})`).join('\n')}
+                                >
+                                  {describeChunkingStats(file.chunking)}
+                                  {file.chunking.exact ? '' : ' (estimated)'}
+                                  {file.chunking.chunks > 0 && ` • ${file.chunking.chunks} chunks`}
+                                </div>
+                              )}
+                              {file.reduction && (
+                                <div
+                                  className="progress-text"
+                                  title={`${(file.reduction.explained * 100).toFixed(1)}% of the variance kept. Measured over ${file.reduction.queries} self-queries; hit@k = own record in the top k, full → reduced`}
+                                >
+                                  {file.reduction.method} {file.reduction.from}d → {file.reduction.dimension}d
+                                  {file.reduction.queries > 0 && ` • recall@10 ${file.reduction.recall['@10'].toFixed(2)} • hit@5 ${file.reduction.hits.full['@5'].toFixed(2)} → ${file.reduction.hits.reduced['@5'].toFixed(2)}`}
+                                </div>
+                              )}
+                              {file.quantization && (
+                                <div className="progress-text" title={`Measured over ${file.quantization.queries} self-queries`}>
+                                  {file.quantization.format}
+                                  {file.quantization.queries > 0 && Object.entries(file.quantization.recall)
+                                    .map(([k, value]) => ` • recall${k} ${value.toFixed(2)}`)
+                                    .join('')}
+                                </div>
+                              )}
+                              {file.annIndex && (
+                                <div className="progress-text" title={`recall@${file.annIndex.recall.k} vs exact search over ${file.annIndex.recall.queries} sampled vectors`}>
+                                  HNSW {(file.annIndex.sizes.total / 1024).toFixed(1)} KB
+                                  {file.annIndex.recall.results
+                                    .filter(({ ef }) => ef === file.annIndex.ef)
+                                    .map(({ recall }) => ` • recall@${file.annIndex.recall.k} ${recall.toFixed(2)} (ef ${file.annIndex.ef})`)
+                                    .join('')}
+                                </div>
+                              )}
+                            </>
+                          ) : (
+                            <div className="progress-text">—</div>
                           )}
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          ) : (
-            <div className="empty">
-              <div className="empty-icon">
-                <Database size={40} />
+                        </td>
+                        <td>
+                          <div className="actions">
+                            {file.status === 'done' && (
+                              <a
+                                href={file.resultUrl}
+                                download={file.file.name.replace('.jsonl', '.embedded.jsonl')}
+                                className="action-btn download"
+                                title="Download"
+                              >
+                                <Download size={16} />
+                              </a>
+                            )}
+                            {file.status === 'done' && (
+                              <button
+                                className="action-btn"
+                                onClick={() => downloadBundle(file)}
+                                title="Download binary vector bundle"
+                              >
+                                <Package size={16} />
+                              </button>
+                            )}
+                            {file.reducerUrl && (
+                              <a
+                                href={file.reducerUrl}
+                                download={getReductionSidecarName(file.file.name.replace('.jsonl', '.embedded.jsonl'))}
+                                className="action-btn"
+                                title="Download dimension reducer (needed to search the file) and impact report"
+                              >
+                                <Shrink size={16} />
+                              </a>
+                            )}
+                            {file.codebookUrl && (
+                              <a
+                                href={file.codebookUrl}
+                                download={getQuantizationSidecarName(file.file.name.replace('.jsonl', '.embedded.jsonl'))}
+                                className="action-btn"
+                                title="Download quantization codebook and recall report"
+                              >
+                                <Binary size={16} />
+                              </a>
+                            )}
+                            {file.indexUrl && (
+                              <a
+                                href={file.indexUrl}
+                                download={getIndexFileName(file.file.name.replace('.jsonl', '.embedded.jsonl'))}
+                                className="action-btn"
+                                title="Download HNSW nearest-neighbour index"
+                              >
+                                <Network size={16} />
+                              </a>
+                            )}
+                            {file.status === 'done' && file.errorsUrl && (
+                              <a
+                                href={file.errorsUrl}
+                                download={getErrorsSidecarName(file.file.name.replace('.jsonl', '.embedded.jsonl'))}
+                                className="action-btn"
+                                title="Download failed records (line, id, stage, error)"
+                              >
+                                <FileX size={16} />
+                              </a>
+                            )}
+                            {!isProcessing && file.status === 'done' && file.errorsUrl && (
+                              <button
+                                className="action-btn"
+                                onClick={() => retryFailed(file)}
+                                title="Retry failed records only and patch them into the output"
+                              >
+                                <RotateCcw size={16} />
+                              </button>
+                            )}
+                            {file.status === 'cancelled' && file.resultUrl && (
+                              <a
+                                href={file.resultUrl}
+                                download={file.file.name.replace('.jsonl', '.partial.embedded.jsonl')}
+                                className="action-btn download"
+                                title="Download partial result"
+                              >
+                                <Download size={16} />
+                              </a>
+                            )}
+                            {file.status === 'processing' && (
+                              <div className="action-btn">
+                                <Loader2 size={16} className="spin" />
+                              </div>
+                            )}
+                            {file.status === 'processing' && (
+                              <button className="action-btn" onClick={() => pauseFile(file.id)} title="Pause">
+                                <Pause size={16} />
+                              </button>
+                            )}
+                            {file.status === 'paused' && (
+                              <button className="action-btn" onClick={() => resumeFile(file.id)} title="Resume">
+                                <Play size={16} />
+                              </button>
+                            )}
+                            {(file.status === 'processing' || file.status === 'paused' || (isProcessing && file.status === 'pending')) && (
+                              <button className="action-btn delete" onClick={() => cancelFile(file.id)} title="Cancel (keeps the partial result)">
+                                <Square size={16} />
+                              </button>
+                            )}
+                            {!isProcessing && QUEUED_STATUSES.includes(file.status) && supportsFilePicker()
+                              && (!file.partial || (file.partial.output.type === OUTPUT_TARGETS.FILE && !file.partial.output.handle)) && (
+                              <button
+                                className="action-btn"
+                                onClick={() => chooseOutputFile(file.id)}
+                                title={file.partial ? `Choose ${file.partial.output.name} again to resume` : 'Write the output straight to a file on disk'}
+                              >
+                                <HardDrive size={16} />
+                              </button>
+                            )}
+                            {!isProcessing && QUEUED_STATUSES.includes(file.status) && (
+                              <button
+                                className="action-btn"
+                                onClick={() => chooseCacheFile(file.id)}
+                                title="Reuse vectors from a previous .embedded.jsonl"
+                              >
+                                <History size={16} />
+                              </button>
+                            )}
+                            {!isProcessing && (QUEUED_STATUSES.includes(file.status) || file.status === CONVERSION_FAILED) && (
+                              <button className="action-btn delete" onClick={() => removeFile(file.id)}>
+                                <X size={16} />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
-              <h3>No files uploaded yet</h3>
-              <p>Upload JSONL files to start embedding process</p>
-            </div>
-          )}
-        </div>
+            ) : (
+              <div className="empty">
+                <div className="empty-icon">
+                  <Database size={40} />
+                </div>
+                <h3>No files uploaded yet</h3>
+                <p>Upload JSONL files to start embedding process</p>
+              </div>
+            )}
+          </div>
+        )}
       </main>
 
       {/* Bottom Bar */}
-      {files.length > 0 && (
+      {view === VIEWS.EMBED && files.length > 0 && (
         <div className="bottom-bar">
           <div className="bottom-content">
             <div className="bottom-info">
-              {isProcessing
-                ? 'Processing files...'
-                : `${files.filter(f => f.status === 'pending').length} file(s) ready to process`
+              {isValidating
+                ? 'Validating files...'
+                : isProcessing
+                  ? (isQueuePaused ? 'Paused' : 'Processing files...')
+                  : `${files.filter(f => QUEUED_STATUSES.includes(f.status)).length} file(s) ready to process`
               }
             </div>
             <div className="bottom-actions">
@@ -448,15 +1185,44 @@ function App() {
                   Download All
                 </button>
               )}
+              {files.some(f => f.status === 'done') && (
+                <div className="export-actions">
+                  <select
+                    value={exportFormat}
+                    onChange={e => setExportFormat(e.target.value)}
+                    title="Vector database format"
+                  >
+                    {Object.entries(EXPORT_LABELS).map(([format, label]) => (
+                      <option key={format} value={format}>{label}</option>
+                    ))}
+                  </select>
+                  <button className="btn btn-secondary" onClick={exportAll} disabled={isExporting}>
+                    {isExporting ? <Loader2 size={16} className="spin" /> : <DatabaseBackup size={16} />}
+                    Export
+                  </button>
+                </div>
+              )}
+              {isProcessing && (
+                <button className="btn btn-secondary" onClick={isQueuePaused ? resumeQueue : pauseQueue}>
+                  {isQueuePaused ? <Play size={16} /> : <Pause size={16} />}
+                  {isQueuePaused ? 'Resume' : 'Pause All'}
+                </button>
+              )}
+              {isProcessing && (
+                <button className="btn btn-secondary" onClick={cancelQueue}>
+                  <Square size={16} />
+                  Cancel All
+                </button>
+              )}
               <button
                 className="btn btn-primary"
                 onClick={startProcessing}
-                disabled={isProcessing || files.every(f => f.status === 'done')}
+                disabled={isProcessing || isValidating || !files.some(f => QUEUED_STATUSES.includes(f.status))}
               >
-                {isProcessing ? (
+                {isProcessing || isValidating ? (
                   <>
                     <Loader2 size={16} className="spin" />
-                    Processing
+                    {isValidating ? 'Validating' : 'Processing'}
                   </>
                 ) : (
                   <>
@@ -470,6 +1236,16 @@ function App() {
         </div>
       )}
 
+      {/* Pre-flight Panel */}
+      {preflightFiles && (
+        <PreflightPanel
+          files={preflightFiles}
+          mode={config.validation}
+          onContinue={continueAfterPreflight}
+          onCancel={() => setPreflightFiles(null)}
+        />
+      )}
+
       {/* Config Modal */}
       {showConfig && (
         <div className="modal-overlay" onClick={() => setShowConfig(false)}>
@@ -481,58 +1257,175 @@ function App() {
               </button>
             </div>
             <div className="form-group">
-              <label>Embedding Mode</label>
-              <div className="mode-toggle">
-                <button
-                  className={isLocalMode ? 'active' : ''}
-                  onClick={() => setConfig({ ...config, mode: EMBEDDING_MODES.LOCAL })}
-                >
-                  Local MiniLM
-                </button>
-                <button
-                  className={!isLocalMode ? 'active' : ''}
-                  onClick={() => setConfig({ ...config, mode: EMBEDDING_MODES.API })}
-                >
-                  Remote API
-                </button>
-              </div>
+              <label>Embedding Provider</label>
+              <select
+                value={providerSettings.provider}
+                onChange={e => setConfig({ ...config, provider: e.target.value })}
+              >
+                {Object.entries(PROVIDER_LABELS).map(([name, label]) => (
+                  <option key={name} value={name}>{label}</option>
+                ))}
+              </select>
               <p className="config-hint">
                 Keep the JSONL embeddings in the same vector space as the browser query model.
               </p>
             </div>
 
-            {isLocalMode ? (
+            {providerDefaults.url && (
               <div className="form-group">
-                <label>Local Transformer Model</label>
+                <label>API Endpoint</label>
                 <input
                   type="text"
-                  value={config.localModel}
-                  onChange={e => setConfig({ ...config, localModel: e.target.value })}
-                  placeholder={DEFAULT_LOCAL_MODEL}
+                  value={config.providers[providerSettings.provider].url}
+                  onChange={e => setProviderConfig({ url: e.target.value })}
+                  placeholder={providerDefaults.url}
                 />
               </div>
-            ) : (
-              <>
-                <div className="form-group">
-                  <label>API Endpoint</label>
-                  <input
-                    type="text"
-                    value={config.apiUrl}
-                    onChange={e => setConfig({ ...config, apiUrl: e.target.value })}
-                    placeholder="http://192.168.1.236:9989/v1/embeddings"
-                  />
-                </div>
-                <div className="form-group">
-                  <label>Model Name</label>
-                  <input
-                    type="text"
-                    value={config.model}
-                    onChange={e => setConfig({ ...config, model: e.target.value })}
-                    placeholder="Qwen3-Embedding-4B-GGUF"
-                  />
-                </div>
-              </>
             )}
+            <div className="form-group">
+              <label>Model Name</label>
+              <input
+                type="text"
+                value={config.providers[providerSettings.provider].model}
+                onChange={e => setProviderConfig({ model: e.target.value })}
+                placeholder={providerDefaults.model}
+              />
+              {providerCapabilities.dimension && (
+                <p className="config-hint">{providerCapabilities.dimension}-dimensional vectors; no model download or server needed.</p>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>Dimension Reduction</label>
+              <div className="template-select">
+                <select
+                  value={config.reduction}
+                  onChange={e => setConfig({ ...config, reduction: e.target.value })}
+                >
+                  <option value="">None (full dimension)</option>
+                  {Object.entries(REDUCTION_LABELS).map(([method, label]) => (
+                    <option key={method} value={method}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  className="reduction-dimension-input"
+                  value={config.reductionDimension}
+                  onChange={e => setConfig({ ...config, reductionDimension: e.target.value })}
+                  placeholder={String(DEFAULT_REDUCTION_DIMENSION)}
+                  title="Target dimension"
+                  disabled={!config.reduction}
+                />
+              </div>
+              <p className="config-hint">
+                Shrinks vectors after embedding and reports retrieval with the records' own questions before and after. Truncation suits Matryoshka models such as Qwen3-Embedding; PCA fits a projection on the file. Search needs the .reduction.json sidecar to reduce queries the same way.
+              </p>
+            </div>
+
+            <div className="form-group">
+              <label>Quantization</label>
+              <select
+                value={config.quantization}
+                onChange={e => setConfig({ ...config, quantization: e.target.value })}
+              >
+                <option value="">None (float vectors)</option>
+                {Object.entries(QUANTIZATION_LABELS).map(([format, label]) => (
+                  <option key={format} value={format}>{label}</option>
+                ))}
+              </select>
+              <p className="config-hint">
+                Stores compact codes instead of float arrays and reports recall@k against full precision.
+              </p>
+            </div>
+
+            <div className="form-group">
+              <label>Nearest-Neighbour Index</label>
+              <select
+                value={config.annIndex}
+                onChange={e => setConfig({ ...config, annIndex: e.target.value })}
+              >
+                <option value="">None (exact search)</option>
+                <option value="hnsw">HNSW graph</option>
+              </select>
+              <p className="config-hint">
+                Builds a .hnsw.bin index for fast approximate search and reports its size and recall@10 against exact search.
+              </p>
+            </div>
+
+            <div className="form-group">
+              <label>Long Texts</label>
+              <div className="template-select">
+                <select
+                  value={config.chunking}
+                  onChange={e => setConfig({ ...config, chunking: e.target.value })}
+                >
+                  {Object.entries(CHUNKING_LABELS).map(([mode, label]) => (
+                    <option key={mode} value={mode}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="16"
+                  className="max-tokens-input"
+                  value={config.maxTokens}
+                  onChange={e => setConfig({ ...config, maxTokens: e.target.value })}
+                  placeholder={String(providerCapabilities.maxTokens)}
+                  title="Model window in tokens"
+                />
+              </div>
+              <p className="config-hint">
+                Splits text longer than the model window into overlapping chunks. Records over the limit are reported either way{providerCapabilities.exactTokens ? '' : ' (token counts are estimated for this provider)'}.
+              </p>
+            </div>
+
+            <div className="form-group">
+              <label>Named Vectors</label>
+              <div className="checkbox-group">
+                {Object.entries(NAMED_VECTOR_SPECS).map(([name, spec]) => (
+                  <label key={name} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={config.namedVectors.includes(name)}
+                      onChange={e => setConfig({
+                        ...config,
+                        namedVectors: e.target.checked
+                          ? [...config.namedVectors, name]
+                          : config.namedVectors.filter(n => n !== name)
+                      })}
+                    />
+                    {spec.label}
+                  </label>
+                ))}
+              </div>
+              <p className="config-hint">
+                Embeds these phrasings as extra vectors in <code>embeddings</code>. Search scores a record by its best vector or a weighted mix.
+              </p>
+            </div>
+
+            <div className="form-group">
+              <label>Pre-flight Validation</label>
+              <select
+                value={config.validation}
+                onChange={e => setConfig({ ...config, validation: e.target.value })}
+              >
+                {Object.entries(VALIDATION_LABELS).map(([mode, label]) => (
+                  <option key={mode} value={mode}>{label}</option>
+                ))}
+              </select>
+              <p className="config-hint">
+                Checks the records against their <code>schema_version</code> before embedding: duplicate ids, missing fields, unparseable lines, empty embedding text, dangling <code>related_ids</code> and <code>confidence</code> outside 0..1.
+              </p>
+            </div>
+
+            <TemplateSettings
+              config={config}
+              setConfig={setConfig}
+              sampleRecords={templateSamples.records}
+              sampleName={templateSamples.name}
+            />
+
+            <StoragePanel />
           </div>
         </div>
       )}
@@ -0,0 +1,289 @@
+import { useState, useRef } from 'react';
+import { Copy, Upload, FileJson, X, Loader2, Layers, Download, AlertTriangle } from 'lucide-react';
+import { readJsonlRecords } from '../lib/jsonl';
+import { hasVector } from '../lib/search';
+import { summarizeProvenance, checkProvenance } from '../lib/provenance';
+import { findDuplicates, deduplicateRecords, getRecordQuestion, DEFAULT_DUPLICATE_THRESHOLD } from '../lib/duplicates';
+
+const PAIRS_SHOWN = 100;
+const ANSWER_PREVIEW_CHARS = 280;
+
+const preview = (text) => {
+  const value = String(text || '');
+  return value.length > ANSWER_PREVIEW_CHARS ? `${value.slice(0, ANSWER_PREVIEW_CHARS - 1)}…` : value;
+};
+
+function RecordSide({ item }) {
+  const { record, source } = item;
+  return (
+    <div className="duplicate-side">
+      <div className="result-meta">
+        <span>{record.filename || source}</span>
+        {record.source_page != null && <span>Page {record.source_page}</span>}
+        {record.id != null && <span>{record.id}</span>}
+      </div>
+      <h4>{record.title || getRecordQuestion(record) || 'Untitled record'}</h4>
+      {getRecordQuestion(record) && <p className="result-question">Q: {getRecordQuestion(record)}</p>}
+      {record.answer && <p className="result-answer">{preview(record.answer)}</p>}
+    </div>
+  );
+}
+
+const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+function DuplicatesView({ processedFiles }) {
+  const [corpora, setCorpora] = useState([]);
+  const [threshold, setThreshold] = useState(String(DEFAULT_DUPLICATE_THRESHOLD));
+  const [onlyConflicts, setOnlyConflicts] = useState(false);
+  const [mergeConflicts, setMergeConflicts] = useState(false);
+  const [scan, setScan] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const addCorpora = async (sources) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const loaded = [];
+      for (const { name, blob } of sources) {
+        const { records, invalidLines } = await readJsonlRecords(blob);
+        loaded.push({
+          id: Math.random().toString(36).substr(2, 9),
+          name,
+          records,
+          invalidLines,
+          provenance: summarizeProvenance(records, hasVector)
+        });
+      }
+      setCorpora(prev => [...prev, ...loaded]);
+      setScan(null);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    if (!e.target.files.length) return;
+    addCorpora(Array.from(e.target.files).map(file => ({ name: file.name, blob: file })));
+    e.target.value = '';
+  };
+
+  const loadProcessedFiles = async () => {
+    const sources = await Promise.all(processedFiles.map(async f => ({
+      name: f.file.name.replace('.jsonl', '.embedded.jsonl'),
+      blob: await fetch(f.resultUrl).then(res => res.blob())
+    })));
+    addCorpora(sources);
+  };
+
+  const removeCorpus = (id) => {
+    setCorpora(prev => prev.filter(c => c.id !== id));
+    setScan(null);
+  };
+
+  const provenanceCheck = checkProvenance(corpora.map(c => ({ name: c.name, summary: c.provenance })));
+  const totalRecords = corpora.reduce((acc, c) => acc + c.records.length, 0);
+
+  const parsedThreshold = Number(threshold);
+  const isThresholdValid = threshold !== '' && parsedThreshold > 0 && parsedThreshold <= 1;
+
+  const runScan = () => {
+    setIsScanning(true);
+    setError(null);
+    // The comparison is quadratic and synchronous; yield once so the spinner renders.
+    setTimeout(() => {
+      try {
+        const items = corpora.flatMap(corpus => corpus.records.map(record => ({ record, source: corpus.name })));
+        setScan({ items, threshold: parsedThreshold, result: findDuplicates(items, { threshold: parsedThreshold }) });
+      } catch (err) {
+        console.error(err);
+        setError(err.message);
+      } finally {
+        setIsScanning(false);
+      }
+    }, 0);
+  };
+
+  const downloadDeduplicated = () => {
+    const { items, result } = scan;
+    const { items: kept, log } = deduplicateRecords(items, result, { threshold: scan.threshold, mergeConflicts });
+    const base = corpora.length === 1 ? corpora[0].name.replace(/(\.embedded)?\.jsonl$/, '') : 'knowledge';
+    downloadBlob(
+      new Blob([kept.map(({ record }) => JSON.stringify(record)).join('\n') + '\n'], { type: 'application/jsonl' }),
+      `${base}.dedup.jsonl`
+    );
+    downloadBlob(
+      new Blob([JSON.stringify({
+        inputs: corpora.map(c => c.name),
+        created_at: new Date().toISOString(),
+        records_in: items.length,
+        records_out: kept.length,
+        ...log
+      }, null, 2)], { type: 'application/json' }),
+      `${base}.dedup.merge-log.json`
+    );
+  };
+
+  const conflicts = scan ? scan.result.pairs.filter(pair => pair.conflict) : [];
+  const duplicates = scan ? scan.result.pairs.filter(pair => pair.similarity !== null && pair.similarity >= scan.threshold) : [];
+  const pairs = scan ? (onlyConflicts ? conflicts : scan.result.pairs) : [];
+
+  return (
+    <div className="search-view">
+      <div className="search-corpus">
+        <div className="list-header">
+          <div className="stats">
+            <div>
+              <span className="stat-value">{corpora.length}</span>
+              <span>Files</span>
+            </div>
+            <div>
+              <span className="stat-value primary">{totalRecords}</span>
+              <span>Records</span>
+            </div>
+          </div>
+          <div className="search-actions">
+            {processedFiles.length > 0 && (
+              <button className="btn btn-secondary" onClick={loadProcessedFiles} disabled={isLoading}>
+                <Layers size={16} />
+                Use Processed Files
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()} disabled={isLoading}>
+              {isLoading ? <Loader2 size={16} className="spin" /> : <Upload size={16} />}
+              Load Embedded JSONL
+            </button>
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handleFileSelect}
+              multiple
+              accept=".jsonl"
+              style={{ display: 'none' }}
+            />
+          </div>
+        </div>
+
+        {corpora.length > 0 && (
+          <div className="corpus-chips">
+            {corpora.map(corpus => (
+              <div className="corpus-chip" key={corpus.id}>
+                <FileJson size={14} />
+                <span>{corpus.name}</span>
+                <span className="corpus-meta">
+                  {corpus.records.length} records
+                  {corpus.invalidLines > 0 && ` • ${corpus.invalidLines} invalid lines`}
+                </span>
+                <button className="chip-remove" onClick={() => removeCorpus(corpus.id)} title="Remove">
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="search-bar">
+        <label className="topk-input" title="Cosine similarity that counts as a duplicate">
+          Threshold
+          <input
+            type="number"
+            min={0.5}
+            max={1}
+            step={0.01}
+            value={threshold}
+            onChange={e => setThreshold(e.target.value)}
+          />
+        </label>
+        <label className="duplicate-option">
+          <input type="checkbox" checked={onlyConflicts} onChange={e => setOnlyConflicts(e.target.checked)} />
+          Only conflicts
+        </label>
+        <button
+          className="btn btn-primary"
+          onClick={runScan}
+          disabled={isScanning || !isThresholdValid || totalRecords === 0 || provenanceCheck.errors.length > 0}
+        >
+          {isScanning ? <Loader2 size={16} className="spin" /> : <Copy size={16} />}
+          Find Duplicates
+        </button>
+      </div>
+
+      {error && <div className="search-error">{error}</div>}
+
+      {provenanceCheck.errors.map(message => (
+        <div className="search-error" key={message}>{message} Remove the files from the other model to compare.</div>
+      ))}
+
+      {provenanceCheck.warnings.map(message => (
+        <div className="search-warning" key={message}>{message}</div>
+      ))}
+
+      {scan && (
+        <div className="duplicate-summary">
+          <span>
+            {duplicates.length} duplicate pair(s) in {scan.result.clusters.length} cluster(s), {conflicts.length} conflict(s)
+            {scan.result.skipped > 0 && ` • ${scan.result.skipped} record(s) without embedding only checked for conflicts`}
+          </span>
+          <label className="duplicate-option" title="Clusters with a conflict are kept as they are unless this is set">
+            <input type="checkbox" checked={mergeConflicts} onChange={e => setMergeConflicts(e.target.checked)} />
+            Merge conflicts
+          </label>
+          <button className="btn btn-secondary" onClick={downloadDeduplicated} disabled={scan.result.clusters.length === 0}>
+            <Download size={16} />
+            Deduplicated JSONL + Merge Log
+          </button>
+        </div>
+      )}
+
+      {pairs.length > 0 ? (
+        <ol className="duplicate-pairs">
+          {pairs.slice(0, PAIRS_SHOWN).map(pair => (
+            <li className={`duplicate-pair ${pair.conflict ? 'conflict' : ''}`} key={`${pair.a}-${pair.b}`}>
+              <div className="result-header">
+                <span className="result-score">{pair.similarity === null ? 'n/a' : pair.similarity.toFixed(4)}</span>
+                {pair.conflict ? (
+                  <span className="duplicate-flag conflict">
+                    <AlertTriangle size={14} />
+                    Conflict: answers share {Math.round(pair.answerOverlap * 100)}% of words
+                  </span>
+                ) : pair.questionMatch && (
+                  <span className="duplicate-flag">Same question</span>
+                )}
+              </div>
+              <div className="duplicate-sides">
+                <RecordSide item={scan.items[pair.a]} />
+                <RecordSide item={scan.items[pair.b]} />
+              </div>
+            </li>
+          ))}
+          {pairs.length > PAIRS_SHOWN && (
+            <li className="preflight-more">... and {pairs.length - PAIRS_SHOWN} more (use node scripts/find_duplicates.js for the full list)</li>
+          )}
+        </ol>
+      ) : (
+        <div className="empty">
+          <div className="empty-icon">
+            <Copy size={40} />
+          </div>
+          <h3>{scan ? 'No duplicates found' : 'No scan yet'}</h3>
+          <p>{scan ? 'Try a lower threshold' : 'Load embedded JSONL files and look for near-duplicate and conflicting records'}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicatesView;
@@ -0,0 +1,371 @@
+import { useState, useRef } from 'react';
+import { Target, Upload, FileJson, X, Loader2, Layers, Download, ListChecks, Trash2 } from 'lucide-react';
+import { readJsonlRecords } from '../lib/jsonl';
+import { embedTexts, getModelId } from '../lib/embedding';
+import { hasVector } from '../lib/search';
+import { getQuantizationSidecarName } from '../lib/quantization';
+import { getReductionSidecarName, parseReducer } from '../lib/reduction';
+import { summarizeProvenance, checkProvenance } from '../lib/provenance';
+import { BATCH_SIZE } from '../lib/embedPipeline';
+import {
+  buildSelfQueries,
+  parseGoldenQueries,
+  evaluateRetrieval,
+  formatMetric,
+  formatDelta,
+  METRICS,
+  GROUP_BY
+} from '../lib/evaluation';
+
+const isSidecar = (name) => name.endsWith('.quantization.json') || name.endsWith('.reduction.json');
+
+// Each loaded file is evaluated as its own corpus with the same queries, so two
+// templates or two models show up as side-by-side columns. Runs from earlier
+// settings are kept until cleared, which is how models are compared: evaluate,
+// switch the model in Settings, load the other file and evaluate again.
+function EvaluationView({ config, processedFiles }) {
+  const [corpora, setCorpora] = useState([]);
+  const [golden, setGolden] = useState(null);
+  const [useNamedVectors, setUseNamedVectors] = useState(false);
+  const [runs, setRuns] = useState([]);
+  const [groupBy, setGroupBy] = useState(GROUP_BY[0]);
+  const [groupMetric, setGroupMetric] = useState('mrr');
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [skipped, setSkipped] = useState([]);
+  const fileInputRef = useRef(null);
+  const goldenInputRef = useRef(null);
+
+  const addCorpora = async (sources) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const codebooks = new Map();
+      const reducers = new Map();
+      for (const { name, blob } of sources.filter(s => isSidecar(s.name))) {
+        if (name.endsWith('.reduction.json')) {
+          reducers.set(name, parseReducer(JSON.parse(await blob.text())));
+        } else {
+          codebooks.set(name, JSON.parse(await blob.text()));
+        }
+      }
+      const loaded = [];
+      for (const { name, blob, codebook, reducer } of sources.filter(s => !isSidecar(s.name))) {
+        const { records } = await readJsonlRecords(blob);
+        const embedded = records.filter(hasVector);
+        loaded.push({
+          id: Math.random().toString(36).substr(2, 9),
+          name,
+          records: embedded,
+          codebook: codebook || codebooks.get(getQuantizationSidecarName(name)) || null,
+          reducer: reducer || reducers.get(getReductionSidecarName(name)) || null,
+          provenance: summarizeProvenance(embedded, hasVector)
+        });
+      }
+      setCorpora(prev => [...prev, ...loaded]);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    if (!e.target.files.length) return;
+    addCorpora(Array.from(e.target.files).map(file => ({ name: file.name, blob: file })));
+    e.target.value = '';
+  };
+
+  const handleGoldenSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      const { records, invalidLines } = await readJsonlRecords(file);
+      if (invalidLines > 0) {
+        throw new Error(`${file.name}: ${invalidLines} line(s) are not valid JSON`);
+      }
+      setGolden({ name: file.name, queries: parseGoldenQueries(records) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadProcessedFiles = async () => {
+    const sources = await Promise.all(processedFiles.map(async f => ({
+      name: f.file.name.replace('.jsonl', '.embedded.jsonl'),
+      blob: await fetch(f.resultUrl).then(res => res.blob()),
+      codebook: f.codebookUrl ? await fetch(f.codebookUrl).then(res => res.json()) : null,
+      reducer: f.reducerUrl ? parseReducer(await fetch(f.reducerUrl).then(res => res.json())) : null
+    })));
+    addCorpora(sources);
+  };
+
+  const removeCorpus = (id) => {
+    setCorpora(prev => prev.filter(c => c.id !== id));
+  };
+
+  const queries = golden ? golden.queries : corpora.length > 0 ? buildSelfQueries(corpora[0].records) : [];
+  const modelId = getModelId(config);
+
+  const runEvaluation = async () => {
+    setError(null);
+    // Query vectors come from the current model, so only files embedded with it are evaluated.
+    const usable = corpora.filter(c => checkProvenance([{ name: c.name, summary: c.provenance }], modelId).errors.length === 0);
+    setSkipped(corpora.filter(c => !usable.includes(c)).map(c => c.name));
+    if (usable.length === 0 || queries.length === 0) return;
+
+    try {
+      const queryVectors = [];
+      for (let i = 0; i < queries.length; i += BATCH_SIZE) {
+        setProgress(`Embedding queries ${i}/${queries.length}`);
+        queryVectors.push(...await embedTexts(queries.slice(i, i + BATCH_SIZE).map(q => q.text), config));
+      }
+
+      const finished = [];
+      for (const corpus of usable) {
+        setProgress(`Ranking ${corpus.name}`);
+        // Yield so the progress text renders before the synchronous ranking
+        await new Promise(resolve => setTimeout(resolve, 0));
+        finished.push({
+          label: `${corpus.name} · ${modelId}`,
+          querySource: golden ? golden.name : corpora[0].name,
+          report: evaluateRetrieval(queries, queryVectors, [{ records: corpus.records, codebook: corpus.codebook, reducer: corpus.reducer }], { useNamedVectors })
+        });
+      }
+      setRuns(prev => [
+        ...prev.filter(run => !finished.some(f => f.label === run.label)),
+        ...finished
+      ]);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const downloadReport = () => {
+    const blob = new Blob([JSON.stringify(runs.map(({ label, querySource, report }) => ({
+      label,
+      query_source: querySource,
+      created_at: new Date().toISOString(),
+      ...report
+    })), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'retrieval-evaluation.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const [baseRun] = runs;
+  const groupNames = [...new Set(runs.flatMap(run => Object.keys(run.report.groups[groupBy])))];
+  const renderCell = (key, value, baseValue, isBase) => (
+    <td key={key}>
+      {formatMetric(value)}
+      {!isBase && value !== undefined && baseValue !== undefined && (
+        <span className={`eval-delta ${value - baseValue >= 0 ? 'up' : 'down'}`}>{formatDelta(value - baseValue)}</span>
+      )}
+    </td>
+  );
+
+  return (
+    <div className="search-view">
+      <div className="search-corpus">
+        <div className="list-header">
+          <div className="stats">
+            <div>
+              <span className="stat-value">{corpora.length}</span>
+              <span>Files</span>
+            </div>
+            <div>
+              <span className="stat-value primary">{queries.length}</span>
+              <span>Queries</span>
+            </div>
+          </div>
+          <div className="search-actions">
+            {processedFiles.length > 0 && (
+              <button className="btn btn-secondary" onClick={loadProcessedFiles} disabled={isLoading}>
+                <Layers size={16} />
+                Use Processed Files
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()} disabled={isLoading}>
+              {isLoading ? <Loader2 size={16} className="spin" /> : <Upload size={16} />}
+              Load Embedded JSONL
+            </button>
+            <button className="btn btn-secondary" onClick={() => goldenInputRef.current.click()} title={'JSONL lines of {"query": "...", "relevant_ids": ["id"]}'}>
+              <ListChecks size={16} />
+              Golden Queries
+            </button>
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handleFileSelect}
+              multiple
+              accept=".jsonl,.json"
+              style={{ display: 'none' }}
+            />
+            <input
+              type="file"
+              ref={goldenInputRef}
+              onChange={handleGoldenSelect}
+              accept=".jsonl"
+              style={{ display: 'none' }}
+            />
+          </div>
+        </div>
+
+        {(corpora.length > 0 || golden) && (
+          <div className="corpus-chips">
+            {corpora.map(corpus => (
+              <div className="corpus-chip" key={corpus.id}>
+                <FileJson size={14} />
+                <span>{corpus.name}</span>
+                <span className="corpus-meta">
+                  {corpus.records.length} vectors
+                  {corpus.provenance.spaces.size > 0 && ` • ${[...corpus.provenance.spaces.values()].map(s => s.provenance.model).join(', ')}`}
+                  {corpus.reducer && ` • ${corpus.reducer.method} to ${corpus.reducer.dimension}d`}
+                </span>
+                <button className="chip-remove" onClick={() => removeCorpus(corpus.id)} title="Remove">
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+            {golden && (
+              <div className="corpus-chip">
+                <ListChecks size={14} />
+                <span>{golden.name}</span>
+                <span className="corpus-meta">{golden.queries.length} golden queries</span>
+                <button className="chip-remove" onClick={() => setGolden(null)} title="Remove">
+                  <X size={12} />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="search-bar">
+        <label className="duplicate-option" title="A record's question vector matches its own question, which inflates self-evaluation scores">
+          <input type="checkbox" checked={useNamedVectors} onChange={e => setUseNamedVectors(e.target.checked)} />
+          Score named vectors
+        </label>
+        <button
+          className="btn btn-primary"
+          onClick={runEvaluation}
+          disabled={Boolean(progress) || corpora.length === 0 || queries.length === 0}
+        >
+          {progress ? <Loader2 size={16} className="spin" /> : <Target size={16} />}
+          Evaluate
+        </button>
+        {runs.length > 0 && (
+          <>
+            <button className="btn btn-secondary" onClick={downloadReport}>
+              <Download size={16} />
+              Report
+            </button>
+            <button className="btn btn-secondary" onClick={() => setRuns([])}>
+              <Trash2 size={16} />
+              Clear Runs
+            </button>
+          </>
+        )}
+      </div>
+
+      <p className="config-hint">
+        {progress || `Query model: ${modelId} • Queries from ${golden ? golden.name : corpora.length > 0 ? `the question, canonical_question and alt_titles of ${corpora[0].name}` : 'the first loaded file'}`}
+      </p>
+
+      {error && <div className="search-error">{error}</div>}
+
+      {skipped.length > 0 && (
+        <div className="search-warning">
+          Not evaluated: {skipped.join(', ')} {skipped.length === 1 ? 'was' : 'were'} not embedded with {modelId}. Switch the model in Settings and evaluate again to add {skipped.length === 1 ? 'it' : 'them'} as a run.
+        </div>
+      )}
+
+      {runs.length > 0 ? (
+        <div className="eval-report">
+          <table className="eval-table">
+            <thead>
+              <tr>
+                <th>Metric</th>
+                {runs.map(run => (
+                  <th key={run.label} title={`Queries from ${run.querySource}`}>
+                    {run.label}
+                    <span className="eval-count">{run.report.evaluated} queries</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {METRICS.map(metric => (
+                <tr key={metric}>
+                  <td>{metric}</td>
+                  {runs.map((run, i) => renderCell(run.label, run.report.metrics[metric], baseRun.report.metrics[metric], i === 0))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="eval-group-controls">
+            <label className="topk-input">
+              By
+              <select value={groupBy} onChange={e => setGroupBy(e.target.value)}>
+                {GROUP_BY.map(dimension => <option key={dimension} value={dimension}>{dimension}</option>)}
+              </select>
+            </label>
+            <label className="topk-input">
+              Metric
+              <select value={groupMetric} onChange={e => setGroupMetric(e.target.value)}>
+                {METRICS.map(metric => <option key={metric} value={metric}>{metric}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <table className="eval-table">
+            <thead>
+              <tr>
+                <th>{groupBy}</th>
+                {runs.map(run => <th key={run.label}>{run.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {groupNames.map(name => (
+                <tr key={name}>
+                  <td>{name}</td>
+                  {runs.map((run, i) => {
+                    const group = run.report.groups[groupBy][name];
+                    const baseGroup = baseRun.report.groups[groupBy][name];
+                    return renderCell(
+                      run.label,
+                      group && group.metrics[groupMetric],
+                      baseGroup && baseGroup.metrics[groupMetric],
+                      i === 0
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="empty">
+          <div className="empty-icon">
+            <Target size={40} />
+          </div>
+          <h3>No evaluation yet</h3>
+          <p>Load one or more embedded JSONL files to measure recall@k, MRR and nDCG with the records&apos; own questions</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EvaluationView;
@@ -0,0 +1,525 @@
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { ScatterChart, Upload, FileJson, X, Loader2, Layers, Crosshair, Square } from 'lucide-react';
+import { readJsonlRecords } from '../lib/jsonl';
+import { embedTexts, getModelId } from '../lib/embedding';
+import { hasEmbedding } from '../lib/search';
+import { summarizeProvenance, checkProvenance } from '../lib/provenance';
+import { getRecordQuestion } from '../lib/duplicates';
+import {
+  fitPca,
+  projectPca,
+  placeByNeighbours,
+  getColorValue,
+  PROJECTION_METHODS,
+  PROJECTION_LABELS,
+  MAX_TSNE_POINTS,
+  DEFAULT_PERPLEXITY,
+  DEFAULT_TSNE_ITERATIONS
+} from '../lib/projection';
+
+const PLOT_WIDTH = 800;
+const PLOT_HEIGHT = 520;
+const PLOT_PADDING = 16;
+const PALETTE = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#ec4899', '#84cc16', '#a855f7', '#f97316', '#14b8a6'];
+const OTHER_COLOR = '#6e7681';
+const COLOR_FIELDS = {
+  filename: 'File',
+  type: 'Type',
+  tags: 'First tag'
+};
+const SELECTION_SHOWN = 50;
+// Drags shorter than this (in plot units) count as a click and clear the selection
+const MIN_DRAG = 4;
+
+function MapView({ config, processedFiles }) {
+  const [corpora, setCorpora] = useState([]);
+  const [method, setMethod] = useState(PROJECTION_METHODS.PCA);
+  const [colorBy, setColorBy] = useState('filename');
+  const [layout, setLayout] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [query, setQuery] = useState('');
+  const [queryPoint, setQueryPoint] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [selection, setSelection] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isProjecting, setIsProjecting] = useState(false);
+  const [isPlotting, setIsPlotting] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const svgRef = useRef(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current && workerRef.current.terminate(), []);
+
+  const clearLayout = () => {
+    setLayout(null);
+    setQueryPoint(null);
+    setSelection([]);
+    setHovered(null);
+  };
+
+  // Only float `embedding`s can be projected; quantized files keep just `embedding_q`.
+  const addCorpora = async (sources) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const loaded = [];
+      for (const { name, blob } of sources) {
+        const { records, invalidLines } = await readJsonlRecords(blob);
+        const embedded = records.filter(hasEmbedding);
+        loaded.push({
+          id: Math.random().toString(36).substr(2, 9),
+          name,
+          records: embedded,
+          skipped: records.length - embedded.length,
+          invalidLines,
+          provenance: summarizeProvenance(embedded, hasEmbedding)
+        });
+      }
+      setCorpora(prev => [...prev, ...loaded]);
+      clearLayout();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    if (!e.target.files.length) return;
+    addCorpora(Array.from(e.target.files).map(file => ({ name: file.name, blob: file })));
+    e.target.value = '';
+  };
+
+  const loadProcessedFiles = async () => {
+    const sources = await Promise.all(processedFiles.map(async f => ({
+      name: f.file.name.replace('.jsonl', '.embedded.jsonl'),
+      blob: await fetch(f.resultUrl).then(res => res.blob())
+    })));
+    addCorpora(sources);
+  };
+
+  const removeCorpus = (id) => {
+    setCorpora(prev => prev.filter(c => c.id !== id));
+    clearLayout();
+  };
+
+  const points = useMemo(() => corpora.flatMap(corpus => corpus.records.map(record => ({ record, source: corpus.name }))), [corpora]);
+  const sources = corpora.map(c => ({ name: c.name, summary: c.provenance }));
+  const provenanceCheck = checkProvenance(sources);
+  const queryCheck = checkProvenance(sources, getModelId(config));
+  const tooManyForTsne = method === PROJECTION_METHODS.TSNE && points.length > MAX_TSNE_POINTS;
+
+  const stopWorker = () => {
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+  };
+
+  const finishProjection = (next) => {
+    stopWorker();
+    setLayout(next);
+    setProgress(null);
+    setIsProjecting(false);
+  };
+
+  const failProjection = (message) => {
+    stopWorker();
+    setError(message);
+    setProgress(null);
+    setIsProjecting(false);
+  };
+
+  // PCA runs here; t-SNE starts from the PCA layout in a worker so the page stays responsive.
+  const runProjection = () => {
+    stopWorker();
+    clearLayout();
+    setIsProjecting(true);
+    setError(null);
+    setTimeout(() => {
+      try {
+        const vectors = points.map(point => point.record.embedding);
+        const pca = fitPca(vectors);
+        const pcaCoords = vectors.map(vector => projectPca(pca, vector));
+        if (method === PROJECTION_METHODS.PCA) {
+          finishProjection({ method, coords: pcaCoords, pca, vectors });
+          return;
+        }
+
+        const dimension = vectors[0].length;
+        const packed = new Float32Array(vectors.length * dimension);
+        vectors.forEach((vector, i) => packed.set(vector, i * dimension));
+        const worker = new Worker(new URL('../workers/projectionWorker.js', import.meta.url), { type: 'module' });
+        workerRef.current = worker;
+        worker.onmessage = ({ data }) => {
+          if (data.type === 'progress') setProgress(data);
+          else if (data.type === 'done') finishProjection({ method, coords: data.coords, pca, vectors });
+          else if (data.type === 'error') failProjection(data.error);
+        };
+        worker.onerror = (e) => failProjection(e.message || 't-SNE worker failed');
+        setProgress({ iteration: 0, iterations: DEFAULT_TSNE_ITERATIONS });
+        worker.postMessage({
+          type: 'tsne',
+          vectors: packed,
+          dimension,
+          initial: pcaCoords,
+          perplexity: DEFAULT_PERPLEXITY,
+          iterations: DEFAULT_TSNE_ITERATIONS
+        }, [packed.buffer]);
+      } catch (err) {
+        console.error(err);
+        failProjection(err.message);
+      }
+    }, 0);
+  };
+
+  const cancelProjection = () => {
+    stopWorker();
+    setProgress(null);
+    setIsProjecting(false);
+  };
+
+  const plotQuery = async (e) => {
+    e.preventDefault();
+    if (!query.trim() || !layout || queryCheck.errors.length > 0) return;
+
+    setIsPlotting(true);
+    setError(null);
+    try {
+      const [queryVector] = await embedTexts([query], config);
+      if (!queryVector) {
+        throw new Error('Embedding service returned an unexpected payload');
+      }
+      if (queryVector.length !== layout.vectors[0].length) {
+        throw new Error(`Query vector has ${queryVector.length} dimensions, the map has ${layout.vectors[0].length}`);
+      }
+      const position = layout.method === PROJECTION_METHODS.PCA
+        ? projectPca(layout.pca, queryVector)
+        : placeByNeighbours(queryVector, layout.vectors, layout.coords);
+      setQueryPoint({ text: query, position });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsPlotting(false);
+    }
+  };
+
+  // Fits the layout (and the query point) into the plot, y pointing up.
+  const toPlot = useMemo(() => {
+    if (!layout) return null;
+    const all = queryPoint ? [...layout.coords, queryPoint.position] : layout.coords;
+    const xs = all.map(([x]) => x);
+    const ys = all.map(([, y]) => y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX || 1;
+    const spanY = Math.max(...ys) - minY || 1;
+    return ([x, y]) => [
+      PLOT_PADDING + (x - minX) / spanX * (PLOT_WIDTH - 2 * PLOT_PADDING),
+      PLOT_HEIGHT - PLOT_PADDING - (y - minY) / spanY * (PLOT_HEIGHT - 2 * PLOT_PADDING)
+    ];
+  }, [layout, queryPoint]);
+  const plotted = useMemo(() => (layout ? layout.coords.map(toPlot) : []), [layout, toPlot]);
+
+  // The most common values get their own colour, the rest share "Other".
+  const colorScale = useMemo(() => {
+    const values = points.map(point => getColorValue(point.record, colorBy, point.source));
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    const colors = new Map(ranked.slice(0, PALETTE.length).map(([value], i) => [value, PALETTE[i]]));
+    const legend = ranked.slice(0, PALETTE.length).map(([value, count]) => ({ value, count, color: colors.get(value) }));
+    const otherCount = ranked.slice(PALETTE.length).reduce((acc, [, count]) => acc + count, 0);
+    if (otherCount > 0) legend.push({ value: `Other (${ranked.length - PALETTE.length} values)`, count: otherCount, color: OTHER_COLOR });
+    return { pointColors: values.map(value => colors.get(value) || OTHER_COLOR), legend };
+  }, [points, colorBy]);
+
+  const selectedSet = useMemo(() => new Set(selection), [selection]);
+  const dots = useMemo(() => plotted.map(([x, y], i) => (
+    <circle
+      key={i}
+      cx={x}
+      cy={y}
+      r={selectedSet.has(i) ? 4.5 : 3.5}
+      fill={colorScale.pointColors[i]}
+      fillOpacity={selectedSet.size > 0 && !selectedSet.has(i) ? 0.25 : 0.85}
+      onMouseEnter={() => setHovered(i)}
+      onMouseLeave={() => setHovered(null)}
+    />
+  )), [plotted, colorScale, selectedSet]);
+
+  const toSvgPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [(e.clientX - rect.left) * PLOT_WIDTH / rect.width, (e.clientY - rect.top) * PLOT_HEIGHT / rect.height];
+  };
+
+  const handleMouseDown = (e) => {
+    if (!layout) return;
+    const start = toSvgPoint(e);
+    setDrag({ start, end: start });
+  };
+
+  const handleMouseMove = (e) => {
+    if (drag) setDrag({ ...drag, end: toSvgPoint(e) });
+  };
+
+  const handleMouseUp = () => {
+    if (!drag) return;
+    const [x1, y1] = drag.start;
+    const [x2, y2] = drag.end;
+    setDrag(null);
+    if (Math.abs(x2 - x1) < MIN_DRAG && Math.abs(y2 - y1) < MIN_DRAG) {
+      setSelection([]);
+      return;
+    }
+    const [left, right] = [Math.min(x1, x2), Math.max(x1, x2)];
+    const [top, bottom] = [Math.min(y1, y2), Math.max(y1, y2)];
+    setSelection(plotted.flatMap(([x, y], i) => (x >= left && x <= right && y >= top && y <= bottom ? [i] : [])));
+  };
+
+  const totalRecords = points.length;
+  const skippedRecords = corpora.reduce((acc, c) => acc + c.skipped, 0);
+  const hoveredPoint = hovered !== null && points[hovered];
+  const queryPosition = queryPoint && toPlot ? toPlot(queryPoint.position) : null;
+
+  return (
+    <div className="search-view">
+      <div className="search-corpus">
+        <div className="list-header">
+          <div className="stats">
+            <div>
+              <span className="stat-value">{corpora.length}</span>
+              <span>Files</span>
+            </div>
+            <div>
+              <span className="stat-value primary">{totalRecords}</span>
+              <span>Embedded records</span>
+            </div>
+          </div>
+          <div className="search-actions">
+            {processedFiles.length > 0 && (
+              <button className="btn btn-secondary" onClick={loadProcessedFiles} disabled={isLoading}>
+                <Layers size={16} />
+                Use Processed Files
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()} disabled={isLoading}>
+              {isLoading ? <Loader2 size={16} className="spin" /> : <Upload size={16} />}
+              Load Embedded JSONL
+            </button>
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handleFileSelect}
+              multiple
+              accept=".jsonl"
+              style={{ display: 'none' }}
+            />
+          </div>
+        </div>
+
+        {corpora.length > 0 && (
+          <div className="corpus-chips">
+            {corpora.map(corpus => (
+              <div className="corpus-chip" key={corpus.id}>
+                <FileJson size={14} />
+                <span>{corpus.name}</span>
+                <span className="corpus-meta">
+                  {corpus.records.length} records
+                  {corpus.skipped > 0 && ` • ${corpus.skipped} without float embedding`}
+                  {corpus.invalidLines > 0 && ` • ${corpus.invalidLines} invalid lines`}
+                </span>
+                <button className="chip-remove" onClick={() => removeCorpus(corpus.id)} title="Remove">
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="search-bar">
+        <label className="topk-input">
+          Projection
+          <select value={method} onChange={e => setMethod(e.target.value)} disabled={isProjecting}>
+            {Object.values(PROJECTION_METHODS).map(value => (
+              <option key={value} value={value}>{PROJECTION_LABELS[value]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="topk-input">
+          Colour by
+          <select value={colorBy} onChange={e => setColorBy(e.target.value)}>
+            {Object.entries(COLOR_FIELDS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {isProjecting && progress ? (
+          <button className="btn btn-secondary" onClick={cancelProjection}>
+            <Square size={16} />
+            Cancel ({progress.iteration}/{progress.iterations})
+          </button>
+        ) : (
+          <button
+            className="btn btn-primary"
+            onClick={runProjection}
+            disabled={isProjecting || totalRecords < 2 || tooManyForTsne || provenanceCheck.errors.length > 0}
+          >
+            {isProjecting ? <Loader2 size={16} className="spin" /> : <ScatterChart size={16} />}
+            Draw Map
+          </button>
+        )}
+      </div>
+
+      {layout && (
+        <form className="search-bar map-query" onSubmit={plotQuery}>
+          <div className="search-input">
+            <Crosshair size={18} />
+            <input
+              type="text"
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              placeholder="Type a query to see where it lands..."
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={isPlotting || !query.trim() || queryCheck.errors.length > 0}>
+            {isPlotting ? <Loader2 size={16} className="spin" /> : <Crosshair size={16} />}
+            Plot Query
+          </button>
+        </form>
+      )}
+
+      {error && <div className="search-error">{error}</div>}
+
+      {provenanceCheck.errors.map(message => (
+        <div className="search-error" key={message}>{message} Remove the files from the other model to map them together.</div>
+      ))}
+
+      {layout && provenanceCheck.errors.length === 0 && queryCheck.errors.map(message => (
+        <div className="search-warning" key={message}>{message} Queries cannot be plotted until Settings uses the same model.</div>
+      ))}
+
+      {tooManyForTsne && (
+        <div className="search-warning">t-SNE is limited to {MAX_TSNE_POINTS} records ({totalRecords} loaded); use PCA or load fewer files.</div>
+      )}
+
+      {skippedRecords > 0 && (
+        <div className="search-warning">{skippedRecords} record(s) without a float embedding (e.g. quantized files) are not shown.</div>
+      )}
+
+      {layout ? (
+        <>
+          <div className="map-summary">
+            {layout.method === PROJECTION_METHODS.PCA
+              ? `PCA: the two axes explain ${(layout.pca.explained.reduce((acc, x) => acc + x, 0) * 100).toFixed(1)}% of the variance`
+              : 't-SNE: distances between clusters are not meaningful, only neighbourhoods'}
+            {' • drag to select a region'}
+          </div>
+          <div className="map-plot">
+            <svg
+              ref={svgRef}
+              viewBox={`0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}`}
+              onMouseDown={handleMouseDown}
+              onMouseMove={handleMouseMove}
+              onMouseUp={handleMouseUp}
+              onMouseLeave={handleMouseUp}
+            >
+              {dots}
+              {hovered !== null && (
+                <circle className="map-hover" cx={plotted[hovered][0]} cy={plotted[hovered][1]} r={7} />
+              )}
+              {queryPosition && (
+                <g className="map-query-point">
+                  <circle cx={queryPosition[0]} cy={queryPosition[1]} r={8} />
+                  <text x={queryPosition[0] + 12} y={queryPosition[1] + 4}>{queryPoint.text}</text>
+                </g>
+              )}
+              {drag && (
+                <rect
+                  className="map-selection"
+                  x={Math.min(drag.start[0], drag.end[0])}
+                  y={Math.min(drag.start[1], drag.end[1])}
+                  width={Math.abs(drag.end[0] - drag.start[0])}
+                  height={Math.abs(drag.end[1] - drag.start[1])}
+                />
+              )}
+            </svg>
+            {hoveredPoint && (
+              <div
+                className="map-tooltip"
+                style={{
+                  left: `${plotted[hovered][0] / PLOT_WIDTH * 100}%`,
+                  top: `${plotted[hovered][1] / PLOT_HEIGHT * 100}%`
+                }}
+              >
+                <strong>{hoveredPoint.record.title || 'Untitled record'}</strong>
+                {getRecordQuestion(hoveredPoint.record) && <span>Q: {getRecordQuestion(hoveredPoint.record)}</span>}
+                <span className="corpus-meta">{getColorValue(hoveredPoint.record, colorBy, hoveredPoint.source)}</span>
+              </div>
+            )}
+          </div>
+          <div className="map-legend">
+            {colorScale.legend.map(({ value, count, color }) => (
+              <span key={value}>
+                <i style={{ background: color }} />
+                {value} ({count})
+              </span>
+            ))}
+          </div>
+
+          {selection.length > 0 && (
+            <>
+              <div className="duplicate-summary">
+                <span>{selection.length} record(s) in the selected region</span>
+                <button className="btn btn-secondary" onClick={() => setSelection([])}>
+                  <X size={16} />
+                  Clear Selection
+                </button>
+              </div>
+              <ol className="search-results">
+                {selection.slice(0, SELECTION_SHOWN).map(i => {
+                  const { record, source } = points[i];
+                  return (
+                    <li className="result-card" key={i}>
+                      <div className="result-header">
+                        <span className="map-swatch" style={{ background: colorScale.pointColors[i] }} />
+                        <h4>{record.title || getRecordQuestion(record) || 'Untitled record'}</h4>
+                      </div>
+                      {getRecordQuestion(record) && <p className="result-question">Q: {getRecordQuestion(record)}</p>}
+                      <div className="result-meta">
+                        <span>{record.filename || source}</span>
+                        {record.type && <span>{record.type}</span>}
+                        {record.source_section && <span>§ {record.source_section}</span>}
+                        {record.id != null && <span>{record.id}</span>}
+                      </div>
+                    </li>
+                  );
+                })}
+                {selection.length > SELECTION_SHOWN && (
+                  <li className="preflight-more">... and {selection.length - SELECTION_SHOWN} more (select a smaller region)</li>
+                )}
+              </ol>
+            </>
+          )}
+        </>
+      ) : (
+        <div className="empty">
+          <div className="empty-icon">
+            <ScatterChart size={40} />
+          </div>
+          <h3>{isProjecting ? 'Projecting…' : 'No map yet'}</h3>
+          <p>
+            {isProjecting && progress
+              ? `t-SNE iteration ${progress.iteration} of ${progress.iterations}`
+              : 'Load embedded JSONL files and draw a 2D map of how the records cluster'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MapView;
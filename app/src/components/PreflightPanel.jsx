@@ -0,0 +1,70 @@
+import { AlertTriangle, X, XCircle } from 'lucide-react';
+import { describeValidation, formatIssueLocation, SEVERITY, VALIDATION_MODES } from '../lib/validation';
+
+const ISSUES_SHOWN = 25;
+
+// Shown before embedding when a queued file has schema issues. In block mode the
+// files with errors are left out of the run; in warn mode everything is embedded.
+function PreflightPanel({ files, mode, onContinue, onCancel }) {
+  const isBlocking = mode === VALIDATION_MODES.BLOCK;
+  const blocked = files.filter(f => f.validation && f.validation.errors > 0);
+  const runnable = isBlocking ? files.length - blocked.length : files.length;
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal preflight" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Pre-flight Check</h2>
+          <button className="close-btn" onClick={onCancel}>
+            <X size={18} />
+          </button>
+        </div>
+
+        {files.filter(f => f.validation).map(({ id, file, validation }) => {
+          const issues = [...validation.issues]
+            .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === SEVERITY.ERROR ? -1 : 1))
+            .slice(0, ISSUES_SHOWN);
+          const total = validation.errors + validation.warnings;
+          return (
+            <div key={id} className="preflight-file">
+              <h4>{file.name}</h4>
+              <div className={`preflight-summary ${validation.errors > 0 ? 'error' : validation.warnings > 0 ? 'warning' : ''}`}>
+                {describeValidation(validation)}
+              </div>
+              {issues.length > 0 && (
+                <ul className="preflight-issues">
+                  {issues.map((issue, i) => (
+                    <li key={i} className={issue.severity}>
+                      {issue.severity === SEVERITY.ERROR ? <XCircle size={14} /> : <AlertTriangle size={14} />}
+                      <span className="preflight-location">{formatIssueLocation(issue)}</span>
+                      {issue.message}
+                    </li>
+                  ))}
+                  {total > issues.length && (
+                    <li className="preflight-more">... and {total - issues.length} more</li>
+                  )}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+
+        <p className="config-hint">
+          {isBlocking
+            ? `${blocked.length} file(s) with errors will be skipped. Run node scripts/validate_jsonl.js for the full list.`
+            : 'Records with issues are embedded as they are. Run node scripts/validate_jsonl.js for the full list.'}
+        </p>
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={onContinue} disabled={runnable === 0}>
+            {isBlocking ? `Embed ${runnable} valid file(s)` : 'Embed anyway'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PreflightPanel;
@@ -0,0 +1,458 @@
+import { useState, useRef, useMemo } from 'react';
+import { Search, Upload, FileJson, X, Loader2, Layers } from 'lucide-react';
+import { readJsonlRecords } from '../lib/jsonl';
+import { embedTexts, getModelId } from '../lib/embedding';
+import { hasVector, getRecordDimension } from '../lib/search';
+import { getQuantizationSidecarName } from '../lib/quantization';
+import { getReductionSidecarName, parseReducer, isReducedBy, createQueryReducer } from '../lib/reduction';
+import { summarizeProvenance, checkProvenance } from '../lib/provenance';
+import { getVectorNames, COMBINE_MODES } from '../lib/namedVectors';
+import { createHybridIndex, hybridSearch, getFilterOptions, FILTER_FIELDS, SEARCH_MODES, FUSION_MODES } from '../lib/hybridSearch';
+import { getIndexFileName, loadHnswIndex, mapIndexRows, searchHnsw, DEFAULT_EF_SEARCH } from '../lib/hnsw';
+
+const DEFAULT_TOP_K = 5;
+const FILTER_LABELS = {
+  type: 'Type',
+  persona: 'Persona',
+  action_type: 'Action',
+  tags: 'Tag',
+  document_id: 'Document',
+  doc_version: 'Version'
+};
+const isSidecar = (name) => name.endsWith('.quantization.json') || name.endsWith('.reduction.json') || name.endsWith('.hnsw.bin');
+
+function SearchView({ config, processedFiles }) {
+  const [corpora, setCorpora] = useState([]);
+  const [query, setQuery] = useState('');
+  const [topK, setTopK] = useState(DEFAULT_TOP_K);
+  const [combine, setCombine] = useState(COMBINE_MODES.MAX);
+  const [mode, setMode] = useState(SEARCH_MODES.HYBRID);
+  const [fusion, setFusion] = useState(FUSION_MODES.RRF);
+  const [filters, setFilters] = useState({});
+  const [useAnn, setUseAnn] = useState(true);
+  const [ef, setEf] = useState(DEFAULT_EF_SEARCH);
+  const [results, setResults] = useState([]);
+  const [queryDimension, setQueryDimension] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadCorpus = async (name, blob, codebook) => {
+    const { records, invalidLines } = await readJsonlRecords(blob);
+    const embedded = records.filter(hasVector);
+    const dimensions = [...new Set(embedded.map(r => getRecordDimension(r, codebook)))];
+
+    return {
+      id: Math.random().toString(36).substr(2, 9),
+      name,
+      records: embedded,
+      codebook,
+      provenance: summarizeProvenance(embedded, hasVector),
+      skipped: records.length - embedded.length,
+      invalidLines,
+      dimensions,
+      vectorNames: [...new Set(embedded.flatMap(getVectorNames))]
+    };
+  };
+
+  // `.quantization.json`, `.reduction.json` and `.hnsw.bin` sidecars are matched to their
+  // JSONL file by name, whether they are selected together with it or added afterwards.
+  // An index or reducer that no longer matches its file is reported and left off.
+  const addCorpora = async (sources) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const codebooks = new Map();
+      const reducers = new Map();
+      const indexes = new Map();
+      for (const { name, blob } of sources.filter(s => isSidecar(s.name))) {
+        if (name.endsWith('.hnsw.bin')) {
+          indexes.set(name, loadHnswIndex(await blob.arrayBuffer()));
+        } else if (name.endsWith('.reduction.json')) {
+          reducers.set(name, parseReducer(JSON.parse(await blob.text())));
+        } else {
+          codebooks.set(name, JSON.parse(await blob.text()));
+        }
+      }
+
+      const sidecarErrors = [];
+      const withIndex = (corpus, index) => {
+        if (!index) return corpus;
+        try {
+          return { ...corpus, annIndex: { index, rows: mapIndexRows(index, corpus.records) } };
+        } catch (err) {
+          sidecarErrors.push(`${corpus.name}: ${err.message}`);
+          return corpus;
+        }
+      };
+      // Queries for a reduced file are reduced the same way, so it expects full-size queries
+      const withReducer = (corpus, reducer) => {
+        if (!reducer) return corpus;
+        if (!corpus.records.some(record => isReducedBy(record, reducer))) {
+          sidecarErrors.push(`${corpus.name}: its .reduction.json did not produce the file's vectors and was ignored.`);
+          return corpus;
+        }
+        return { ...corpus, reducer };
+      };
+
+      const loaded = [];
+      for (const { name, blob, codebook, reducer, index } of sources.filter(s => !isSidecar(s.name))) {
+        const corpus = await loadCorpus(name, blob, codebook || codebooks.get(getQuantizationSidecarName(name)) || null);
+        loaded.push(withIndex(
+          withReducer(corpus, reducer || reducers.get(getReductionSidecarName(name))),
+          index || indexes.get(getIndexFileName(name))
+        ));
+      }
+      setCorpora(prev => [
+        ...prev.map(corpus => {
+          const codebook = codebooks.get(getQuantizationSidecarName(corpus.name));
+          return withIndex(
+            withReducer(codebook ? { ...corpus, codebook } : corpus, reducers.get(getReductionSidecarName(corpus.name))),
+            indexes.get(getIndexFileName(corpus.name))
+          );
+        }),
+        ...loaded
+      ]);
+      if (sidecarErrors.length > 0) {
+        setError(sidecarErrors.join(' '));
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    if (!e.target.files.length) return;
+    addCorpora(Array.from(e.target.files).map(file => ({ name: file.name, blob: file })));
+    e.target.value = '';
+  };
+
+  const loadProcessedFiles = async () => {
+    const sources = await Promise.all(processedFiles.map(async f => ({
+      name: f.file.name.replace('.jsonl', '.embedded.jsonl'),
+      blob: await fetch(f.resultUrl).then(res => res.blob()),
+      codebook: f.codebookUrl ? await fetch(f.codebookUrl).then(res => res.json()) : null,
+      reducer: f.reducerUrl ? parseReducer(await fetch(f.reducerUrl).then(res => res.json())) : null,
+      index: f.indexUrl ? loadHnswIndex(await fetch(f.indexUrl).then(res => res.arrayBuffer())) : null
+    })));
+    addCorpora(sources);
+  };
+
+  const removeCorpus = (id) => {
+    setCorpora(prev => prev.filter(c => c.id !== id));
+    setResults([]);
+  };
+
+  // One keyword index across all files, so term rarity is judged across the whole KB.
+  const searchIndex = useMemo(() => createHybridIndex(corpora.flatMap(corpus => corpus.records.map(record => ({
+    record,
+    corpusName: corpus.name,
+    codebook: corpus.codebook,
+    reducer: corpus.reducer || null
+  })))), [corpora]);
+  const filterOptions = useMemo(() => getFilterOptions(searchIndex.records), [searchIndex]);
+  const itemIndexes = useMemo(() => new Map(searchIndex.records.map((record, i) => [record, i])), [searchIndex]);
+
+  const provenanceCheck = checkProvenance(
+    corpora.map(c => ({ name: c.name, summary: c.provenance })),
+    getModelId(config)
+  );
+  const isKeywordOnly = mode === SEARCH_MODES.KEYWORD;
+  const isBlocked = !isKeywordOnly && provenanceCheck.errors.length > 0;
+  // Approximate search only when every file has an index; otherwise all are scanned exactly
+  const canUseAnn = corpora.length > 0 && corpora.every(c => c.annIndex);
+  const isAnn = canUseAnn && useAnn && !isKeywordOnly;
+
+  const runSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim() || corpora.length === 0 || isBlocked) return;
+
+    setIsSearching(true);
+    setError(null);
+    try {
+      let queryVector = null;
+      if (!isKeywordOnly) {
+        [queryVector] = await embedTexts([query], config);
+        if (!queryVector) {
+          throw new Error('Embedding service returned an unexpected payload');
+        }
+      }
+
+      let annScores = null;
+      if (isAnn) {
+        annScores = new Map();
+        const reduceQuery = createQueryReducer(queryVector);
+        for (const { annIndex: { index, rows }, reducer = null } of corpora) {
+          const indexQuery = reduceQuery(reducer);
+          if (!indexQuery) continue;
+          for (const hit of searchHnsw(index, indexQuery, { k: ef, ef })) {
+            annScores.set(itemIndexes.get(rows[hit.row]), hit.score);
+          }
+        }
+      }
+
+      setQueryDimension(queryVector ? queryVector.length : null);
+      setResults(hybridSearch(searchIndex, {
+        query,
+        queryVector,
+        mode,
+        fusion,
+        topK,
+        filters,
+        getCodebook: item => item.codebook,
+        getReducer: item => item.reducer,
+        combine,
+        annScores
+      }));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const totalRecords = corpora.reduce((acc, c) => acc + c.records.length, 0);
+  const activeFilters = Object.values(filters).filter(Boolean).length;
+  const hasNamedVectors = corpora.some(c => c.vectorNames.length > 0);
+  const getQueryDimensions = (corpus) => (corpus.reducer ? [corpus.reducer.from] : corpus.dimensions);
+  const mismatchedCorpora = queryDimension
+    ? corpora.filter(c => !getQueryDimensions(c).includes(queryDimension))
+    : [];
+
+  return (
+    <div className="search-view">
+      <div className="search-corpus">
+        <div className="list-header">
+          <div className="stats">
+            <div>
+              <span className="stat-value">{corpora.length}</span>
+              <span>Files</span>
+            </div>
+            <div>
+              <span className="stat-value primary">{totalRecords}</span>
+              <span>Vectors</span>
+            </div>
+          </div>
+          <div className="search-actions">
+            {processedFiles.length > 0 && (
+              <button className="btn btn-secondary" onClick={loadProcessedFiles} disabled={isLoading}>
+                <Layers size={16} />
+                Use Processed Files
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()} disabled={isLoading}>
+              {isLoading ? <Loader2 size={16} className="spin" /> : <Upload size={16} />}
+              Load Embedded JSONL
+            </button>
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handleFileSelect}
+              multiple
+              accept=".jsonl,.json,.bin"
+              style={{ display: 'none' }}
+            />
+          </div>
+        </div>
+
+        {corpora.length > 0 && (
+          <div className="corpus-chips">
+            {corpora.map(corpus => (
+              <div className="corpus-chip" key={corpus.id}>
+                <FileJson size={14} />
+                <span>{corpus.name}</span>
+                <span className="corpus-meta">
+                  {corpus.records.length} vectors
+                  {corpus.dimensions.length > 0 && ` • ${corpus.dimensions.join('/')}d`}
+                  {corpus.reducer && ` • ${corpus.reducer.method} from ${corpus.reducer.from}d`}
+                  {corpus.codebook && ` • ${corpus.codebook.format}`}
+                  {corpus.annIndex && ' • HNSW'}
+                  {corpus.vectorNames.length > 0 && ` • +${corpus.vectorNames.join(', ')}`}
+                  {corpus.skipped > 0 && ` • ${corpus.skipped} without embedding`}
+                  {corpus.invalidLines > 0 && ` • ${corpus.invalidLines} invalid lines`}
+                </span>
+                <button className="chip-remove" onClick={() => removeCorpus(corpus.id)} title="Remove">
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <form className="search-bar" onSubmit={runSearch}>
+        <div className="search-input">
+          <Search size={18} />
+          <input
+            type="text"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            placeholder="Ask a question, e.g. How do I dispose of a fixed asset?"
+          />
+        </div>
+        <label className="topk-input">
+          Top
+          <input
+            type="number"
+            min={1}
+            max={100}
+            value={topK}
+            onChange={e => setTopK(Math.max(1, Number(e.target.value) || DEFAULT_TOP_K))}
+          />
+        </label>
+        <label className="topk-input" title="Vector: cosine only. Keyword: BM25 only, no embedding needed. Hybrid: both fused.">
+          Mode
+          <select value={mode} onChange={e => setMode(e.target.value)}>
+            <option value={SEARCH_MODES.HYBRID}>Hybrid</option>
+            <option value={SEARCH_MODES.VECTOR}>Vector</option>
+            <option value={SEARCH_MODES.KEYWORD}>Keyword</option>
+          </select>
+        </label>
+        {mode === SEARCH_MODES.HYBRID && (
+          <label className="topk-input" title="Reciprocal rank fusion, or an equal-weight sum of normalized scores">
+            Fusion
+            <select value={fusion} onChange={e => setFusion(e.target.value)}>
+              <option value={FUSION_MODES.RRF}>Rank fusion</option>
+              <option value={FUSION_MODES.WEIGHTED}>Weighted</option>
+            </select>
+          </label>
+        )}
+        {canUseAnn && !isKeywordOnly && (
+          <label className="topk-input" title="HNSW: approximate search through the files' .hnsw.bin indexes. Exact: score every vector.">
+            Index
+            <select value={useAnn ? 'hnsw' : 'exact'} onChange={e => setUseAnn(e.target.value === 'hnsw')}>
+              <option value="hnsw">HNSW</option>
+              <option value="exact">Exact</option>
+            </select>
+          </label>
+        )}
+        {isAnn && (
+          <label className="topk-input" title="Candidates the index explores; higher is slower and closer to exact">
+            ef
+            <input
+              type="number"
+              min={1}
+              max={1000}
+              value={ef}
+              onChange={e => setEf(Math.max(1, Number(e.target.value) || DEFAULT_EF_SEARCH))}
+            />
+          </label>
+        )}
+        {hasNamedVectors && !isAnn && (
+          <label className="topk-input" title="How named vectors (question, alt_titles, ...) combine with the content score">
+            Combine
+            <select value={combine} onChange={e => setCombine(e.target.value)}>
+              <option value={COMBINE_MODES.MAX}>Best vector</option>
+              <option value={COMBINE_MODES.WEIGHTED}>Weighted</option>
+            </select>
+          </label>
+        )}
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={isSearching || !query.trim() || corpora.length === 0 || isBlocked}
+        >
+          {isSearching ? <Loader2 size={16} className="spin" /> : <Search size={16} />}
+          Search
+        </button>
+      </form>
+
+      {corpora.length > 0 && (
+        <div className="search-filters">
+          {FILTER_FIELDS.filter(field => filterOptions[field].length > 0).map(field => (
+            <label className="topk-input" key={field}>
+              {FILTER_LABELS[field]}
+              <select
+                value={filters[field] || ''}
+                onChange={e => setFilters(prev => ({ ...prev, [field]: e.target.value }))}
+              >
+                <option value="">Any</option>
+                {filterOptions[field].map(value => (
+                  <option key={value} value={value}>{value.length > 40 ? `${value.slice(0, 39)}…` : value}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {activeFilters > 0 && (
+            <button className="btn btn-secondary" onClick={() => setFilters({})}>
+              <X size={14} />
+              Clear Filters
+            </button>
+          )}
+        </div>
+      )}
+
+      <p className="config-hint">
+        {isKeywordOnly ? 'Keyword search needs no query embedding' : `Query model: ${getModelId(config)}`}
+        {queryDimension && ` (${queryDimension}d)`}
+        {isAnn && ` • HNSW ef ${ef}${hasNamedVectors ? ', named vectors ignored' : ''}`}
+        {activeFilters > 0 && ` • ${activeFilters} filter(s)`}
+      </p>
+
+      {error && <div className="search-error">{error}</div>}
+
+      {!isKeywordOnly && provenanceCheck.errors.map(message => (
+        <div className="search-error" key={message}>{message} Remove the files from the other model to search, or use Keyword mode.</div>
+      ))}
+
+      {provenanceCheck.warnings.map(message => (
+        <div className="search-warning" key={message}>{message}</div>
+      ))}
+
+      {mismatchedCorpora.length > 0 && (
+        <div className="search-warning">
+          Query vectors are {queryDimension}d but {mismatchedCorpora.map(c => c.name).join(', ')} use
+          {' '}{[...new Set(mismatchedCorpora.flatMap(getQueryDimensions))].join('/')}d vectors. Those records
+          were not scored; embed them with the same model as the query.
+        </div>
+      )}
+
+      {results.length > 0 ? (
+        <ol className="search-results">
+          {results.map(({ item, score, vectorScore, keywordScore, notAbout }, index) => {
+            const { record, corpusName } = item;
+            return (
+              <li className="result-card" key={`${corpusName}-${record.id ?? index}`}>
+                <div className="result-header">
+                  <span className="result-rank">#{index + 1}</span>
+                  <h4>{record.title || record.question || record.id || 'Untitled record'}</h4>
+                  <span className="result-score">{score.toFixed(4)}</span>
+                </div>
+                {record.question && (
+                  <p className="result-question">Q: {record.question}</p>
+                )}
+                {(record.answer || record.text) && (
+                  <p className="result-answer">{record.answer || record.text}</p>
+                )}
+                <div className="result-meta">
+                  <span>{record.filename || corpusName}</span>
+                  {record.source_page != null && <span>Page {record.source_page}</span>}
+                  {record.source_section && <span>{record.source_section}</span>}
+                  {vectorScore !== null && keywordScore !== null && (
+                    <span>cosine {vectorScore.toFixed(3)} • bm25 {keywordScore.toFixed(2)}</span>
+                  )}
+                  {notAbout && <span className="result-demoted">Not about: {notAbout}</span>}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      ) : (
+        <div className="empty">
+          <div className="empty-icon">
+            <Search size={40} />
+          </div>
+          <h3>No results yet</h3>
+          <p>Load embedded JSONL files and type a query to check retrieval quality</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchView;
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { getQueueStats, supportsIndexedDb } from '../lib/browserStore';
+import { getEmbeddingCacheStats, clearEmbeddingCache } from '../lib/embeddingCache';
+
+const formatBytes = (bytes) => bytes > 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+  : `${(bytes / 1024).toFixed(2)} KB`;
+
+// The origin total also counts OPFS outputs and checkpoints (see outputSink.js).
+async function loadStorageStats() {
+  const [cache, queue, estimate] = await Promise.all([
+    getEmbeddingCacheStats(),
+    getQueueStats(),
+    navigator.storage && navigator.storage.estimate ? navigator.storage.estimate() : null
+  ]);
+  return { cache, queue, estimate };
+}
+
+// Storage section of the Settings modal: what the embedding cache and the saved
+// queue take up in IndexedDB, with a button to empty the cache.
+function StoragePanel() {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+  const [isClearing, setIsClearing] = useState(false);
+
+  useEffect(() => {
+    if (!supportsIndexedDb()) return;
+    loadStorageStats().then(setStats).catch(err => setError(err.message));
+  }, []);
+
+  const clearCache = async () => {
+    setIsClearing(true);
+    try {
+      await clearEmbeddingCache();
+      setStats(await loadStorageStats());
+      setError(null);
+    } catch (err) {
+      setError(`Could not clear the cache: ${err.message}`);
+    }
+    setIsClearing(false);
+  };
+
+  if (!supportsIndexedDb()) {
+    return (
+      <div className="form-group">
+        <label>Browser Storage</label>
+        <p className="config-hint">IndexedDB is not available, so the queue, settings and embedding cache are not kept across reloads.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-group">
+      <label>Browser Storage</label>
+      <div className="storage-panel">
+        <div className="storage-row">
+          <span>Embedding cache</span>
+          <span>
+            {stats
+              ? `${stats.cache.entries} vector(s) • ${stats.cache.models} model(s) • ${formatBytes(stats.cache.bytes)}`
+              : '…'}
+          </span>
+        </div>
+        <div className="storage-row">
+          <span>Saved queue</span>
+          <span>{stats ? `${stats.queue.jobs} file(s) • ${formatBytes(stats.queue.blobBytes)}` : '…'}</span>
+        </div>
+        {stats && stats.estimate && (
+          <div className="storage-row">
+            <span>Origin total</span>
+            <span>{formatBytes(stats.estimate.usage)} of {formatBytes(stats.estimate.quota)}</span>
+          </div>
+        )}
+        <button
+          className="btn btn-secondary"
+          onClick={clearCache}
+          disabled={isClearing || !stats || stats.cache.entries === 0}
+        >
+          <Trash2 size={16} />
+          Clear Cache
+        </button>
+      </div>
+      {error && <p className="search-error">{error}</p>}
+      <p className="config-hint">
+        Texts a model has embedded before are taken from the cache instead of being sent to it again. The queue, these settings and finished outputs are restored after a reload; remove files from the list to free their space.
+      </p>
+    </div>
+  );
+}
+
+export default StoragePanel;
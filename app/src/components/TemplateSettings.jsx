@@ -0,0 +1,124 @@
+import { useRef, useState } from 'react';
+import { FileJson } from 'lucide-react';
+import {
+  BUILTIN_TEMPLATES,
+  CUSTOM_TEMPLATE_ID,
+  getConfiguredTemplate,
+  previewTemplate
+} from '../lib/templates';
+
+const PREVIEW_CHARS = 400;
+
+// Template picker for the Settings modal. `sampleRecords` are the first records
+// of the queued file, rendered live with the selected template.
+function TemplateSettings({ config, setConfig, sampleRecords, sampleName }) {
+  const [loadError, setLoadError] = useState(null);
+  const configInputRef = useRef(null);
+  const library = config.templateLibrary || {};
+  const isCustom = config.templateId === CUSTOM_TEMPLATE_ID;
+
+  let preview;
+  try {
+    preview = previewTemplate(getConfiguredTemplate(config).definition, sampleRecords);
+  } catch (err) {
+    preview = { error: err.message, samples: [] };
+  }
+
+  const handleConfigSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const templates = parsed.templates || {};
+      const templateId = parsed.template || Object.keys(templates)[0] || config.templateId;
+      if (!templates[templateId] && !BUILTIN_TEMPLATES[templateId]) {
+        throw new Error(`Template "${templateId}" is not defined in ${file.name}`);
+      }
+      setLoadError(null);
+      setConfig({ ...config, templateLibrary: templates, templateId });
+    } catch (err) {
+      setLoadError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  const renderOption = ([id, definition]) => (
+    <option key={id} value={id}>{definition.label ? `${id} — ${definition.label}` : id}</option>
+  );
+
+  return (
+    <div className="form-group">
+      <label>Embedding Text Template</label>
+      <div className="template-select">
+        <select
+          value={config.templateId}
+          onChange={e => setConfig({ ...config, templateId: e.target.value })}
+        >
+          <optgroup label="Built-in">
+            {Object.entries(BUILTIN_TEMPLATES).map(renderOption)}
+          </optgroup>
+          {Object.keys(library).length > 0 && (
+            <optgroup label="From config file">
+              {Object.entries(library).map(renderOption)}
+            </optgroup>
+          )}
+          <option value={CUSTOM_TEMPLATE_ID}>Custom…</option>
+        </select>
+        <button
+          className="btn btn-secondary"
+          onClick={() => configInputRef.current?.click()}
+          title="Load embedding.templates.json"
+        >
+          <FileJson size={16} />
+        </button>
+        <input
+          type="file"
+          ref={configInputRef}
+          onChange={handleConfigSelect}
+          accept=".json"
+          hidden
+        />
+      </div>
+
+      {isCustom && (
+        <textarea
+          className="template-editor"
+          value={config.customTemplate}
+          onChange={e => setConfig({ ...config, customTemplate: e.target.value })}
+          placeholder={'{{title}}\n{{canonical_question || question}}\n{{answer | max: 1500}}'}
+          rows={4}
+          spellCheck={false}
+        />
+      )}
+      {loadError && <p className="search-error">{loadError}</p>}
+      <p className="config-hint">
+        {'Use {{field}}, {{a || b}}, {{!required}} and filters like | join: ", " or | max: 500. The template id is stored in each record\'s provenance.'}
+      </p>
+
+      <div className="template-preview">
+        {preview.error ? (
+          <p className="search-error">{preview.error}</p>
+        ) : preview.samples.length === 0 ? (
+          <p className="config-hint">Add a JSONL file to preview the rendered text.</p>
+        ) : (
+          <>
+            <p className="config-hint">Preview: first {preview.samples.length} record(s) of {sampleName}</p>
+            {preview.samples.map(({ record, text }, index) => (
+              <div key={record.id ?? index} className="template-sample">
+                <div className="template-sample-meta">
+                  {record.id ?? `record ${index + 1}`} · {text.length} chars
+                </div>
+                <pre>
+                  {text ? text.slice(0, PREVIEW_CHARS) + (text.length > PREVIEW_CHARS ? '…' : '') : '(empty: record will be skipped)'}
+                </pre>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TemplateSettings;
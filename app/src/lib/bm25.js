@@ -0,0 +1,119 @@
+// BM25 lexical index over the records' text fields, so exact terms (screen names,
+// error codes, UEN numbers) that embeddings blur still rank. Fields are weighted by
+// repeating their term counts (a simple BM25F); nested arrays and objects such as
+// `steps` and `errors` contribute all of their string values.
+
+export const BM25_K1 = 1.2;
+export const BM25_B = 0.75;
+
+export const LEXICAL_FIELDS = {
+  title: 2,
+  question: 2,
+  canonical_question: 2,
+  alt_titles: 1.5,
+  tags: 1.5,
+  source_section: 1.5,
+  answer: 1,
+  description: 1,
+  text: 1,
+  dense_context: 1,
+  summary_block: 1,
+  summary_steps: 1,
+  steps: 1,
+  errors: 1,
+  validations: 0.5,
+  pitfalls: 0.5,
+  prerequisites: 0.5,
+  inputs: 0.5,
+  outputs: 0.5
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'in', 'is', 'it', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'what', 'when', 'where', 'which',
+  'who', 'why', 'with', 'you', 'your'
+]);
+
+// Strips common English suffixes from plain words so "registering" matches "register"
+// and "assets" matches "asset". Codes and numbers are left alone.
+function stem(word) {
+  if (word.length <= 4 || !/^\p{L}+$/u.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Lowercased, stemmed word tokens without stopwords. A word joined by `-`, `_`, `.`
+// or `/` (FA-001, G3.FA.01) also yields its joined form, so codes match however they are typed.
+export function tokenize(text) {
+  const tokens = [];
+  for (const chunk of String(text || '').toLowerCase().split(/\s+/)) {
+    const parts = chunk.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) tokens.push(stem(part));
+    }
+    if (parts.length > 1) tokens.push(parts.join(''));
+  }
+  return tokens;
+}
+
+function collectStrings(value, out) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    out.push(String(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, out));
+  }
+  return out;
+}
+
+// Returns { size, idf(term), search(query) } where search gives a BM25 score per
+// record (0 when no query term occurs), in the order of `records`.
+export function createBm25Index(records, { fields = LEXICAL_FIELDS } = {}) {
+  const documents = records.map(record => {
+    const termCounts = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(fields)) {
+      for (const text of collectStrings(record[field], [])) {
+        for (const token of tokenize(text)) {
+          termCounts.set(token, (termCounts.get(token) || 0) + weight);
+          length += weight;
+        }
+      }
+    }
+    return { termCounts, length };
+  });
+
+  const documentFrequency = new Map();
+  for (const { termCounts } of documents) {
+    for (const term of termCounts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const averageLength = documents.reduce((acc, doc) => acc + doc.length, 0) / (documents.length || 1) || 1;
+
+  const idf = (term) => {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+  };
+
+  return {
+    size: documents.length,
+    idf,
+    search(query) {
+      const terms = [...new Set(tokenize(query))].filter(term => documentFrequency.has(term));
+      return documents.map(({ termCounts, length }) => {
+        let score = 0;
+        for (const term of terms) {
+          const tf = termCounts.get(term);
+          if (!tf) continue;
+          score += idf(term) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+        }
+        return score;
+      });
+    }
+  };
+}
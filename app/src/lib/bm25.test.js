@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createBm25Index } from './bm25.js';
+import { convertSource } from './ingest.js';
+
+const GUIDE = `# Guide
+
+## Setup
+
+First open the console, then calibrate the frobnicator.
+
+## Billing
+
+Invoices are sent monthly.
+`;
+
+test('keyword search matches the body text of ingested section records', async () => {
+  const { records } = await convertSource(GUIDE, 'guide.md');
+  const index = createBm25Index(records);
+  const scores = index.search('calibrate the frobnicator');
+  const setup = records.findIndex(record => record.title === 'Setup');
+
+  assert.ok(setup >= 0);
+  assert.ok(scores[setup] > 0);
+  assert.equal(scores.indexOf(Math.max(...scores)), setup);
+});
@@ -0,0 +1,159 @@
+// IndexedDB storage shared by the React app and the embed worker, so a reload keeps
+// the queue, the Settings and finished outputs. One database with four stores:
+//   settings     'config' -> the Settings modal state
+//   jobs         one entry per queued file: status, progress, reports and checkpoint
+//   blobs        `${jobId}/${part}` -> the input file, cache file and outputs
+//   embeddings   [model, text SHA-256] -> vector (see embeddingCache.js)
+// Blobs are kept apart from the job entries so that progress updates do not copy them again.
+const DB_NAME = 'kb-embedder';
+const DB_VERSION = 1;
+const CONFIG_KEY = 'config';
+
+export const STORES = {
+  SETTINGS: 'settings',
+  JOBS: 'jobs',
+  BLOBS: 'blobs',
+  EMBEDDINGS: 'embeddings'
+};
+
+// Parts of a job stored as blobs.
+export const JOB_BLOB_PARTS = ['input', 'cache', 'result', 'reducer', 'codebook', 'index', 'errors'];
+
+let databasePromise = null;
+
+export function supportsIndexedDb() {
+  return typeof self !== 'undefined' && Boolean(self.indexedDB);
+}
+
+export function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+export function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = self.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(STORES.SETTINGS);
+        db.createObjectStore(STORES.JOBS, { keyPath: 'id' });
+        db.createObjectStore(STORES.BLOBS);
+        // The `bytes` index lets the storage panel add up sizes without reading vectors.
+        db.createObjectStore(STORES.EMBEDDINGS, { keyPath: ['model', 'hash'] }).createIndex('bytes', 'bytes');
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      databasePromise = null;
+      throw err;
+    });
+  }
+  return databasePromise;
+}
+
+// Runs `work(...stores)` in one transaction and resolves with its result once committed.
+// `work` may only await requests of this transaction, or it commits early.
+export async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const done = transactionDone(transaction);
+  let result;
+  try {
+    result = await work(...storeNames.map(name => transaction.objectStore(name)));
+  } catch (err) {
+    done.catch(() => {});
+    try {
+      transaction.abort();
+    } catch {
+      // Already finished
+    }
+    throw err;
+  }
+  await done;
+  return result;
+}
+
+// --- Settings ---
+
+export async function loadSettings() {
+  if (!supportsIndexedDb()) return null;
+  return runTransaction([STORES.SETTINGS], 'readonly', settings => requestResult(settings.get(CONFIG_KEY)));
+}
+
+export async function saveSettings(config) {
+  if (!supportsIndexedDb()) return;
+  await runTransaction([STORES.SETTINGS], 'readwrite', settings => requestResult(settings.put(config, CONFIG_KEY)));
+}
+
+// --- Job queue ---
+
+const blobRange = (jobId) => IDBKeyRange.bound(`${jobId}/`, `${jobId}/\uffff`);
+
+// Resolves to the saved jobs in queue order, each with `blobs: { [part]: Blob }`.
+export async function loadJobs() {
+  if (!supportsIndexedDb()) return [];
+  return runTransaction([STORES.JOBS, STORES.BLOBS], 'readonly', async (jobs, blobs) => {
+    const [entries, keys, values] = await Promise.all([
+      requestResult(jobs.getAll()),
+      requestResult(blobs.getAllKeys()),
+      requestResult(blobs.getAll())
+    ]);
+    const byJob = new Map();
+    keys.forEach((key, i) => {
+      const [jobId, part] = key.split('/');
+      if (!byJob.has(jobId)) byJob.set(jobId, {});
+      byJob.get(jobId)[part] = values[i];
+    });
+    return entries
+      .map(job => ({ ...job, blobs: byJob.get(job.id) || {} }))
+      .sort((a, b) => a.addedAt - b.addedAt);
+  });
+}
+
+// `job` must be structured-cloneable; `blobs` holds only the parts that changed,
+// with null for a part to remove.
+export async function saveJob(job, blobs = {}) {
+  if (!supportsIndexedDb()) return;
+  await runTransaction([STORES.JOBS, STORES.BLOBS], 'readwrite', async (jobs, blobStore) => {
+    const requests = [requestResult(jobs.put(job))];
+    for (const [part, blob] of Object.entries(blobs)) {
+      const key = `${job.id}/${part}`;
+      requests.push(requestResult(blob ? blobStore.put(blob, key) : blobStore.delete(key)));
+    }
+    await Promise.all(requests);
+  });
+}
+
+export async function deleteJobs(jobIds) {
+  if (!supportsIndexedDb() || jobIds.length === 0) return;
+  await runTransaction([STORES.JOBS, STORES.BLOBS], 'readwrite', async (jobs, blobs) => {
+    await Promise.all(jobIds.flatMap(id => [
+      requestResult(jobs.delete(id)),
+      requestResult(blobs.delete(blobRange(id)))
+    ]));
+  });
+}
+
+// Resolves to { jobs, blobBytes } for the storage panel.
+export async function getQueueStats() {
+  if (!supportsIndexedDb()) return { jobs: 0, blobBytes: 0 };
+  return runTransaction([STORES.JOBS, STORES.BLOBS], 'readonly', async (jobs, blobs) => {
+    const [count, values] = await Promise.all([requestResult(jobs.count()), requestResult(blobs.getAll())]);
+    return { jobs: count, blobBytes: values.reduce((sum, blob) => sum + (blob ? blob.size : 0), 0) };
+  });
+}
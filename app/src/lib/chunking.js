@@ -0,0 +1,164 @@
+// Token-aware chunking of over-length embedding text. Texts that fit the model's
+// window are embedded unchanged. Longer texts are split on word boundaries into
+// overlapping windows of at most `maxTokens` (including [CLS]/[SEP]), each window
+// is embedded, and the record gets either
+//   pool:  one token-weighted mean of the window vectors in `embedding`
+//   multi: the same pooled `embedding` plus
+//          embedding_chunks: [{ start, end, tokens, embedding }]
+//          where start/end are character offsets into the embedded text.
+import { vectorNorm } from './vectorMath.js';
+
+export const CHUNKING_MODES = {
+  OFF: 'off',
+  POOL: 'pool',
+  MULTI: 'multi'
+};
+
+export const CHUNKING_LABELS = {
+  [CHUNKING_MODES.OFF]: 'Off (model truncates long text)',
+  [CHUNKING_MODES.POOL]: 'Chunk and pool into one vector',
+  [CHUNKING_MODES.MULTI]: 'Chunk and keep every chunk vector'
+};
+
+// all-MiniLM-L6-v2 was trained on 256 word pieces; remote models declare their own limit.
+export const DEFAULT_LOCAL_MAX_TOKENS = 256;
+export const DEFAULT_API_MAX_TOKENS = 8192;
+export const DEFAULT_OVERLAP_TOKENS = 32;
+const SPECIAL_TOKENS = 2;
+
+export function isChunkingMode(mode) {
+  return Object.values(CHUNKING_MODES).includes(mode);
+}
+
+// Exact counts from a transformers.js tokenizer (no [CLS]/[SEP]).
+export function createTokenCounter(tokenizer) {
+  return (text) => tokenizer.encode(text, null, { add_special_tokens: false }).length;
+}
+
+// Rough count for remote models whose tokenizer is not available (~4 characters per token).
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const match of text.matchAll(/\S+/g)) {
+    tokens += Math.ceil(match[0].length / 4);
+  }
+  return tokens;
+}
+
+// Word-level counts are summed, which matches WordPiece/BPE tokenizers that
+// pre-split on whitespace, and lets windows map back to character offsets.
+function tokenizeWords(text, countTokens) {
+  const counts = new Map();
+  const words = [];
+  for (const match of text.matchAll(/\S+/g)) {
+    const word = match[0];
+    if (!counts.has(word)) counts.set(word, Math.max(1, countTokens(word)));
+    words.push({ start: match.index, end: match.index + word.length, tokens: counts.get(word) });
+  }
+  return words;
+}
+
+function sumTokens(words, from, to) {
+  let total = 0;
+  for (let i = from; i < to; i++) total += words[i].tokens;
+  return total;
+}
+
+// Returns { tokens, excess, windows }. `excess` is how many tokens the model
+// would have dropped without chunking; a single window covers the whole text.
+export function planChunks(text, countTokens, { mode = CHUNKING_MODES.OFF, maxTokens, overlapTokens = DEFAULT_OVERLAP_TOKENS }) {
+  const words = tokenizeWords(text, countTokens);
+  const budget = Math.max(1, maxTokens - SPECIAL_TOKENS);
+  const tokens = sumTokens(words, 0, words.length);
+  const excess = Math.max(0, tokens - budget);
+  const whole = [{ start: 0, end: text.length, tokens }];
+
+  if (excess === 0 || mode === CHUNKING_MODES.OFF) {
+    return { tokens, excess, windows: whole };
+  }
+
+  const overlap = Math.min(overlapTokens, Math.floor(budget / 2));
+  const windows = [];
+  let first = 0;
+
+  while (first < words.length) {
+    let last = first;
+    let windowTokens = 0;
+    while (last < words.length && (last === first || windowTokens + words[last].tokens <= budget)) {
+      windowTokens += words[last].tokens;
+      last++;
+    }
+    windows.push({ start: words[first].start, end: words[last - 1].end, tokens: windowTokens });
+    if (last >= words.length) break;
+
+    // Step back so the next window repeats roughly `overlap` tokens of this one.
+    let next = last;
+    let repeated = 0;
+    while (next - 1 > first && repeated + words[next - 1].tokens <= overlap) {
+      next--;
+      repeated += words[next].tokens;
+    }
+    first = next;
+  }
+
+  return { tokens, excess, windows };
+}
+
+export function getChunkTexts(text, plan) {
+  return plan.windows.length === 1 && plan.excess === 0
+    ? [text]
+    : plan.windows.map(window => text.slice(window.start, window.end));
+}
+
+function poolVectors(vectors, weights) {
+  const pooled = new Array(vectors[0].length).fill(0);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+  vectors.forEach((vector, i) => {
+    vector.forEach((v, d) => {
+      pooled[d] += (v * weights[i]) / totalWeight;
+    });
+  });
+  const norm = vectorNorm(pooled);
+  return norm === 0 ? pooled : pooled.map(v => v / norm);
+}
+
+// Writes `embedding` (and `embedding_chunks` in multi mode) from one vector per
+// window. Returns the `chunking` provenance entry, or null if the text was not split.
+export function assignChunkedEmbedding(record, plan, vectors, { mode, maxTokens, overlapTokens = DEFAULT_OVERLAP_TOKENS }) {
+  delete record.embedding_chunks;
+  if (vectors.length === 1) {
+    record.embedding = vectors[0];
+    return null;
+  }
+
+  record.embedding = poolVectors(vectors, plan.windows.map(window => window.tokens));
+  if (mode === CHUNKING_MODES.MULTI) {
+    record.embedding_chunks = plan.windows.map((window, i) => ({ ...window, embedding: vectors[i] }));
+  }
+  return { mode, max_tokens: maxTokens, overlap_tokens: overlapTokens, chunks: vectors.length };
+}
+
+// Fingerprint key for the chunking settings that shaped a record's vector; null when not split.
+export function getChunkingKey(plan, { mode, maxTokens, overlapTokens = DEFAULT_OVERLAP_TOKENS }) {
+  if (plan.excess === 0 || mode === CHUNKING_MODES.OFF) return null;
+  return `${mode}:${maxTokens}:${overlapTokens}`;
+}
+
+export function createChunkingStats(maxTokens, exact = true) {
+  return { maxTokens, exact, overLimit: 0, maxExcess: 0, totalExcess: 0, chunks: 0, records: [] };
+}
+
+export function addChunkingStats(stats, id, plan) {
+  if (plan.excess === 0) return;
+  stats.overLimit++;
+  stats.totalExcess += plan.excess;
+  stats.maxExcess = Math.max(stats.maxExcess, plan.excess);
+  if (plan.windows.length > 1) stats.chunks += plan.windows.length;
+  stats.records.push({ id: id ?? null, tokens: plan.tokens, excess: plan.excess });
+}
+
+export function describeChunkingStats(stats) {
+  if (stats.overLimit === 0) return `No records exceed ${stats.maxTokens} tokens`;
+  const approx = stats.exact ? '' : '~';
+  return `${stats.overLimit} record(s) exceed ${stats.maxTokens} tokens `
+    + `(by up to ${approx}${stats.maxExcess}, avg ${approx}${Math.round(stats.totalExcess / stats.overLimit)})`;
+}
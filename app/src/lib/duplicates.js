@@ -0,0 +1,195 @@
+// Near-duplicate and conflict detection over embedded records, within one file or
+// across several. Records are compared by the cosine of their content `embedding`;
+// pairs at or above `threshold` are joined into clusters. A conflict is a pair whose
+// questions match (same normalized text, or `question` named vectors above the
+// threshold) but whose answers differ, whether or not their content vectors are close.
+//
+// `items` are { record, source } where `source` names the file the record came from.
+import { dotProduct, vectorNorm } from './vectorMath.js';
+
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.95;
+// Answers sharing fewer words than this (Jaccard) count as different.
+export const ANSWER_AGREEMENT = 0.6;
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+function toUnit(vector) {
+  if (!Array.isArray(vector) || vector.length === 0 || typeof vector[0] !== 'number') return null;
+  const norm = vectorNorm(vector);
+  return norm === 0 ? null : vector.map(v => v / norm);
+}
+
+function wordOverlap(a, b) {
+  const wordsA = new Set(a.split(' ').filter(Boolean));
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+export function getRecordQuestion(record) {
+  return record.canonical_question || record.question || '';
+}
+
+// Returns { pairs, clusters, compared, skipped }. Pairs are { a, b, similarity,
+// questionMatch, answerOverlap, conflict } with `a`/`b` indexes into `items`;
+// clusters are { members, similarity (lowest linking pair), conflict }.
+export function findDuplicates(items, { threshold = DEFAULT_DUPLICATE_THRESHOLD } = {}) {
+  const prepared = items.map(({ record }) => ({
+    vector: toUnit(record.embedding),
+    questionVector: toUnit(record.embeddings && record.embeddings.question),
+    question: normalizeText(getRecordQuestion(record)),
+    answer: normalizeText(record.answer)
+  }));
+
+  const pairs = [];
+  let compared = 0;
+  for (let i = 0; i < prepared.length; i++) {
+    const a = prepared[i];
+    for (let j = i + 1; j < prepared.length; j++) {
+      const b = prepared[j];
+      const comparable = a.vector && b.vector && a.vector.length === b.vector.length;
+      const similarity = comparable ? dotProduct(a.vector, b.vector) : null;
+      if (comparable) compared++;
+
+      const questionMatch = Boolean(a.question && a.question === b.question)
+        || Boolean(a.questionVector && b.questionVector && a.questionVector.length === b.questionVector.length
+          && dotProduct(a.questionVector, b.questionVector) >= threshold);
+      const answerOverlap = a.answer && b.answer ? wordOverlap(a.answer, b.answer) : null;
+      const conflict = questionMatch && answerOverlap !== null && answerOverlap < ANSWER_AGREEMENT;
+
+      if ((similarity !== null && similarity >= threshold) || conflict) {
+        pairs.push({ a: i, b: j, similarity, questionMatch, answerOverlap, conflict });
+      }
+    }
+  }
+  pairs.sort((x, y) => (y.similarity ?? -1) - (x.similarity ?? -1));
+
+  return {
+    pairs,
+    clusters: clusterPairs(pairs.filter(pair => pair.similarity !== null && pair.similarity >= threshold)),
+    compared,
+    skipped: prepared.filter(p => !p.vector).length
+  };
+}
+
+// Union-find over the duplicate pairs.
+function clusterPairs(pairs) {
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const { a, b } of pairs) {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.a);
+    if (!clusters.has(root)) clusters.set(root, { members: new Set(), similarity: 1, conflict: false });
+    const cluster = clusters.get(root);
+    cluster.members.add(pair.a).add(pair.b);
+    cluster.similarity = Math.min(cluster.similarity, pair.similarity);
+    cluster.conflict = cluster.conflict || pair.conflict;
+  }
+  return [...clusters.values()].map(cluster => ({ ...cluster, members: [...cluster.members].sort((x, y) => x - y) }));
+}
+
+const describeRecord = ({ record, source }) => ({
+  id: record.id ?? null,
+  source: source ?? null,
+  filename: record.filename ?? null,
+  source_page: record.source_page ?? null,
+  title: record.title ?? null
+});
+
+// Highest confidence, then the longest answer, then the first seen.
+function pickKeeper(items, members) {
+  return [...members].sort((x, y) => {
+    const a = items[x].record;
+    const b = items[y].record;
+    return (b.confidence ?? 0) - (a.confidence ?? 0)
+      || String(b.answer || '').length - String(a.answer || '').length
+      || x - y;
+  })[0];
+}
+
+const unique = (values) => [...new Set(values.filter(value => value != null && value !== ''))];
+
+// Keeps one record per cluster and drops the members that are themselves above the
+// threshold against it; clusters chain through intermediate records, so members only
+// reachable that way are kept. The keeper gains the dropped records'
+// titles/questions as `alt_titles`, their tags and related_ids, and `merged_ids`;
+// related_ids elsewhere that pointed at a dropped record are redirected to its keeper.
+// Clusters with a conflict are left alone unless `mergeConflicts` is set.
+// Returns { items, log } with the surviving items in their original order.
+export function deduplicateRecords(items, { pairs, clusters }, { threshold = DEFAULT_DUPLICATE_THRESHOLD, mergeConflicts = false } = {}) {
+  const similarities = new Map(pairs.map(({ a, b, similarity }) => [`${a}:${b}`, similarity]));
+  const similarityOf = (x, y) => similarities.get(x < y ? `${x}:${y}` : `${y}:${x}`) ?? -1;
+  const removed = new Set();
+  const replacements = new Map();
+  const keepers = new Map();
+  const log = { threshold, merged: [], skipped_conflicts: [] };
+
+  for (const cluster of clusters) {
+    if (cluster.conflict && !mergeConflicts) {
+      log.skipped_conflicts.push({ records: cluster.members.map(i => describeRecord(items[i])) });
+      continue;
+    }
+    const keeper = pickKeeper(items, cluster.members);
+    const dropped = cluster.members.filter(i => i !== keeper && similarityOf(keeper, i) >= threshold);
+    if (dropped.length === 0) continue;
+    dropped.forEach(i => removed.add(i));
+    keepers.set(keeper, dropped);
+    for (const i of dropped) {
+      if (items[i].record.id != null) replacements.set(String(items[i].record.id), items[keeper].record.id);
+    }
+    log.merged.push({
+      kept: describeRecord(items[keeper]),
+      removed: dropped.map(i => describeRecord(items[i])),
+      similarity: Math.min(...dropped.map(i => similarityOf(keeper, i))),
+      conflict: cluster.conflict
+    });
+  }
+
+  const output = [];
+  items.forEach((item, index) => {
+    if (removed.has(index)) return;
+    let record = item.record;
+
+    if (keepers.has(index)) {
+      const others = keepers.get(index).map(i => items[i].record);
+      const own = new Set([normalizeText(record.title), normalizeText(getRecordQuestion(record))]);
+      record = {
+        ...record,
+        alt_titles: unique([...(record.alt_titles || []), ...others.flatMap(r => [r.title, getRecordQuestion(r)])])
+          .filter(text => !own.has(normalizeText(text))),
+        tags: unique([...(record.tags || []), ...others.flatMap(r => r.tags || [])]),
+        related_ids: unique([...(record.related_ids || []), ...others.flatMap(r => r.related_ids || [])]),
+        merged_ids: unique([...(record.merged_ids || []), ...others.map(r => r.id)])
+      };
+    }
+
+    if (Array.isArray(record.related_ids) && replacements.size > 0) {
+      const related = unique(record.related_ids.map(id => replacements.get(String(id)) ?? id))
+        .filter(id => String(id) !== String(record.id));
+      record = { ...record, related_ids: related };
+    }
+    output.push({ ...item, record });
+  });
+
+  return { items: output, log };
+}
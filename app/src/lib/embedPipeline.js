@@ -0,0 +1,437 @@
+// Embeds one JSONL file end to end: template, chunking, named vectors, fingerprint
+// reuse, the browser embedding cache (embeddingCache.js), optional dimension reduction,
+// an optional HNSW index and optional quantization. Runs inside the embed worker so the
+// UI stays responsive; `control.checkpoint()` is awaited between batches and lets the caller
+// pause (it resolves once resumed) or cancel (it resolves to true).
+//
+// Output lines are streamed to `output` (see outputSink.js). Every few seconds the
+// sink is committed and `onCheckpoint(state)` is called; a cancelled run returns the
+// same `state`. Passing a state back as `resume` skips the lines it already consumed
+// and appends to the output after its committed offset.
+//
+// Records that fail to parse, render or embed keep their row, without vectors, and are
+// returned as `failures` (failures.js). A `retry` run re-processes only the lines listed
+// in a previous run's errors sidecar and copies every other row from its output.
+import { lineIterator, numberedLineIterator, readJsonlRecords } from './jsonl.js';
+import { openOutputSink } from './outputSink.js';
+import { openEmbeddingCache } from './embeddingCache.js';
+import { embedTexts, getModelId, getProvenanceBase, getTokenCounter } from './embedding.js';
+import { quantizeWithReport } from './quantization.js';
+import { reduceWithReport, reduceVector, parseReducer, DEFAULT_REDUCTION_DIMENSION } from './reduction.js';
+import { buildRecordIndex, serializeHnswIndex, measureRecall, DEFAULT_EF_SEARCH, RECALL_EF_VALUES } from './hnsw.js';
+import { hasVector } from './search.js';
+import { createProvenance } from './provenance.js';
+import { compileTemplate, getConfiguredTemplate } from './templates.js';
+import { createValidator } from './validation.js';
+import {
+  planChunks,
+  getChunkTexts,
+  getChunkingKey,
+  assignChunkedEmbedding,
+  createChunkingStats,
+  addChunkingStats
+} from './chunking.js';
+import { createNamedTextExtractor, getNamedTextsSignature, assignNamedVectors } from './namedVectors.js';
+import {
+  FAILURE_STAGES,
+  parseRecordLine,
+  createFailure,
+  parseFailures,
+  alignWithOutput,
+  createRetryFinisher
+} from './failures.js';
+import {
+  sha256Hex,
+  createFingerprint,
+  buildEmbeddingCache,
+  reuseCachedEmbedding,
+  clearEmbedding,
+  createRefreshStats,
+  countRemovedRecords
+} from './fingerprint.js';
+
+export const BATCH_SIZE = 8;
+const CHECKPOINT_INTERVAL_MS = 5000;
+
+const noCheckpoint = { checkpoint: async () => false };
+
+// `retry` holds the previous run's output, errors sidecar and (if any) reducer and
+// codebook sidecars, all as Blobs.
+async function openRetry(file, retry) {
+  const failedLines = new Set(parseFailures(await retry.errors.text()).map(failure => failure.line));
+  const reducer = retry.reducer ? parseReducer(JSON.parse(await retry.reducer.text())) : null;
+  const codebook = retry.codebook ? JSON.parse(await retry.codebook.text()) : null;
+  return {
+    failedLines,
+    codebook,
+    finishRecord: createRetryFinisher({ reducer, codebook }),
+    source: alignWithOutput(numberedLineIterator(file), numberedLineIterator(retry.output))
+  };
+}
+
+export async function embedJsonlFile({
+  file,
+  cacheFile = null,
+  config,
+  output,
+  resume = null,
+  retry = null,
+  onProgress = () => {},
+  onCheckpoint = async () => {},
+  control = noCheckpoint
+}) {
+  const encoder = new TextEncoder();
+  const state = resume ? { ...resume, seenIds: new Set(resume.seenIds) } : {
+    consumed: 0,
+    processedBytes: 0,
+    processedCount: 0,
+    bytesWritten: 0,
+    cachedTexts: 0,
+    refresh: createRefreshStats(),
+    chunking: null,
+    seenIds: new Set(),
+    failures: []
+  };
+  let batch = [];
+  let pending = [];
+
+  const modelId = getModelId(config);
+  const getEmbeddingText = compileTemplate(getConfiguredTemplate(config).definition);
+  const cache = cacheFile
+    ? buildEmbeddingCache((await readJsonlRecords(cacheFile)).records)
+    : null;
+  const embeddingCache = await openEmbeddingCache(modelId);
+  state.cachedTexts = state.cachedTexts || 0;
+  state.failures = state.failures || [];
+  const retrying = retry ? await openRetry(file, retry) : null;
+  const batchOptions = { embeddingCache, failures: state.failures, finishRecord: retrying && retrying.finishRecord };
+  const { countTokens, maxTokens, exact } = await getTokenCounter(config);
+  const chunkOptions = { mode: config.chunking, maxTokens };
+  state.chunking = state.chunking || createChunkingStats(maxTokens, exact);
+  const extractNamedTexts = createNamedTextExtractor(config.namedVectors);
+  const reportProgress = () => onProgress({
+    processed: state.processedCount,
+    progress: Math.min(99, Math.round((state.processedBytes / file.size) * 100))
+  });
+
+  const sink = await openOutputSink(output, state.bytesWritten);
+  const writePending = async () => {
+    await sink.write(pending);
+    pending = [];
+  };
+  // Only called between batches, so every consumed line is in the committed output.
+  const commit = async () => {
+    await writePending();
+    state.bytesWritten = await sink.commit();
+  };
+  let lastCheckpoint = Date.now();
+
+  try {
+    let index = 0;
+    for await (const { line, lineNumber, previous } of (retrying ? retrying.source : numberedLineIterator(file))) {
+      if (index++ < state.consumed) continue;
+
+      if (batch.length === 0) {
+        if (await control.checkpoint()) {
+          await commit();
+          return { status: 'cancelled', state, output: await sink.close() };
+        }
+        // A retry is short and patches a finished output, so it is not checkpointed
+        if (!retrying && Date.now() - lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+          await commit();
+          await onCheckpoint(state);
+          lastCheckpoint = Date.now();
+        } else if (pending.length >= BATCH_SIZE) {
+          await writePending();
+        }
+      }
+
+      state.consumed++;
+      state.processedBytes += encoder.encode(line + '\n').length;
+      if (retrying && !retrying.failedLines.has(lineNumber)) {
+        pending.push(previous);
+        continue;
+      }
+
+      let record = null;
+      let stage = FAILURE_STAGES.PARSE;
+      try {
+        record = parseRecordLine(line);
+        stage = FAILURE_STAGES.TEMPLATE;
+        if (record.id != null) state.seenIds.add(String(record.id));
+        const textToEmbed = getEmbeddingText(record);
+
+        if (!textToEmbed) {
+          pending.push(line);
+          state.processedCount++;
+        } else {
+          const plan = planChunks(textToEmbed, countTokens, chunkOptions);
+          addChunkingStats(state.chunking, record.id, plan);
+          const namedEntries = extractNamedTexts(record);
+          const namedSignature = getNamedTextsSignature(namedEntries);
+          const fingerprintExtras = {
+            chunking: getChunkingKey(plan, chunkOptions),
+            named_sha256: namedSignature && await sha256Hex(namedSignature)
+          };
+
+          if (reuseCachedEmbedding(record, cache, modelId, await sha256Hex(textToEmbed), fingerprintExtras)) {
+            pending.push(JSON.stringify(record));
+            state.processedCount++;
+            state.refresh.reused++;
+          } else {
+            const wasEmbedded = hasVector(record) || Boolean(cache && cache.ids.has(String(record.id)));
+            state.refresh[wasEmbedded ? 'reembedded' : 'added']++;
+            clearEmbedding(record);
+            // Its row is kept free so that the rows after it stay in input order
+            batch.push({ record, lineNumber, slot: pending.length, text: textToEmbed, plan, namedEntries, fingerprintExtras });
+            pending.push(null);
+          }
+        }
+
+      } catch (err) {
+        state.failures.push(createFailure({ line: lineNumber, record, stage, error: err }));
+        if (record) clearEmbedding(record);
+        pending.push(record ? JSON.stringify(record) : line);
+      }
+
+      if (batch.length >= BATCH_SIZE) {
+        state.cachedTexts += await processBatch(batch, pending, config, chunkOptions, batchOptions);
+        state.processedCount += batch.length;
+        batch = [];
+        reportProgress();
+      }
+    }
+
+    if (batch.length > 0) {
+      state.cachedTexts += await processBatch(batch, pending, config, chunkOptions, batchOptions);
+      state.processedCount += batch.length;
+    }
+    await commit();
+  } catch (err) {
+    // Release the file; the last checkpoint stays valid for a retry.
+    await sink.close().catch(() => {});
+    throw err;
+  }
+
+  if (!retrying) state.refresh.removed = countRemovedRecords(cache, state.seenIds);
+  let result = await sink.close();
+
+  // Reduction, the index and the quantization codebook need every vector, so they read the
+  // output back. Reduction goes first so the others see the reduced vectors, and the index
+  // before quantizing, which replaces the float vectors it is built from. Retried rows were
+  // already reduced and quantized like the rest, but an unquantized index is rebuilt.
+  const reduce = !retrying && config.reduction;
+  const quantize = !retrying && config.quantization;
+  const buildIndex = config.annIndex && !(retrying && retrying.codebook);
+  let reduction = null;
+  let annIndex = null;
+  let quantization = null;
+  if (reduce || buildIndex || quantize) {
+    let lines = [];
+    for await (const line of lineIterator(result)) lines.push(line);
+    let reducer = null;
+    if (reduce) {
+      ({ reducer, lines, report: reduction } = await reduceOutput(lines, config));
+    }
+    if (buildIndex) {
+      annIndex = indexOutput(lines);
+    }
+    if (quantize) {
+      const quantized = await quantizeOutput(lines, config, reducer);
+      quantization = quantized.report;
+      lines = quantized.lines;
+    }
+    if (reduction || quantization) {
+      const rewrite = await openOutputSink(output, 0);
+      await rewrite.write(lines);
+      result = await rewrite.close();
+    }
+  }
+
+  return {
+    status: 'done',
+    output: result,
+    processedCount: state.processedCount,
+    cachedTexts: state.cachedTexts,
+    refresh: state.refresh,
+    chunking: state.chunking,
+    failures: [...state.failures].sort((a, b) => a.line - b.line),
+    reduction,
+    annIndex,
+    quantization
+  };
+}
+
+// Pre-flight schema check of one file with the template the run would use.
+export async function validateJsonlFile(file, config) {
+  const validator = createValidator({ getEmbeddingText: compileTemplate(getConfiguredTemplate(config).definition) });
+  for await (const { line, lineNumber } of numberedLineIterator(file)) {
+    validator.addLine(line, lineNumber);
+  }
+  return validator.finish();
+}
+
+// Inputs found in the embedding cache skip the model; the others are embedded and stored.
+async function embedWithCache(inputs, config, cache) {
+  if (!cache) return { embeddings: await embedTexts(inputs, config), cached: 0 };
+
+  const embeddings = await cache.lookup(inputs);
+  const missing = embeddings.flatMap((vector, index) => (vector ? [] : [index]));
+  if (missing.length > 0) {
+    const missingTexts = missing.map(index => inputs[index]);
+    const embedded = await embedTexts(missingTexts, config);
+    if (!embedded || embedded.length !== missing.length) {
+      throw new Error('Embedding service returned an unexpected payload');
+    }
+    missing.forEach((index, i) => { embeddings[index] = embedded[i]; });
+    await cache.store(missingTexts, embedded);
+  }
+  return { embeddings, cached: inputs.length - missing.length };
+}
+
+// `entries` are { record, lineNumber, slot, text, plan, namedEntries, fingerprintExtras };
+// each record's line goes to `outputBuffer[slot]`. A failed batch is retried record by
+// record, so one bad record does not fail the others; records that still fail are written
+// without vectors and added to `failures`.
+// Resolves to the number of inputs served from the embedding cache.
+async function processBatch(entries, outputBuffer, config, chunkOptions, { embeddingCache = null, failures, finishRecord = null }) {
+  try {
+    const { lines, cached } = await embedEntries(entries, config, chunkOptions, embeddingCache, finishRecord);
+    entries.forEach(({ slot }, index) => { outputBuffer[slot] = lines[index]; });
+    return cached;
+  } catch (err) {
+    if (entries.length > 1) {
+      let cached = 0;
+      for (const entry of entries) {
+        cached += await processBatch([entry], outputBuffer, config, chunkOptions, { embeddingCache, failures, finishRecord });
+      }
+      return cached;
+    }
+    const [{ record, lineNumber, slot }] = entries;
+    clearEmbedding(record);
+    failures.push(createFailure({ line: lineNumber, record, stage: FAILURE_STAGES.EMBED, error: err }));
+    outputBuffer[slot] = JSON.stringify(record);
+    return 0;
+  }
+}
+
+// Each record expands to one input per chunk of its content text followed by one per
+// named text. Resolves to { lines, cached }: the output lines and the number of inputs
+// served from the embedding cache.
+async function embedEntries(entries, config, chunkOptions, embeddingCache, finishRecord) {
+  const chunkTexts = entries.map(({ text, plan }) => getChunkTexts(text, plan));
+  const inputs = entries.flatMap(({ namedEntries }, index) => [
+    ...chunkTexts[index],
+    ...namedEntries.map(entry => entry.text)
+  ]);
+  const { embeddings, cached } = await embedWithCache(inputs, config, embeddingCache);
+
+  if (!embeddings || embeddings.length !== inputs.length) {
+    throw new Error('Embedding service returned an unexpected payload');
+  }
+
+  const provenanceBase = { ...getProvenanceBase(config), template: getConfiguredTemplate(config).id };
+  const textHashes = await Promise.all(entries.map(({ text }) => sha256Hex(text)));
+  let offset = 0;
+
+  const lines = entries.map(({ record, plan, namedEntries, fingerprintExtras }, index) => {
+    const vectors = embeddings.slice(offset, offset + chunkTexts[index].length);
+    offset += vectors.length;
+    const namedVectors = embeddings.slice(offset, offset + namedEntries.length);
+    offset += namedVectors.length;
+    const chunking = assignChunkedEmbedding(record, plan, vectors, chunkOptions);
+    assignNamedVectors(record, namedEntries, namedVectors);
+    record.embedding_fingerprint = createFingerprint(textHashes[index], provenanceBase.model, record.embedding.length, fingerprintExtras);
+    record.embedding_provenance = createProvenance(provenanceBase, record.embedding, chunking);
+    if (finishRecord) finishRecord(record);
+    return JSON.stringify(record);
+  });
+  return { lines, cached };
+}
+
+// Post-processing step: serialized HNSW graph (hnsw.js) with its size and recall@10
+// against exact search. Null when no record has a float embedding.
+function indexOutput(lines) {
+  const records = lines.flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+  const index = buildRecordIndex(records);
+  if (index.count === 0) return null;
+
+  const { buffer, sizes } = serializeHnswIndex(index);
+  return {
+    buffer,
+    report: {
+      vectors: index.count,
+      dimension: index.dimension,
+      levels: index.maxLevel + 1,
+      sizes,
+      ef: DEFAULT_EF_SEARCH,
+      recall: measureRecall(index, { efValues: RECALL_EF_VALUES })
+    }
+  };
+}
+
+function parseOutputLines(lines) {
+  return lines.map(line => {
+    try {
+      return { record: JSON.parse(line) };
+    } catch {
+      return { raw: line };
+    }
+  });
+}
+
+// A query that cannot be embedded is left out of the report (null), like a failed record.
+async function embedQueries(texts, config) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const batch = texts.slice(i, i + BATCH_SIZE);
+    try {
+      vectors.push(...await embedTexts(batch, config));
+    } catch {
+      for (const text of batch) {
+        vectors.push(await embedTexts([text], config).then(([vector]) => vector, () => null));
+      }
+    }
+  }
+  return vectors;
+}
+
+// Post-processing step: Matryoshka truncation or a PCA projection fitted on the file
+// (reduction.js), with its retrieval impact measured on the records' own questions.
+async function reduceOutput(lines, config) {
+  const entries = parseOutputLines(lines);
+  const records = entries.filter(e => e.record).map(e => e.record);
+  const dimension = Number.parseInt(config.reductionDimension, 10) || DEFAULT_REDUCTION_DIMENSION;
+
+  const { reducer, report } = await reduceWithReport(records, { method: config.reduction, dimension }, texts => embedQueries(texts, config));
+
+  return {
+    reducer,
+    lines: entries.map(e => (e.record ? JSON.stringify(e.record) : e.raw)),
+    report
+  };
+}
+
+// Post-processing step: replaces float vectors with compact codes and measures
+// recall against full precision using the records' own questions as queries.
+// After a reduction the queries are reduced the same way.
+async function quantizeOutput(lines, config, reducer = null) {
+  const entries = parseOutputLines(lines);
+  const records = entries.filter(e => e.record).map(e => e.record);
+
+  const { report } = await quantizeWithReport(records, config.quantization, async (texts) => {
+    const vectors = await embedQueries(texts, config);
+    return reducer ? vectors.map(vector => vector && reduceVector(reducer, vector)) : vectors;
+  });
+
+  return {
+    lines: entries.map(e => (e.record ? JSON.stringify(e.record) : e.raw)),
+    report
+  };
+}
@@ -0,0 +1,42 @@
+// The app's view of the provider registry (providers.js). `config` is the Settings
+// state: { provider, providers: { [name]: { model, url } }, maxTokens, ... }.
+import {
+  embedWithProvider,
+  getProviderSettings,
+  getProviderTokenCounter,
+  getProviderProvenance,
+  getDefaultProviderConfigs,
+  PROVIDER_NAMES
+} from './providers.js';
+
+export const DEFAULT_PROVIDER = PROVIDER_NAMES.TRANSFORMERS;
+
+export function createDefaultEmbeddingConfig() {
+  return { provider: DEFAULT_PROVIDER, providers: getDefaultProviderConfigs() };
+}
+
+// Embeds texts with whichever provider the Settings modal selected, so document
+// and query vectors always come from the same place.
+export async function embedTexts(texts, config) {
+  try {
+    return await embedWithProvider(texts, config);
+  } catch (e) {
+    console.error('Embedding fetch error:', e);
+    throw e;
+  }
+}
+
+export function getModelId(config) {
+  return getProviderSettings(config).model;
+}
+
+// Resolves to { countTokens(text), maxTokens, exact }. `config.maxTokens` overrides
+// the provider's default window size.
+export function getTokenCounter(config) {
+  return getProviderTokenCounter(config);
+}
+
+// Fields for `embedding_provenance`; dimension and normalization are filled in from the vector.
+export function getProvenanceBase(config) {
+  return getProviderProvenance(config);
+}
@@ -0,0 +1,76 @@
+// Content-addressed embedding cache in IndexedDB (the `embeddings` store of
+// browserStore.js), keyed by model id and the SHA-256 of the exact text sent to the
+// model. The embed pipeline looks every input up before calling the provider, so
+// texts seen before by the same model (chunks and named texts included) are never
+// embedded twice, across files and reloads. Vectors are stored as Float32Array when
+// that is lossless (local models) and as Float64Array otherwise, so a cache hit writes
+// exactly the numbers the provider returned.
+import { supportsIndexedDb, runTransaction, requestResult, STORES } from './browserStore.js';
+import { sha256Hex } from './fingerprint.js';
+
+function toTypedVector(vector) {
+  const single = Float32Array.from(vector);
+  return single.every((value, i) => value === vector[i]) ? single : Float64Array.from(vector);
+}
+
+// Resolves to { lookup(texts), store(texts, vectors) } for one model, or null when
+// IndexedDB is unavailable (Node scripts, private windows that block it).
+export async function openEmbeddingCache(modelId) {
+  if (!supportsIndexedDb()) return null;
+
+  const withKeys = async (texts) => Promise.all(texts.map(async text => [modelId, await sha256Hex(text)]));
+
+  return {
+    // One vector (plain array) or null per text.
+    async lookup(texts) {
+      const keys = await withKeys(texts);
+      try {
+        const entries = await runTransaction([STORES.EMBEDDINGS], 'readonly', store =>
+          Promise.all(keys.map(key => requestResult(store.get(key))))
+        );
+        return entries.map(entry => (entry ? Array.from(entry.vector) : null));
+      } catch (err) {
+        console.error('Embedding cache lookup failed:', err);
+        return texts.map(() => null);
+      }
+    },
+    async store(texts, vectors) {
+      const keys = await withKeys(texts);
+      try {
+        await runTransaction([STORES.EMBEDDINGS], 'readwrite', store => Promise.all(keys.map(([model, hash], i) => {
+          const vector = toTypedVector(vectors[i]);
+          return requestResult(store.put({ model, hash, vector, bytes: vector.byteLength, storedAt: Date.now() }));
+        })));
+      } catch (err) {
+        // A full quota only costs future cache hits
+        console.error('Embedding cache write failed:', err);
+      }
+    }
+  };
+}
+
+// Resolves to { entries, bytes, models } without reading the vectors themselves.
+export async function getEmbeddingCacheStats() {
+  if (!supportsIndexedDb()) return { entries: 0, bytes: 0, models: 0 };
+  return runTransaction([STORES.EMBEDDINGS], 'readonly', store => new Promise((resolve, reject) => {
+    const stats = { entries: 0, bytes: 0, models: new Set() };
+    const request = store.index('bytes').openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ entries: stats.entries, bytes: stats.bytes, models: stats.models.size });
+        return;
+      }
+      stats.entries++;
+      stats.bytes += cursor.key;
+      stats.models.add(cursor.primaryKey[0]);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+export async function clearEmbeddingCache() {
+  if (!supportsIndexedDb()) return;
+  await runTransaction([STORES.EMBEDDINGS], 'readwrite', store => requestResult(store.clear()));
+}
@@ -0,0 +1,210 @@
+// Retrieval evaluation. Queries are the records' own `question`, `canonical_question`
+// and `alt_titles` (a self-supervised test set), or a golden JSONL file of
+//   { "query": "...", "relevant_ids": ["id", ...] }
+// Each query is ranked against the whole corpus and scored with recall@k, MRR and
+// nDCG@10, overall and per `type`, `filename` and query field of the first relevant record.
+import { createRecordScorer, hasVector } from './search.js';
+import { createQueryReducer, isReducedBy } from './reduction.js';
+
+export const QUERY_FIELDS = ['question', 'canonical_question', 'alt_titles'];
+export const GOLDEN_FIELD = 'golden';
+export const RECALL_KS = [1, 5, 10];
+export const NDCG_K = 10;
+export const METRICS = [...RECALL_KS.map(k => `recall@${k}`), 'mrr', `ndcg@${NDCG_K}`];
+export const GROUP_BY = ['type', 'filename', 'field'];
+
+const normalizeQuery = (text) => String(text).replace(/\s+/g, ' ').trim();
+const queryKey = (text) => normalizeQuery(text).toLowerCase();
+
+// One query per distinct text. A text shared by several records (e.g. the same
+// question in two manuals) is one query with all of them relevant.
+export function buildSelfQueries(records, { fields = QUERY_FIELDS } = {}) {
+  const queries = new Map();
+  for (const record of records) {
+    if (record.id == null) continue;
+    for (const field of fields) {
+      const values = Array.isArray(record[field]) ? record[field] : [record[field]];
+      for (const value of values) {
+        if (typeof value !== 'string' || !value.trim()) continue;
+        const key = queryKey(value);
+        if (!queries.has(key)) {
+          queries.set(key, { text: normalizeQuery(value), relevant_ids: [], field });
+        }
+        const query = queries.get(key);
+        if (!query.relevant_ids.includes(String(record.id))) query.relevant_ids.push(String(record.id));
+      }
+    }
+  }
+  return [...queries.values()];
+}
+
+// `entries` are parsed golden JSONL lines. `relevant_id` is accepted for a single id.
+export function parseGoldenQueries(entries) {
+  return entries.map((entry, index) => {
+    const text = entry && (entry.query ?? entry.question);
+    const relevant = entry && (entry.relevant_ids ?? entry.relevant_id);
+    const ids = (Array.isArray(relevant) ? relevant : [relevant]).filter(id => id != null && id !== '');
+    if (typeof text !== 'string' || !text.trim() || ids.length === 0) {
+      throw new Error(`Golden query ${index + 1} needs "query" and "relevant_ids"`);
+    }
+    return { text: normalizeQuery(text), relevant_ids: ids.map(String), field: GOLDEN_FIELD };
+  });
+}
+
+const emptyTotals = () => ({ count: 0, ...Object.fromEntries(METRICS.map(metric => [metric, 0])) });
+
+function averageTotals(totals) {
+  return {
+    count: totals.count,
+    metrics: Object.fromEntries(METRICS.map(metric => [metric, totals.count ? totals[metric] / totals.count : 0]))
+  };
+}
+
+function scoreRanking(rankedIds, relevant) {
+  const metrics = {};
+  let firstRank = null;
+  let dcg = 0;
+  rankedIds.forEach((id, i) => {
+    if (!relevant.has(id)) return;
+    if (firstRank === null) firstRank = i + 1;
+    if (i < NDCG_K) dcg += 1 / Math.log2(i + 2);
+  });
+
+  for (const k of RECALL_KS) {
+    metrics[`recall@${k}`] = rankedIds.slice(0, k).filter(id => relevant.has(id)).length / relevant.size;
+  }
+  metrics.mrr = firstRank ? 1 / firstRank : 0;
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(relevant.size, NDCG_K); i++) idealDcg += 1 / Math.log2(i + 2);
+  metrics[`ndcg@${NDCG_K}`] = dcg / idealDcg;
+  return { rank: firstRank, metrics };
+}
+
+// `queryVectors[i]` embeds `queries[i].text`. `corpora` are { records, codebook, reducer? } and
+// are ranked together. Named vectors are ignored unless `useNamedVectors` is set,
+// because a record's `question` vector would trivially match its own question.
+// Queries whose relevant ids are not embedded records of the corpus are `unresolved`.
+export function evaluateRetrieval(queries, queryVectors, corpora, { combine, weights, useNamedVectors = false } = {}) {
+  const entries = corpora.flatMap(({ records, codebook, reducer = null }) => records
+    .filter(record => hasVector(record) && record.id != null)
+    .map(record => ({
+      id: String(record.id),
+      record: useNamedVectors ? record : { ...record, embeddings: undefined },
+      codebook,
+      reducer: reducer && isReducedBy(record, reducer) ? reducer : null
+    })));
+  const byId = new Map();
+  for (const entry of entries) {
+    if (!byId.has(entry.id)) byId.set(entry.id, entry.record);
+  }
+
+  const overall = emptyTotals();
+  const groups = Object.fromEntries(GROUP_BY.map(dimension => [dimension, new Map()]));
+  const results = [];
+  let unresolved = 0;
+
+  queries.forEach((query, index) => {
+    const relevant = new Set(query.relevant_ids.filter(id => byId.has(id)));
+    const queryVector = queryVectors[index];
+    if (relevant.size === 0 || !queryVector) {
+      unresolved++;
+      return;
+    }
+
+    // One scorer per (reducer, codebook) pair; a reduced corpus gets the query reduced the same way
+    const reduceQuery = createQueryReducer(queryVector);
+    const scorers = new Map();
+    const scored = [];
+    for (const { id, record, codebook, reducer } of entries) {
+      if (!scorers.has(reducer)) scorers.set(reducer, new Map());
+      const byCodebook = scorers.get(reducer);
+      if (!byCodebook.has(codebook)) {
+        const reducedQuery = reduceQuery(reducer);
+        byCodebook.set(codebook, reducedQuery ? createRecordScorer(reducedQuery, codebook, { combine, weights }) : () => null);
+      }
+      const score = byCodebook.get(codebook)(record);
+      if (score !== null) scored.push({ id, score });
+    }
+    scored.sort((a, b) => b.score - a.score);
+    // A record id repeated across files counts once, at its best rank
+    const { rank, metrics } = scoreRanking([...new Set(scored.map(entry => entry.id))], relevant);
+
+    const target = byId.get([...relevant][0]);
+    const result = {
+      query: query.text,
+      relevant_ids: [...relevant],
+      field: query.field,
+      type: target.type ?? null,
+      filename: target.filename ?? null,
+      rank,
+      top_id: scored.length ? scored[0].id : null,
+      metrics
+    };
+    results.push(result);
+
+    const buckets = GROUP_BY.map(dimension => {
+      const name = String(result[dimension] ?? '(none)');
+      if (!groups[dimension].has(name)) groups[dimension].set(name, emptyTotals());
+      return groups[dimension].get(name);
+    });
+    for (const totals of [overall, ...buckets]) {
+      totals.count++;
+      METRICS.forEach(metric => { totals[metric] += metrics[metric]; });
+    }
+  });
+
+  return {
+    queries: queries.length,
+    evaluated: results.length,
+    unresolved,
+    ...averageTotals(overall),
+    groups: Object.fromEntries(GROUP_BY.map(dimension => [
+      dimension,
+      Object.fromEntries([...groups[dimension]]
+        .sort((a, b) => b[1].count - a[1].count)
+        .map(([name, totals]) => [name, averageTotals(totals)]))
+    ])),
+    results
+  };
+}
+
+const resultKey = (result) => `${queryKey(result.query)}\u0000${[...result.relevant_ids].sort().join(',')}`;
+const rankOrWorst = (rank) => rank ?? Infinity;
+
+// Side-by-side diff of two reports from evaluateRetrieval. Per-query changes only
+// count queries present in both (same text and relevant ids).
+export function compareReports(base, other) {
+  const diffMetrics = (a, b) => Object.fromEntries(METRICS.map(metric => {
+    const before = a ? a.metrics[metric] : null;
+    const after = b ? b.metrics[metric] : null;
+    return [metric, { base: before, other: after, delta: before === null || after === null ? null : after - before }];
+  }));
+
+  const groups = Object.fromEntries(GROUP_BY.map(dimension => {
+    const names = [...new Set([...Object.keys(base.groups[dimension] || {}), ...Object.keys(other.groups[dimension] || {})])];
+    return [dimension, Object.fromEntries(names.map(name => {
+      const a = base.groups[dimension]?.[name];
+      const b = other.groups[dimension]?.[name];
+      return [name, { count: [a ? a.count : 0, b ? b.count : 0], metrics: diffMetrics(a, b) }];
+    }))];
+  }));
+
+  const baseRanks = new Map(base.results.map(result => [resultKey(result), result.rank]));
+  const queries = { matched: 0, improved: 0, regressed: 0, unchanged: 0 };
+  for (const result of other.results) {
+    const key = resultKey(result);
+    if (!baseRanks.has(key)) continue;
+    queries.matched++;
+    const before = rankOrWorst(baseRanks.get(key));
+    const after = rankOrWorst(result.rank);
+    if (after < before) queries.improved++;
+    else if (after > before) queries.regressed++;
+    else queries.unchanged++;
+  }
+
+  return { metrics: diffMetrics(base, other), groups, queries };
+}
+
+export const formatMetric = (value) => (value === null || value === undefined ? '-' : value.toFixed(3));
+
+export const formatDelta = (value) => (value === null || value === undefined ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(3)}`);
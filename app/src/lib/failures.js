@@ -0,0 +1,101 @@
+// Per-record failures of an embedding run. A record that cannot be parsed, rendered or
+// embedded keeps its row in the output (the raw line, or the record without vectors), so
+// output row n is always the n-th non-blank input line. The failures go to a
+// `.errors.jsonl` sidecar, one { line, id, stage, error } entry per failed input line,
+// and a retry re-processes just those lines and patches their rows.
+import { reduceRecords } from './reduction.js';
+import { quantizeVector } from './quantization.js';
+
+export const FAILURE_STAGES = {
+  PARSE: 'parse',
+  TEMPLATE: 'template',
+  EMBED: 'embed'
+};
+
+export function getErrorsSidecarName(fileName) {
+  return `${fileName.replace(/\.jsonl?$/i, '')}.errors.jsonl`;
+}
+
+// Parses one input line; anything but a JSON object fails the parse stage.
+export function parseRecordLine(line) {
+  const record = JSON.parse(line);
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('Line is not a JSON object');
+  }
+  return record;
+}
+
+// `line` is the 1-based input line number, blank lines included.
+export function createFailure({ line, record = null, stage, error }) {
+  return {
+    line,
+    id: record && record.id != null ? record.id : null,
+    stage,
+    error: error instanceof Error ? error.message : String(error)
+  };
+}
+
+export function serializeFailures(failures) {
+  return [...failures]
+    .sort((a, b) => a.line - b.line)
+    .map(failure => JSON.stringify(failure) + '\n')
+    .join('');
+}
+
+export function parseFailures(text) {
+  return text.split('\n').filter(line => line.trim()).map((line, index) => {
+    let failure = null;
+    try {
+      failure = JSON.parse(line);
+    } catch {
+      // Reported below
+    }
+    if (!failure || !Number.isInteger(failure.line) || failure.line < 1) {
+      throw new Error(`Errors sidecar line ${index + 1} has no input line number`);
+    }
+    return failure;
+  });
+}
+
+// { total, stages: { parse, template, embed } } for summaries and the saved queue.
+export function summarizeFailures(failures) {
+  const stages = Object.fromEntries(Object.values(FAILURE_STAGES).map(stage => [stage, 0]));
+  for (const { stage } of failures) stages[stage] = (stages[stage] || 0) + 1;
+  return { total: failures.length, stages };
+}
+
+export function describeFailures({ total, stages }) {
+  const byStage = Object.entries(stages)
+    .filter(([, count]) => count > 0)
+    .map(([stage, count]) => `${count} ${stage}`)
+    .join(', ');
+  return `${total} record(s) failed${byStage ? ` (${byStage})` : ''}`;
+}
+
+// Pairs every non-blank input line with the output row written for it. Both sides are
+// { line, lineNumber } iterators (numberedLineIterator here, readLines in the scripts).
+export async function* alignWithOutput(inputLines, outputLines) {
+  const outputs = outputLines[Symbol.asyncIterator]();
+  for await (const { line, lineNumber } of inputLines) {
+    const { value, done } = await outputs.next();
+    if (done) {
+      throw new Error(`The output ends before input line ${lineNumber}; a retry needs the output of this same input`);
+    }
+    yield { line, lineNumber, previous: value.line };
+  }
+  if (!(await outputs.next()).done) {
+    throw new Error('The output has more rows than the input has records; a retry needs the output of this same input');
+  }
+}
+
+// A retried record has to match the rows around it, so the output's own reducer and
+// codebook are applied to it rather than fitted again.
+export function createRetryFinisher({ reducer = null, codebook = null }) {
+  return (record) => {
+    if (reducer) reduceRecords([record], reducer);
+    if (codebook && Array.isArray(record.embedding)) {
+      record.embedding_q = quantizeVector(record.embedding, codebook);
+      delete record.embedding;
+    }
+  };
+}
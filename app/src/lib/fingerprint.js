@@ -0,0 +1,88 @@
+// Per-record embedding fingerprints. Every embedded record carries
+//   embedding_fingerprint: { text_sha256, model, dimension, chunking?, named_sha256? }
+// (`chunking` is set only for texts that were split, see chunking.js, and
+// `named_sha256` only for records with named vectors) so a later run can tell whether its vector still matches the current text and
+// model, and reuse it instead of embedding again.
+import { hasEmbedding, hasVector } from './search.js';
+
+const VECTOR_FIELDS = ['embedding', 'embedding_q', 'embedding_chunks', 'embeddings', 'embedding_fingerprint', 'embedding_provenance'];
+// Optional fingerprint parts; a record is current only if each one matches (absent == null).
+const FINGERPRINT_EXTRAS = ['chunking', 'named_sha256', 'reduction'];
+
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// `extras` holds the optional parts: { chunking, named_sha256, reduction }.
+export function createFingerprint(textHash, modelId, dimension, extras = {}) {
+  const fingerprint = { text_sha256: textHash, model: modelId, dimension };
+  for (const key of FINGERPRINT_EXTRAS) {
+    if (extras[key]) fingerprint[key] = extras[key];
+  }
+  return fingerprint;
+}
+
+const extrasKey = (extras) => FINGERPRINT_EXTRAS.map(key => extras[key] || '').join('\u0000');
+
+export function isFingerprintCurrent(record, modelId, textHash, extras = {}) {
+  const fingerprint = record && record.embedding_fingerprint;
+  if (!fingerprint || !hasVector(record)) return false;
+  if (fingerprint.model !== modelId || fingerprint.text_sha256 !== textHash) return false;
+  if (extrasKey(fingerprint) !== extrasKey(extras)) return false;
+  return !hasEmbedding(record) || record.embedding.length === fingerprint.dimension;
+}
+
+const cacheKey = (modelId, textHash, extras) => `${modelId}\u0000${textHash}\u0000${extrasKey(extras)}`;
+
+// Indexes a previous output by (model, text hash). Ids are kept to report removed records.
+export function buildEmbeddingCache(records) {
+  const entries = new Map();
+  const ids = new Set();
+
+  for (const record of records) {
+    if (record.id != null) ids.add(String(record.id));
+    const fingerprint = record.embedding_fingerprint;
+    if (fingerprint && hasVector(record)) {
+      entries.set(cacheKey(fingerprint.model, fingerprint.text_sha256, fingerprint), record);
+    }
+  }
+
+  return { entries, ids };
+}
+
+// Copies the cached vector onto `record` when the record's own vector is stale.
+// Returns true when the record can be written without calling the model.
+export function reuseCachedEmbedding(record, cache, modelId, textHash, extras = {}) {
+  if (isFingerprintCurrent(record, modelId, textHash, extras)) return true;
+
+  const cached = cache && cache.entries.get(cacheKey(modelId, textHash, extras));
+  if (!cached) return false;
+
+  for (const field of VECTOR_FIELDS) {
+    delete record[field];
+    if (cached[field] !== undefined) record[field] = cached[field];
+  }
+  return true;
+}
+
+// Drops a stale vector so the record is re-embedded from scratch.
+export function clearEmbedding(record) {
+  for (const field of VECTOR_FIELDS) {
+    delete record[field];
+  }
+}
+
+export function createRefreshStats() {
+  return { reused: 0, reembedded: 0, added: 0, removed: 0 };
+}
+
+export function countRemovedRecords(cache, seenIds) {
+  if (!cache) return 0;
+  let removed = 0;
+  for (const id of cache.ids) {
+    if (!seenIds.has(id)) removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,418 @@
+// HNSW approximate nearest-neighbour index (Malkov & Yashunin) over the records'
+// `embedding`, scored by cosine. Pure JS, so an index built by the Node scripts can
+// be queried in the browser and vice versa.
+//
+// Serialized layout (<name>.hnsw.bin, little-endian):
+//   u32 header byte length | header JSON (format, model, ids, ...) | padding to 4 bytes
+//   Float32 vectors: `count` normalized rows of `dimension`
+//   Uint8 top level per node | padding to 4 bytes
+//   Int32 links: per node, per level 0..top: neighbour count, then neighbour rows
+import { hasEmbedding, hasVector } from './search.js';
+
+export const HNSW_FORMAT = 'kb-hnsw';
+export const HNSW_VERSION = 1;
+export const DEFAULT_M = 16;
+export const DEFAULT_EF_CONSTRUCTION = 100;
+export const DEFAULT_EF_SEARCH = 64;
+// Query `ef` values the build report measures recall at
+export const RECALL_EF_VALUES = [16, 32, 64, 128, 256];
+
+export function getIndexFileName(fileName) {
+  return `${fileName.replace(/\.jsonl?$/i, '')}.hnsw.bin`;
+}
+
+// Deterministic level assignment, so the same input builds the same index.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Binary heap ordered so that `before(a, b)` puts `a` nearer the top.
+class Heap {
+  constructor(before) {
+    this.items = [];
+    this.before = before;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < items.length && this.before(items[left], items[next])) next = left;
+        if (right < items.length && this.before(items[right], items[next])) next = right;
+        if (next === i) break;
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+    return top;
+  }
+}
+
+function normalizeInto(target, offset, vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) target[offset + i] = vector[i] / norm;
+}
+
+function createSimilarity(vectors, dimension) {
+  return {
+    between(a, b) {
+      const offsetA = a * dimension;
+      const offsetB = b * dimension;
+      let sum = 0;
+      for (let i = 0; i < dimension; i++) sum += vectors[offsetA + i] * vectors[offsetB + i];
+      return sum;
+    },
+    toQuery(query, node) {
+      const offset = node * dimension;
+      let sum = 0;
+      for (let i = 0; i < dimension; i++) sum += query[i] * vectors[offset + i];
+      return sum;
+    }
+  };
+}
+
+// Best-first search of one layer. Returns up to `ef` { node, score }, best first.
+function searchLayer(graph, scoreNode, entryPoints, ef, level) {
+  const visited = new Set(entryPoints);
+  const candidates = new Heap((a, b) => a.score > b.score);
+  const results = new Heap((a, b) => a.score < b.score);
+  for (const node of entryPoints) {
+    const entry = { node, score: scoreNode(node) };
+    candidates.push(entry);
+    results.push(entry);
+  }
+
+  while (candidates.size > 0) {
+    const current = candidates.pop();
+    if (results.size >= ef && current.score < results.peek().score) break;
+    for (const neighbour of graph.neighbours(current.node, level)) {
+      if (visited.has(neighbour)) continue;
+      visited.add(neighbour);
+      const score = scoreNode(neighbour);
+      if (results.size < ef || score > results.peek().score) {
+        const entry = { node: neighbour, score };
+        candidates.push(entry);
+        results.push(entry);
+        if (results.size > ef) results.pop();
+      }
+    }
+  }
+
+  return results.items.sort((a, b) => b.score - a.score);
+}
+
+// Keeps candidates that are nearer the base than to any neighbour already kept, so
+// links spread in different directions; then tops up with the nearest of the rest.
+function selectNeighbours(similarity, candidates, max) {
+  const selected = [];
+  const pruned = [];
+  for (const candidate of candidates) {
+    if (selected.length >= max) break;
+    if (selected.every(kept => candidate.score > similarity.between(candidate.node, kept.node))) {
+      selected.push(candidate);
+    } else {
+      pruned.push(candidate);
+    }
+  }
+  for (const candidate of pruned) {
+    if (selected.length >= max) break;
+    selected.push(candidate);
+  }
+  return selected.map(candidate => candidate.node);
+}
+
+// `vectors` are arrays of equal length. Returns an in-memory index for searchHnsw
+// and serializeHnswIndex; `ids[i]` names `vectors[i]`.
+export function buildHnswIndex(vectors, { ids = null, m = DEFAULT_M, efConstruction = DEFAULT_EF_CONSTRUCTION, seed = 42, model = null, onProgress } = {}) {
+  if (!Number.isInteger(m) || m < 2) throw new Error(`M must be an integer of at least 2, got ${m}`);
+  const count = vectors.length;
+  const dimension = count > 0 ? vectors[0].length : 0;
+  const data = new Float32Array(count * dimension);
+  vectors.forEach((vector, i) => {
+    if (vector.length !== dimension) {
+      throw new Error(`Vector ${ids ? ids[i] : i} has ${vector.length} dimensions, expected ${dimension}`);
+    }
+    normalizeInto(data, i * dimension, vector);
+  });
+
+  const similarity = createSimilarity(data, dimension);
+  const random = createRandom(seed);
+  const levelFactor = 1 / Math.log(m);
+  const maxLinks = (level) => (level === 0 ? 2 * m : m);
+  const links = [];
+  const levels = new Uint8Array(count);
+  const graph = { neighbours: (node, level) => links[node][level] };
+  let entryPoint = -1;
+  let maxLevel = -1;
+
+  for (let node = 0; node < count; node++) {
+    const level = Math.min(255, Math.floor(-Math.log(1 - random()) * levelFactor));
+    levels[node] = level;
+    links[node] = Array.from({ length: level + 1 }, () => []);
+    const scoreNode = (other) => similarity.between(node, other);
+
+    if (entryPoint >= 0) {
+      let nearest = [entryPoint];
+      for (let l = maxLevel; l > level; l--) {
+        nearest = [searchLayer(graph, scoreNode, nearest, 1, l)[0].node];
+      }
+      for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+        const found = searchLayer(graph, scoreNode, nearest, efConstruction, l);
+        const neighbours = selectNeighbours(similarity, found, m);
+        links[node][l] = neighbours;
+        for (const neighbour of neighbours) {
+          const list = links[neighbour][l];
+          list.push(node);
+          if (list.length > maxLinks(l)) {
+            const scored = list
+              .map(other => ({ node: other, score: similarity.between(neighbour, other) }))
+              .sort((a, b) => b.score - a.score);
+            links[neighbour][l] = selectNeighbours(similarity, scored, maxLinks(l));
+          }
+        }
+        nearest = found.map(entry => entry.node);
+      }
+    }
+
+    if (level > maxLevel) {
+      maxLevel = level;
+      entryPoint = node;
+    }
+    if (onProgress && (node + 1) % 500 === 0) onProgress(node + 1, count);
+  }
+
+  return {
+    format: HNSW_FORMAT,
+    version: HNSW_VERSION,
+    model,
+    dimension,
+    count,
+    m,
+    efConstruction,
+    entryPoint,
+    maxLevel,
+    ids: ids ? ids.map(id => (id == null ? null : String(id))) : null,
+    vectors: data,
+    levels,
+    neighbours: graph.neighbours,
+    similarity
+  };
+}
+
+// Indexes the records' float `embedding` in file order, named by record id.
+export function buildRecordIndex(records, options = {}) {
+  const embedded = records.filter(hasEmbedding);
+  return buildHnswIndex(embedded.map(record => record.embedding), {
+    model: embedded[0]?.embedding_provenance?.model ?? null,
+    ...options,
+    ids: embedded.map(record => record.id)
+  });
+}
+
+// Maps index rows back to the records of the file the index was built from (quantized
+// or not). Throws when the file has changed since, as rows would name the wrong records.
+export function mapIndexRows(index, records) {
+  const embedded = records.filter(hasVector);
+  const stale = embedded.length !== index.count
+    || (index.ids && embedded.some((record, row) => (record.id == null ? null : String(record.id)) !== index.ids[row]));
+  if (stale) {
+    throw new Error(`Index has ${index.count} vectors that do not match the file's ${embedded.length} embedded records; rebuild it`);
+  }
+  return embedded;
+}
+
+const alignTo4 = (n) => (n + 3) & ~3;
+
+export function serializeHnswIndex(index) {
+  const header = new TextEncoder().encode(JSON.stringify({
+    format: index.format,
+    version: index.version,
+    model: index.model,
+    dimension: index.dimension,
+    count: index.count,
+    m: index.m,
+    ef_construction: index.efConstruction,
+    entry_point: index.entryPoint,
+    max_level: index.maxLevel,
+    ids: index.ids
+  }));
+
+  let linkCount = 0;
+  for (let node = 0; node < index.count; node++) {
+    for (let level = 0; level <= index.levels[node]; level++) {
+      linkCount += 1 + index.neighbours(node, level).length;
+    }
+  }
+
+  const vectorsOffset = alignTo4(4 + header.length);
+  const levelsOffset = vectorsOffset + index.vectors.byteLength;
+  const linksOffset = alignTo4(levelsOffset + index.count);
+  const buffer = new ArrayBuffer(linksOffset + linkCount * 4);
+  const view = new DataView(buffer);
+
+  view.setUint32(0, header.length, true);
+  new Uint8Array(buffer, 4, header.length).set(header);
+  index.vectors.forEach((value, i) => view.setFloat32(vectorsOffset + i * 4, value, true));
+  new Uint8Array(buffer, levelsOffset, index.count).set(index.levels);
+  let offset = linksOffset;
+  for (let node = 0; node < index.count; node++) {
+    for (let level = 0; level <= index.levels[node]; level++) {
+      const neighbours = index.neighbours(node, level);
+      view.setInt32(offset, neighbours.length, true);
+      offset += 4;
+      for (const neighbour of neighbours) {
+        view.setInt32(offset, neighbour, true);
+        offset += 4;
+      }
+    }
+  }
+
+  return {
+    buffer,
+    sizes: { total: buffer.byteLength, header: header.length, vectors: index.vectors.byteLength, graph: buffer.byteLength - levelsOffset }
+  };
+}
+
+// `buffer` is an ArrayBuffer (or a Node Buffer / typed array) from serializeHnswIndex.
+export function loadHnswIndex(buffer) {
+  const bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerLength = view.getUint32(0, true);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + headerLength)));
+  if (header.format !== HNSW_FORMAT || header.version !== HNSW_VERSION) {
+    throw new Error(`Not a ${HNSW_FORMAT} v${HNSW_VERSION} index`);
+  }
+
+  const { count, dimension } = header;
+  const vectorsOffset = alignTo4(4 + headerLength);
+  const levelsOffset = vectorsOffset + count * dimension * 4;
+  const linksOffset = alignTo4(levelsOffset + count);
+  // Copy into aligned typed arrays; Node Buffers may start at any byte offset
+  const vectors = new Float32Array(count * dimension);
+  for (let i = 0; i < vectors.length; i++) vectors[i] = view.getFloat32(vectorsOffset + i * 4, true);
+  const levels = bytes.slice(levelsOffset, levelsOffset + count);
+  const linkWords = (bytes.byteLength - linksOffset) / 4;
+  const linkData = new Int32Array(linkWords);
+  for (let i = 0; i < linkWords; i++) linkData[i] = view.getInt32(linksOffset + i * 4, true);
+
+  // Start of each node's level-0 list; upper levels follow it
+  const nodeOffsets = new Uint32Array(count);
+  let offset = 0;
+  for (let node = 0; node < count; node++) {
+    nodeOffsets[node] = offset;
+    for (let level = 0; level <= levels[node]; level++) offset += 1 + linkData[offset];
+  }
+
+  const neighbours = (node, level) => {
+    let at = nodeOffsets[node];
+    for (let l = 0; l < level; l++) at += 1 + linkData[at];
+    return linkData.subarray(at + 1, at + 1 + linkData[at]);
+  };
+
+  return {
+    format: header.format,
+    version: header.version,
+    model: header.model,
+    dimension,
+    count,
+    m: header.m,
+    efConstruction: header.ef_construction,
+    entryPoint: header.entry_point,
+    maxLevel: header.max_level,
+    ids: header.ids,
+    vectors,
+    levels,
+    neighbours,
+    similarity: createSimilarity(vectors, dimension)
+  };
+}
+
+// Returns the top `k` as { row, id, score } (cosine). A larger `ef` explores more
+// of the graph: slower, closer to exact.
+export function searchHnsw(index, queryVector, { k = 10, ef = DEFAULT_EF_SEARCH } = {}) {
+  if (index.count === 0) return [];
+  if (queryVector.length !== index.dimension) {
+    throw new Error(`Query vector is ${queryVector.length}d but the index is ${index.dimension}d`);
+  }
+  const query = new Float32Array(index.dimension);
+  normalizeInto(query, 0, queryVector);
+  const scoreNode = (node) => index.similarity.toQuery(query, node);
+
+  let nearest = [index.entryPoint];
+  for (let level = index.maxLevel; level > 0; level--) {
+    nearest = [searchLayer(index, scoreNode, nearest, 1, level)[0].node];
+  }
+  return searchLayer(index, scoreNode, nearest, Math.max(ef, k), 0)
+    .slice(0, k)
+    .map(({ node, score }) => ({ row: node, id: index.ids ? index.ids[node] : null, score }));
+}
+
+// Exact top-k by scanning every vector, for measuring recall.
+export function searchExact(index, queryVector, { k = 10 } = {}) {
+  const query = new Float32Array(index.dimension);
+  normalizeInto(query, 0, queryVector);
+  const scores = [];
+  for (let node = 0; node < index.count; node++) scores.push({ row: node, score: index.similarity.toQuery(query, node) });
+  return scores.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+// Recall@k of searchHnsw against exact search, using `sample` of the index's own
+// vectors as queries. Returns { queries, results: [{ ef, recall, avgMs, exactMs }] }.
+export function measureRecall(index, { k = 10, efValues = [DEFAULT_EF_SEARCH], sample = 200, seed = 7 } = {}) {
+  const random = createRandom(seed);
+  const rows = new Set();
+  while (rows.size < Math.min(sample, index.count)) rows.add(Math.floor(random() * index.count));
+  const queries = [...rows].map(row => index.vectors.subarray(row * index.dimension, (row + 1) * index.dimension));
+
+  let exactStart = performance.now();
+  const exact = queries.map(query => new Set(searchExact(index, query, { k }).map(hit => hit.row)));
+  const exactMs = (performance.now() - exactStart) / (queries.length || 1);
+
+  const results = efValues.map(ef => {
+    const start = performance.now();
+    let found = 0;
+    let expected = 0;
+    queries.forEach((query, i) => {
+      found += searchHnsw(index, query, { k, ef }).filter(hit => exact[i].has(hit.row)).length;
+      expected += exact[i].size;
+    });
+    return { ef, recall: expected ? found / expected : 1, avgMs: (performance.now() - start) / (queries.length || 1), exactMs };
+  });
+  return { queries: queries.length, k, results };
+}
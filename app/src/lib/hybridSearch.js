@@ -0,0 +1,213 @@
+// Hybrid keyword + vector search. A BM25 index (bm25.js) sits next to the stored
+// embeddings; results are fused with reciprocal rank fusion or a weighted sum of
+// normalized scores. Metadata filters narrow the candidates first, and a record whose
+// `not_about` phrase matches the query is demoted.
+//
+// `items` are whatever the caller ranks (e.g. { record, file }); `getRecord` maps
+// an item to its record, `getCodebook` to its quantization codebook and `getReducer`
+// to the dimension reduction its vectors went through (reduction.js), if any.
+import { createBm25Index, tokenize } from './bm25.js';
+import { createRecordScorer } from './search.js';
+import { createQueryReducer, isReducedBy } from './reduction.js';
+
+export const FILTER_FIELDS = ['type', 'persona', 'action_type', 'tags', 'document_id', 'doc_version'];
+
+export const SEARCH_MODES = {
+  VECTOR: 'vector',
+  KEYWORD: 'keyword',
+  HYBRID: 'hybrid'
+};
+
+export const FUSION_MODES = {
+  RRF: 'rrf',
+  WEIGHTED: 'weighted'
+};
+
+export const RRF_K = 60;
+export const DEFAULT_VECTOR_WEIGHT = 0.5;
+// Score multiplier for records whose `not_about` matches the query
+export const NOT_ABOUT_PENALTY = 0.5;
+// Share of a not_about phrase's words, weighted by rarity, that must occur in the
+// query. Words common to the whole KB ("fixed", "asset") barely count.
+const NOT_ABOUT_COVERAGE = 0.8;
+
+const defaultGetRecord = (item) => item.record;
+
+// Values of a record field as lowercase strings. Comma-separated strings such as
+// "Accountant, Fixed Asset Manager" count as each of their parts too.
+function getFieldValues(record, field) {
+  const value = record[field];
+  if (value == null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => {
+    const text = String(v).trim().toLowerCase();
+    return text.includes(',') ? [text, ...text.split(',').map(part => part.trim()).filter(Boolean)] : [text];
+  });
+}
+
+// `filters` maps a field to a value or a list of values (any may match). Empty values are ignored.
+export function matchesFilters(record, filters = {}) {
+  return Object.entries(filters).every(([field, expected]) => {
+    const wanted = (Array.isArray(expected) ? expected : [expected])
+      .filter(value => value != null && value !== '')
+      .map(value => String(value).trim().toLowerCase());
+    if (wanted.length === 0) return true;
+    const actual = getFieldValues(record, field);
+    return wanted.some(value => actual.includes(value));
+  });
+}
+
+// Distinct values per filter field, for building filter menus.
+export function getFilterOptions(records, fields = FILTER_FIELDS) {
+  return Object.fromEntries(fields.map(field => {
+    const values = new Map();
+    for (const record of records) {
+      const raw = record[field];
+      for (const value of (Array.isArray(raw) ? raw : [raw])) {
+        if (value == null || value === '') continue;
+        const text = String(value).trim();
+        if (!values.has(text.toLowerCase())) values.set(text.toLowerCase(), text);
+      }
+    }
+    return [field, [...values.values()].sort((a, b) => a.localeCompare(b))];
+  }));
+}
+
+export function createHybridIndex(items, { getRecord = defaultGetRecord } = {}) {
+  const records = items.map(getRecord);
+  return {
+    items,
+    records,
+    bm25: createBm25Index(records),
+    notAbout: records.map(record => (Array.isArray(record.not_about) ? record.not_about : [])
+      .filter(phrase => typeof phrase === 'string' && phrase.trim())
+      .map(phrase => ({ phrase, tokens: [...new Set(tokenize(phrase))] }))
+      .filter(({ tokens }) => tokens.length > 0))
+  };
+}
+
+function findNotAbout(phrases, queryTokens, idf) {
+  const match = phrases.find(({ tokens }) => {
+    const total = tokens.reduce((acc, token) => acc + idf(token), 0);
+    const covered = tokens.filter(token => queryTokens.has(token)).reduce((acc, token) => acc + idf(token), 0);
+    return total > 0 && covered / total >= NOT_ABOUT_COVERAGE;
+  });
+  return match ? match.phrase : null;
+}
+
+// Single pass, so a large candidate set cannot overflow the call stack the way a spread would.
+function valueRange(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+}
+
+const toRanks = (scores) => new Map([...scores].sort((a, b) => b[1] - a[1]).map(([i], rank) => [i, rank + 1]));
+
+function fuseScores(vectorScores, keywordScores, fusion, vectorWeight) {
+  const ids = new Set([...vectorScores.keys(), ...keywordScores.keys()]);
+  const fused = new Map();
+  if (fusion === FUSION_MODES.WEIGHTED) {
+    const { min: minVector, max: maxVector } = valueRange(vectorScores.values());
+    const vectorRange = maxVector - minVector || 1;
+    const maxKeyword = valueRange(keywordScores.values()).max || 1;
+    for (const i of ids) {
+      const vector = vectorScores.has(i) ? (vectorScores.get(i) - minVector) / vectorRange : 0;
+      const keyword = keywordScores.has(i) ? keywordScores.get(i) / maxKeyword : 0;
+      fused.set(i, vectorWeight * vector + (1 - vectorWeight) * keyword);
+    }
+    return fused;
+  }
+
+  const vectorRanks = toRanks(vectorScores);
+  const keywordRanks = toRanks(keywordScores);
+  for (const i of ids) {
+    fused.set(i, (vectorRanks.has(i) ? 1 / (RRF_K + vectorRanks.get(i)) : 0)
+      + (keywordRanks.has(i) ? 1 / (RRF_K + keywordRanks.get(i)) : 0));
+  }
+  return fused;
+}
+
+// Returns the top `topK` as { item, score, vectorScore, keywordScore, notAbout }.
+// Without a `queryVector` hybrid mode falls back to keywords only. `annScores` (item
+// index → cosine, e.g. from an HNSW index in hnsw.js) replaces the exact vector scan:
+// only those items get a vector score.
+export function hybridSearch(index, {
+  query = '',
+  queryVector = null,
+  mode = SEARCH_MODES.HYBRID,
+  fusion = FUSION_MODES.RRF,
+  vectorWeight = DEFAULT_VECTOR_WEIGHT,
+  topK = 5,
+  filters = {},
+  getCodebook = () => null,
+  getReducer = () => null,
+  combine,
+  weights,
+  useNotAbout = true,
+  annScores = null
+} = {}) {
+  const candidates = [];
+  index.records.forEach((record, i) => {
+    if (matchesFilters(record, filters)) candidates.push(i);
+  });
+
+  const vectorScores = new Map();
+  if (mode !== SEARCH_MODES.KEYWORD && annScores) {
+    for (const i of candidates) {
+      if (annScores.has(i)) vectorScores.set(i, annScores.get(i));
+    }
+  } else if (mode !== SEARCH_MODES.KEYWORD && queryVector) {
+    // One scorer per (reducer, codebook) pair; a reduced file is scored with the query reduced the same way
+    const reduceQuery = createQueryReducer(queryVector);
+    const scorers = new Map();
+    for (const i of candidates) {
+      const fileReducer = getReducer(index.items[i]);
+      const reducer = fileReducer && isReducedBy(index.records[i], fileReducer) ? fileReducer : null;
+      const codebook = getCodebook(index.items[i]);
+      if (!scorers.has(reducer)) scorers.set(reducer, new Map());
+      const byCodebook = scorers.get(reducer);
+      if (!byCodebook.has(codebook)) {
+        const reducedQuery = reduceQuery(reducer);
+        byCodebook.set(codebook, reducedQuery ? createRecordScorer(reducedQuery, codebook, { combine, weights }) : () => null);
+      }
+      const score = byCodebook.get(codebook)(index.records[i]);
+      if (score !== null) vectorScores.set(i, score);
+    }
+  }
+
+  const keywordScores = new Map();
+  if (mode !== SEARCH_MODES.VECTOR) {
+    const scores = index.bm25.search(query);
+    for (const i of candidates) {
+      if (scores[i] > 0) keywordScores.set(i, scores[i]);
+    }
+  }
+
+  let scores;
+  if (mode === SEARCH_MODES.VECTOR || (mode === SEARCH_MODES.HYBRID && keywordScores.size === 0)) {
+    scores = vectorScores;
+  } else if (mode === SEARCH_MODES.KEYWORD || vectorScores.size === 0) {
+    scores = keywordScores;
+  } else {
+    scores = fuseScores(vectorScores, keywordScores, fusion, vectorWeight);
+  }
+
+  const queryTokens = new Set(tokenize(query));
+  const results = [...scores].map(([i, score]) => {
+    const notAbout = useNotAbout ? findNotAbout(index.notAbout[i], queryTokens, index.bm25.idf) : null;
+    return {
+      item: index.items[i],
+      score: notAbout ? (score >= 0 ? score * NOT_ABOUT_PENALTY : score / NOT_ABOUT_PENALTY) : score,
+      vectorScore: vectorScores.get(i) ?? null,
+      keywordScore: keywordScores.get(i) ?? null,
+      notAbout
+    };
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, topK);
+}
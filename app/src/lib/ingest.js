@@ -0,0 +1,472 @@
+// Converters from Markdown, plain text, CSV and HTML sources to KB JSONL records,
+// shared by scripts/ingest_sources.js, embed_jsonl.js and the React upload zone.
+//
+// Documents are split into sections by headings (Markdown `#`/underlines, HTML
+// <h1>-<h6>, numbered or ALL CAPS lines in text), and sections longer than
+// `maxChars` are split again on paragraph and sentence boundaries. Each part becomes a
+// schema section-1.0 record
+//   { schema_version, id, document_id, filename, type: 'CONCEPT', title, source_section, text, dense_context }
+// CSV files give one record per row; rows with question and answer columns become
+// schema 1.1 FAQ records, other rows section records. Ids are hashed from the file name and section path (or the
+// row's question), so converting an edited file again keeps the ids of unchanged parts.
+import { sha256Hex } from './fingerprint.js';
+import { SCHEMA_DEFINITIONS, LATEST_SCHEMA_VERSION, SECTION_SCHEMA_VERSION } from './validation.js';
+
+export const SOURCE_FORMATS = {
+  MARKDOWN: 'markdown',
+  TEXT: 'text',
+  CSV: 'csv',
+  HTML: 'html'
+};
+
+const FORMAT_EXTENSIONS = {
+  md: SOURCE_FORMATS.MARKDOWN,
+  markdown: SOURCE_FORMATS.MARKDOWN,
+  txt: SOURCE_FORMATS.TEXT,
+  text: SOURCE_FORMATS.TEXT,
+  csv: SOURCE_FORMATS.CSV,
+  html: SOURCE_FORMATS.HTML,
+  htm: SOURCE_FORMATS.HTML
+};
+
+// For <input accept>
+export const SOURCE_FILE_ACCEPT = Object.keys(FORMAT_EXTENSIONS).map(ext => `.${ext}`).join(',');
+export const DEFAULT_MAX_SECTION_CHARS = 2000;
+
+const CSV_COLUMNS = {
+  id: ['id'],
+  question: ['question', 'q', 'canonical_question', 'faq_question'],
+  answer: ['answer', 'a', 'response', 'faq_answer'],
+  title: ['title', 'subject', 'name', 'heading'],
+  section: ['source_section', 'section', 'category', 'topic']
+};
+
+export function getSourceFormat(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return (match && FORMAT_EXTENSIONS[match[1].toLowerCase()]) || null;
+}
+
+// `runbook.md` → `runbook_rag.jsonl`, like the existing `<document>_rag.jsonl` exports.
+export function getIngestedFileName(fileName) {
+  return `${fileName.replace(/\.[^.]+$/, '')}_rag.jsonl`;
+}
+
+export function recordsToJsonl(records) {
+  return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+// UUID-shaped (version 8, "custom") so ids look like the ones the PDF pipeline writes.
+export async function stableId(key) {
+  const hex = await sha256Hex(key);
+  const variant = ((Number.parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+const collapseLines = (text) => text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+
+// --- Splitting ---
+
+// Hard cut for a run of text with no sentence breaks, preferring the last space.
+function cutLongText(text, maxChars) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const space = rest.lastIndexOf(' ', maxChars);
+    const at = space > maxChars / 2 ? space : maxChars;
+    parts.push(rest.slice(0, at).trim());
+    rest = rest.slice(at).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Packs `units` into parts of at most `maxChars`, joined by `separator`.
+function packUnits(units, maxChars, separator) {
+  const parts = [];
+  let current = '';
+  for (const unit of units) {
+    if (current && current.length + separator.length + unit.length > maxChars) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}${separator}${unit}` : unit;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Splits on paragraphs, then sentences, then spaces; every part fits `maxChars`.
+export function splitSectionText(text, maxChars = DEFAULT_MAX_SECTION_CHARS) {
+  const body = collapseLines(text);
+  if (!body) return [];
+  if (body.length <= maxChars) return [body];
+
+  const units = body.split(/\n\s*\n/).flatMap(paragraph => {
+    if (paragraph.length <= maxChars) return [paragraph];
+    const sentences = paragraph.split(/(?<=[.!?])\s+/).flatMap(sentence => (sentence.length <= maxChars ? [sentence] : cutLongText(sentence, maxChars)));
+    return packUnits(sentences, maxChars, ' ');
+  });
+  return packUnits(units, maxChars, '\n\n');
+}
+
+// --- Sectioning ---
+// A section is { path: [heading, ...], body }; the path holds the enclosing headings.
+
+function createSectioner() {
+  const sections = [];
+  const headings = [];
+  let body = [];
+
+  const flush = () => {
+    if (body.join('\n').trim()) {
+      sections.push({ path: headings.filter(Boolean), body: body.join('\n') });
+    }
+    body = [];
+  };
+
+  return {
+    heading(level, text) {
+      flush();
+      headings.length = level - 1;
+      headings[level - 1] = text;
+    },
+    line(text) {
+      body.push(text);
+    },
+    finish() {
+      flush();
+      return sections;
+    }
+  };
+}
+
+const ATX_HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const FENCE = /^ {0,3}(```|~~~)/;
+
+// Keeps link and image text, drops the targets.
+const cleanMarkdownInline = (text) => text
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+
+function parseFrontMatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/.exec(text);
+  if (!match) return { body: text, title: null };
+  const title = /^title:\s*["']?(.*?)["']?\s*$/m.exec(match[1]);
+  return { body: text.slice(match[0].length), title: title ? title[1] : null };
+}
+
+function sectionMarkdown(text) {
+  const { body, title: frontMatterTitle } = parseFrontMatter(text);
+  const lines = body.split(/\r?\n/);
+  const sectioner = createSectioner();
+  let title = frontMatterTitle;
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = FENCE.exec(line);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+      sectioner.line(line);
+      continue;
+    }
+    if (fence) {
+      sectioner.line(line);
+      continue;
+    }
+
+    const atx = ATX_HEADING.exec(line);
+    const next = lines[i + 1];
+    const setext = line.trim() && !/^\s*[-*+]\s/.test(line) && next !== undefined && SETEXT_UNDERLINE.exec(next);
+    if (atx || setext) {
+      const level = atx ? atx[1].length : (setext[1][0] === '=' ? 1 : 2);
+      const heading = cleanMarkdownInline(atx ? atx[2] : line.trim());
+      if (level === 1 && !title) title = heading;
+      sectioner.heading(level, heading);
+      if (setext) i++;
+      continue;
+    }
+    sectioner.line(cleanMarkdownInline(line));
+  }
+
+  return { title, sections: sectioner.finish() };
+}
+
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)*)\.?\s+\S/;
+const isAllCaps = (text) => /[A-Z]{2}/.test(text) && text === text.toUpperCase();
+
+// Plain-text headings: short lines between blank lines that are numbered ("3.1 Register
+// Fixed Assets"), ALL CAPS, or underlined with === / ---. Files that use Markdown `#`
+// headings are read as Markdown.
+function sectionText(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines.filter(line => ATX_HEADING.test(line)).length >= 2) return sectionMarkdown(text);
+
+  const sectioner = createSectioner();
+  let title = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const prevBlank = i === 0 || !lines[i - 1].trim();
+    const next = lines[i + 1] === undefined ? '' : lines[i + 1].trim();
+    const underline = /^(=+|-+)$/.test(next) && next.length >= 3 ? next[0] : null;
+
+    let level = 0;
+    if (line && line.length <= 80 && prevBlank && !/[.,;:!?]$/.test(line)) {
+      const numbered = NUMBERED_HEADING.exec(line);
+      if (underline) level = underline === '=' ? 1 : 2;
+      else if (next === '' && numbered) level = Math.min(6, numbered[1].split('.').length);
+      else if (next === '' && isAllCaps(line)) level = 1;
+    }
+
+    if (level) {
+      if (!title) title = line;
+      sectioner.heading(level, line);
+      if (underline) i++;
+      continue;
+    }
+    sectioner.line(lines[i]);
+  }
+
+  return { title, sections: sectioner.finish() };
+}
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', bull: '•', middot: '·'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? Number.parseInt(name.slice(2), 16) : Number.parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '');
+
+const HTML_BLOCKS = 'p|div|section|article|header|footer|main|nav|aside|ul|ol|table|thead|tbody|blockquote|pre|dl|dt|dd|figure|figcaption|hr';
+
+// Regex-based so it runs in Node without a DOM: drops scripts and styles, turns
+// <h1>-<h6> into Markdown headings and block elements into paragraphs, then reuses
+// the Markdown sectioning. Whitespace inside <pre> is not preserved.
+function sectionHtml(html) {
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const markdown = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (_, level, inner) => `\n\n${'#'.repeat(Number(level))} ${stripTags(inner).trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, ' | ')
+    .replace(/<\/tr\s*>/gi, '\n')
+    .replace(new RegExp(`</?(?:${HTML_BLOCKS})\\b[^>]*>`, 'gi'), '\n\n');
+  const text = decodeEntities(stripTags(markdown))
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim().replace(/ ?\|$/, ''))
+    .join('\n');
+
+  const result = sectionMarkdown(text);
+  const title = titleMatch ? decodeEntities(stripTags(titleMatch[1])).replace(/\s+/g, ' ').trim() : '';
+  return { title: title || result.title, sections: result.sections };
+}
+
+// --- CSV ---
+
+// RFC 4180: quoted fields may hold delimiters, doubled quotes and newlines.
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// The candidate that splits the header line into the most columns.
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t', '|'].map(delimiter => [delimiter, header.split(delimiter).length]);
+  return counts.reduce((best, candidate) => (candidate[1] > best[1] ? candidate : best))[0];
+}
+
+const normalizeHeader = (header) => header.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const splitList = (value) => value.split(/[;|]/.test(value) ? /[;|]/ : ',').map(item => item.trim()).filter(Boolean);
+
+// Columns named after schema fields are copied with the schema's type.
+function convertSchemaValue(value, type) {
+  if (type === 'string') return value;
+  if (type === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  if (type === 'string[]') return splitList(value);
+  return undefined;
+}
+
+// --- Records ---
+
+function buildDenseContext(documentTitle, section, body) {
+  return [
+    documentTitle && `Document: ${documentTitle}`,
+    section && `Section: ${section}`,
+    body
+  ].filter(Boolean).join('\n');
+}
+
+async function sectionsToRecords(sections, { fileName, documentId, documentTitle, maxChars }) {
+  const records = [];
+  const seenPaths = new Map();
+
+  for (const { path, body } of sections) {
+    const parts = splitSectionText(body, maxChars);
+    if (parts.length === 0) continue;
+
+    // Repeated headings ("Notes") get their own ids by occurrence
+    const pathKey = path.join('\u0000');
+    const occurrence = seenPaths.get(pathKey) || 0;
+    seenPaths.set(pathKey, occurrence + 1);
+
+    const sourceSection = path.join(' > ');
+    const heading = path[path.length - 1] || documentTitle;
+    for (let i = 0; i < parts.length; i++) {
+      records.push({
+        schema_version: SECTION_SCHEMA_VERSION,
+        id: await stableId(`${fileName}\u0000${pathKey}\u0000${occurrence}\u0000${i}`),
+        document_id: documentId,
+        filename: fileName,
+        type: 'CONCEPT',
+        title: parts.length > 1 ? `${heading} (part ${i + 1}/${parts.length})` : heading,
+        source_section: sourceSection,
+        text: parts[i],
+        dense_context: buildDenseContext(documentTitle, sourceSection, parts[i])
+      });
+    }
+  }
+
+  return records;
+}
+
+async function csvToRecords(text, { fileName, documentId, documentTitle }) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map(normalizeHeader);
+  const findColumn = (names) => columns.findIndex(column => names.includes(column));
+  const at = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [key, findColumn(names)]));
+  const isFaq = at.question >= 0 && at.answer >= 0;
+  const schemaFields = SCHEMA_DEFINITIONS[LATEST_SCHEMA_VERSION].fields;
+  const usedColumns = new Set(Object.values(at).filter(index => index >= 0));
+
+  const records = [];
+  const seenKeys = new Map();
+  for (let r = 0; r < rows.length; r++) {
+    const cells = rows[r].map(cell => cell.trim());
+    const cell = (index) => (index >= 0 ? cells[index] || '' : '');
+    const section = cell(at.section);
+
+    let body;
+    let title;
+    const extra = {};
+    if (isFaq) {
+      if (!cell(at.question) || !cell(at.answer)) continue;
+      body = `Q: ${cell(at.question)}\nA: ${cell(at.answer)}`;
+      title = cell(at.title) || cell(at.question);
+      columns.forEach((column, index) => {
+        if (usedColumns.has(index) || !cells[index] || !schemaFields[column]) return;
+        const value = convertSchemaValue(cells[index], schemaFields[column]);
+        if (value !== undefined) extra[column] = value;
+      });
+    } else {
+      body = columns
+        .map((column, index) => (index === at.id || !cells[index] ? null : `${header[index].trim()}: ${cells[index]}`))
+        .filter(Boolean)
+        .join('\n');
+      if (!body) continue;
+      title = cell(at.title) || cells.find(Boolean);
+    }
+
+    // An id column wins; otherwise the question (or the whole row) keys the id
+    const key = cell(at.id) ? null : (isFaq ? cell(at.question) : cells.join('\u0000'));
+    const occurrence = key === null ? 0 : (seenKeys.get(key) || 0);
+    if (key !== null) seenKeys.set(key, occurrence + 1);
+
+    records.push({
+      schema_version: isFaq ? LATEST_SCHEMA_VERSION : SECTION_SCHEMA_VERSION,
+      id: cell(at.id) || await stableId(`${fileName}\u0000${key}\u0000${occurrence}`),
+      document_id: documentId,
+      filename: fileName,
+      type: isFaq ? 'FAQ' : 'CONCEPT',
+      title,
+      ...(isFaq ? { question: cell(at.question), answer: cell(at.answer) } : {}),
+      source_section: section,
+      ...extra,
+      text: body,
+      dense_context: buildDenseContext(documentTitle, section, body)
+    });
+  }
+
+  return records;
+}
+
+// Converts a source document to KB records. `fileName` is the base name (it keys the
+// ids); `format` defaults to the one implied by the extension.
+export async function convertSource(text, fileName, { format = getSourceFormat(fileName), maxChars = DEFAULT_MAX_SECTION_CHARS } = {}) {
+  if (!Object.values(SOURCE_FORMATS).includes(format)) {
+    throw new Error(`Unsupported source format for ${fileName} (expected ${SOURCE_FILE_ACCEPT})`);
+  }
+  if (!(maxChars > 0)) {
+    throw new Error(`maxChars must be a positive number, got ${maxChars}`);
+  }
+
+  const source = text.replace(/^\uFEFF/, '');
+  const documentId = await stableId(`document\u0000${fileName}`);
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  if (format === SOURCE_FORMATS.CSV) {
+    return { format, title: baseName, records: await csvToRecords(source, { fileName, documentId, documentTitle: baseName }) };
+  }
+
+  const sectioned = format === SOURCE_FORMATS.MARKDOWN ? sectionMarkdown(source)
+    : format === SOURCE_FORMATS.HTML ? sectionHtml(source)
+      : sectionText(source);
+  const title = sectioned.title || baseName;
+  const records = await sectionsToRecords(sectioned.sections, { fileName, documentId, documentTitle: title, maxChars });
+  return { format, title, records };
+}
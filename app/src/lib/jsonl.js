@@ -0,0 +1,62 @@
+// Yields { line, lineNumber } for every non-blank line; blank lines still count
+// towards the 1-based line numbers.
+export async function* numberedLineIterator(file) {
+  const stream = file.stream();
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let { value: chunk, done: readerDone } = await reader.read();
+  let buffer = '';
+  let lineNumber = 0;
+
+  while (!readerDone || buffer) {
+    if (chunk) {
+      buffer += decoder.decode(chunk, { stream: true });
+    }
+
+    const lines = buffer.split('\n');
+    buffer = readerDone ? '' : lines.pop();
+
+    for (const line of lines) {
+      lineNumber++;
+      if (line.trim()) yield { line, lineNumber };
+    }
+
+    if (readerDone) break;
+    ({ value: chunk, done: readerDone } = await reader.read());
+  }
+}
+
+export async function* lineIterator(file) {
+  for await (const { line } of numberedLineIterator(file)) {
+    yield line;
+  }
+}
+
+export async function readJsonlRecords(file) {
+  const records = [];
+  let invalidLines = 0;
+
+  for await (const line of lineIterator(file)) {
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      invalidLines++;
+    }
+  }
+
+  return { records, invalidLines };
+}
+
+// Parses only the first `count` records, for previews of large files.
+export async function readJsonlSample(file, count) {
+  const records = [];
+  for await (const line of lineIterator(file)) {
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      continue;
+    }
+    if (records.length >= count) break;
+  }
+  return records;
+}
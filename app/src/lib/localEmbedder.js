@@ -14,6 +14,10 @@ async function loadPipeline(modelId) {
   return cachedPipelines.get(modelId);
 }
 
+export async function getLocalTokenizer(modelId) {
+  return (await loadPipeline(modelId)).tokenizer;
+}
+
 export async function embedTextsLocally(texts, modelId) {
   if (!Array.isArray(texts) || texts.length === 0) {
     return [];
@@ -0,0 +1,143 @@
+// Named vectors: extra embeddings of other phrasings of the same record, stored next to
+// the main `embedding` (which is the `content` vector):
+//   embeddings: { question: [...], alt_titles: [[...], [...]] }
+// Array-valued names hold one vector per element. Search scores a record by the
+// best of its vectors or by a weighted mean of the per-name scores.
+import { compileTemplate } from './templates.js';
+import { cosineSimilarity } from './vectorMath.js';
+
+export const CONTENT_VECTOR = 'content';
+
+// `template` renders one text per record; `each` embeds every element of an array field.
+export const NAMED_VECTOR_SPECS = {
+  question: { label: 'Question', template: '{{canonical_question || question}}' },
+  alt_titles: { label: 'Alternative titles', each: 'alt_titles' },
+  title: { label: 'Title', template: '{{title}}' }
+};
+
+export const COMBINE_MODES = {
+  MAX: 'max',
+  WEIGHTED: 'weighted'
+};
+
+export const DEFAULT_VECTOR_WEIGHTS = {
+  [CONTENT_VECTOR]: 1,
+  question: 1,
+  alt_titles: 0.7,
+  title: 0.5
+};
+
+export function parseVectorNames(value) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  const unknown = names.filter(name => !NAMED_VECTOR_SPECS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown named vector(s) ${unknown.join(', ')}; available: ${Object.keys(NAMED_VECTOR_SPECS).join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+// "content=1,question=0.8" -> { content: 1, question: 0.8 }
+export function parseVectorWeights(value) {
+  const weights = { ...DEFAULT_VECTOR_WEIGHTS };
+  for (const pair of String(value || '').split(',').filter(Boolean)) {
+    const [name, raw] = pair.split('=').map(part => part.trim());
+    const weight = Number(raw);
+    if (!name || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid vector weight "${pair}", expected name=number`);
+    }
+    weights[name] = weight;
+  }
+  return weights;
+}
+
+// Returns `(record) => [{ name, text, many }]` for the selected names.
+export function createNamedTextExtractor(names) {
+  const renderers = names.map(name => {
+    const spec = NAMED_VECTOR_SPECS[name];
+    if (spec.each) {
+      return (record) => {
+        const values = Array.isArray(record[spec.each]) ? record[spec.each] : [];
+        return values
+          .filter(value => typeof value === 'string' && value.trim())
+          .map(value => ({ name, text: value.trim(), many: true }));
+      };
+    }
+    const render = compileTemplate(spec);
+    return (record) => {
+      const text = render(record);
+      return text ? [{ name, text, many: false }] : [];
+    };
+  });
+
+  return (record) => renderers.flatMap(render => render(record));
+}
+
+// Canonical string of the named texts. Callers store its SHA-256 in the fingerprint
+// so that edits to e.g. `alt_titles` trigger a re-embed.
+export function getNamedTextsSignature(entries) {
+  if (entries.length === 0) return null;
+  return JSON.stringify(entries.map(({ name, text }) => [name, text]));
+}
+
+// `vectors[i]` belongs to `entries[i]`. Leaves no `embeddings` field when there are none.
+export function assignNamedVectors(record, entries, vectors) {
+  delete record.embeddings;
+  if (entries.length === 0) return;
+
+  const embeddings = {};
+  entries.forEach(({ name, many }, i) => {
+    if (many) {
+      (embeddings[name] = embeddings[name] || []).push(vectors[i]);
+    } else {
+      embeddings[name] = vectors[i];
+    }
+  });
+  record.embeddings = embeddings;
+}
+
+export function hasNamedVectors(record) {
+  return Boolean(record && record.embeddings && typeof record.embeddings === 'object' && Object.keys(record.embeddings).length > 0);
+}
+
+export function getVectorNames(record) {
+  return hasNamedVectors(record) ? Object.keys(record.embeddings) : [];
+}
+
+function bestScore(queryVector, vectors) {
+  let best = null;
+  for (const vector of vectors) {
+    if (!Array.isArray(vector) || vector.length !== queryVector.length) continue;
+    const score = cosineSimilarity(queryVector, vector);
+    if (best === null || score > best) best = score;
+  }
+  return best;
+}
+
+// Combines the `content` score with the record's named vectors. Returns null if nothing could be scored.
+export function combineNamedScores(queryVector, record, contentScore, { combine = COMBINE_MODES.MAX, weights = DEFAULT_VECTOR_WEIGHTS } = {}) {
+  const scores = contentScore === null ? [] : [{ name: CONTENT_VECTOR, score: contentScore }];
+  for (const [name, value] of Object.entries(record.embeddings || {})) {
+    const vectors = Array.isArray(value[0]) ? value : [value];
+    const score = bestScore(queryVector, vectors);
+    if (score !== null) scores.push({ name, score });
+  }
+  if (scores.length === 0) return null;
+
+  if (combine === COMBINE_MODES.WEIGHTED) {
+    let total = 0;
+    let weightSum = 0;
+    for (const { name, score } of scores) {
+      const weight = weights[name] ?? 1;
+      total += weight * score;
+      weightSum += weight;
+    }
+    return weightSum === 0 ? null : total / weightSum;
+  }
+  let best = -Infinity;
+  for (const { score } of scores) {
+    if (score > best) best = score;
+  }
+  return best;
+}
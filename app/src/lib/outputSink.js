@@ -0,0 +1,205 @@
+// Where embedded output goes while a file is processed. Finished lines are appended
+// to a sink as they are produced instead of being collected into one Blob:
+//   file:   a file the user picked (File System Access API)
+//   opfs:   the origin private file system, downloaded from there when done
+//   memory: last resort when neither is available
+// Checkpoints (lines consumed, bytes committed, stats) are stored in OPFS next to
+// the output, so a run interrupted by a crash or reload can be resumed.
+export const OUTPUT_TARGETS = {
+  FILE: 'file',
+  OPFS: 'opfs',
+  MEMORY: 'memory'
+};
+
+const OPFS_DIRECTORY = 'kb-embedder';
+const CHECKPOINT_VERSION = 1;
+const encoder = new TextEncoder();
+
+export function supportsFilePicker() {
+  return typeof self.showSaveFilePicker === 'function';
+}
+
+export function supportsOpfs() {
+  return Boolean(self.navigator && self.navigator.storage && self.navigator.storage.getDirectory);
+}
+
+// Stable across reloads, so a re-added input file finds its checkpoint.
+export function getJobKey(file) {
+  return `${file.name}-${file.size}-${file.lastModified}`.replace(/[^\w.-]+/g, '_');
+}
+
+const getOutputName = (jobKey) => `${jobKey}.embedded.jsonl`;
+const getCheckpointName = (jobKey) => `${jobKey}.checkpoint.json`;
+
+async function getOpfsDirectory() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(OPFS_DIRECTORY, { create: true });
+}
+
+// A picked file wins; otherwise OPFS, otherwise memory.
+export function getOutputTarget(jobKey, handle = null) {
+  if (handle) return { type: OUTPUT_TARGETS.FILE, name: handle.name, handle };
+  if (supportsOpfs()) return { type: OUTPUT_TARGETS.OPFS, name: getOutputName(jobKey) };
+  return { type: OUTPUT_TARGETS.MEMORY, name: getOutputName(jobKey), lines: [] };
+}
+
+const toText = (lines) => lines.map(line => line + '\n').join('');
+
+function createMemorySink(target, offset) {
+  target.lines.length = offset;
+  return {
+    async write(lines) {
+      target.lines.push(...lines);
+    },
+    async commit() {
+      return target.lines.length;
+    },
+    async close() {
+      return new Blob([toText(target.lines)], { type: 'application/jsonl' });
+    }
+  };
+}
+
+// OPFS inside a worker: synchronous writes, and flush() makes them durable at once.
+function createSyncSink(handle, access, offset) {
+  if (access.getSize() < offset) {
+    access.close();
+    throw new Error(`Output ${handle.name} is shorter than its checkpoint`);
+  }
+  access.truncate(offset);
+  let position = offset;
+
+  return {
+    async write(lines) {
+      if (lines.length === 0) return;
+      const bytes = encoder.encode(toText(lines));
+      access.write(bytes, { at: position });
+      position += bytes.length;
+    },
+    async commit() {
+      access.flush();
+      return position;
+    },
+    async close() {
+      access.flush();
+      access.close();
+      return handle.getFile();
+    }
+  };
+}
+
+// Writable streams only reach the file on close(), so commit() closes and reopens
+// the stream. The browser copies the file on reopen; commits are kept infrequent.
+async function createWritableSink(handle, offset) {
+  const { size } = await handle.getFile();
+  if (size < offset) {
+    throw new Error(`Output ${handle.name} is shorter than its checkpoint`);
+  }
+  let position = offset;
+  let writable = null;
+  const open = async () => {
+    writable = await handle.createWritable({ keepExistingData: position > 0 });
+    await writable.truncate(position);
+    await writable.seek(position);
+  };
+  await open();
+
+  return {
+    async write(lines) {
+      if (lines.length === 0) return;
+      const bytes = encoder.encode(toText(lines));
+      await writable.write(bytes);
+      position += bytes.length;
+    },
+    async commit() {
+      await writable.close();
+      await open();
+      return position;
+    },
+    async close() {
+      await writable.close();
+      return handle.getFile();
+    }
+  };
+}
+
+// Opens `target` for appending after `offset` (a byte offset, or a line count in
+// memory), dropping anything written after the last commit.
+export async function openOutputSink(target, offset = 0) {
+  if (target.type === OUTPUT_TARGETS.MEMORY) {
+    return createMemorySink(target, offset);
+  }
+  if (target.type === OUTPUT_TARGETS.FILE) {
+    if (!target.handle) {
+      throw new Error(`Choose the output file ${target.name} again to resume`);
+    }
+    return createWritableSink(target.handle, offset);
+  }
+
+  const handle = await (await getOpfsDirectory()).getFileHandle(target.name, { create: true });
+  return handle.createSyncAccessHandle
+    ? createSyncSink(handle, await handle.createSyncAccessHandle(), offset)
+    : createWritableSink(handle, offset);
+}
+
+async function writeOpfsText(name, text) {
+  const handle = await (await getOpfsDirectory()).getFileHandle(name, { create: true });
+  if (handle.createSyncAccessHandle) {
+    const access = await handle.createSyncAccessHandle();
+    try {
+      access.truncate(0);
+      access.write(encoder.encode(text), { at: 0 });
+      access.flush();
+    } finally {
+      access.close();
+    }
+  } else {
+    const writable = await handle.createWritable();
+    await writable.write(text);
+    await writable.close();
+  }
+}
+
+// `checkpoint` is { input, config, output, state }. File handles and in-memory
+// lines cannot be stored, so only the output's type and name are kept.
+export async function saveCheckpoint(jobKey, { input, config, output, state }) {
+  if (!supportsOpfs() || output.type === OUTPUT_TARGETS.MEMORY) return;
+  await writeOpfsText(getCheckpointName(jobKey), JSON.stringify({
+    version: CHECKPOINT_VERSION,
+    input,
+    config,
+    output: { type: output.type, name: output.name },
+    state: { ...state, seenIds: [...state.seenIds] },
+    savedAt: new Date().toISOString()
+  }));
+}
+
+export async function loadCheckpoint(jobKey) {
+  if (!supportsOpfs()) return null;
+  try {
+    const handle = await (await getOpfsDirectory()).getFileHandle(getCheckpointName(jobKey));
+    const checkpoint = JSON.parse(await (await handle.getFile()).text());
+    return checkpoint.version === CHECKPOINT_VERSION ? checkpoint : null;
+  } catch {
+    return null;
+  }
+}
+
+async function removeOpfsEntry(name) {
+  try {
+    await (await getOpfsDirectory()).removeEntry(name);
+  } catch {
+    // Already gone
+  }
+}
+
+export async function deleteCheckpoint(jobKey) {
+  if (supportsOpfs()) await removeOpfsEntry(getCheckpointName(jobKey));
+}
+
+// Frees the checkpoint and the OPFS copy of the output.
+export async function discardJob(jobKey) {
+  if (!supportsOpfs()) return;
+  await removeOpfsEntry(getCheckpointName(jobKey));
+  await removeOpfsEntry(getOutputName(jobKey));
+}
@@ -0,0 +1,318 @@
+// Write-once encoder for Apache Parquet (https://parquet.apache.org/docs/file-format/).
+// Every column chunk is a single v1 data page with PLAIN values, RLE levels and no
+// compression, dictionary or statistics, which every Parquet reader accepts.
+//
+//   buildParquetFile(columns, { rowCount, rowGroupSize, metadata }) -> Uint8Array
+//
+// A column is { name, type, optional, values } with one value per row. Types:
+//   string, double, int64, boolean   scalar columns (null is only allowed when optional)
+//   float_list                       LIST<FLOAT>, e.g. an embedding per row
+//   string_list, double_list,        LIST<STRING> / LIST<DOUBLE> / LIST<INT64>; a list may be
+//   int64_list                       empty, and null when the column is optional
+
+const textEncoder = new TextEncoder();
+const MAGIC = textEncoder.encode('PAR1');
+
+// Thrift compact protocol type ids.
+const T_I32 = 5;
+const T_I64 = 6;
+const T_BINARY = 8;
+const T_LIST = 9;
+const T_STRUCT = 12;
+
+// Parquet enums.
+const PHYSICAL_TYPES = { BOOLEAN: 0, INT64: 2, FLOAT: 4, DOUBLE: 5, BYTE_ARRAY: 6 };
+const REPETITION = { REQUIRED: 0, OPTIONAL: 1, REPEATED: 2 };
+const CONVERTED_UTF8 = 0;
+const CONVERTED_LIST = 3;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_DATA = 0;
+
+const COLUMN_TYPES = {
+  string: PHYSICAL_TYPES.BYTE_ARRAY,
+  double: PHYSICAL_TYPES.DOUBLE,
+  int64: PHYSICAL_TYPES.INT64,
+  boolean: PHYSICAL_TYPES.BOOLEAN,
+  float_list: PHYSICAL_TYPES.FLOAT,
+  string_list: PHYSICAL_TYPES.BYTE_ARRAY,
+  double_list: PHYSICAL_TYPES.DOUBLE,
+  int64_list: PHYSICAL_TYPES.INT64
+};
+
+// Element type of each list column, as encodePlain knows it.
+const LIST_ELEMENT_TYPES = {
+  float_list: 'float',
+  string_list: 'string',
+  double_list: 'double',
+  int64_list: 'int64'
+};
+
+// --- Thrift compact encoding ---
+
+function writeVarint(out, value) {
+  let rest = value;
+  while (rest >= 0x80) {
+    out.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  out.push(rest);
+}
+
+const zigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+function writeValue(out, type, value, elementType) {
+  if (type === T_I32 || type === T_I64) {
+    writeVarint(out, zigzag(value));
+  } else if (type === T_BINARY) {
+    const bytes = typeof value === 'string' ? textEncoder.encode(value) : value;
+    writeVarint(out, bytes.length);
+    for (const byte of bytes) out.push(byte);
+  } else if (type === T_LIST) {
+    if (value.length < 15) {
+      out.push((value.length << 4) | elementType);
+    } else {
+      out.push(0xf0 | elementType);
+      writeVarint(out, value.length);
+    }
+    for (const item of value) writeValue(out, elementType, item);
+  } else if (type === T_STRUCT) {
+    writeStruct(out, value);
+  }
+}
+
+// `fields` is a list of [fieldId, type, value, listElementType]; undefined values are skipped.
+function writeStruct(out, fields) {
+  let lastId = 0;
+  for (const [id, type, value, elementType] of fields) {
+    if (value === undefined) continue;
+    if (id > lastId && id - lastId <= 15) {
+      out.push(((id - lastId) << 4) | type);
+    } else {
+      out.push(type);
+      writeVarint(out, zigzag(id));
+    }
+    lastId = id;
+    writeValue(out, type, value, elementType);
+  }
+  out.push(0);
+}
+
+function encodeStruct(fields) {
+  const out = [];
+  writeStruct(out, fields);
+  return Uint8Array.from(out);
+}
+
+// --- Page data ---
+
+// RLE/bit-packing hybrid with RLE runs only, for levels of bit width 1 or 2 (one byte
+// per run value either way), prefixed by its byte length as data pages v1 expect.
+function encodeLevels(levels) {
+  const out = [0, 0, 0, 0];
+  let start = 0;
+  while (start < levels.length) {
+    let end = start + 1;
+    while (end < levels.length && levels[end] === levels[start]) end++;
+    writeVarint(out, (end - start) * 2);
+    out.push(levels[start]);
+    start = end;
+  }
+  const bytes = Uint8Array.from(out);
+  new DataView(bytes.buffer).setUint32(0, bytes.length - 4, true);
+  return bytes;
+}
+
+function encodePlain(type, values) {
+  if (type === 'string') {
+    const encoded = values.map(value => textEncoder.encode(value));
+    const bytes = new Uint8Array(encoded.reduce((sum, item) => sum + 4 + item.length, 0));
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    for (const item of encoded) {
+      view.setUint32(offset, item.length, true);
+      bytes.set(item, offset + 4);
+      offset += 4 + item.length;
+    }
+    return bytes;
+  }
+  if (type === 'boolean') {
+    const bytes = new Uint8Array(Math.ceil(values.length / 8));
+    values.forEach((value, i) => {
+      if (value) bytes[i >> 3] |= 1 << (i & 7);
+    });
+    return bytes;
+  }
+  const width = type === 'float' ? 4 : 8;
+  const bytes = new Uint8Array(values.length * width);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => {
+    if (type === 'float') view.setFloat32(i * 4, value, true);
+    else if (type === 'double') view.setFloat64(i * 8, value, true);
+    else view.setBigInt64(i * 8, BigInt(value), true);
+  });
+  return bytes;
+}
+
+// Levels of a list column: definition 0 is a null list (optional columns only), the next
+// level an empty list and the highest a list element.
+function encodeListPage(column, values) {
+  const elementLevel = column.optional ? 2 : 1;
+  const repetition = [];
+  const definition = [];
+  const flat = [];
+  for (const list of values) {
+    if (list === null || list === undefined) {
+      if (!column.optional) throw new Error(`Column ${column.name} is required but has missing values`);
+      repetition.push(0);
+      definition.push(0);
+      continue;
+    }
+    if (list.length === 0) {
+      repetition.push(0);
+      definition.push(elementLevel - 1);
+      continue;
+    }
+    for (let i = 0; i < list.length; i++) {
+      repetition.push(i === 0 ? 0 : 1);
+      definition.push(elementLevel);
+      flat.push(list[i]);
+    }
+  }
+  return {
+    parts: [encodeLevels(repetition), encodeLevels(definition), encodePlain(LIST_ELEMENT_TYPES[column.type], flat)],
+    count: repetition.length
+  };
+}
+
+// Returns the page body (levels + values) and the number of level entries.
+function encodeColumnPage(column, values) {
+  if (LIST_ELEMENT_TYPES[column.type]) return encodeListPage(column, values);
+
+  if (!column.optional) {
+    if (values.some(value => value === null || value === undefined)) {
+      throw new Error(`Column ${column.name} is required but has missing values`);
+    }
+    return { parts: [encodePlain(column.type, values)], count: values.length };
+  }
+
+  const present = values.filter(value => value !== null && value !== undefined);
+  const definition = values.map(value => (value === null || value === undefined ? 0 : 1));
+  return { parts: [encodeLevels(definition), encodePlain(column.type, present)], count: values.length };
+}
+
+// --- Schema ---
+
+function schemaElements(columns) {
+  const elements = [[[4, T_BINARY, 'schema'], [5, T_I32, columns.length]]];
+  for (const column of columns) {
+    if (!Object.hasOwn(COLUMN_TYPES, column.type)) {
+      throw new Error(`Unsupported Parquet column type "${column.type}" for ${column.name}`);
+    }
+    const repetition = column.optional ? REPETITION.OPTIONAL : REPETITION.REQUIRED;
+    if (LIST_ELEMENT_TYPES[column.type]) {
+      elements.push([[3, T_I32, repetition], [4, T_BINARY, column.name], [5, T_I32, 1], [6, T_I32, CONVERTED_LIST]]);
+      elements.push([[3, T_I32, REPETITION.REPEATED], [4, T_BINARY, 'list'], [5, T_I32, 1]]);
+      elements.push([
+        [1, T_I32, COLUMN_TYPES[column.type]],
+        [3, T_I32, REPETITION.REQUIRED],
+        [4, T_BINARY, 'element'],
+        [6, T_I32, column.type === 'string_list' ? CONVERTED_UTF8 : undefined]
+      ]);
+    } else {
+      elements.push([
+        [1, T_I32, COLUMN_TYPES[column.type]],
+        [3, T_I32, repetition],
+        [4, T_BINARY, column.name],
+        [6, T_I32, column.type === 'string' ? CONVERTED_UTF8 : undefined]
+      ]);
+    }
+  }
+  return elements;
+}
+
+const columnPath = (column) => (LIST_ELEMENT_TYPES[column.type] ? [column.name, 'list', 'element'] : [column.name]);
+
+// --- File ---
+
+export function buildParquetFile(columns, { rowCount, rowGroupSize = 4096, metadata = {} } = {}) {
+  const schema = schemaElements(columns);
+  const chunks = [MAGIC];
+  let offset = MAGIC.length;
+  const append = (bytes) => {
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+
+  const rowGroups = [];
+  for (let start = 0; start < rowCount; start += rowGroupSize) {
+    const end = Math.min(rowCount, start + rowGroupSize);
+    const columnChunks = [];
+    let groupBytes = 0;
+
+    for (const column of columns) {
+      const { parts, count } = encodeColumnPage(column, column.values.slice(start, end));
+      const pageSize = parts.reduce((sum, part) => sum + part.length, 0);
+      const header = encodeStruct([
+        [1, T_I32, PAGE_DATA],
+        [2, T_I32, pageSize],
+        [3, T_I32, pageSize],
+        [5, T_STRUCT, [[1, T_I32, count], [2, T_I32, ENCODING_PLAIN], [3, T_I32, ENCODING_RLE], [4, T_I32, ENCODING_RLE]]]
+      ]);
+
+      const pageOffset = offset;
+      append(header);
+      parts.forEach(append);
+      const chunkBytes = header.length + pageSize;
+      groupBytes += chunkBytes;
+
+      columnChunks.push([
+        [2, T_I64, pageOffset],
+        [3, T_STRUCT, [
+          [1, T_I32, COLUMN_TYPES[column.type]],
+          [2, T_LIST, [ENCODING_PLAIN, ENCODING_RLE], T_I32],
+          [3, T_LIST, columnPath(column), T_BINARY],
+          [4, T_I32, CODEC_UNCOMPRESSED],
+          [5, T_I64, count],
+          [6, T_I64, chunkBytes],
+          [7, T_I64, chunkBytes],
+          [9, T_I64, pageOffset]
+        ]]
+      ]);
+    }
+
+    rowGroups.push([
+      [1, T_LIST, columnChunks, T_STRUCT],
+      [2, T_I64, groupBytes],
+      [3, T_I64, end - start]
+    ]);
+  }
+
+  const keyValues = Object.entries(metadata).map(([key, value]) => [
+    [1, T_BINARY, key],
+    [2, T_BINARY, typeof value === 'string' ? value : JSON.stringify(value)]
+  ]);
+  const footer = encodeStruct([
+    [1, T_I32, 1],
+    [2, T_LIST, schema, T_STRUCT],
+    [3, T_I64, rowCount],
+    [4, T_LIST, rowGroups, T_STRUCT],
+    [5, T_LIST, keyValues.length > 0 ? keyValues : undefined, T_STRUCT],
+    [6, T_BINARY, 'kb-embedding']
+  ]);
+  append(footer);
+
+  const footerLength = new Uint8Array(4);
+  new DataView(footerLength.buffer).setUint32(0, footer.length, true);
+  append(footerLength);
+  append(MAGIC);
+
+  const bytes = new Uint8Array(offset);
+  let position = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, position);
+    position += chunk.length;
+  }
+  return bytes;
+}
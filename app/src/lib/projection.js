@@ -0,0 +1,351 @@
+// 2D projections of record embeddings for the Map view.
+//   PCA:   the top two principal components (fitPca, also used by reduction.js). A query
+//          vector is projected onto the same axes, so it lands exactly.
+//   t-SNE: exact (O(n²) per iteration) t-SNE started from the PCA layout, run in
+//          workers/projectionWorker.js. It has no transform for new points, so a query
+//          is placed at the similarity-weighted centre of its nearest records.
+import { dotProduct, vectorNorm } from './vectorMath.js';
+
+export const PROJECTION_METHODS = {
+  PCA: 'pca',
+  TSNE: 'tsne'
+};
+
+export const PROJECTION_LABELS = {
+  [PROJECTION_METHODS.PCA]: 'PCA (fast, linear)',
+  [PROJECTION_METHODS.TSNE]: 't-SNE (clusters, slower)'
+};
+
+export const DEFAULT_PERPLEXITY = 30;
+export const DEFAULT_TSNE_ITERATIONS = 500;
+// Exact t-SNE keeps an n×n affinity matrix; beyond this it is too slow and too big
+export const MAX_TSNE_POINTS = 2000;
+const QUERY_NEIGHBOURS = 10;
+const EARLY_EXAGGERATION = 12;
+// Extra directions iterated alongside the wanted PCA components; they speed up convergence
+const PCA_OVERSAMPLE = 10;
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Modified Gram-Schmidt, in place. Directions that collapse to zero (rank-deficient
+// data) stay zero.
+function orthonormalize(basis) {
+  basis.forEach((axis, c) => {
+    for (let previous = 0; previous < c; previous++) {
+      const overlap = dotProduct(axis, basis[previous]);
+      for (let j = 0; j < axis.length; j++) axis[j] -= overlap * basis[previous][j];
+    }
+    const norm = vectorNorm(axis);
+    for (let j = 0; j < axis.length; j++) axis[j] = norm > 1e-12 ? axis[j] / norm : 0;
+  });
+  return basis;
+}
+
+// count × basis.length matrix of the rows' coordinates along each direction.
+function projectBlock(rows, basis) {
+  const size = basis.length;
+  const scores = new Float64Array(rows.length * size);
+  rows.forEach((row, i) => {
+    for (let c = 0; c < size; c++) scores[i * size + c] = dotProduct(row, basis[c]);
+  });
+  return scores;
+}
+
+// Cyclic Jacobi eigen-decomposition of a symmetric size × size matrix (row-major).
+// Returns { values, vectors } with eigenvector c in column c of `vectors`.
+function symmetricEigen(matrix, size) {
+  const a = Float64Array.from(matrix);
+  const v = new Float64Array(size * size);
+  for (let i = 0; i < size; i++) v[i * size + i] = 1;
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    let diagonal = 0;
+    for (let p = 0; p < size; p++) {
+      diagonal += a[p * size + p] * a[p * size + p];
+      for (let q = p + 1; q < size; q++) off += a[p * size + q] * a[p * size + q];
+    }
+    if (off <= 1e-22 * diagonal || off === 0) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        const apq = a[p * size + q];
+        if (Math.abs(apq) < 1e-300) continue;
+        const theta = (a[q * size + q] - a[p * size + p]) / (2 * apq);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < size; k++) {
+          const akp = a[k * size + p];
+          const akq = a[k * size + q];
+          a[k * size + p] = c * akp - s * akq;
+          a[k * size + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < size; k++) {
+          const apk = a[p * size + k];
+          const aqk = a[q * size + k];
+          a[p * size + k] = c * apk - s * aqk;
+          a[q * size + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < size; k++) {
+          const vkp = v[k * size + p];
+          const vkq = v[k * size + q];
+          v[k * size + p] = c * vkp - s * vkq;
+          v[k * size + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: Float64Array.from({ length: size }, (_, i) => a[i * size + i]), vectors: v };
+}
+
+// Returns { mean, axes, explained }; `explained` is each axis' share of the variance.
+// Subspace iteration: a block of `components` + PCA_OVERSAMPLE random directions is
+// repeatedly multiplied by the covariance (without forming it) and re-orthonormalized,
+// then the block's own covariance is diagonalized to split it into principal axes.
+export function fitPca(vectors, { components = 2, iterations = 8, seed = 1 } = {}) {
+  const count = vectors.length;
+  if (count === 0) throw new Error('No vectors to project');
+  const dimension = vectors[0].length;
+  const wanted = Math.min(components, dimension);
+  const size = Math.min(wanted + PCA_OVERSAMPLE, dimension);
+  const random = createRandom(seed);
+
+  const mean = new Float64Array(dimension);
+  for (const vector of vectors) {
+    for (let j = 0; j < dimension; j++) mean[j] += vector[j];
+  }
+  for (let j = 0; j < dimension; j++) mean[j] /= count;
+  const centered = vectors.map(vector => Float64Array.from(vector, (x, j) => x - mean[j]));
+  const totalVariance = centered.reduce((acc, row) => acc + dotProduct(row, row), 0) / count;
+
+  let basis = orthonormalize(Array.from({ length: size }, () => Float64Array.from({ length: dimension }, () => random() - 0.5)));
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // Xᵀ(X·basis) with X the centred vectors
+    const scores = projectBlock(centered, basis);
+    const next = basis.map(() => new Float64Array(dimension));
+    centered.forEach((row, i) => {
+      for (let c = 0; c < size; c++) {
+        const score = scores[i * size + c];
+        const axis = next[c];
+        for (let j = 0; j < dimension; j++) axis[j] += score * row[j];
+      }
+    });
+    basis = orthonormalize(next);
+  }
+
+  const scores = projectBlock(centered, basis);
+  const gram = new Float64Array(size * size);
+  for (let i = 0; i < count; i++) {
+    for (let p = 0; p < size; p++) {
+      const score = scores[i * size + p];
+      for (let q = p; q < size; q++) gram[p * size + q] += score * scores[i * size + q];
+    }
+  }
+  for (let p = 0; p < size; p++) {
+    for (let q = 0; q < p; q++) gram[p * size + q] = gram[q * size + p];
+  }
+  const { values, vectors: rotation } = symmetricEigen(gram, size);
+  const order = Array.from({ length: size }, (_, c) => c)
+    .sort((a, b) => values[b] - values[a])
+    .slice(0, wanted);
+
+  return {
+    mean,
+    axes: order.map(c => {
+      const axis = new Float64Array(dimension);
+      for (let r = 0; r < size; r++) {
+        const weight = rotation[r * size + c];
+        for (let j = 0; j < dimension; j++) axis[j] += weight * basis[r][j];
+      }
+      return axis;
+    }),
+    explained: order.map(c => (totalVariance > 0 ? Math.max(values[c], 0) / count / totalVariance : 0))
+  };
+}
+
+export function projectPca(pca, vector) {
+  return pca.axes.map(axis => {
+    let sum = 0;
+    for (let j = 0; j < axis.length; j++) sum += (vector[j] - pca.mean[j]) * axis[j];
+    return sum;
+  });
+}
+
+function squaredDistances(vectors) {
+  const count = vectors.length;
+  const distances = new Float64Array(count * count);
+  for (let i = 0; i < count; i++) {
+    for (let k = i + 1; k < count; k++) {
+      let sum = 0;
+      const a = vectors[i];
+      const b = vectors[k];
+      for (let j = 0; j < a.length; j++) {
+        const diff = a[j] - b[j];
+        sum += diff * diff;
+      }
+      distances[i * count + k] = sum;
+      distances[k * count + i] = sum;
+    }
+  }
+  return distances;
+}
+
+// Symmetric input affinities; each point's Gaussian width is binary-searched so its
+// neighbourhood has the requested perplexity.
+function computeAffinities(distances, count, perplexity) {
+  const target = Math.log(perplexity);
+  const conditional = new Float64Array(count * count);
+  const row = new Float64Array(count);
+
+  for (let i = 0; i < count; i++) {
+    let beta = 1;
+    let low = -Infinity;
+    let high = Infinity;
+    for (let step = 0; step < 50; step++) {
+      let sum = 0;
+      let weighted = 0;
+      for (let k = 0; k < count; k++) {
+        const p = k === i ? 0 : Math.exp(-distances[i * count + k] * beta);
+        row[k] = p;
+        sum += p;
+        weighted += p * distances[i * count + k];
+      }
+      const entropy = sum > 0 ? Math.log(sum) + beta * weighted / sum : 0;
+      for (let k = 0; k < count; k++) row[k] = sum > 0 ? row[k] / sum : 0;
+      const diff = entropy - target;
+      if (Math.abs(diff) < 1e-5) break;
+      if (diff > 0) {
+        low = beta;
+        beta = high === Infinity ? beta * 2 : (beta + high) / 2;
+      } else {
+        high = beta;
+        beta = low === -Infinity ? beta / 2 : (beta + low) / 2;
+      }
+    }
+    conditional.set(row, i * count);
+  }
+
+  const affinities = new Float64Array(count * count);
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < count; k++) {
+      affinities[i * count + k] = Math.max((conditional[i * count + k] + conditional[k * count + i]) / (2 * count), 1e-12);
+    }
+  }
+  return affinities;
+}
+
+// Returns [[x, y], ...]. `initial` (e.g. the PCA layout) is rescaled to a tiny spread;
+// without it points start at random. `onProgress(iteration, iterations)` is called every
+// 10 iterations and may return true to stop early.
+export function runTsne(vectors, { perplexity = DEFAULT_PERPLEXITY, iterations = DEFAULT_TSNE_ITERATIONS, initial = null, seed = 1, onProgress } = {}) {
+  const count = vectors.length;
+  if (count < 3) return initial ? initial.map(point => [...point]) : vectors.map(() => [0, 0]);
+  if (count > MAX_TSNE_POINTS) {
+    throw new Error(`t-SNE is limited to ${MAX_TSNE_POINTS} points, got ${count}; use PCA`);
+  }
+
+  const affinities = computeAffinities(squaredDistances(vectors), count, Math.min(perplexity, (count - 1) / 3));
+  const random = createRandom(seed);
+  const y = new Float64Array(count * 2);
+  if (initial) {
+    const spread = Math.sqrt(initial.reduce((acc, [a, b]) => acc + a * a + b * b, 0) / (2 * count)) || 1;
+    initial.forEach(([a, b], i) => {
+      y[i * 2] = a / spread * 1e-4;
+      y[i * 2 + 1] = b / spread * 1e-4;
+    });
+  } else {
+    for (let i = 0; i < y.length; i++) y[i] = (random() - 0.5) * 1e-4;
+  }
+
+  const learningRate = Math.max(count / EARLY_EXAGGERATION, 50);
+  const exaggerationEnd = Math.min(250, Math.floor(iterations / 4));
+  const gains = new Float64Array(count * 2).fill(1);
+  const velocity = new Float64Array(count * 2);
+  const q = new Float64Array(count * count);
+  const gradient = new Float64Array(count * 2);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const exaggeration = iteration < exaggerationEnd ? EARLY_EXAGGERATION : 1;
+    const momentum = iteration < exaggerationEnd ? 0.5 : 0.8;
+
+    // Student-t similarities in the embedding
+    let qSum = 0;
+    for (let i = 0; i < count; i++) {
+      for (let k = i + 1; k < count; k++) {
+        const dx = y[i * 2] - y[k * 2];
+        const dy = y[i * 2 + 1] - y[k * 2 + 1];
+        const value = 1 / (1 + dx * dx + dy * dy);
+        q[i * count + k] = value;
+        q[k * count + i] = value;
+        qSum += 2 * value;
+      }
+    }
+
+    gradient.fill(0);
+    for (let i = 0; i < count; i++) {
+      for (let k = 0; k < count; k++) {
+        if (k === i) continue;
+        const value = q[i * count + k];
+        const force = 4 * (exaggeration * affinities[i * count + k] - value / qSum) * value;
+        gradient[i * 2] += force * (y[i * 2] - y[k * 2]);
+        gradient[i * 2 + 1] += force * (y[i * 2 + 1] - y[k * 2 + 1]);
+      }
+    }
+
+    for (let j = 0; j < y.length; j++) {
+      gains[j] = Math.sign(gradient[j]) === Math.sign(velocity[j]) ? gains[j] * 0.8 : gains[j] + 0.2;
+      gains[j] = Math.max(gains[j], 0.01);
+      velocity[j] = momentum * velocity[j] - learningRate * gains[j] * gradient[j];
+      y[j] += velocity[j];
+    }
+
+    // Keep the layout centred
+    for (const offset of [0, 1]) {
+      let mean = 0;
+      for (let i = 0; i < count; i++) mean += y[i * 2 + offset];
+      mean /= count;
+      for (let i = 0; i < count; i++) y[i * 2 + offset] -= mean;
+    }
+
+    if (onProgress && (iteration + 1) % 10 === 0 && onProgress(iteration + 1, iterations)) break;
+  }
+
+  return Array.from({ length: count }, (_, i) => [y[i * 2], y[i * 2 + 1]]);
+}
+
+// Similarity-weighted centre of the query's nearest points, for layouts without a transform.
+export function placeByNeighbours(queryVector, vectors, coords, { k = QUERY_NEIGHBOURS } = {}) {
+  const queryNorm = vectorNorm(queryVector) || 1;
+  const nearest = vectors
+    .map((vector, i) => ({ i, score: dotProduct(queryVector, vector) / (queryNorm * (vectorNorm(vector) || 1)) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+  const weights = nearest.map(({ score }) => Math.max(score, 0) + 1e-6);
+  const total = weights.reduce((acc, w) => acc + w, 0);
+  return [0, 1].map(axis => nearest.reduce((acc, { i }, n) => acc + coords[i][axis] * weights[n], 0) / total);
+}
+
+// Category a record is coloured by. Tags may be an array or a "['a', 'b']" string; the
+// first tag is used.
+export function getColorValue(record, field, fallback = '') {
+  const value = record[field];
+  if (field === 'tags') {
+    const tags = Array.isArray(value)
+      ? value
+      : String(value ?? '').replace(/^\s*\[|\]\s*$/g, '').split(',').map(tag => tag.trim().replace(/^['"]|['"]$/g, ''));
+    return tags.find(tag => String(tag).trim()) || '(no tags)';
+  }
+  if (value == null || value === '') return fallback || `(no ${field})`;
+  return String(value);
+}
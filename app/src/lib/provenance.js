@@ -0,0 +1,105 @@
+// Embedding provenance. Every embedded record carries
+//   embedding_provenance: { provider, model, dimension, normalized, pooling, template, chunking?, reduction?, embedded_at }
+// Vectors are only comparable when model, dimension, pooling and normalization
+// agree; those four form the "vector space" key checked before merging or searching.
+// Reduced vectors (reduction.js) also carry the id of the reduction that made them.
+import { vectorNorm } from './vectorMath.js';
+import { DEFAULT_TEMPLATE_ID } from './templates.js';
+
+const UNIT_NORM_TOLERANCE = 1e-3;
+
+export function isUnitVector(vector) {
+  return Math.abs(vectorNorm(vector) - 1) < UNIT_NORM_TOLERANCE;
+}
+
+// `chunking` is the entry returned by assignChunkedEmbedding, present only for split texts.
+export function createProvenance({ provider, model, pooling = null, template = DEFAULT_TEMPLATE_ID }, vector, chunking = null) {
+  return {
+    provider,
+    model,
+    dimension: vector.length,
+    normalized: isUnitVector(vector),
+    pooling,
+    template,
+    ...(chunking ? { chunking } : {}),
+    embedded_at: new Date().toISOString()
+  };
+}
+
+export function getVectorSpaceKey(provenance) {
+  if (!provenance) return null;
+  const { model, dimension, pooling, normalized, reduction } = provenance;
+  return JSON.stringify(reduction ? [model, dimension, pooling, normalized, reduction.id] : [model, dimension, pooling, normalized]);
+}
+
+export function describeVectorSpace(provenance) {
+  const parts = [`${provenance.model} (${provenance.dimension}d`];
+  if (provenance.reduction) parts.push(`${provenance.reduction.method} from ${provenance.reduction.from}d`);
+  if (provenance.pooling) parts.push(`${provenance.pooling} pooling`);
+  parts.push(provenance.normalized ? 'normalized)' : 'unnormalized)');
+  return parts.join(', ');
+}
+
+// Groups embedded records by vector space. `unknown` counts embedded records
+// written before provenance was recorded.
+export function summarizeProvenance(records, isEmbedded) {
+  const spaces = new Map();
+  const templates = new Set();
+  let unknown = 0;
+
+  for (const record of records) {
+    if (!isEmbedded(record)) continue;
+    const provenance = record.embedding_provenance;
+    const key = getVectorSpaceKey(provenance);
+    if (!key) {
+      unknown++;
+      continue;
+    }
+    if (!spaces.has(key)) {
+      spaces.set(key, { provenance, count: 0 });
+    }
+    spaces.get(key).count++;
+    if (provenance.template) templates.add(provenance.template);
+  }
+
+  return { spaces, templates, unknown };
+}
+
+// `sources` is a list of { name, summary } from summarizeProvenance.
+// Returns errors that must block a merge/search and warnings that should only be shown.
+export function checkProvenance(sources, queryModel = null) {
+  const errors = [];
+  const warnings = [];
+  const allSpaces = new Map();
+
+  for (const { name, summary } of sources) {
+    for (const [key, space] of summary.spaces) {
+      if (!allSpaces.has(key)) allSpaces.set(key, { ...space, sources: [] });
+      allSpaces.get(key).sources.push(name);
+    }
+    if (summary.unknown > 0) {
+      warnings.push(`${name}: ${summary.unknown} record(s) have no embedding provenance; their model cannot be verified.`);
+    }
+  }
+
+  if (allSpaces.size > 1) {
+    const listing = [...allSpaces.values()]
+      .map(space => `${describeVectorSpace(space.provenance)} in ${space.sources.join(', ')}`)
+      .join('; ');
+    errors.push(`Embeddings come from different vector spaces and cannot be compared: ${listing}`);
+  }
+
+  const templates = new Set(sources.flatMap(({ summary }) => [...summary.templates]));
+  if (templates.size > 1) {
+    warnings.push(`Records were embedded with different text templates (${[...templates].join(', ')}).`);
+  }
+
+  if (queryModel) {
+    const documentModels = [...new Set([...allSpaces.values()].map(space => space.provenance.model))];
+    if (documentModels.length > 0 && !documentModels.includes(queryModel)) {
+      warnings.push(`Queries use ${queryModel} but documents were embedded with ${documentModels.join(', ')}; scores will be meaningless.`);
+    }
+  }
+
+  return { errors, warnings };
+}
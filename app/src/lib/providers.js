@@ -0,0 +1,232 @@
+// Embedding provider registry shared by the React app and the Node scripts. Every
+// provider implements the same contract:
+//   embed(texts, settings, { signal }) → one vector per text, in order
+//   capabilities(settings) → { maxBatch, maxTokens, dimension, exactTokens }
+//     maxBatch / dimension are null when only the server knows them
+//   getTokenCounter(settings) → countTokens(text), exact when exactTokens is set
+// `settings` is { provider, model, url } as returned by getProviderSettings, and both
+// entry points build it from the same config shape:
+//   { provider: 'openai', providers: { openai: { url, model }, ... }, maxTokens }
+import { tokenize } from './bm25.js';
+import { createTokenCounter, estimateTokens, DEFAULT_LOCAL_MAX_TOKENS, DEFAULT_API_MAX_TOKENS } from './chunking.js';
+
+export const PROVIDER_NAMES = {
+  TRANSFORMERS: 'transformers',
+  OPENAI: 'openai',
+  OLLAMA: 'ollama',
+  HASH: 'hash'
+};
+
+// Names accepted for backward compatibility (EMBEDDING_PROVIDER=api, the old Remote API mode)
+const PROVIDER_ALIASES = {
+  api: PROVIDER_NAMES.OPENAI,
+  local: PROVIDER_NAMES.TRANSFORMERS
+};
+
+export const DEFAULT_API_URL = 'http://192.168.1.236:9989/v1/embeddings';
+export const DEFAULT_OLLAMA_URL = 'http://localhost:11434/api/embed';
+const DEFAULT_HASH_DIMENSION = 256;
+const OLLAMA_MAX_TOKENS = 2048;
+
+// Non-2xx responses; `status` lets callers retry or split the batch.
+export class ProviderHttpError extends Error {
+  constructor(status, body, retryAfterMs = null) {
+    super(`API Error: ${status}${body ? ` ${body}` : ''}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// `Retry-After` is either seconds or an HTTP date.
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function postJson(url, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new ProviderHttpError(response.status, text, parseRetryAfter(response.headers.get('retry-after')));
+  }
+  return response.json();
+}
+
+const isVector = (value) => Array.isArray(value) && value.length > 0 && value.every(x => typeof x === 'number');
+
+// Accepts the response shapes embedding servers return: OpenAI `data[].embedding`
+// (sorted by `index`), Ollama `embeddings`, a single `embedding`, a list of vectors,
+// or a bare vector for a single input.
+export function parseEmbeddingResponse(data, count) {
+  let vectors = null;
+  if (data && Array.isArray(data.data) && data.data.every(item => item && item.embedding)) {
+    vectors = [...data.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(item => item.embedding);
+  } else if (data && Array.isArray(data.embeddings)) {
+    vectors = data.embeddings;
+  } else if (data && isVector(data.embedding)) {
+    vectors = [data.embedding];
+  } else if (Array.isArray(data) && data.every(isVector)) {
+    vectors = data;
+  } else if (isVector(data)) {
+    vectors = [data];
+  }
+
+  if (!vectors || vectors.length !== count || !vectors.every(isVector)) {
+    throw new Error('Unexpected response format');
+  }
+  return vectors;
+}
+
+// FNV-1a, so the hash provider gives the same vector in every runtime
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// `hash-512` → 512
+function getHashDimension(model) {
+  const match = /^hash-(\d+)$/.exec(model || '');
+  return match ? Number(match[1]) : DEFAULT_HASH_DIMENSION;
+}
+
+// Signed feature hashing of the BM25 tokens and their bigrams, L2-normalized. Texts
+// sharing words score high, which is enough to exercise the pipeline without a model.
+function hashEmbed(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const tokens = tokenize(text);
+  const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+  for (const feature of features) {
+    const hash = hashString(feature);
+    vector[hash % dimension] += (hash & 0x80000000) ? -1 : 1;
+  }
+  const norm = Math.sqrt(vector.reduce((acc, x) => acc + x * x, 0)) || 1;
+  return vector.map(x => x / norm);
+}
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+const PROVIDERS = {
+  [PROVIDER_NAMES.TRANSFORMERS]: {
+    label: 'Local transformers.js',
+    defaults: { model: 'Xenova/all-MiniLM-L6-v2' },
+    pooling: 'mean',
+    capabilities: () => ({ maxBatch: null, maxTokens: DEFAULT_LOCAL_MAX_TOKENS, dimension: null, exactTokens: true }),
+    // Loaded on first use so the other providers work without the model runtime
+    async embed(texts, { model }) {
+      const { embedTextsLocally } = await import('./localEmbedder.js');
+      return embedTextsLocally(texts, model);
+    },
+    async getTokenCounter({ model }) {
+      const { getLocalTokenizer } = await import('./localEmbedder.js');
+      return createTokenCounter(await getLocalTokenizer(model));
+    }
+  },
+  [PROVIDER_NAMES.OPENAI]: {
+    label: 'OpenAI-compatible API',
+    defaults: { url: DEFAULT_API_URL, model: 'Qwen3-Embedding-4B-GGUF' },
+    pooling: null,
+    capabilities: () => ({ maxBatch: null, maxTokens: DEFAULT_API_MAX_TOKENS, dimension: null, exactTokens: false }),
+    async embed(texts, { url, model }, { signal } = {}) {
+      const input = texts.map(text => text.replace(/\n/g, ' '));
+      // A single string keeps servers that do not accept array input working
+      const data = await postJson(url, { model, input: input.length === 1 ? input[0] : input }, signal);
+      return parseEmbeddingResponse(data, texts.length);
+    },
+    getTokenCounter: async () => estimateTokens
+  },
+  [PROVIDER_NAMES.OLLAMA]: {
+    label: 'Ollama',
+    defaults: { url: DEFAULT_OLLAMA_URL, model: 'nomic-embed-text' },
+    pooling: null,
+    capabilities: () => ({ maxBatch: null, maxTokens: OLLAMA_MAX_TOKENS, dimension: null, exactTokens: false }),
+    async embed(texts, { url, model }, { signal } = {}) {
+      const data = await postJson(url, { model, input: texts.map(cleanText) }, signal);
+      return parseEmbeddingResponse(data, texts.length);
+    },
+    getTokenCounter: async () => estimateTokens
+  },
+  [PROVIDER_NAMES.HASH]: {
+    label: 'Hash (offline tests)',
+    defaults: { model: `hash-${DEFAULT_HASH_DIMENSION}` },
+    pooling: null,
+    capabilities: ({ model }) => ({ maxBatch: null, maxTokens: DEFAULT_API_MAX_TOKENS, dimension: getHashDimension(model), exactTokens: true }),
+    embed: async (texts, { model }) => texts.map(text => hashEmbed(text, getHashDimension(model))),
+    getTokenCounter: async () => (text) => tokenize(text).length
+  }
+};
+
+export function normalizeProviderName(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return PROVIDER_ALIASES[key] || key;
+}
+
+export function isProviderName(name) {
+  return Object.hasOwn(PROVIDERS, normalizeProviderName(name));
+}
+
+export function getProvider(name) {
+  const provider = PROVIDERS[normalizeProviderName(name)];
+  if (!provider) {
+    throw new Error(`Unknown embedding provider "${name}", expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+export const PROVIDER_LABELS = Object.fromEntries(Object.entries(PROVIDERS).map(([name, provider]) => [name, provider.label]));
+
+// Per-provider { model, url } defaults, so switching providers keeps each one's settings.
+export function getDefaultProviderConfigs() {
+  return Object.fromEntries(Object.entries(PROVIDERS).map(([name, provider]) => [name, { ...provider.defaults }]));
+}
+
+// Resolves a config to the active provider's { provider, model, url }; blank fields fall back to the defaults.
+export function getProviderSettings(config) {
+  const name = normalizeProviderName(config.provider);
+  const { defaults } = getProvider(name);
+  const own = (config.providers && config.providers[name]) || {};
+  return {
+    provider: name,
+    model: own.model || defaults.model,
+    url: own.url || defaults.url || null
+  };
+}
+
+export function getProviderCapabilities(config) {
+  const settings = getProviderSettings(config);
+  const capabilities = getProvider(settings.provider).capabilities(settings);
+  // `config.maxTokens` overrides the model window
+  const maxTokens = Number.parseInt(config.maxTokens, 10) || capabilities.maxTokens;
+  return { ...capabilities, maxTokens };
+}
+
+export async function embedWithProvider(texts, config, options = {}) {
+  if (texts.length === 0) return [];
+  const settings = getProviderSettings(config);
+  return getProvider(settings.provider).embed(texts, settings, options);
+}
+
+// Resolves to { countTokens(text), maxTokens, exact }.
+export async function getProviderTokenCounter(config) {
+  const settings = getProviderSettings(config);
+  const { maxTokens, exactTokens } = getProviderCapabilities(config);
+  return { countTokens: await getProvider(settings.provider).getTokenCounter(settings), maxTokens, exact: exactTokens };
+}
+
+// Fields for `embedding_provenance`; dimension and normalization are filled in from the vector.
+export function getProviderProvenance(config) {
+  const settings = getProviderSettings(config);
+  return { provider: settings.provider, model: settings.model, pooling: getProvider(settings.provider).pooling };
+}
@@ -0,0 +1,287 @@
+// Compact encodings for stored embeddings. Vectors are L2-normalized before
+// encoding so that quantized dot products approximate cosine similarity.
+//
+// A quantized record replaces `embedding` with
+//   embedding_q: { format, data: <base64>, scale? }
+// and the file-level codebook ({ format, dimension, scales? }) is written to a
+// `.quantization.json` sidecar. Only `int8-dim` needs the sidecar to be searched.
+import { dotProduct, vectorNorm } from './vectorMath.js';
+
+export const QUANTIZATION_FORMATS = {
+  INT8: 'int8',
+  INT8_DIM: 'int8-dim',
+  BINARY: 'binary'
+};
+
+export const QUANTIZATION_LABELS = {
+  [QUANTIZATION_FORMATS.INT8]: 'int8 (per-vector scale)',
+  [QUANTIZATION_FORMATS.INT8_DIM]: 'int8 (per-dimension scale)',
+  [QUANTIZATION_FORMATS.BINARY]: '1-bit binary'
+};
+
+export const RECALL_KS = [1, 5, 10];
+
+const INT8_MAX = 127;
+const POPCOUNT = Uint8Array.from({ length: 256 }, (_, byte) => {
+  let count = 0;
+  for (let b = byte; b; b >>= 1) count += b & 1;
+  return count;
+});
+
+export function isQuantizationFormat(format) {
+  return Object.values(QUANTIZATION_FORMATS).includes(format);
+}
+
+export function getQuantizationSidecarName(fileName) {
+  return `${fileName.replace(/\.jsonl?$/i, '')}.quantization.json`;
+}
+
+export function hasQuantizedEmbedding(record) {
+  return Boolean(record && record.embedding_q && typeof record.embedding_q.data === 'string');
+}
+
+export function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function normalize(vector) {
+  const norm = vectorNorm(vector);
+  return norm === 0 ? Array.from(vector) : Array.from(vector, v => v / norm);
+}
+
+function clampInt8(value) {
+  return Math.max(-INT8_MAX, Math.min(INT8_MAX, Math.round(value)));
+}
+
+function toInt8(vector, scaleAt) {
+  return Int8Array.from(vector, (v, i) => {
+    const scale = scaleAt(i);
+    return scale === 0 ? 0 : clampInt8(v / scale);
+  });
+}
+
+function packBits(vector) {
+  const bytes = new Uint8Array(Math.ceil(vector.length / 8));
+  vector.forEach((v, i) => {
+    if (v > 0) bytes[i >> 3] |= 0x80 >> (i & 7);
+  });
+  return bytes;
+}
+
+function perVectorScale(vector) {
+  let max = 0;
+  for (const v of vector) max = Math.max(max, Math.abs(v));
+  return max / INT8_MAX;
+}
+
+// Builds the file-level codebook. Only `int8-dim` looks at the corpus (to fit one scale per dimension).
+export function fitQuantizer(vectors, format) {
+  if (!isQuantizationFormat(format)) {
+    throw new Error(`Unknown quantization format "${format}"`);
+  }
+
+  const dimension = vectors.length > 0 ? vectors[0].length : 0;
+  const codebook = { format, dimension };
+
+  if (format === QUANTIZATION_FORMATS.INT8_DIM) {
+    const maxAbs = new Array(dimension).fill(0);
+    for (const vector of vectors) {
+      normalize(vector).forEach((v, d) => {
+        maxAbs[d] = Math.max(maxAbs[d], Math.abs(v));
+      });
+    }
+    codebook.scales = maxAbs.map(m => m / INT8_MAX);
+  }
+
+  return codebook;
+}
+
+export function quantizeVector(vector, codebook) {
+  const unit = normalize(vector);
+
+  switch (codebook.format) {
+    case QUANTIZATION_FORMATS.INT8: {
+      const scale = perVectorScale(unit);
+      return { format: codebook.format, scale, data: bytesToBase64(new Uint8Array(toInt8(unit, () => scale).buffer)) };
+    }
+    case QUANTIZATION_FORMATS.INT8_DIM:
+      return { format: codebook.format, data: bytesToBase64(new Uint8Array(toInt8(unit, d => codebook.scales[d]).buffer)) };
+    case QUANTIZATION_FORMATS.BINARY:
+      return { format: codebook.format, data: bytesToBase64(packBits(unit)) };
+    default:
+      throw new Error(`Unknown quantization format "${codebook.format}"`);
+  }
+}
+
+const decodedCache = new WeakMap();
+
+function decodeCodes(encoded) {
+  let codes = decodedCache.get(encoded);
+  if (!codes) {
+    const bytes = base64ToBytes(encoded.data);
+    codes = encoded.format === QUANTIZATION_FORMATS.BINARY ? bytes : new Int8Array(bytes.buffer);
+    decodedCache.set(encoded, codes);
+  }
+  return codes;
+}
+
+function int8Dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += POPCOUNT[a[i] ^ b[i]];
+  }
+  return distance;
+}
+
+// Returns `(encoded) => score` for one query. The query is encoded once and every
+// stored code is scored without dequantizing: int8 x int8 dot products, a
+// scale-weighted dot for per-dimension codes, and 1 - hamming / dimension for bits.
+export function createQuantizedScorer(queryVector, codebook) {
+  const unit = normalize(queryVector);
+
+  switch (codebook.format) {
+    case QUANTIZATION_FORMATS.INT8: {
+      const queryScale = perVectorScale(unit);
+      const queryCodes = toInt8(unit, () => queryScale);
+      return (encoded) => {
+        const codes = decodeCodes(encoded);
+        return codes.length === queryCodes.length ? int8Dot(queryCodes, codes) * queryScale * encoded.scale : null;
+      };
+    }
+    case QUANTIZATION_FORMATS.INT8_DIM: {
+      if (!codebook.scales) {
+        throw new Error('int8-dim embeddings need the per-dimension scales from the .quantization.json sidecar');
+      }
+      const weighted = unit.map((v, d) => v * codebook.scales[d]);
+      return (encoded) => {
+        const codes = decodeCodes(encoded);
+        return codes.length === weighted.length ? dotProduct(weighted, codes) : null;
+      };
+    }
+    case QUANTIZATION_FORMATS.BINARY: {
+      const queryBits = packBits(unit);
+      const dimension = codebook.dimension || unit.length;
+      return (encoded) => {
+        const codes = decodeCodes(encoded);
+        return codes.length === queryBits.length ? 1 - hammingDistance(queryBits, codes) / dimension : null;
+      };
+    }
+    default:
+      throw new Error(`Unknown quantization format "${codebook.format}"`);
+  }
+}
+
+// Distinct question / canonical_question texts, used as a free query set.
+export function getSelfQueries(records) {
+  const seen = new Set();
+  const queries = [];
+  for (const record of records) {
+    for (const text of [record.question, record.canonical_question]) {
+      if (typeof text !== 'string' || !text.trim() || seen.has(text)) continue;
+      seen.add(text);
+      queries.push(text);
+    }
+  }
+  return queries;
+}
+
+function topIndices(scores, k) {
+  return scores
+    .map((score, index) => ({ score, index }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(entry => entry.index);
+}
+
+// recall@k = overlap between quantized and full-precision top-k, averaged over queries.
+export function measureQuantizedRecall(vectors, encoded, codebook, queryVectors, ks = RECALL_KS) {
+  const maxK = Math.max(...ks);
+  const totals = Object.fromEntries(ks.map(k => [k, 0]));
+  const unitVectors = vectors.map(normalize);
+
+  for (const queryVector of queryVectors) {
+    const unitQuery = normalize(queryVector);
+    const exact = topIndices(unitVectors.map(v => dotProduct(unitQuery, v)), maxK);
+    const score = createQuantizedScorer(queryVector, codebook);
+    const approx = topIndices(encoded.map(score), maxK);
+
+    for (const k of ks) {
+      const truth = new Set(exact.slice(0, k));
+      const hits = approx.slice(0, k).filter(index => truth.has(index)).length;
+      totals[k] += truth.size === 0 ? 1 : hits / truth.size;
+    }
+  }
+
+  const recall = {};
+  for (const k of ks) {
+    recall[`@${k}`] = queryVectors.length ? totals[k] / queryVectors.length : null;
+  }
+  return { queries: queryVectors.length, recall };
+}
+
+// Quantizes every record that has a float `embedding`, in place. Returns the codebook and size figures.
+export function quantizeRecords(records, format) {
+  const embedded = records.filter(r => Array.isArray(r.embedding) && r.embedding.length > 0);
+  const vectors = embedded.map(r => r.embedding);
+  const codebook = fitQuantizer(vectors, format);
+  let floatBytes = 0;
+  let quantizedBytes = 0;
+
+  const encoded = embedded.map(record => {
+    const code = quantizeVector(record.embedding, codebook);
+    floatBytes += JSON.stringify(record.embedding).length;
+    quantizedBytes += JSON.stringify(code).length;
+    delete record.embedding;
+    record.embedding_q = code;
+    return code;
+  });
+
+  return { codebook, vectors, encoded, floatBytes, quantizedBytes };
+}
+
+// Quantizes `records` in place and measures recall against full precision.
+// `embedQueries(texts)` must embed with the same model as the records and
+// resolve to one vector (or null) per text.
+export async function quantizeWithReport(records, format, embedQueries) {
+  const { codebook, vectors, encoded, floatBytes, quantizedBytes } = quantizeRecords(records, format);
+  const queryTexts = getSelfQueries(records);
+  const queryVectors = queryTexts.length > 0
+    ? (await embedQueries(queryTexts)).filter(Boolean)
+    : [];
+  const { queries, recall } = measureQuantizedRecall(vectors, encoded, codebook, queryVectors);
+
+  return {
+    codebook,
+    report: {
+      ...codebook,
+      vectors: encoded.length,
+      floatBytes,
+      quantizedBytes,
+      queries,
+      recall
+    }
+  };
+}
@@ -0,0 +1,313 @@
+// Dimension reduction of stored embeddings, as a post-processing step:
+//   truncate: keep the first N dimensions (Matryoshka-trained models such as
+//             Qwen3-Embedding or nomic-embed put the most information up front)
+//   pca:      project onto the corpus' top N principal components (projection.js)
+// Either way the result is L2-normalized again. Queries must be reduced the same way,
+// so the reducer ({ method, from, dimension, mean?, components? }) is written to a
+// `.reduction.json` sidecar that search loads next to the file.
+import { fitPca } from './projection.js';
+import { bytesToBase64, base64ToBytes, getSelfQueries, RECALL_KS } from './quantization.js';
+import { dotProduct, vectorNorm } from './vectorMath.js';
+
+export const REDUCTION_METHODS = {
+  TRUNCATE: 'truncate',
+  PCA: 'pca'
+};
+
+export const REDUCTION_LABELS = {
+  [REDUCTION_METHODS.TRUNCATE]: 'Matryoshka truncation',
+  [REDUCTION_METHODS.PCA]: 'PCA projection'
+};
+
+export const DEFAULT_REDUCTION_DIMENSION = 256;
+// PCA is fitted on an even sample of at most this many vectors
+export const MAX_PCA_FIT_VECTORS = 5000;
+// Subspace iterations for the fit; more barely changes the variance captured but costs
+// a full pass over the sample each
+const PCA_ITERATIONS = 4;
+
+export function isReductionMethod(method) {
+  return Object.values(REDUCTION_METHODS).includes(method);
+}
+
+export function getReductionSidecarName(fileName) {
+  return `${fileName.replace(/\.jsonl?$/i, '')}.reduction.json`;
+}
+
+// "pca:256" / "truncate:512" (EMBEDDING_REDUCE) → { method, dimension }; empty → null.
+export function parseReductionSpec(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const [method, size] = text.split(':');
+  const dimension = Number(size);
+  if (!isReductionMethod(method) || !Number.isInteger(dimension) || dimension <= 0) {
+    throw new Error(`Invalid reduction "${text}"; expected ${Object.values(REDUCTION_METHODS).join('|')}:<dimension>, e.g. pca:256`);
+  }
+  return { method, dimension };
+}
+
+// FNV-1a over the projection, so differently fitted PCA spaces get different ids.
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) hash = Math.imul(hash ^ byte, 0x01000193);
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function evenSample(vectors, limit) {
+  if (vectors.length <= limit) return vectors;
+  const step = vectors.length / limit;
+  return Array.from({ length: limit }, (_, i) => vectors[Math.floor(i * step)]);
+}
+
+// Share of the corpus variance kept by the first `dimension` coordinates, to compare
+// truncation with PCA (whose `explained` is the same figure for its own axes).
+function prefixVariance(vectors, dimension) {
+  const from = vectors[0].length;
+  const mean = new Float64Array(from);
+  for (const vector of vectors) {
+    for (let j = 0; j < from; j++) mean[j] += vector[j] / vectors.length;
+  }
+  let kept = 0;
+  let total = 0;
+  for (const vector of vectors) {
+    for (let j = 0; j < from; j++) {
+      const square = (vector[j] - mean[j]) ** 2;
+      total += square;
+      if (j < dimension) kept += square;
+    }
+  }
+  return total > 0 ? kept / total : 0;
+}
+
+export function fitReducer(vectors, { method, dimension }) {
+  if (!isReductionMethod(method)) {
+    throw new Error(`Unknown reduction method "${method}"`);
+  }
+  if (vectors.length === 0) throw new Error('No embedded records to reduce');
+  const from = vectors[0].length;
+  if (!Number.isInteger(dimension) || dimension <= 0 || dimension >= from) {
+    throw new Error(`Target dimension must be between 1 and ${from - 1} (vectors are ${from}d), got ${dimension}`);
+  }
+  if (vectors.some(vector => vector.length !== from)) {
+    throw new Error('Vectors have mixed dimensions; re-embed the file with one model first');
+  }
+
+  if (method === REDUCTION_METHODS.TRUNCATE) {
+    return { method, id: `truncate-${dimension}`, from, dimension, explained: prefixVariance(vectors, dimension) };
+  }
+
+  const sample = evenSample(vectors, MAX_PCA_FIT_VECTORS);
+  if (sample.length <= dimension) {
+    throw new Error(`PCA to ${dimension} dimensions needs more than ${dimension} vectors, got ${sample.length}; use truncate or a smaller dimension`);
+  }
+  const pca = fitPca(sample, { components: dimension, iterations: PCA_ITERATIONS });
+  const components = new Float32Array(dimension * from);
+  pca.axes.forEach((axis, c) => components.set(axis, c * from));
+  return {
+    method,
+    id: `pca-${hashBytes(new Uint8Array(components.buffer))}`,
+    from,
+    dimension,
+    explained: pca.explained.reduce((acc, share) => acc + share, 0),
+    mean: Float32Array.from(pca.mean),
+    components
+  };
+}
+
+// Reduced, unit-length copy of `vector`; null if it does not have the reducer's input dimension.
+export function reduceVector(reducer, vector) {
+  if (!Array.isArray(vector) && !ArrayBuffer.isView(vector)) return null;
+  if (vector.length !== reducer.from) return null;
+
+  let reduced;
+  if (reducer.method === REDUCTION_METHODS.TRUNCATE) {
+    reduced = Array.from(vector.slice(0, reducer.dimension));
+  } else {
+    const { mean, components, from } = reducer;
+    reduced = new Array(reducer.dimension);
+    for (let c = 0; c < reducer.dimension; c++) {
+      let sum = 0;
+      const offset = c * from;
+      for (let j = 0; j < from; j++) sum += (vector[j] - mean[j]) * components[offset + j];
+      reduced[c] = sum;
+    }
+  }
+  const norm = vectorNorm(reduced);
+  return norm === 0 ? reduced : reduced.map(x => x / norm);
+}
+
+// JSON form of a reducer for the sidecar; the PCA mean and matrix are base64 float32.
+export function serializeReducer(reducer) {
+  const { mean, components, ...rest } = reducer;
+  if (reducer.method !== REDUCTION_METHODS.PCA) return rest;
+  return {
+    ...rest,
+    mean: bytesToBase64(new Uint8Array(mean.buffer, mean.byteOffset, mean.byteLength)),
+    components: bytesToBase64(new Uint8Array(components.buffer, components.byteOffset, components.byteLength))
+  };
+}
+
+// Reverses serializeReducer; extra report fields in the sidecar are kept.
+export function parseReducer(json) {
+  if (!json || !isReductionMethod(json.method) || !json.from || !json.dimension) {
+    throw new Error('Not a reduction sidecar (expected method, from and dimension)');
+  }
+  if (json.method !== REDUCTION_METHODS.PCA) return json;
+  const decode = (base64) => {
+    const bytes = base64ToBytes(base64);
+    return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+  };
+  const reducer = { ...json, mean: decode(json.mean), components: decode(json.components) };
+  if (reducer.mean.length !== reducer.from || reducer.components.length !== reducer.from * reducer.dimension) {
+    throw new Error(`Reduction sidecar is corrupt: expected a ${reducer.dimension}×${reducer.from} projection`);
+  }
+  return reducer;
+}
+
+// Whether `record`'s vectors were produced by `reducer`: its provenance names the
+// reduction or, without provenance, its vector has the reduced size. Keeps a stale
+// sidecar next to a re-embedded full-size file from reducing the queries.
+export function isReducedBy(record, reducer) {
+  const provenance = record && record.embedding_provenance;
+  if (provenance && provenance.model) return Boolean(provenance.reduction) && provenance.reduction.id === reducer.id;
+  return Array.isArray(record.embedding) && record.embedding.length === reducer.dimension;
+}
+
+// Projects one query vector per reducer on demand; a null reducer passes it through.
+export function createQueryReducer(queryVector) {
+  const reduced = new Map();
+  return (reducer) => {
+    if (!reducer) return queryVector;
+    if (!reduced.has(reducer)) reduced.set(reducer, reduceVector(reducer, queryVector));
+    return reduced.get(reducer);
+  };
+}
+
+function reduceOrThrow(reducer, vector) {
+  const reduced = reduceVector(reducer, vector);
+  if (!reduced) {
+    throw new Error(`Found a ${vector.length}d vector in a file reduced from ${reducer.from}d`);
+  }
+  return reduced;
+}
+
+// Replaces every float vector (embedding, chunk and named vectors) with its reduced
+// form, in place. Provenance and fingerprint record the reduction, so the reduced
+// vectors are never compared with or reused as full-dimension ones.
+export function reduceRecords(records, reducer) {
+  let floatBytes = 0;
+  let reducedBytes = 0;
+  let count = 0;
+
+  for (const record of records) {
+    if (!Array.isArray(record.embedding) || record.embedding.length === 0) continue;
+    floatBytes += JSON.stringify(record.embedding).length;
+    record.embedding = reduceOrThrow(reducer, record.embedding);
+    reducedBytes += JSON.stringify(record.embedding).length;
+    count++;
+
+    for (const chunk of record.embedding_chunks || []) {
+      if (Array.isArray(chunk.embedding)) chunk.embedding = reduceOrThrow(reducer, chunk.embedding);
+    }
+    for (const [name, value] of Object.entries(record.embeddings || {})) {
+      record.embeddings[name] = Array.isArray(value[0])
+        ? value.map(vector => reduceOrThrow(reducer, vector))
+        : reduceOrThrow(reducer, value);
+    }
+
+    const reduction = { method: reducer.method, id: reducer.id, from: reducer.from };
+    if (record.embedding_provenance) {
+      record.embedding_provenance = { ...record.embedding_provenance, dimension: reducer.dimension, normalized: true, reduction };
+    }
+    if (record.embedding_fingerprint) {
+      record.embedding_fingerprint = { ...record.embedding_fingerprint, dimension: reducer.dimension, reduction: reducer.id };
+    }
+  }
+
+  return { vectors: count, floatBytes, reducedBytes };
+}
+
+// Self-queries with the indexes of the records they belong to.
+function getOwnedQueries(records) {
+  const owners = new Map(getSelfQueries(records).map(text => [text, new Set()]));
+  records.forEach((record, index) => {
+    for (const text of [record.question, record.canonical_question]) {
+      if (owners.has(text)) owners.get(text).add(index);
+    }
+  });
+  return [...owners].map(([text, indexes]) => ({ text, indexes }));
+}
+
+function rankBy(queryVector, vectors) {
+  return vectors
+    .map((vector, index) => ({ index, score: dotProduct(queryVector, vector) / (vectorNorm(vector) || 1) }))
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.index);
+}
+
+// For each self-query: recall@k = overlap of the reduced top-k with the full-dimension
+// top-k, and hit@k = whether the query's own record is in the top-k, before and after.
+export function measureReductionImpact(fullVectors, reducedVectors, reducer, queries, ks = RECALL_KS) {
+  const maxK = Math.max(...ks);
+  const totals = { recall: {}, full: {}, reduced: {} };
+  for (const k of ks) {
+    totals.recall[k] = 0;
+    totals.full[k] = 0;
+    totals.reduced[k] = 0;
+  }
+
+  let measured = 0;
+  for (const { vector, owners } of queries) {
+    const reducedQuery = reduceVector(reducer, vector);
+    if (!reducedQuery) continue;
+    const norm = vectorNorm(vector) || 1;
+    const exact = rankBy(vector.map(x => x / norm), fullVectors).slice(0, maxK);
+    const approx = rankBy(reducedQuery, reducedVectors).slice(0, maxK);
+    measured++;
+
+    for (const k of ks) {
+      const truth = new Set(exact.slice(0, k));
+      totals.recall[k] += approx.slice(0, k).filter(index => truth.has(index)).length / truth.size;
+      if (exact.slice(0, k).some(index => owners.has(index))) totals.full[k]++;
+      if (approx.slice(0, k).some(index => owners.has(index))) totals.reduced[k]++;
+    }
+  }
+
+  const average = (values) => Object.fromEntries(ks.map(k => [`@${k}`, measured ? values[k] / measured : null]));
+  return {
+    queries: measured,
+    recall: average(totals.recall),
+    hits: { full: average(totals.full), reduced: average(totals.reduced) }
+  };
+}
+
+// Fits a reducer on `records`, reduces them in place and measures the retrieval impact
+// with the records' own questions. `embedQueries(texts)` must embed with the same model
+// as the records and resolve to one vector (or null) per text. The report includes the
+// serialized reducer, so it can be saved as the sidecar.
+export async function reduceWithReport(records, { method, dimension }, embedQueries) {
+  const embedded = records.filter(r => Array.isArray(r.embedding) && r.embedding.length > 0);
+  if (embedded.length === 0) {
+    throw new Error('No float embeddings to reduce; reduce before quantizing');
+  }
+  const fullVectors = embedded.map(r => r.embedding);
+  const reducer = fitReducer(fullVectors, { method, dimension });
+
+  const ownedQueries = getOwnedQueries(embedded);
+  const queryVectors = ownedQueries.length > 0 ? await embedQueries(ownedQueries.map(q => q.text)) : [];
+  const queries = ownedQueries
+    .map(({ indexes }, i) => ({ vector: queryVectors[i], owners: indexes }))
+    .filter(query => query.vector);
+
+  const sizes = reduceRecords(records, reducer);
+  const impact = measureReductionImpact(fullVectors, embedded.map(r => r.embedding), reducer, queries);
+
+  return {
+    reducer,
+    report: {
+      ...serializeReducer(reducer),
+      ...sizes,
+      ...impact
+    }
+  };
+}
@@ -0,0 +1,89 @@
+import { cosineSimilarity } from './vectorMath.js';
+import { createQuantizedScorer, hasQuantizedEmbedding, base64ToBytes, QUANTIZATION_FORMATS } from './quantization.js';
+import { combineNamedScores, hasNamedVectors } from './namedVectors.js';
+
+const defaultGetVector = (item) => item.embedding;
+const defaultGetRecord = (item) => item;
+
+function rankItems(items, scoreItem, topK) {
+  const scored = [];
+
+  for (const item of items) {
+    const score = scoreItem(item);
+    if (score === null) continue;
+    scored.push({ item, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, topK);
+}
+
+// Brute-force cosine ranking. Items whose vector is missing or has a different
+// dimension than the query are skipped rather than scored as 0.
+export function rankByCosine(queryVector, items, { topK = 5, getVector = defaultGetVector } = {}) {
+  return rankItems(items, (item) => {
+    const vector = getVector(item);
+    if (!Array.isArray(vector) || vector.length !== queryVector.length) return null;
+    return cosineSimilarity(queryVector, vector);
+  }, topK);
+}
+
+// Scores a record by whichever representation it carries: a float `embedding`
+// or a quantized `embedding_q`. `codebook` is only required for int8-dim files.
+// Records with `embedding_chunks` score as their best-matching chunk, and records
+// with named `embeddings` combine them with the content score (see namedVectors.js).
+export function createRecordScorer(queryVector, codebook = null, { combine, weights } = {}) {
+  const quantizedScorers = new Map();
+  const getQuantizedScorer = (format) => {
+    if (!quantizedScorers.has(format)) {
+      const effective = codebook && codebook.format === format ? codebook : { format };
+      quantizedScorers.set(format, createQuantizedScorer(queryVector, effective));
+    }
+    return quantizedScorers.get(format);
+  };
+
+  const scoreContent = (record) => {
+    if (hasEmbedding(record)) {
+      if (record.embedding.length !== queryVector.length) return null;
+      let score = cosineSimilarity(queryVector, record.embedding);
+      for (const chunk of record.embedding_chunks || []) {
+        if (chunk.embedding && chunk.embedding.length === queryVector.length) {
+          score = Math.max(score, cosineSimilarity(queryVector, chunk.embedding));
+        }
+      }
+      return score;
+    }
+    if (hasQuantizedEmbedding(record)) {
+      return getQuantizedScorer(record.embedding_q.format)(record.embedding_q);
+    }
+    return null;
+  };
+
+  return (record) => {
+    const score = scoreContent(record);
+    return hasNamedVectors(record)
+      ? combineNamedScores(queryVector, record, score, { combine, weights })
+      : score;
+  };
+}
+
+export function rankRecords(queryVector, items, { topK = 5, getRecord = defaultGetRecord, codebook = null, combine, weights } = {}) {
+  const scoreRecord = createRecordScorer(queryVector, codebook, { combine, weights });
+  return rankItems(items, item => scoreRecord(getRecord(item)), topK);
+}
+
+export function hasEmbedding(record) {
+  return Boolean(record && Array.isArray(record.embedding) && record.embedding.length > 0);
+}
+
+export function hasVector(record) {
+  return hasEmbedding(record) || hasQuantizedEmbedding(record);
+}
+
+export function getRecordDimension(record, codebook = null) {
+  if (hasEmbedding(record)) return record.embedding.length;
+  if (!hasQuantizedEmbedding(record)) return null;
+  if (codebook && codebook.dimension) return codebook.dimension;
+  const byteLength = base64ToBytes(record.embedding_q.data).length;
+  return record.embedding_q.format === QUANTIZATION_FORMATS.BINARY ? byteLength * 8 : byteLength;
+}
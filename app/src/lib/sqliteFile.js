@@ -0,0 +1,255 @@
+// Write-once encoder for the SQLite 3 file format (https://www.sqlite.org/fileformat2.html).
+// It only covers what an export needs: rowid tables filled in rowid order, no indexes,
+// no free pages. The result opens as an ordinary database in sqlite3 and every binding.
+//
+//   buildSqliteDatabase([{ name, sql, rows: [[value, ...], ...] }]) -> Uint8Array
+//
+// Values may be null, numbers, strings or Uint8Array (stored as BLOB).
+
+const PAGE_SIZE = 4096;
+const FILE_HEADER_BYTES = 100;
+const LEAF_TABLE_PAGE = 0x0d;
+const INTERIOR_TABLE_PAGE = 0x05;
+const SQLITE_VERSION_NUMBER = 3045000;
+// The page holding byte 2^30 is reserved for file locks and must stay unused.
+const LOCK_BYTE_PAGE = 0x40000000 / PAGE_SIZE + 1;
+
+// Payload split between a leaf cell and its overflow chain (section 1.6 of the format doc).
+const MAX_LOCAL = PAGE_SIZE - 35;
+const MIN_LOCAL = Math.floor((PAGE_SIZE - 12) * 32 / 255) - 23;
+const OVERFLOW_CHUNK = PAGE_SIZE - 4;
+
+const textEncoder = new TextEncoder();
+const EMPTY = new Uint8Array(0);
+
+// Big-endian base-128 with the high bit as continuation flag; fine below 2^56.
+function varint(value) {
+  const groups = [];
+  let rest = value;
+  do {
+    groups.unshift(rest % 128);
+    rest = Math.floor(rest / 128);
+  } while (rest > 0);
+  return groups.map((group, i) => (i < groups.length - 1 ? group | 0x80 : group));
+}
+
+function encodeNumber(value) {
+  if (Number.isInteger(value) && Number.isSafeInteger(value)) {
+    if (value === 0) return [8, EMPTY];
+    if (value === 1) return [9, EMPTY];
+    if (value >= -128 && value <= 127) return [1, Uint8Array.of(value & 0xff)];
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    if (value >= -0x80000000 && value <= 0x7fffffff) {
+      view.setInt32(0, value);
+      return [4, bytes.subarray(0, 4)];
+    }
+    view.setBigInt64(0, BigInt(value));
+    return [6, bytes];
+  }
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return [7, bytes];
+}
+
+// Record format: header size, one serial type per column, then the column bodies.
+function encodeRecord(values) {
+  const types = [];
+  const bodies = [];
+  for (const value of values) {
+    if (value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value))) {
+      types.push(0);
+      bodies.push(EMPTY);
+    } else if (typeof value === 'number') {
+      const [type, body] = encodeNumber(value);
+      types.push(type);
+      bodies.push(body);
+    } else if (typeof value === 'boolean') {
+      types.push(value ? 9 : 8);
+      bodies.push(EMPTY);
+    } else if (value instanceof Uint8Array) {
+      types.push(12 + value.length * 2);
+      bodies.push(value);
+    } else {
+      const text = textEncoder.encode(String(value));
+      types.push(13 + text.length * 2);
+      bodies.push(text);
+    }
+  }
+
+  const typeBytes = types.flatMap(varint);
+  let headerSize = typeBytes.length + 1;
+  while (varint(headerSize).length + typeBytes.length > headerSize) headerSize++;
+
+  const record = new Uint8Array(headerSize + bodies.reduce((sum, body) => sum + body.length, 0));
+  record.set([...varint(headerSize), ...typeBytes]);
+  let offset = headerSize;
+  for (const body of bodies) {
+    record.set(body, offset);
+    offset += body.length;
+  }
+  return record;
+}
+
+function createPager() {
+  const pages = [null];
+
+  const allocate = () => {
+    if (pages.length + 1 === LOCK_BYTE_PAGE) pages.push(new Uint8Array(PAGE_SIZE));
+    pages.push(new Uint8Array(PAGE_SIZE));
+    return pages.length;
+  };
+
+  // Page 1 is the schema root; it is filled last, once the table roots are known.
+  pages[0] = new Uint8Array(PAGE_SIZE);
+
+  return {
+    allocate,
+    page: (number) => pages[number - 1],
+    get count() { return pages.length; },
+    toBytes() {
+      const bytes = new Uint8Array(pages.length * PAGE_SIZE);
+      pages.forEach((page, i) => bytes.set(page, i * PAGE_SIZE));
+      return bytes;
+    }
+  };
+}
+
+function writeOverflowChain(pager, bytes) {
+  const numbers = Array.from({ length: Math.ceil(bytes.length / OVERFLOW_CHUNK) }, () => pager.allocate());
+  numbers.forEach((number, i) => {
+    const page = pager.page(number);
+    new DataView(page.buffer).setUint32(0, numbers[i + 1] || 0);
+    page.set(bytes.subarray(i * OVERFLOW_CHUNK, (i + 1) * OVERFLOW_CHUNK), 4);
+  });
+  return numbers[0];
+}
+
+function leafCell(pager, rowid, payload) {
+  let local = payload.length;
+  if (local > MAX_LOCAL) {
+    const spill = MIN_LOCAL + ((payload.length - MIN_LOCAL) % OVERFLOW_CHUNK);
+    local = spill <= MAX_LOCAL ? spill : MIN_LOCAL;
+  }
+  const head = [...varint(payload.length), ...varint(rowid)];
+  const cell = new Uint8Array(head.length + local + (local < payload.length ? 4 : 0));
+  cell.set(head);
+  cell.set(payload.subarray(0, local), head.length);
+  if (local < payload.length) {
+    const first = writeOverflowChain(pager, payload.subarray(local));
+    new DataView(cell.buffer).setUint32(cell.length - 4, first);
+  }
+  return cell;
+}
+
+function writeBtreePage(page, headerOffset, type, cells, rightChild = 0) {
+  const view = new DataView(page.buffer);
+  const headerBytes = type === INTERIOR_TABLE_PAGE ? 12 : 8;
+  let contentStart = PAGE_SIZE;
+
+  cells.forEach((cell, i) => {
+    contentStart -= cell.length;
+    page.set(cell, contentStart);
+    view.setUint16(headerOffset + headerBytes + i * 2, contentStart);
+  });
+
+  page[headerOffset] = type;
+  view.setUint16(headerOffset + 1, 0);
+  view.setUint16(headerOffset + 3, cells.length);
+  view.setUint16(headerOffset + 5, contentStart);
+  page[headerOffset + 7] = 0;
+  if (type === INTERIOR_TABLE_PAGE) view.setUint32(headerOffset + 8, rightChild);
+}
+
+const fitsPage = (headerOffset, headerBytes, cellCount, cellBytes) =>
+  headerOffset + headerBytes + cellCount * 2 + cellBytes <= PAGE_SIZE;
+
+// Interior cells are the child page number plus the largest rowid under it.
+function interiorCell(child) {
+  const key = varint(child.maxRowid);
+  const cell = new Uint8Array(4 + key.length);
+  new DataView(cell.buffer).setUint32(0, child.page);
+  cell.set(key, 4);
+  return cell;
+}
+
+// Splits children evenly so that no interior page ends up with a lone right child.
+function writeInteriorLevel(pager, children) {
+  const perPage = Math.floor((PAGE_SIZE - 12) / (2 + 4 + 9)) + 1;
+  const pageCount = Math.ceil(children.length / perPage);
+  const groupSize = Math.ceil(children.length / pageCount);
+  const level = [];
+
+  for (let start = 0; start < children.length; start += groupSize) {
+    const group = children.slice(start, start + groupSize);
+    const right = group[group.length - 1];
+    const number = pager.allocate();
+    writeBtreePage(pager.page(number), 0, INTERIOR_TABLE_PAGE, group.slice(0, -1).map(interiorCell), right.page);
+    level.push({ page: number, maxRowid: right.maxRowid });
+  }
+  return level;
+}
+
+// Returns the root page number of a table holding `rows` with rowids 1..n.
+function writeTable(pager, rows) {
+  const leaves = [];
+  let cells = [];
+  let cellBytes = 0;
+  let rowid = 0;
+
+  const flush = () => {
+    const number = pager.allocate();
+    writeBtreePage(pager.page(number), 0, LEAF_TABLE_PAGE, cells);
+    leaves.push({ page: number, maxRowid: rowid });
+    cells = [];
+    cellBytes = 0;
+  };
+
+  for (const values of rows) {
+    const cell = leafCell(pager, rowid + 1, encodeRecord(values));
+    if (cells.length > 0 && !fitsPage(0, 8, cells.length + 1, cellBytes + cell.length)) flush();
+    rowid++;
+    cells.push(cell);
+    cellBytes += cell.length;
+  }
+  if (cells.length > 0 || leaves.length === 0) flush();
+
+  let level = leaves;
+  while (level.length > 1) level = writeInteriorLevel(pager, level);
+  return level[0].page;
+}
+
+function writeFileHeader(page, pageCount) {
+  const view = new DataView(page.buffer);
+  page.set(textEncoder.encode('SQLite format 3\0'), 0);
+  view.setUint16(16, PAGE_SIZE);
+  page[18] = 1; // write version: legacy (rollback journal)
+  page[19] = 1; // read version
+  page[20] = 0; // reserved bytes per page
+  page[21] = 64;
+  page[22] = 32;
+  page[23] = 32;
+  view.setUint32(24, 1); // file change counter
+  view.setUint32(28, pageCount);
+  view.setUint32(40, 1); // schema cookie
+  view.setUint32(44, 4); // schema format
+  view.setUint32(56, 1); // UTF-8
+  view.setUint32(92, 1); // version-valid-for, matches the change counter
+  view.setUint32(96, SQLITE_VERSION_NUMBER);
+}
+
+export function buildSqliteDatabase(tables) {
+  const pager = createPager();
+  const schemaRows = tables.map(({ name, sql, rows }) => ['table', name, name, writeTable(pager, rows), sql]);
+
+  const schemaCells = schemaRows.map((values, i) => leafCell(pager, i + 1, encodeRecord(values)));
+  const schemaBytes = schemaCells.reduce((sum, cell) => sum + cell.length, 0);
+  if (!fitsPage(FILE_HEADER_BYTES, 8, schemaCells.length, schemaBytes)) {
+    throw new Error('Table definitions do not fit on the schema page');
+  }
+
+  const first = pager.page(1);
+  writeBtreePage(first, FILE_HEADER_BYTES, LEAF_TABLE_PAGE, schemaCells);
+  writeFileHeader(first, pager.count);
+  return pager.toBytes();
+}
@@ -0,0 +1,271 @@
+// Embedding text templates shared by embed_jsonl.js and the React app.
+//
+// A template definition is { label?, template, maxLength? } where `template` is a
+// string or a list of alternative strings. Placeholder syntax:
+//   {{title}}                      field value; arrays are joined with ", "
+//   {{steps.text}}                 dotted paths map over arrays
+//   {{canonical_question || question || "n/a"}}   first non-empty value wins
+//   {{!answer}}                    required: skip this alternative if empty
+//   {{alt_titles | join: "; "}}    filters: join: "<sep>", first: <n>, max: <chars>
+// Alternatives are tried in order and the first one that renders non-empty text
+// (with all required placeholders present) is used. Lines whose placeholders all
+// render empty are dropped, and `maxLength` caps the final text.
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+export const CUSTOM_TEMPLATE_ID = 'custom';
+
+export const BUILTIN_TEMPLATES = {
+  [DEFAULT_TEMPLATE_ID]: {
+    label: 'Dense context, else Q/A, else text',
+    template: ['{{dense_context}}', 'Q: {{!question}}\nA: {{!answer}}', '{{text}}']
+  },
+  qa: {
+    label: 'Canonical question + answer',
+    template: ['Q: {{!canonical_question || question}}\nA: {{!answer}}', '{{dense_context || text}}']
+  },
+  phrasings: {
+    label: 'Title and question phrasings',
+    template: ['{{title}}\n{{canonical_question || question}}\n{{alt_titles | join: "\\n"}}', '{{text}}']
+  },
+  rich: {
+    label: 'Rich RAG record (schema 1.1)',
+    template: [
+      'Title: {{title}}\nQuestion: {{canonical_question || question}}\nAlso asked as: {{alt_titles | join: "; "}}\nTags: {{tags | join: ", "}}\nAnswer: {{answer}}\nSteps: {{summary_steps | join: " | "}}\nPitfalls: {{pitfalls | join: " | "}}',
+      '{{text}}'
+    ],
+    maxLength: 4000
+  }
+};
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const PLACEHOLDER = /\{\{([\s\S]*?)\}\}/g;
+
+// Splits on `separator` outside of double-quoted strings.
+function splitOutsideQuotes(source, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\' && inQuotes) {
+      current += char + (source[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && source.startsWith(separator, i)) {
+      // A lone `|` separates filters; `||` is a fallback and must not be split there.
+      if (separator === '|' && (source[i + 1] === '|' || source[i - 1] === '|')) {
+        current += char;
+        continue;
+      }
+      parts.push(current);
+      current = '';
+      i += separator.length - 1;
+      continue;
+    }
+    current += char;
+  }
+
+  if (inQuotes) {
+    throw new TemplateError(`Unterminated string in "${source}"`);
+  }
+  parts.push(current);
+  return parts.map(part => part.trim());
+}
+
+function parseLiteral(token) {
+  if (/^".*"$/s.test(token)) {
+    try {
+      return JSON.parse(token);
+    } catch {
+      throw new TemplateError(`Invalid string literal ${token}`);
+    }
+  }
+  return null;
+}
+
+function parseFilter(source) {
+  const separator = source.indexOf(':');
+  const name = (separator === -1 ? source : source.slice(0, separator)).trim();
+  const rawArg = separator === -1 ? '' : source.slice(separator + 1).trim();
+
+  switch (name) {
+    case 'join': {
+      const sep = rawArg ? parseLiteral(rawArg) : ', ';
+      if (sep === null) throw new TemplateError(`join expects a quoted separator, got ${rawArg}`);
+      return { name, arg: sep };
+    }
+    case 'first':
+    case 'max': {
+      const n = Number.parseInt(rawArg, 10);
+      if (!Number.isInteger(n) || n < 1) throw new TemplateError(`${name} expects a positive number, got "${rawArg}"`);
+      return { name, arg: n };
+    }
+    default:
+      throw new TemplateError(`Unknown filter "${name}"`);
+  }
+}
+
+function parsePlaceholder(source) {
+  let expression = source.trim();
+  const required = expression.startsWith('!');
+  if (required) expression = expression.slice(1).trim();
+
+  const [head, ...filterSources] = splitOutsideQuotes(expression, '|');
+  const candidates = splitOutsideQuotes(head, '||').map(token => {
+    if (!token) throw new TemplateError(`Empty field in "{{${source}}}"`);
+    const literal = parseLiteral(token);
+    if (literal !== null) return { literal };
+    if (!/^[\w$-]+(\.[\w$-]+)*$/.test(token)) {
+      throw new TemplateError(`Invalid field reference "${token}"`);
+    }
+    return { path: token.split('.') };
+  });
+
+  return { required, candidates, filters: filterSources.map(parseFilter) };
+}
+
+function resolvePath(value, path) {
+  let current = value;
+  for (const key of path) {
+    if (current == null) return undefined;
+    current = Array.isArray(current)
+      ? current.flatMap(item => (item == null ? [] : [item[key]])).filter(v => v != null)
+      : current[key];
+  }
+  return current;
+}
+
+function toText(value, separator = ', ') {
+  if (value == null) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => toText(item, separator)).filter(Boolean).join(separator);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+}
+
+function evaluatePlaceholder(placeholder, record) {
+  for (const candidate of placeholder.candidates) {
+    let value = 'literal' in candidate ? candidate.literal : resolvePath(record, candidate.path);
+    let separator = ', ';
+    let maxChars = null;
+
+    for (const filter of placeholder.filters) {
+      if (filter.name === 'first' && Array.isArray(value)) value = value.slice(0, filter.arg);
+      if (filter.name === 'join') separator = filter.arg;
+      if (filter.name === 'max') maxChars = filter.arg;
+    }
+
+    const text = truncate(toText(value, separator), maxChars);
+    if (text) return text;
+  }
+  return '';
+}
+
+function truncate(text, maxChars) {
+  if (!maxChars || text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxChars * 0.8 ? cut.slice(0, lastSpace) : cut).trimEnd();
+}
+
+function compileAlternative(source) {
+  const lines = source.split('\n').map(line => {
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of line.matchAll(PLACEHOLDER)) {
+      parts.push(line.slice(lastIndex, match.index));
+      parts.push(parsePlaceholder(match[1]));
+      lastIndex = match.index + match[0].length;
+    }
+    parts.push(line.slice(lastIndex));
+    if (parts.some(part => typeof part === 'string' && part.includes('{{'))) {
+      throw new TemplateError(`Unclosed placeholder in "${line}"`);
+    }
+    return parts;
+  });
+
+  return (record) => {
+    const rendered = [];
+    for (const parts of lines) {
+      let hasPlaceholder = false;
+      let hasValue = false;
+      let text = '';
+      for (const part of parts) {
+        if (typeof part === 'string') {
+          text += part;
+          continue;
+        }
+        hasPlaceholder = true;
+        const value = evaluatePlaceholder(part, record);
+        if (part.required && !value) return null;
+        if (value) hasValue = true;
+        text += value;
+      }
+      if (!hasPlaceholder || hasValue) rendered.push(text);
+    }
+    return rendered.join('\n').trim();
+  };
+}
+
+// Parses a definition once and returns `(record) => text`. Throws TemplateError on bad syntax.
+export function compileTemplate(definition) {
+  if (!definition || (typeof definition.template !== 'string' && !Array.isArray(definition.template))) {
+    throw new TemplateError('A template needs a "template" string or list of strings');
+  }
+
+  const sources = Array.isArray(definition.template) ? definition.template : [definition.template];
+  const alternatives = sources.map(compileAlternative);
+  const maxLength = definition.maxLength || null;
+
+  return (record) => {
+    if (!record || typeof record !== 'object') return '';
+    for (const render of alternatives) {
+      const text = render(record);
+      if (text) return truncate(text, maxLength);
+    }
+    return '';
+  };
+}
+
+// `selection` is a template id or an inline template string (anything containing `{{`).
+// Custom definitions (from a config file) take precedence over the built-ins.
+export function resolveTemplate(selection = DEFAULT_TEMPLATE_ID, customTemplates = {}) {
+  if (typeof selection === 'string' && selection.includes('{{')) {
+    return { id: CUSTOM_TEMPLATE_ID, definition: { template: selection } };
+  }
+
+  const id = selection || DEFAULT_TEMPLATE_ID;
+  const definition = (customTemplates && customTemplates[id]) || BUILTIN_TEMPLATES[id];
+  if (!definition) {
+    throw new TemplateError(`Unknown embedding template "${id}"`);
+  }
+  return { id, definition };
+}
+
+// Renders the first `count` records for a preview. Errors are returned, not thrown.
+export function previewTemplate(definition, records, count = 3) {
+  try {
+    const render = compileTemplate(definition);
+    return { error: null, samples: records.slice(0, count).map(record => ({ record, text: render(record) })) };
+  } catch (err) {
+    return { error: err.message, samples: [] };
+  }
+}
+
+// Resolves the app's Settings ({ templateId, customTemplate, templateLibrary }) to { id, definition }.
+export function getConfiguredTemplate({ templateId, customTemplate, templateLibrary } = {}) {
+  if (templateId === CUSTOM_TEMPLATE_ID) {
+    return { id: CUSTOM_TEMPLATE_ID, definition: { template: customTemplate || '' } };
+  }
+  return resolveTemplate(templateId, templateLibrary);
+}
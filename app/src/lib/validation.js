@@ -0,0 +1,242 @@
+// Pre-flight checks for RAG JSONL records. Definitions are keyed by `schema_version`;
+// records without a known version only get the generic checks (parseable JSON object,
+// unique id, non-empty embedding text, related_ids that resolve, confidence in 0..1).
+//
+// Lines are fed one at a time so large files never have to be held in memory:
+//   const validator = createValidator({ getEmbeddingText });
+//   validator.addLine(line, lineNumber, source);
+//   const report = validator.finish();
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+export const VALIDATION_MODES = {
+  OFF: 'off',
+  WARN: 'warn',
+  BLOCK: 'block'
+};
+
+export const VALIDATION_LABELS = {
+  [VALIDATION_MODES.WARN]: 'Warn (review issues, then embed anyway)',
+  [VALIDATION_MODES.BLOCK]: 'Block (skip files with errors)',
+  [VALIDATION_MODES.OFF]: 'Off'
+};
+
+const STRING = 'string';
+const NUMBER = 'number';
+const STRING_LIST = 'string[]';
+const OBJECT_LIST = 'object[]';
+
+export const SCHEMA_DEFINITIONS = {
+  '1.1': {
+    required: ['id', 'document_id', 'type', 'title', 'question', 'answer'],
+    recordTypes: ['CONCEPT', 'GUIDE', 'FAQ'],
+    fields: {
+      id: STRING,
+      document_id: STRING,
+      filename: STRING,
+      doc_version: STRING,
+      doc_language: STRING,
+      type: STRING,
+      title: STRING,
+      intent: STRING,
+      persona: STRING,
+      action_type: STRING,
+      question: STRING,
+      answer: STRING,
+      description: STRING,
+      prerequisites: STRING,
+      inputs: STRING,
+      outputs: STRING,
+      source_page: NUMBER,
+      source_section: STRING,
+      last_updated: STRING,
+      not_about: STRING_LIST,
+      confidence: NUMBER,
+      tags: STRING_LIST,
+      canonical_question: STRING,
+      alt_titles: STRING_LIST,
+      summary_steps: STRING_LIST,
+      validations: STRING_LIST,
+      pitfalls: STRING_LIST,
+      errors: OBJECT_LIST,
+      related_ids: STRING_LIST,
+      steps: OBJECT_LIST,
+      links: OBJECT_LIST,
+      vision_blobs: OBJECT_LIST,
+      summary_block: STRING,
+      concept_block: STRING,
+      steps_block: STRING,
+      risk_block: STRING,
+      qa_block: STRING,
+      dense_context: STRING
+    }
+  },
+  // Section records written by the source converters (ingest.js)
+  'section-1.0': {
+    required: ['id', 'document_id', 'type', 'title', 'text'],
+    recordTypes: ['CONCEPT'],
+    fields: {
+      id: STRING,
+      document_id: STRING,
+      filename: STRING,
+      type: STRING,
+      title: STRING,
+      source_section: STRING,
+      text: STRING,
+      dense_context: STRING
+    }
+  }
+};
+
+export const LATEST_SCHEMA_VERSION = '1.1';
+export const SECTION_SCHEMA_VERSION = 'section-1.0';
+
+// Only the first few issues of each kind are kept; the counts cover all of them.
+const MAX_ISSUES_PER_CODE = 50;
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+function matchesType(value, type) {
+  switch (type) {
+    case STRING:
+      return typeof value === 'string';
+    case NUMBER:
+      return typeof value === 'number' && Number.isFinite(value);
+    case STRING_LIST:
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case OBJECT_LIST:
+      return Array.isArray(value) && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+    default:
+      return true;
+  }
+}
+
+// `getEmbeddingText(record)` is the configured template; without it the empty-text check is skipped.
+export function createValidator({ getEmbeddingText = null } = {}) {
+  const issues = [];
+  const counts = {};
+  const versions = {};
+  const firstSeen = new Map();
+  const relatedRefs = [];
+  let lines = 0;
+  let records = 0;
+  let errors = 0;
+  let warnings = 0;
+
+  const report = (severity, code, message, at = {}) => {
+    counts[code] = (counts[code] || 0) + 1;
+    if (severity === SEVERITY.ERROR) errors++;
+    else warnings++;
+    if (counts[code] <= MAX_ISSUES_PER_CODE) {
+      issues.push({ severity, code, message, source: at.source ?? null, line: at.line ?? null, id: at.id ?? null, field: at.field ?? null });
+    }
+  };
+
+  function checkRecord(record, at) {
+    const version = record.schema_version == null ? null : String(record.schema_version);
+    versions[version ?? 'none'] = (versions[version ?? 'none'] || 0) + 1;
+    const definition = version && SCHEMA_DEFINITIONS[version];
+    if (!version) {
+      report(SEVERITY.WARNING, 'missing_schema_version', 'No schema_version; only generic checks applied', at);
+    } else if (!definition) {
+      report(SEVERITY.WARNING, 'unknown_schema_version', `Unknown schema_version "${version}" (known: ${Object.keys(SCHEMA_DEFINITIONS).join(', ')})`, at);
+    }
+
+    if (isMissing(record.id)) {
+      report(SEVERITY.ERROR, 'missing_id', 'Record has no id', at);
+    } else {
+      const id = String(record.id);
+      if (firstSeen.has(id)) {
+        const first = firstSeen.get(id);
+        report(SEVERITY.ERROR, 'duplicate_id', `Duplicate id, first seen at ${first.source ? `${first.source}:` : 'line '}${first.line}`, at);
+      } else {
+        firstSeen.set(id, at);
+      }
+    }
+
+    if (definition) {
+      for (const field of definition.required) {
+        if (isMissing(record[field])) {
+          report(SEVERITY.ERROR, 'missing_field', `Missing required field "${field}"`, { ...at, field });
+        }
+      }
+      for (const [field, type] of Object.entries(definition.fields)) {
+        if (record[field] != null && !matchesType(record[field], type)) {
+          report(SEVERITY.ERROR, 'wrong_type', `"${field}" should be ${type}`, { ...at, field });
+        }
+      }
+      if (typeof record.type === 'string' && record.type && !definition.recordTypes.includes(record.type)) {
+        report(SEVERITY.WARNING, 'unknown_type', `Unknown type "${record.type}" (expected ${definition.recordTypes.join(', ')})`, { ...at, field: 'type' });
+      }
+    }
+
+    // Versioned records already had their type checked above.
+    const { confidence } = record;
+    if (typeof confidence === 'number' && (confidence < 0 || confidence > 1)) {
+      report(SEVERITY.ERROR, 'confidence_out_of_range', `confidence ${confidence} is outside 0..1`, { ...at, field: 'confidence' });
+    } else if (confidence != null && typeof confidence !== 'number' && !definition) {
+      report(SEVERITY.ERROR, 'wrong_type', '"confidence" should be number', { ...at, field: 'confidence' });
+    }
+
+    if (getEmbeddingText && !getEmbeddingText(record)) {
+      report(SEVERITY.WARNING, 'empty_embedding_text', 'Template renders no text; the record will not get a vector', at);
+    }
+
+    if (Array.isArray(record.related_ids)) {
+      for (const relatedId of record.related_ids) {
+        if (relatedId != null && relatedId !== '') relatedRefs.push({ relatedId: String(relatedId), at });
+      }
+    }
+  }
+
+  return {
+    addLine(line, lineNumber, source = null) {
+      if (!line.trim()) return;
+      lines++;
+      const at = { source, line: lineNumber };
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        report(SEVERITY.ERROR, 'parse_error', `Unparseable JSON: ${err.message}`, at);
+        return;
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        report(SEVERITY.ERROR, 'not_an_object', 'Line is not a JSON object', at);
+        return;
+      }
+      records++;
+      at.id = record.id == null ? null : String(record.id);
+      checkRecord(record, at);
+    },
+
+    // related_ids can point forward, so they are resolved once every line has been seen.
+    finish() {
+      for (const { relatedId, at } of relatedRefs) {
+        if (!firstSeen.has(relatedId)) {
+          report(SEVERITY.WARNING, 'dangling_related_id', `related_ids entry "${relatedId}" matches no record`, { ...at, field: 'related_ids' });
+        }
+      }
+      relatedRefs.length = 0;
+      return { lines, records, errors, warnings, counts, versions, issues };
+    }
+  };
+}
+
+export function describeValidation(report) {
+  if (report.errors === 0 && report.warnings === 0) {
+    return `${report.records} record(s) valid`;
+  }
+  const byCode = Object.entries(report.counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, count]) => `${code} ×${count}`)
+    .join(', ');
+  return `${report.errors} error(s), ${report.warnings} warning(s) in ${report.records} record(s): ${byCode}`;
+}
+
+export function formatIssueLocation(issue) {
+  const place = issue.source ? `${issue.source}:${issue.line}` : `line ${issue.line}`;
+  return issue.id ? `${place} (${issue.id})` : place;
+}
@@ -0,0 +1,167 @@
+// Compact on-disk layout for embedded knowledge files:
+//   <name>.vectors.bin    packed little-endian Float32, one row of `dimension` floats per record
+//   <name>.meta.json      JSON array of the records without their vectors (row i <-> vector i)
+//   <name>.manifest.json  model id, dimension, count, byte offsets and SHA-256 checksums
+import { hasEmbedding } from './search.js';
+import { sha256Hex } from './fingerprint.js';
+import { summarizeProvenance, checkProvenance } from './provenance.js';
+
+export const BUNDLE_FORMAT = 'kb-vector-bundle';
+export const BUNDLE_VERSION = 1;
+export const DEFAULT_OMIT_FIELDS = ['embedding', 'embedding_chunks', 'embeddings', 'vision_blobs'];
+
+const BYTES_PER_FLOAT = Float32Array.BYTES_PER_ELEMENT;
+const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+export function getBundleFileNames(baseName) {
+  return {
+    vectors: `${baseName}.vectors.bin`,
+    metadata: `${baseName}.meta.json`,
+    manifest: `${baseName}.manifest.json`
+  };
+}
+
+export function getBundleBaseName(fileName) {
+  return fileName.replace(/(\.embedded)?\.jsonl?$/i, '');
+}
+
+function slimRecord(record, omitFields) {
+  const slim = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!omitFields.includes(key)) slim[key] = value;
+  }
+  return slim;
+}
+
+// Records without an embedding are left out of the bundle; `skipped` reports how many.
+export async function buildVectorBundle(records, { baseName, modelId = null, omitFields = DEFAULT_OMIT_FIELDS } = {}) {
+  const embedded = records.filter(hasEmbedding);
+  const summary = summarizeProvenance(embedded, hasEmbedding);
+  const { errors } = checkProvenance([{ name: baseName, summary }]);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+  const [space] = summary.spaces.values();
+
+  const dimension = embedded.length > 0 ? embedded[0].embedding.length : 0;
+  const rowBytes = dimension * BYTES_PER_FLOAT;
+  const vectorBytes = new ArrayBuffer(embedded.length * rowBytes);
+  const view = new DataView(vectorBytes);
+
+  embedded.forEach((record, row) => {
+    if (record.embedding.length !== dimension) {
+      throw new Error(`Record ${record.id ?? row} has a ${record.embedding.length}d vector, expected ${dimension}d`);
+    }
+    record.embedding.forEach((value, col) => {
+      view.setFloat32(row * rowBytes + col * BYTES_PER_FLOAT, value, true);
+    });
+  });
+
+  const metadataJson = JSON.stringify(embedded.map(record => slimRecord(record, omitFields)));
+  const files = getBundleFileNames(baseName);
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    model: space ? space.provenance.model : modelId,
+    provenance: space ? space.provenance : null,
+    dimension,
+    count: embedded.length,
+    dtype: 'float32',
+    byteOrder: 'little-endian',
+    vectors: {
+      file: files.vectors,
+      byteOffset: 0,
+      byteLength: vectorBytes.byteLength,
+      rowByteLength: rowBytes,
+      sha256: await sha256Hex(new Uint8Array(vectorBytes))
+    },
+    metadata: {
+      file: files.metadata,
+      byteLength: new TextEncoder().encode(metadataJson).byteLength,
+      sha256: await sha256Hex(metadataJson)
+    },
+    createdAt: new Date().toISOString()
+  };
+
+  return {
+    manifest,
+    vectorBytes,
+    metadataJson,
+    skipped: records.length - embedded.length
+  };
+}
+
+function toFloat32Array(buffer, byteOffset, count) {
+  if (IS_LITTLE_ENDIAN && byteOffset % BYTES_PER_FLOAT === 0) {
+    return new Float32Array(buffer, byteOffset, count);
+  }
+  const view = new DataView(buffer, byteOffset, count * BYTES_PER_FLOAT);
+  return Float32Array.from({ length: count }, (_, i) => view.getFloat32(i * BYTES_PER_FLOAT, true));
+}
+
+// Wraps already-loaded bundle parts. The vectors are a zero-copy view over `vectorBuffer`.
+export function createVectorBundleView(manifest, vectorBuffer, metadata) {
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new Error(`Not a ${BUNDLE_FORMAT} manifest`);
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version ${manifest.version}`);
+  }
+
+  const { dimension, count } = manifest;
+  const { byteOffset, byteLength } = manifest.vectors;
+  if (byteLength !== dimension * count * BYTES_PER_FLOAT || vectorBuffer.byteLength < byteOffset + byteLength) {
+    throw new Error('Vector file size does not match the manifest');
+  }
+  if (metadata.length !== count) {
+    throw new Error(`Metadata has ${metadata.length} records, manifest expects ${count}`);
+  }
+
+  const vectors = toFloat32Array(vectorBuffer, byteOffset, dimension * count);
+  let idIndex = null;
+
+  return {
+    manifest,
+    vectors,
+    metadata,
+    count,
+    dimension,
+    getVector: (index) => vectors.subarray(index * dimension, (index + 1) * dimension),
+    getRecord: (index) => metadata[index],
+    findIndex: (id) => {
+      if (!idIndex) {
+        idIndex = new Map(metadata.map((record, index) => [record.id, index]));
+      }
+      return idIndex.has(id) ? idIndex.get(id) : -1;
+    }
+  };
+}
+
+// Browser loader: `manifestUrl` may be relative to the page.
+export async function loadVectorBundle(manifestUrl, { verifyChecksum = false } = {}) {
+  const base = new URL(manifestUrl, globalThis.location?.href);
+  const fetchOk = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+    return response;
+  };
+
+  const manifest = await (await fetchOk(base)).json();
+  const [vectorBuffer, metadataText] = await Promise.all([
+    fetchOk(new URL(manifest.vectors.file, base)).then(res => res.arrayBuffer()),
+    fetchOk(new URL(manifest.metadata.file, base)).then(res => res.text())
+  ]);
+
+  if (verifyChecksum) {
+    const [vectorHash, metadataHash] = await Promise.all([
+      sha256Hex(new Uint8Array(vectorBuffer)),
+      sha256Hex(metadataText)
+    ]);
+    if (vectorHash !== manifest.vectors.sha256 || metadataHash !== manifest.metadata.sha256) {
+      throw new Error('Bundle checksum mismatch');
+    }
+  }
+
+  return createVectorBundleView(manifest, vectorBuffer, JSON.parse(metadataText));
+}
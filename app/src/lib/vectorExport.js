@@ -0,0 +1,355 @@
+// Exports embedded knowledge to the import formats of common vector databases:
+//   sqlite   <name>.sqlite             `records` table (id, document, payload JSON, embedding
+//                                      BLOB of little-endian float32) plus `named_vectors` and `meta`
+//   qdrant   <name>.qdrant.jsonl       one `{"points": [...]}` upsert body per line
+//            <name>.qdrant.json        collection config (vector size, distance, named vectors)
+//   chroma   <name>.chroma.json        columnar { ids, embeddings, metadatas, documents }
+//   lancedb  <name>.lancedb.jsonl      one row per record: id, vector, payload columns
+//   parquet  <name>.parquet            the same columns as lancedb, vector as LIST<FLOAT>
+//
+// Point ids must be UUIDs for Qdrant, so every format uses the record's `id` when it is a
+// UUID and otherwise a UUID hashed from it; the original then goes to `source_id`.
+import { hasEmbedding } from './search.js';
+import { summarizeProvenance, checkProvenance } from './provenance.js';
+import { DEFAULT_OMIT_FIELDS } from './vectorBundle.js';
+import { NAMED_VECTOR_SPECS, CONTENT_VECTOR } from './namedVectors.js';
+import { stableId } from './ingest.js';
+import { buildSqliteDatabase } from './sqliteFile.js';
+import { buildParquetFile } from './parquetFile.js';
+
+export const EXPORT_FORMATS = {
+  SQLITE: 'sqlite',
+  QDRANT: 'qdrant',
+  CHROMA: 'chroma',
+  LANCEDB: 'lancedb',
+  PARQUET: 'parquet'
+};
+
+export const EXPORT_LABELS = {
+  [EXPORT_FORMATS.SQLITE]: 'SQLite',
+  [EXPORT_FORMATS.QDRANT]: 'Qdrant points',
+  [EXPORT_FORMATS.CHROMA]: 'Chroma',
+  [EXPORT_FORMATS.LANCEDB]: 'LanceDB',
+  [EXPORT_FORMATS.PARQUET]: 'Parquet'
+};
+
+const PAYLOAD_OMIT_FIELDS = [...DEFAULT_OMIT_FIELDS, 'id', 'embedding_q', 'embedding_fingerprint', 'embedding_provenance'];
+const DOCUMENT_FIELDS = ['text', 'dense_context', 'answer'];
+const CHUNKS_VECTOR = 'chunks';
+const QDRANT_BATCH_SIZE = 256;
+const PARQUET_ROW_GROUP_SIZE = 4096;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isExportFormat(value) {
+  return Object.values(EXPORT_FORMATS).includes(value);
+}
+
+export function getExportFileNames(baseName, format) {
+  switch (format) {
+    case EXPORT_FORMATS.SQLITE: return [`${baseName}.sqlite`];
+    case EXPORT_FORMATS.QDRANT: return [`${baseName}.qdrant.jsonl`, `${baseName}.qdrant.json`];
+    case EXPORT_FORMATS.CHROMA: return [`${baseName}.chroma.json`];
+    case EXPORT_FORMATS.LANCEDB: return [`${baseName}.lancedb.jsonl`];
+    case EXPORT_FORMATS.PARQUET: return [`${baseName}.parquet`];
+    default: throw new Error(`Unknown export format "${format}"; expected ${Object.values(EXPORT_FORMATS).join(', ')}`);
+  }
+}
+
+const withoutNulls = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+
+function getDocumentText(record) {
+  const field = DOCUMENT_FIELDS.find(name => typeof record[name] === 'string' && record[name].trim());
+  return field ? record[field] : null;
+}
+
+// Named vectors of array-valued specs (`alt_titles`) and chunk vectors are multi-vectors.
+function getExtraVectors(record) {
+  const vectors = [];
+  for (const [name, value] of Object.entries(record.embeddings || {})) {
+    const many = NAMED_VECTOR_SPECS[name] ? Boolean(NAMED_VECTOR_SPECS[name].each) : Array.isArray(value[0]);
+    const list = many ? value : [value];
+    if (list.length > 0) vectors.push({ name, many, vectors: list });
+  }
+  const chunks = (record.embedding_chunks || []).map(chunk => chunk.embedding).filter(Array.isArray);
+  if (chunks.length > 0) vectors.push({ name: CHUNKS_VECTOR, many: true, vectors: chunks });
+  return vectors;
+}
+
+// Maps records to { id, vector, document, payload, extra } rows. Records without a float
+// embedding are skipped; quantized files have to be exported from their float original.
+async function prepareRows(records, baseName) {
+  const embedded = records.filter(hasEmbedding);
+  const summary = summarizeProvenance(embedded, hasEmbedding);
+  const { errors } = checkProvenance([{ name: baseName, summary }]);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+  if (embedded.length === 0) {
+    throw new Error(`${baseName} has no records with a float embedding to export`);
+  }
+  const [space] = summary.spaces.values();
+  const dimension = embedded[0].embedding.length;
+
+  const seen = new Set();
+  const occurrences = new Map();
+  let derivedIds = 0;
+  const rows = [];
+  for (const [row, record] of embedded.entries()) {
+    if (record.embedding.length !== dimension) {
+      throw new Error(`Record ${record.id ?? row} has a ${record.embedding.length}d vector, expected ${dimension}d`);
+    }
+
+    const sourceId = record.id === undefined || record.id === null ? null : String(record.id);
+    const occurrence = occurrences.get(sourceId) || 0;
+    occurrences.set(sourceId, occurrence + 1);
+    let id = sourceId && UUID_PATTERN.test(sourceId) ? sourceId.toLowerCase() : null;
+    if (!id || seen.has(id)) {
+      // Hashed from the id and its occurrence (or the row when there is no id), so a
+      // re-export of the same file gives the same point ids.
+      id = await stableId(sourceId === null ? `${baseName}\u0000row\u0000${row}` : `${baseName}\u0000${sourceId}\u0000${occurrence}`);
+      derivedIds++;
+    }
+    seen.add(id);
+
+    const payload = {};
+    if (sourceId !== null && sourceId !== id) payload.source_id = sourceId;
+    for (const [key, value] of Object.entries(record)) {
+      if (!PAYLOAD_OMIT_FIELDS.includes(key)) payload[key] = value;
+    }
+
+    rows.push({ id, vector: record.embedding, document: getDocumentText(record), payload, extra: getExtraVectors(record) });
+  }
+
+  return {
+    rows,
+    dimension,
+    provenance: space ? space.provenance : null,
+    derivedIds,
+    skipped: records.length - embedded.length
+  };
+}
+
+// --- Flat columns (Chroma, LanceDB, Parquet) ---
+
+// Chroma metadata only takes scalars, so lists and objects become JSON text there. LanceDB
+// and Parquet keep lists of strings or numbers as list columns (see inferColumns).
+function toScalar(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  return JSON.stringify(value);
+}
+
+const isListType = (type) => type.endsWith('_list');
+
+// Column kind of one payload value; null when missing. An empty list fits any list type,
+// and other lists (mixed, booleans, objects) are stored as JSON text.
+function valueKind(value) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return 'empty_list';
+    if (value.every(item => typeof item === 'string')) return 'string_list';
+    if (value.every(item => Number.isSafeInteger(item))) return 'int64_list';
+    if (value.every(item => typeof item === 'number' && Number.isFinite(item))) return 'double_list';
+    return 'string';
+  }
+  const scalar = toScalar(value);
+  if (scalar === null) return null;
+  if (typeof scalar === 'number') return Number.isInteger(scalar) ? 'int64' : 'double';
+  return typeof scalar;
+}
+
+function columnType(found) {
+  const kinds = [...found];
+  const only = (...allowed) => kinds.length > 0 && kinds.every(kind => allowed.includes(kind));
+  if (only('empty_list', 'string_list')) return 'string_list';
+  if (only('empty_list', 'int64_list')) return 'int64_list';
+  if (only('empty_list', 'int64_list', 'double_list')) return 'double_list';
+  if (only('int64')) return 'int64';
+  if (only('int64', 'double')) return 'double';
+  if (only('boolean')) return 'boolean';
+  return 'string';
+}
+
+// One type per column across all rows, so LanceDB and Parquet see a stable schema.
+function inferColumns(rows) {
+  const kinds = new Map();
+  for (const { payload } of rows) {
+    for (const [key, value] of Object.entries(payload)) {
+      const kind = valueKind(value);
+      if (!kinds.has(key)) kinds.set(key, new Set());
+      if (kind !== null) kinds.get(key).add(kind);
+    }
+  }
+
+  return [...kinds].map(([key, found]) => {
+    const name = key === 'vector' ? 'payload_vector' : key;
+    return { key, name, type: columnType(found) };
+  });
+}
+
+function columnValue(column, value) {
+  if (isListType(column.type)) return Array.isArray(value) ? value : null;
+  const scalar = toScalar(value);
+  if (scalar === null) return null;
+  return column.type === 'string' ? String(scalar) : scalar;
+}
+
+function exportChroma(prepared, baseName) {
+  const { rows, dimension, provenance } = prepared;
+  const metadatas = rows.map(({ payload }) => {
+    const metadata = {};
+    for (const [key, value] of Object.entries(payload)) {
+      const scalar = toScalar(value);
+      if (scalar !== null) metadata[key] = scalar;
+    }
+    return metadata;
+  });
+
+  return JSON.stringify({
+    name: baseName,
+    metadata: withoutNulls({ 'hnsw:space': 'cosine', model: provenance ? provenance.model : null, dimension }),
+    ids: rows.map(row => row.id),
+    embeddings: rows.map(row => row.vector),
+    metadatas,
+    documents: rows.map(row => row.document ?? '')
+  });
+}
+
+function exportLanceDb(prepared) {
+  const columns = inferColumns(prepared.rows);
+  return prepared.rows.map(({ id, vector, payload }) => {
+    const row = { id, vector };
+    for (const column of columns) row[column.name] = columnValue(column, payload[column.key]);
+    return JSON.stringify(row);
+  }).join('\n') + '\n';
+}
+
+function exportParquet(prepared, metadata) {
+  const { rows } = prepared;
+  const columns = [
+    { name: 'id', type: 'string', values: rows.map(row => row.id) },
+    { name: 'vector', type: 'float_list', values: rows.map(row => row.vector) },
+    ...inferColumns(rows).map(column => ({
+      name: column.name,
+      type: column.type,
+      optional: true,
+      values: rows.map(row => columnValue(column, row.payload[column.key]))
+    }))
+  ];
+  return buildParquetFile(columns, { rowCount: rows.length, rowGroupSize: PARQUET_ROW_GROUP_SIZE, metadata });
+}
+
+// --- Qdrant ---
+
+function exportQdrant(prepared) {
+  const { rows, dimension } = prepared;
+  const vectorConfig = { size: dimension, distance: 'Cosine' };
+  const extraNames = new Map();
+  for (const { extra } of rows) {
+    for (const { name, many } of extra) extraNames.set(name, many);
+  }
+
+  // Without extra vectors a single unnamed vector keeps the points compatible with any client.
+  const named = extraNames.size > 0;
+  const collection = {
+    vectors: named
+      ? Object.fromEntries([
+        [CONTENT_VECTOR, vectorConfig],
+        ...[...extraNames].map(([name, many]) => [
+          name,
+          many ? { ...vectorConfig, multivector_config: { comparator: 'max_sim' } } : vectorConfig
+        ])
+      ])
+      : vectorConfig
+  };
+
+  const toPoint = ({ id, vector, payload, extra }) => ({
+    id,
+    vector: named
+      ? Object.fromEntries([[CONTENT_VECTOR, vector], ...extra.map(({ name, many, vectors }) => [name, many ? vectors : vectors[0]])])
+      : vector,
+    payload
+  });
+
+  const lines = [];
+  for (let start = 0; start < rows.length; start += QDRANT_BATCH_SIZE) {
+    lines.push(JSON.stringify({ points: rows.slice(start, start + QDRANT_BATCH_SIZE).map(toPoint) }));
+  }
+  return { points: lines.join('\n') + '\n', collection: JSON.stringify(collection, null, 2) };
+}
+
+// --- SQLite ---
+
+function float32Blob(vector) {
+  const bytes = new Uint8Array(vector.length * Float32Array.BYTES_PER_ELEMENT);
+  const view = new DataView(bytes.buffer);
+  vector.forEach((value, i) => view.setFloat32(i * Float32Array.BYTES_PER_ELEMENT, value, true));
+  return bytes;
+}
+
+function exportSqlite(prepared, metadata) {
+  const { rows } = prepared;
+  const namedRows = rows.flatMap(({ id, extra }) => extra.flatMap(({ name, vectors }) =>
+    vectors.map((vector, position) => [id, name, position, float32Blob(vector)])
+  ));
+
+  return buildSqliteDatabase([
+    {
+      name: 'meta',
+      sql: 'CREATE TABLE meta (key TEXT NOT NULL, value TEXT)',
+      rows: Object.entries(metadata).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+    },
+    {
+      name: 'records',
+      sql: 'CREATE TABLE records (id TEXT NOT NULL, document TEXT, payload TEXT NOT NULL, embedding BLOB NOT NULL)',
+      rows: rows.map(({ id, document, payload, vector }) => [id, document, JSON.stringify(payload), float32Blob(vector)])
+    },
+    {
+      name: 'named_vectors',
+      sql: 'CREATE TABLE named_vectors (record_id TEXT NOT NULL, name TEXT NOT NULL, position INTEGER NOT NULL, embedding BLOB NOT NULL)',
+      rows: namedRows
+    }
+  ]);
+}
+
+// Returns { files: [{ name, data, type }], count, dimension, derivedIds, skipped }, where
+// `data` is a string or Uint8Array ready to be written or wrapped in a Blob.
+export async function exportVectors(records, format, { baseName, modelId = null } = {}) {
+  const fileNames = getExportFileNames(baseName, format);
+  const prepared = await prepareRows(records, baseName);
+  const metadata = withoutNulls({
+    source: baseName,
+    model: prepared.provenance ? prepared.provenance.model : modelId,
+    dimension: prepared.dimension,
+    count: prepared.rows.length,
+    dtype: 'float32',
+    distance: 'cosine',
+    provenance: prepared.provenance,
+    createdAt: new Date().toISOString()
+  });
+
+  let files;
+  if (format === EXPORT_FORMATS.SQLITE) {
+    files = [{ name: fileNames[0], data: exportSqlite(prepared, metadata), type: 'application/vnd.sqlite3' }];
+  } else if (format === EXPORT_FORMATS.QDRANT) {
+    const { points, collection } = exportQdrant(prepared);
+    files = [
+      { name: fileNames[0], data: points, type: 'application/jsonl' },
+      { name: fileNames[1], data: collection, type: 'application/json' }
+    ];
+  } else if (format === EXPORT_FORMATS.CHROMA) {
+    files = [{ name: fileNames[0], data: exportChroma(prepared, baseName), type: 'application/json' }];
+  } else if (format === EXPORT_FORMATS.LANCEDB) {
+    files = [{ name: fileNames[0], data: exportLanceDb(prepared), type: 'application/jsonl' }];
+  } else {
+    files = [{ name: fileNames[0], data: exportParquet(prepared, metadata), type: 'application/vnd.apache.parquet' }];
+  }
+
+  return {
+    files,
+    count: prepared.rows.length,
+    dimension: prepared.dimension,
+    derivedIds: prepared.derivedIds,
+    skipped: prepared.skipped
+  };
+}
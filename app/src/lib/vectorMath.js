@@ -0,0 +1,16 @@
+export function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+export function vectorNorm(vector) {
+  return Math.sqrt(dotProduct(vector, vector));
+}
+
+export function cosineSimilarity(a, b) {
+  const denominator = vectorNorm(a) * vectorNorm(b);
+  return denominator === 0 ? 0 : dotProduct(a, b) / denominator;
+}
@@ -0,0 +1,104 @@
+// Runs JSONL parsing and embedding off the main thread, one file at a time.
+//
+// main -> worker: { type: 'start', jobId, file, cacheFile, config, output, resume, retry }
+//                 { type: 'validate', jobId, file, config }
+//                 { type: 'pause' | 'resume' | 'cancel', jobId }
+// worker -> main: { type: 'progress', jobId, processed, progress }
+//                 { type: 'checkpoint', jobId, checkpoint }
+//                 { type: 'done', jobId, output, processedCount, cachedTexts, refresh, chunking, failures, reduction, annIndex, quantization }
+//                 { type: 'cancelled', jobId, output, checkpoint }  (no checkpoint for a retry)
+//                 { type: 'validated', jobId, report }
+//                 { type: 'error', jobId, error }
+// `output` in replies is the written File (or Blob); checkpoints are also saved to OPFS.
+// `retry` re-processes the failed lines of a finished output (see embedJsonlFile).
+import { embedJsonlFile, validateJsonlFile } from '../lib/embedPipeline.js';
+import { getJobKey, saveCheckpoint, deleteCheckpoint } from '../lib/outputSink.js';
+
+const CONTROL_MESSAGES = ['pause', 'resume', 'cancel'];
+let job = null;
+
+function createJob(jobId) {
+  let paused = false;
+  let cancelled = false;
+  let wake = () => {};
+
+  return {
+    jobId,
+    pause() {
+      paused = true;
+    },
+    resume() {
+      paused = false;
+      wake();
+    },
+    cancel() {
+      cancelled = true;
+      wake();
+    },
+    async checkpoint() {
+      while (paused && !cancelled) {
+        await new Promise(resolve => { wake = resolve; });
+      }
+      return cancelled;
+    }
+  };
+}
+
+async function start({ jobId, file, cacheFile, config, output, resume, retry = null }) {
+  job = createJob(jobId);
+  const jobKey = getJobKey(file);
+  const input = { name: file.name, size: file.size, lastModified: file.lastModified };
+  const createCheckpoint = (state) => ({ input, config, output, state });
+
+  try {
+    const result = await embedJsonlFile({
+      file,
+      cacheFile,
+      config,
+      output,
+      resume,
+      retry,
+      control: job,
+      onProgress: ({ processed, progress }) => self.postMessage({ type: 'progress', jobId, processed, progress }),
+      onCheckpoint: async (state) => {
+        const checkpoint = createCheckpoint(state);
+        self.postMessage({ type: 'checkpoint', jobId, checkpoint });
+        await saveCheckpoint(jobKey, checkpoint);
+      }
+    });
+
+    if (result.status === 'cancelled') {
+      // A cancelled retry leaves the previous output as it was
+      const checkpoint = retry ? null : createCheckpoint(result.state);
+      if (checkpoint) await saveCheckpoint(jobKey, checkpoint);
+      self.postMessage({ type: 'cancelled', jobId, output: result.output, checkpoint });
+    } else {
+      await deleteCheckpoint(jobKey);
+      const { processedCount, cachedTexts, refresh, chunking, failures, reduction, annIndex, quantization } = result;
+      self.postMessage({ type: 'done', jobId, output: result.output, processedCount, cachedTexts, refresh, chunking, failures, reduction, annIndex, quantization });
+    }
+  } catch (err) {
+    console.error(err);
+    self.postMessage({ type: 'error', jobId, error: err.message });
+  } finally {
+    job = null;
+  }
+}
+
+async function validate({ jobId, file, config }) {
+  try {
+    self.postMessage({ type: 'validated', jobId, report: await validateJsonlFile(file, config) });
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, error: err.message });
+  }
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'start') {
+    start(data);
+  } else if (data.type === 'validate') {
+    validate(data);
+  } else if (job && job.jobId === data.jobId && CONTROL_MESSAGES.includes(data.type)) {
+    job[data.type]();
+  }
+};
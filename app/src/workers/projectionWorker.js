@@ -0,0 +1,27 @@
+// Runs t-SNE (lib/projection.js) off the main thread; one job per worker.
+//
+// main -> worker: { type: 'tsne', vectors, dimension, initial, perplexity, iterations }
+//                 `vectors` is one Float32Array of count × dimension values
+// worker -> main: { type: 'progress', iteration, iterations }
+//                 { type: 'done', coords }
+//                 { type: 'error', error }
+import { runTsne } from '../lib/projection.js';
+
+self.onmessage = ({ data }) => {
+  if (data.type !== 'tsne') return;
+  try {
+    const { vectors, dimension, initial, perplexity, iterations } = data;
+    const rows = Array.from({ length: vectors.length / dimension }, (_, i) => vectors.subarray(i * dimension, (i + 1) * dimension));
+    const coords = runTsne(rows, {
+      initial,
+      perplexity,
+      iterations,
+      onProgress: (iteration, total) => {
+        self.postMessage({ type: 'progress', iteration, iterations: total });
+      }
+    });
+    self.postMessage({ type: 'done', coords });
+  } catch (err) {
+    self.postMessage({ type: 'error', error: err.message });
+  }
+};
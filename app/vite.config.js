@@ -4,6 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The embed worker is a module worker and lazy-loads transformers.js, which needs code splitting
+  worker: {
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['@xenova/transformers'],
   }
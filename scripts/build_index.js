@@ -0,0 +1,88 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { buildIndexFile, printIndexReport } = require('./lib/annIndex');
+const { importShared } = require('./lib/shared');
+
+// --- CONFIGURATION ---
+const DEFAULT_K = 10;
+const DEFAULT_SAMPLE = 200;
+
+const USAGE = `
+Usage: node scripts/build_index.js <embedded.jsonl> [options]
+
+Builds an HNSW approximate nearest-neighbour index over the file's embeddings and writes
+it next to the file as <name>.hnsw.bin, then reports its size and recall@k versus exact
+search. Search it with: node scripts/search_jsonl.js "<query>" <embedded.jsonl> --ann
+
+Options:
+  --m <n>                 Links per node (default 16; more = better recall, bigger index)
+  --ef-construction <n>   Candidates considered while linking (default 100)
+  --ef <n>                Query-time candidates to report recall for (default 64)
+  --k <n>                 k for recall@k (default ${DEFAULT_K})
+  --sample <n>            Vectors used as recall queries (default ${DEFAULT_SAMPLE})
+  --out <file>            Index path (default <name>.hnsw.bin next to the input)
+
+Example: node scripts/build_index.js jsonl/fa.embedded.jsonl --m 24 --ef 128
+`;
+
+const parsePositiveInt = (values, name) => {
+    if (values[name] === undefined) return undefined;
+    const value = Number.parseInt(values[name], 10);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`--${name} must be a positive integer, got "${values[name]}"`);
+    }
+    return value;
+};
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    let options;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                m: { type: 'string' },
+                'ef-construction': { type: 'string' },
+                ef: { type: 'string' },
+                k: { type: 'string', default: String(DEFAULT_K) },
+                sample: { type: 'string', default: String(DEFAULT_SAMPLE) },
+                out: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+        options = {
+            m: parsePositiveInt(values, 'm'),
+            efConstruction: parsePositiveInt(values, 'ef-construction'),
+            ef: parsePositiveInt(values, 'ef'),
+            k: parsePositiveInt(values, 'k'),
+            sample: parsePositiveInt(values, 'sample'),
+            outputFile: values.out
+        };
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    const [inputFile] = positionals;
+    if (values.help || !inputFile) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+    if (!fs.existsSync(inputFile)) {
+        console.error(`❌ Error: Input file not found at ${inputFile}`);
+        process.exit(1);
+    }
+
+    const { DEFAULT_M, DEFAULT_EF_CONSTRUCTION } = await importShared('hnsw.js');
+    console.log(`\n🕸️  Building HNSW index for ${inputFile} (M ${options.m || DEFAULT_M}, efConstruction ${options.efConstruction || DEFAULT_EF_CONSTRUCTION})...`);
+    try {
+        const { report, indexPath } = await buildIndexFile(inputFile, options);
+        printIndexReport(report, indexPath);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+})();
@@ -1,30 +1,57 @@
 const fs = require('fs');
-const readline = require('readline');
 const path = require('path');
+const {
+    describeProvider,
+    getProvenanceBase,
+    getTokenCounter,
+    fetchEmbeddings
+} = require('./lib/embedding');
+const { quantizeFile, printQuantizationReport, loadCodebook } = require('./lib/quantize');
+const { reduceFile, printReductionReport, loadReducer } = require('./lib/reduce');
+const { readJsonlRecords, readLines } = require('./lib/jsonl');
+const { isRetryableError } = require('./lib/retry');
+const { importShared } = require('./lib/shared');
+const { loadEmbeddingTemplate } = require('./lib/templates');
+const { createBatchQueue } = require('./lib/batchQueue');
+const { validateJsonlFiles, printValidationReport } = require('./lib/validation');
+const { buildIndexFile, printIndexReport } = require('./lib/annIndex');
+const { convertSourceFile, isSourceFile } = require('./lib/ingest');
 
 // --- CONFIGURATION ---
-// You can override these with environment variables
-const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'transformers').toLowerCase();
-const API_URL = process.env.EMBEDDING_API_URL || 'http://192.168.1.236:9989/v1/embeddings';
-const MODEL_NAME = process.env.EMBEDDING_MODEL || 'Qwen3-Embedding-4B-GGUF';
-const TRANSFORMER_MODEL = process.env.TRANSFORMER_MODEL || 'Xenova/all-MiniLM-L6-v2';
-const CONCURRENCY = 1; // Keep 1 for sequential processing to avoid overwhelming local LLMs
+// Provider settings (EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_API_URL, ...) live in ./lib/embedding.js
+// Texts per API request and requests in flight. Retries/timeouts: EMBEDDING_MAX_RETRIES, EMBEDDING_TIMEOUT_MS
+const BATCH_SIZE = Math.max(1, Number.parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 16);
+const CONCURRENCY = Math.max(1, Number.parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || 2);
+const QUANTIZE = (process.env.EMBEDDING_QUANTIZE || '').toLowerCase(); // int8 | int8-dim | binary
+// Dimension reduction after embedding (see scripts/reduce_jsonl.js), e.g. pca:256 or truncate:512
+const REDUCE = (process.env.EMBEDDING_REDUCE || '').toLowerCase();
+// Previous embedded output to reuse vectors from. Defaults to the existing output file.
+const CACHE_FILE = process.env.EMBEDDING_CACHE || '';
+// Embedding text template: EMBEDDING_TEMPLATE / EMBEDDING_TEMPLATE_CONFIG, see ./lib/templates.js
+// Over-length texts: off (model truncates) | pool (one pooled vector) | multi (keep every chunk vector)
+const CHUNKING = (process.env.EMBEDDING_CHUNKING || 'off').toLowerCase();
+const CHUNK_OVERLAP = Number.parseInt(process.env.EMBEDDING_CHUNK_OVERLAP, 10) || 32;
+const OVER_LIMIT_LISTED = 10;
+// Extra named vectors per record, e.g. "question,alt_titles" (see app/src/lib/namedVectors.js)
+const NAMED_VECTORS = process.env.EMBEDDING_VECTORS || '';
+// Schema pre-flight (see scripts/validate_jsonl.js): warn (report and continue) | strict (stop on errors) | off
+const VALIDATE = (process.env.EMBEDDING_VALIDATE || 'warn').toLowerCase();
+const VALIDATION_ISSUES_LISTED = 10;
+// Nearest-neighbour index written next to the output (see scripts/build_index.js): hnsw | off
+const INDEX = (process.env.EMBEDDING_INDEX || 'off').toLowerCase();
+// 1: re-process only the lines listed in the output's .errors.jsonl and patch their rows.
+// Run with the same settings as the run that wrote the output.
+const RETRY_FAILED = ['1', 'true'].includes((process.env.EMBEDDING_RETRY_FAILED || '').toLowerCase());
+const FAILURES_LISTED = 10;
 
 // --- PATHS ---
 const DEFAULT_INPUT = path.join(__dirname, '../jsonl/knowledge.jsonl');
 const DEFAULT_OUTPUT = path.join(__dirname, '../jsonl/knowledge.embedded.jsonl');
 
-const getEmbeddingText = (record) => {
-    if (!record || typeof record !== 'object') return '';
-    if (record.dense_context) return record.dense_context;
-    if (record.question && record.answer) {
-        return `Q: ${record.question}\nA: ${record.answer}`;
-    }
-    return record.text || '';
-};
-
-const inputFile = process.argv[2] || DEFAULT_INPUT;
+// Markdown, text, CSV and HTML sources are converted to <name>_rag.jsonl next to the output first
+let inputFile = process.argv[2] || DEFAULT_INPUT;
 const outputFile = process.argv[3] || DEFAULT_OUTPUT;
+const cacheFile = CACHE_FILE || (fs.existsSync(outputFile) && path.resolve(outputFile) !== path.resolve(inputFile) ? outputFile : '');
 
 // --- MAIN ---
 (async () => {
@@ -32,13 +59,46 @@ const outputFile = process.argv[3] || DEFAULT_OUTPUT;
     console.log(`========================================`);
     console.log(`📂 Input:   ${inputFile}`);
     console.log(`📂 Output:  ${outputFile}`);
-    console.log(`⚙️  Mode:    ${EMBEDDING_PROVIDER === 'transformers' ? 'MiniLM (local @xenova/transformers)' : 'Remote API'}`);
-    if (EMBEDDING_PROVIDER === 'transformers') {
-        console.log(`🧠 Model:   ${TRANSFORMER_MODEL}`);
-    } else {
-        console.log(`🔌 API:     ${API_URL}`);
-        console.log(`🧠 Model:   ${MODEL_NAME}`);
+    let provider;
+    try {
+        provider = await describeProvider();
+    } catch (err) {
+        console.error(`❌ Error: ${err.message}`);
+        process.exit(1);
+    }
+    console.log(`⚙️  Mode:    ${provider.mode}`);
+    console.log(`🧠 Model:   ${provider.model}`);
+    if (provider.apiUrl) {
+        console.log(`🔌 API:     ${provider.apiUrl}`);
+        console.log(`📦 Batches: ${BATCH_SIZE} texts, ${CONCURRENCY} in flight`);
+    }
+    if (REDUCE) {
+        console.log(`📉 Reduce:  ${REDUCE}`);
+    }
+    if (QUANTIZE) {
+        console.log(`🗜️  Quantize: ${QUANTIZE}`);
+    }
+    if (INDEX !== 'off') {
+        console.log(`🕸️  Index:   ${INDEX}`);
+    }
+    if (cacheFile) {
+        console.log(`♻️  Cache:   ${cacheFile}`);
+    }
+    if (CHUNKING !== 'off') {
+        console.log(`✂️  Chunking: ${CHUNKING} (overlap ${CHUNK_OVERLAP} tokens)`);
+    }
+    if (NAMED_VECTORS) {
+        console.log(`🏷️  Vectors: content,${NAMED_VECTORS}`);
+    }
+
+    let template;
+    try {
+        template = await loadEmbeddingTemplate();
+    } catch (err) {
+        console.error(`❌ Error: ${err.message}`);
+        process.exit(1);
     }
+    console.log(`📝 Template: ${template.id}`);
     console.log(`========================================\n`);
 
     if (!fs.existsSync(inputFile)) {
@@ -48,140 +108,331 @@ const outputFile = process.argv[3] || DEFAULT_OUTPUT;
         process.exit(1);
     }
 
-    const outputStream = fs.createWriteStream(outputFile, { flags: 'w' });
-    const fileStream = fs.createReadStream(inputFile);
-    const rl = readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity
-    });
+    if (await isSourceFile(inputFile)) {
+        try {
+            const { outputPath, format, records } = await convertSourceFile(inputFile, { outputDir: path.dirname(outputFile) });
+            console.log(`📥 Converted ${format} source to ${records.length} record(s): ${outputPath}\n`);
+            inputFile = outputPath;
+        } catch (err) {
+            console.error(`❌ Error: ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    let reduction = null;
+    try {
+        const { parseReductionSpec } = await importShared('reduction.js');
+        reduction = parseReductionSpec(REDUCE);
+    } catch (err) {
+        console.error(`❌ Error: EMBEDDING_REDUCE: ${err.message}`);
+        process.exit(1);
+    }
+    if (!['hnsw', 'off'].includes(INDEX)) {
+        console.error(`❌ Error: Unknown EMBEDDING_INDEX "${INDEX}", expected hnsw or off`);
+        process.exit(1);
+    }
+    if (!['warn', 'strict', 'off'].includes(VALIDATE)) {
+        console.error(`❌ Error: Unknown EMBEDDING_VALIDATE "${VALIDATE}", expected warn, strict or off`);
+        process.exit(1);
+    }
+
+    const {
+        FAILURE_STAGES,
+        getErrorsSidecarName,
+        parseRecordLine,
+        createFailure,
+        serializeFailures,
+        parseFailures,
+        summarizeFailures,
+        describeFailures,
+        alignWithOutput,
+        createRetryFinisher
+    } = await importShared('failures.js');
+    const errorsFile = path.join(path.dirname(outputFile), getErrorsSidecarName(path.basename(outputFile)));
+
+    // A retry embeds the failed lines again and copies every other row from the output.
+    // Reduced or quantized outputs get their own reducer / codebook applied to the new rows.
+    let retryLines = null;
+    let finishRetried = null;
+    if (RETRY_FAILED) {
+        if (!fs.existsSync(outputFile) || !fs.existsSync(errorsFile)) {
+            console.error(`❌ Error: Nothing to retry: ${errorsFile} not found`);
+            process.exit(1);
+        }
+        try {
+            retryLines = new Set(parseFailures(fs.readFileSync(errorsFile, 'utf8')).map(failure => failure.line));
+            const reducer = reduction ? await loadReducer(outputFile) : null;
+            if (reduction && !reducer) throw new Error(`EMBEDDING_REDUCE is set but ${outputFile} has no reduction sidecar`);
+            const codebook = QUANTIZE ? await loadCodebook(outputFile) : null;
+            if (QUANTIZE && !codebook) throw new Error(`EMBEDDING_QUANTIZE is set but ${outputFile} has no quantization sidecar`);
+            finishRetried = createRetryFinisher({ reducer, codebook });
+        } catch (err) {
+            console.error(`❌ Error: ${err.message}`);
+            process.exit(1);
+        }
+        console.log(`🔁 Retrying ${retryLines.size} failed line(s) from ${errorsFile}\n`);
+    }
+
+    if (VALIDATE !== 'off') {
+        const report = await validateJsonlFiles([inputFile], { render: template.render });
+        await printValidationReport(report, { maxIssues: VALIDATION_ISSUES_LISTED });
+        if (VALIDATE === 'strict' && report.errors > 0) {
+            console.error(`❌ Stopping before embedding: fix the errors above or set EMBEDDING_VALIDATE=warn`);
+            process.exit(1);
+        }
+        console.log('');
+    }
+
+    const {
+        sha256Hex,
+        createFingerprint,
+        buildEmbeddingCache,
+        reuseCachedEmbedding,
+        clearEmbedding,
+        createRefreshStats,
+        countRemovedRecords
+    } = await importShared('fingerprint.js');
+    const { createProvenance } = await importShared('provenance.js');
+    const {
+        isChunkingMode,
+        planChunks,
+        getChunkTexts,
+        getChunkingKey,
+        assignChunkedEmbedding,
+        createChunkingStats,
+        addChunkingStats,
+        describeChunkingStats
+    } = await importShared('chunking.js');
+    if (!isChunkingMode(CHUNKING)) {
+        console.error(`❌ Error: Unknown EMBEDDING_CHUNKING "${CHUNKING}", expected off, pool or multi`);
+        process.exit(1);
+    }
+    const { parseVectorNames, createNamedTextExtractor, getNamedTextsSignature, assignNamedVectors } = await importShared('namedVectors.js');
+    let extractNamedTexts;
+    try {
+        extractNamedTexts = createNamedTextExtractor(parseVectorNames(NAMED_VECTORS));
+    } catch (err) {
+        console.error(`❌ Error: ${err.message}`);
+        process.exit(1);
+    }
+    const { countTokens, maxTokens, exact } = await getTokenCounter();
+    const chunkOptions = { mode: CHUNKING, maxTokens, overlapTokens: CHUNK_OVERLAP };
+    const chunkStats = createChunkingStats(maxTokens, exact);
+    const provenanceBase = { ...await getProvenanceBase(), template: template.id };
+    const modelId = provenanceBase.model;
+
+    // Read the cache before the output stream truncates it (they are often the same file)
+    let cache = null;
+    if (cacheFile && fs.existsSync(cacheFile)) {
+        const { records } = await readJsonlRecords(cacheFile);
+        cache = buildEmbeddingCache(records);
+    } else if (cacheFile) {
+        console.warn(`⚠️  Cache file not found at ${cacheFile}, embedding everything`);
+    }
+    const refresh = createRefreshStats();
+    const seenIds = new Set();
+
+    // A retry reads the output while patching it, so it writes next to it and swaps at the end
+    const writeFile = RETRY_FAILED ? `${outputFile}.retry.tmp` : outputFile;
+    const outputStream = fs.createWriteStream(writeFile, { flags: 'w' });
+    const source = RETRY_FAILED
+        ? alignWithOutput(readLines(inputFile), readLines(outputFile))
+        : readLines(inputFile);
 
     let processedCount = 0;
-    let errorCount = 0;
     let skippedCount = 0;
+    const failures = [];
     let startTime = Date.now();
 
-    console.log(`Processing...`);
+    // Records are embedded out of order across concurrent batches, but written in
+    // input order: each slot resolves to its output line. A failed record is written
+    // without vectors, so output row n stays the n-th non-blank input line.
+    const queue = createBatchQueue({
+        batchSize: BATCH_SIZE,
+        concurrency: CONCURRENCY,
+        embed: fetchEmbeddings,
+        // Retryable errors were already retried and would fail each text the same way
+        splitOnError: err => !isRetryableError(err)
+    });
+    const slots = [];
+    const maxPendingSlots = BATCH_SIZE * (CONCURRENCY + 1);
+    let writtenCount = 0;
+    const writeNextSlot = async () => {
+        const line = await slots.shift();
+        outputStream.write(line + '\n');
+        writtenCount++;
+        if (writtenCount % 5 === 0) {
+            process.stdout.write(`\r✅ Processed: ${writtenCount} records...`);
+        }
+    };
 
-    for await (const line of rl) {
-        if (!line.trim()) continue;
+    console.log(`Processing...`);
 
-        try {
-            const record = JSON.parse(line);
+    try {
+        for await (const { line, lineNumber, previous } of source) {
+            let record = null;
+            let stage = FAILURE_STAGES.PARSE;
+            try {
+                if (retryLines && !retryLines.has(lineNumber)) {
+                    slots.push(previous);
+                    continue;
+                }
+                record = parseRecordLine(line);
+                stage = FAILURE_STAGES.TEMPLATE;
+                if (record.id != null) seenIds.add(String(record.id));
             
-            const textToEmbed = getEmbeddingText(record);
-            if (!textToEmbed) {
-                skippedCount++;
-                outputStream.write(JSON.stringify(record) + '\n');
-                continue;
-            }
+                const textToEmbed = template.render(record);
+                if (!textToEmbed) {
+                    skippedCount++;
+                    slots.push(JSON.stringify(record));
+                    continue;
+                }
 
-            // Skip if already embedded (optional, but good for resuming)
-            if (record.embedding && Array.isArray(record.embedding) && record.embedding.length > 0) {
-                outputStream.write(JSON.stringify(record) + '\n');
-                processedCount++;
-                process.stdout.write(`\r✅ Processed: ${processedCount} (Already embedded)`);
-                continue;
-            }
+                const plan = planChunks(textToEmbed, countTokens, chunkOptions);
+                addChunkingStats(chunkStats, record.id, plan);
+                const namedEntries = extractNamedTexts(record);
+                const namedSignature = getNamedTextsSignature(namedEntries);
+                const fingerprintExtras = {
+                    chunking: getChunkingKey(plan, chunkOptions),
+                    named_sha256: namedSignature && await sha256Hex(namedSignature)
+                };
 
-            // Get embedding
-            const embedding = await fetchEmbedding(textToEmbed);
-            
-            if (embedding) {
-                record.embedding = embedding;
-                outputStream.write(JSON.stringify(record) + '\n');
-                processedCount++;
-                
-                if (processedCount % 5 === 0) {
-                    process.stdout.write(`\r✅ Processed: ${processedCount} records...`);
+                // Reuse the vectors if the texts, model and chunking are unchanged (from this record or the cache)
+                const textHash = await sha256Hex(textToEmbed);
+                const wasEmbedded = Boolean(record.embedding || record.embedding_q) || (cache && cache.ids.has(String(record.id)));
+                if (reuseCachedEmbedding(record, cache, modelId, textHash, fingerprintExtras)) {
+                    slots.push(JSON.stringify(record));
+                    processedCount++;
+                    refresh.reused++;
+                    continue;
                 }
-            } else {
-                errorCount++;
-                // Optionally write the failed record without embedding or log it
-                console.error(`\nFailed to embed record: ${record.id}`);
-            }
+                clearEmbedding(record);
 
-        } catch (err) {
-            console.error(`\n❌ Error processing line: ${err.message}`);
-            errorCount++;
+                // Get embeddings: one per chunk of the content text, then one per named text
+                const chunkTexts = getChunkTexts(textToEmbed, plan);
+                const texts = [...chunkTexts, ...namedEntries.map(entry => entry.text)];
+                slots.push(queue.enqueue(texts).then(vectors => {
+                    const chunking = assignChunkedEmbedding(record, plan, vectors.slice(0, chunkTexts.length), chunkOptions);
+                    assignNamedVectors(record, namedEntries, vectors.slice(chunkTexts.length));
+                    record.embedding_fingerprint = createFingerprint(textHash, modelId, record.embedding.length, fingerprintExtras);
+                    record.embedding_provenance = createProvenance(provenanceBase, record.embedding, chunking);
+                    if (wasEmbedded) {
+                        refresh.reembedded++;
+                    } else {
+                        refresh.added++;
+                    }
+                    if (finishRetried) finishRetried(record);
+                    processedCount++;
+                    return JSON.stringify(record);
+                }).catch(err => {
+                    clearEmbedding(record);
+                    failures.push(createFailure({ line: lineNumber, record, stage: FAILURE_STAGES.EMBED, error: err }));
+                    console.error(`\nFailed to embed record: ${record.id} (${err.message})`);
+                    return JSON.stringify(record);
+                }));
+                await queue.flushFull();
+            } catch (err) {
+                console.error(`\n❌ Error processing line ${lineNumber} (${stage}): ${err.message}`);
+                failures.push(createFailure({ line: lineNumber, record, stage, error: err }));
+                if (record) clearEmbedding(record);
+                slots.push(record ? JSON.stringify(record) : line);
+            } finally {
+                // Only records older than the partially filled batch are awaited here
+                while (slots.length > maxPendingSlots) {
+                    await writeNextSlot();
+                }
+            }
         }
+    } catch (err) {
+        // Only the retry source throws here: the output does not line up with the input
+        outputStream.destroy();
+        fs.rmSync(writeFile, { force: true });
+        console.error(`\n❌ Error: ${err.message}`);
+        process.exit(1);
     }
 
-    outputStream.end();
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    
-    console.log(`\n\n🎉 Finished!`);
-    console.log(`⏱️  Time taken: ${duration}s`);
-    console.log(`✅ Success: ${processedCount}`);
-    console.log(`⏭️  Skipped: ${skippedCount}`);
-    console.log(`❌ Failed:  ${errorCount}`);
-    console.log(`📄 Saved to: ${outputFile}`);
-})();
+    await queue.drain();
+    while (slots.length > 0) {
+        await writeNextSlot();
+    }
 
-let transformerPipelinePromise = null;
+    await new Promise(resolve => outputStream.end(resolve));
+    if (RETRY_FAILED) {
+        fs.renameSync(writeFile, outputFile);
+    } else {
+        refresh.removed = countRemovedRecords(cache, seenIds);
+    }
 
-async function getTransformerPipeline() {
-    if (!transformerPipelinePromise) {
-        transformerPipelinePromise = (async () => {
-            const { pipeline, env } = await import('@xenova/transformers');
-            env.allowLocalModels = true;
-            console.log(`\n⏬ Loading ${TRANSFORMER_MODEL} via @xenova/transformers...`);
-            const extractor = await pipeline('feature-extraction', TRANSFORMER_MODEL, {
-                quantized: true
+    // Reduced first so the index and the codes are built from the reduced vectors.
+    // A retry already reduced and quantized its rows like the rest of the output.
+    if (reduction && !RETRY_FAILED) {
+        try {
+            const { report, sidecarPath } = await reduceFile(outputFile, outputFile, {
+                ...reduction,
+                modelId: provider.model
             });
-            console.log(`✅ Loaded ${TRANSFORMER_MODEL}\n`);
-            return extractor;
-        })();
+            printReductionReport(report, sidecarPath);
+        } catch (err) {
+            console.error(`\n❌ Reduction failed: ${err.message}`);
+        }
     }
-    return transformerPipelinePromise;
-}
 
-async function fetchEmbedding(text) {
-    try {
-        if (EMBEDDING_PROVIDER === 'transformers') {
-            return await fetchEmbeddingWithTransformers(text);
+    // Indexed before quantizing, which replaces the float vectors the graph is built from
+    if (INDEX === 'hnsw' && RETRY_FAILED && QUANTIZE) {
+        console.warn(`\n⚠️  Index not rebuilt: the quantized output has no float vectors; re-run without EMBEDDING_RETRY_FAILED to include the retried records`);
+    } else if (INDEX === 'hnsw') {
+        try {
+            const { report, indexPath } = await buildIndexFile(outputFile);
+            printIndexReport(report, indexPath);
+        } catch (err) {
+            console.error(`\n❌ Index build failed: ${err.message}`);
         }
-        return await fetchEmbeddingViaApi(text);
-    } catch (error) {
-        console.error(`\n❌ Embedding request failed: ${error.message}`);
-        return null;
-    }
-}
-
-async function fetchEmbeddingWithTransformers(text) {
-    const extractor = await getTransformerPipeline();
-    const cleanText = text.replace(/\s+/g, ' ').trim();
-    const output = await extractor(cleanText, { pooling: 'mean', normalize: true });
-    return Array.from(output.data);
-}
-
-async function fetchEmbeddingViaApi(text) {
-    const cleanText = text.replace(/\n/g, ' ');
-
-    const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: MODEL_NAME,
-            input: cleanText
-        })
-    });
-
-    if (!response.ok) {
-        const body = await response.text();
-        throw new Error(`API Error: ${response.status} ${body}`);
     }
 
-    const data = await response.json();
-
-    if (data.data && data.data[0] && data.data[0].embedding) {
-        return data.data[0].embedding;
+    if (QUANTIZE && !RETRY_FAILED) {
+        try {
+            const { report, sidecarPath } = await quantizeFile(outputFile, outputFile, {
+                format: QUANTIZE,
+                modelId: provider.model
+            });
+            printQuantizationReport(report, sidecarPath);
+        } catch (err) {
+            console.error(`\n❌ Quantization failed: ${err.message}`);
+        }
     }
 
-    if (Array.isArray(data)) {
-        return data;
+    // The sidecar lists what is still missing from this output; an old one is stale
+    if (failures.length > 0) {
+        fs.writeFileSync(errorsFile, serializeFailures(failures));
+    } else if (fs.existsSync(errorsFile)) {
+        fs.unlinkSync(errorsFile);
     }
 
-    throw new Error('Unexpected response format');
-}
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    
+    console.log(`\n\n🎉 Finished!`);
+    console.log(`⏱️  Time taken: ${duration}s`);
+    console.log(`✅ Success: ${processedCount}`);
+    console.log(`⏭️  Skipped: ${skippedCount}`);
+    console.log(`❌ Failed:  ${failures.length}`);
+    console.log(`♻️  Reused: ${refresh.reused} | Re-embedded: ${refresh.reembedded} | New: ${refresh.added} | Removed: ${refresh.removed}`);
+    console.log(`✂️  ${describeChunkingStats(chunkStats)}${exact ? '' : ' (estimated)'}${chunkStats.overLimit && CHUNKING === 'off' ? ' - these were truncated by the model' : ''}`);
+    const overLimit = [...chunkStats.records].sort((a, b) => b.excess - a.excess);
+    for (const { id, tokens, excess } of overLimit.slice(0, OVER_LIMIT_LISTED)) {
+        console.log(`   ${id}: ${tokens} tokens (+${excess})`);
+    }
+    if (overLimit.length > OVER_LIMIT_LISTED) {
+        console.log(`   ... and ${overLimit.length - OVER_LIMIT_LISTED} more`);
+    }
+    if (failures.length > 0) {
+        console.log(`❌ ${describeFailures(summarizeFailures(failures))}, kept without vectors:`);
+        for (const { line, id, stage, error } of [...failures].sort((a, b) => a.line - b.line).slice(0, FAILURES_LISTED)) {
+            console.log(`   line ${line}${id != null ? ` (${id})` : ''} ${stage}: ${error}`);
+        }
+        if (failures.length > FAILURES_LISTED) {
+            console.log(`   ... and ${failures.length - FAILURES_LISTED} more`);
+        }
+        console.log(`📄 Errors:   ${errorsFile} (retry with EMBEDDING_RETRY_FAILED=1)`);
+    }
+    console.log(`📄 Saved to: ${outputFile}`);
+})();
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { describeProvider, fetchEmbeddings } = require('./lib/embedding');
+const { readJsonlRecords } = require('./lib/jsonl');
+const { importShared } = require('./lib/shared');
+const { loadCodebook } = require('./lib/quantize');
+const { loadReducer } = require('./lib/reduce');
+const { createBatchQueue } = require('./lib/batchQueue');
+
+// --- CONFIGURATION ---
+const DEFAULT_MISSES = 10;
+const BATCH_SIZE = Math.max(1, Number.parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 16);
+const CONCURRENCY = Math.max(1, Number.parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || 2);
+
+const USAGE = `
+Usage: node scripts/evaluate_retrieval.js <embedded.jsonl> [more files...] [options]
+
+Uses each record's question, canonical_question and alt_titles as queries against the
+embedded corpus (or a golden query file) and reports recall@1/5/10, MRR and nDCG@10,
+overall and by type, filename and query field. Queries are embedded with the current
+EMBEDDING_PROVIDER, which must match the corpus model.
+
+Options:
+  --queries <golden.jsonl>  Golden queries: {"query": "...", "relevant_ids": ["id", ...]} per line
+  --fields <a,b,...>        Record fields used as queries (default question,canonical_question,alt_titles)
+  --compare <file>          Evaluate the same queries against a second corpus (repeatable), e.g. another template
+  --baseline <report.json>  Diff against a report saved with --save, e.g. from another model
+  --save <report.json>      Save the full report (with per-query ranks)
+  --named                   Score named vectors too (off by default: a record's question vector matches its own question)
+  --combine <max|weighted>  How to combine named vectors with --named (default max)
+  --weights <name=w,...>    Weights for --combine weighted
+  --misses <count>          Worst queries to print (default ${DEFAULT_MISSES})
+  --allow-mixed             Evaluate even if the files' embedding provenance disagrees
+  --json                    Print the report (or the comparison) as JSON
+
+Example: node scripts/evaluate_retrieval.js jsonl/fa.embedded.jsonl --compare jsonl/fa.qa-template.embedded.jsonl
+`;
+
+// Pads to `width`, shortening long labels so the columns stay aligned
+const pad = (value, width) => {
+    const text = String(value);
+    return (text.length >= width ? `${text.slice(0, width - 2)}…` : text).padEnd(width);
+};
+
+async function loadCorpus(files) {
+    const { hasVector } = await importShared('search.js');
+    const { summarizeProvenance } = await importShared('provenance.js');
+    const corpora = [];
+    const sources = [];
+    for (const file of files) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Input file not found at ${file}`);
+        }
+        const { records, invalidLines } = await readJsonlRecords(file);
+        if (invalidLines.length > 0) {
+            console.error(`⚠️  ${file}: skipped ${invalidLines.length} unparseable line(s)`);
+        }
+        corpora.push({ records, codebook: await loadCodebook(file), reducer: await loadReducer(file) });
+        sources.push({ name: path.basename(file), summary: summarizeProvenance(records, hasVector) });
+    }
+    return { files: files.map(file => path.basename(file)), corpora, sources };
+}
+
+function printReport(report, { METRICS, GROUP_BY, formatMetric }) {
+    const labelWidth = 36;
+    console.log(`   ${pad('', labelWidth)}${pad('n', 7)}${METRICS.map(metric => pad(metric, 11)).join('')}`);
+    const row = (label, { count, metrics }) => {
+        console.log(`   ${pad(label, labelWidth)}${pad(count, 7)}${METRICS.map(metric => pad(formatMetric(metrics[metric]), 11)).join('')}`);
+    };
+    row('overall', report);
+    for (const dimension of GROUP_BY) {
+        console.log(`   by ${dimension}:`);
+        Object.entries(report.groups[dimension]).forEach(([name, group]) => row(`  ${name}`, group));
+    }
+}
+
+function printComparison(comparison, labels, { METRICS, GROUP_BY, formatMetric, formatDelta }) {
+    const [baseLabel, otherLabel] = labels;
+    console.log(`   A = ${baseLabel}`);
+    console.log(`   B = ${otherLabel}\n`);
+    console.log(`   ${pad('', 12)}${pad('A', 9)}${pad('B', 9)}Δ`);
+    for (const metric of METRICS) {
+        const { base, other, delta } = comparison.metrics[metric];
+        console.log(`   ${pad(metric, 12)}${pad(formatMetric(base), 9)}${pad(formatMetric(other), 9)}${formatDelta(delta)}`);
+    }
+    for (const dimension of GROUP_BY) {
+        console.log(`\n   by ${dimension} (recall@5 and MRR, A → B):`);
+        for (const [name, group] of Object.entries(comparison.groups[dimension])) {
+            const cells = ['recall@5', 'mrr'].map(metric => {
+                const { base, other, delta } = group.metrics[metric];
+                return `${metric} ${formatMetric(base)} → ${formatMetric(other)} (${formatDelta(delta)})`;
+            });
+            console.log(`     ${pad(`${name} (${group.count.join('/')})`, 34)}${cells.join('   ')}`);
+        }
+    }
+    const { matched, improved, regressed, unchanged } = comparison.queries;
+    console.log(`\n   Queries in both: ${matched} | B ranks better: ${improved} | worse: ${regressed} | same: ${unchanged}`);
+}
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                queries: { type: 'string' },
+                fields: { type: 'string' },
+                compare: { type: 'string', multiple: true, default: [] },
+                baseline: { type: 'string' },
+                save: { type: 'string' },
+                named: { type: 'boolean', default: false },
+                combine: { type: 'string', default: 'max' },
+                weights: { type: 'string', default: '' },
+                misses: { type: 'string', default: String(DEFAULT_MISSES) },
+                'allow-mixed': { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const evaluation = await importShared('evaluation.js');
+    const { buildSelfQueries, parseGoldenQueries, evaluateRetrieval, compareReports, QUERY_FIELDS } = evaluation;
+    const { hasVector } = await importShared('search.js');
+    const { checkProvenance } = await importShared('provenance.js');
+    const { parseVectorWeights } = await importShared('namedVectors.js');
+
+    const misses = Number.parseInt(values.misses, 10);
+    if (!Number.isInteger(misses) || misses < 0) {
+        console.error(`❌ --misses must be a non-negative integer, got "${values.misses}"`);
+        process.exit(1);
+    }
+    if (!['max', 'weighted'].includes(values.combine)) {
+        console.error(`❌ --combine must be max or weighted, got "${values.combine}"`);
+        process.exit(1);
+    }
+    const fields = values.fields ? values.fields.split(',').map(field => field.trim()).filter(Boolean) : QUERY_FIELDS;
+    let provider;
+    try {
+        provider = await describeProvider();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    let weights;
+    let baseline = null;
+    let primary;
+    let compared = null;
+    let queries;
+    try {
+        weights = parseVectorWeights(values.weights);
+        primary = await loadCorpus(positionals);
+        if (values.compare.length > 0) {
+            compared = await loadCorpus(values.compare);
+        }
+        if (values.baseline) {
+            baseline = JSON.parse(fs.readFileSync(values.baseline, 'utf8'));
+        }
+        if (values.queries) {
+            const { records, invalidLines } = await readJsonlRecords(values.queries);
+            if (invalidLines.length > 0) {
+                throw new Error(`${values.queries}: line ${invalidLines[0].lineNumber} is not valid JSON`);
+            }
+            queries = parseGoldenQueries(records);
+        } else {
+            queries = buildSelfQueries(primary.corpora.flatMap(corpus => corpus.records.filter(hasVector)), { fields });
+        }
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    // Both corpora are scored with the same query vectors, so both must match the provider's model.
+    for (const corpus of [primary, compared].filter(Boolean)) {
+        const { errors, warnings } = checkProvenance(corpus.sources, provider.model);
+        warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`❌ ${error}`));
+            if (!values['allow-mixed']) {
+                console.error('   Evaluate each model with its own EMBEDDING_PROVIDER, --save the reports and diff them with --baseline.');
+                process.exit(1);
+            }
+        }
+    }
+
+    if (queries.length === 0) {
+        console.error(`❌ No queries: no record has ${fields.join(', ')}`);
+        process.exit(1);
+    }
+
+    console.error(`🧠 Embedding ${queries.length} quer${queries.length === 1 ? 'y' : 'ies'} with ${provider.model} (${provider.mode})...`);
+    let queryVectors;
+    try {
+        const queue = createBatchQueue({ batchSize: BATCH_SIZE, concurrency: CONCURRENCY, embed: fetchEmbeddings });
+        const pending = queue.enqueue(queries.map(query => query.text));
+        await queue.drain();
+        queryVectors = await pending;
+    } catch (err) {
+        console.error(`❌ Embedding request failed: ${err.message}`);
+        process.exit(1);
+    }
+
+    const options = { combine: values.combine, weights, useNamedVectors: values.named };
+    const report = evaluateRetrieval(queries, queryVectors, primary.corpora, options);
+    const label = `${primary.files.join(' + ')} [${provider.model}]`;
+    const saved = {
+        created_at: new Date().toISOString(),
+        files: primary.files,
+        model: provider.model,
+        templates: [...new Set(primary.sources.flatMap(source => [...source.summary.templates]))],
+        query_source: values.queries ? path.basename(values.queries) : fields,
+        named_vectors: values.named,
+        ...report
+    };
+    if (values.save) {
+        fs.writeFileSync(values.save, JSON.stringify(saved, null, 2));
+    }
+
+    let comparison = null;
+    let labels = null;
+    if (compared) {
+        const otherReport = evaluateRetrieval(queries, queryVectors, compared.corpora, options);
+        comparison = compareReports(report, otherReport);
+        labels = [label, `${compared.files.join(' + ')} [${provider.model}]`];
+    } else if (baseline) {
+        comparison = compareReports(baseline, report);
+        labels = [`${(baseline.files || []).join(' + ')} [${baseline.model}] (${path.basename(values.baseline)})`, label];
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(comparison ? { labels, ...comparison } : saved, null, 2));
+        return;
+    }
+
+    console.log(`\n📏 Retrieval evaluation: ${label}`);
+    console.log(`❓ Queries: ${report.evaluated} evaluated${report.unresolved > 0 ? `, ${report.unresolved} without an embedded relevant record` : ''} (${values.queries ? path.basename(values.queries) : fields.join(', ')})`);
+    if (!values.named && primary.corpora.some(corpus => corpus.records.some(record => record.embeddings))) {
+        console.log('🏷️  Named vectors ignored; pass --named to score them');
+    }
+    console.log('');
+
+    if (comparison) {
+        printComparison(comparison, labels, evaluation);
+    } else {
+        printReport(report, evaluation);
+    }
+
+    const worst = report.results
+        .filter(result => result.rank !== 1)
+        .sort((a, b) => (b.rank ?? Infinity) - (a.rank ?? Infinity))
+        .slice(0, misses);
+    if (worst.length > 0) {
+        console.log(`\n🔻 Worst ${worst.length} quer${worst.length === 1 ? 'y' : 'ies'}${compared ? ' (A)' : baseline ? ' (B)' : ''}:`);
+        for (const result of worst) {
+            console.log(`   rank ${pad(result.rank ?? '-', 5)} ${result.query.slice(0, 80)}`);
+            console.log(`              expected ${result.relevant_ids.join(', ')}, got ${result.top_id}`);
+        }
+    }
+    if (values.save) {
+        console.log(`\n📄 Report saved to: ${values.save}`);
+    }
+})();
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { describeProvider } = require('./lib/embedding');
+const { readJsonlRecords } = require('./lib/jsonl');
+const { importShared } = require('./lib/shared');
+
+const USAGE = `
+Usage: node scripts/export_bundle.js <embedded.jsonl> [output_dir] [options]
+
+Writes <name>.vectors.bin, <name>.meta.json and <name>.manifest.json.
+
+Options:
+  --model <id>          Model id recorded in the manifest (default: current EMBEDDING_* settings)
+  --keep <field,...>    Keep fields that are dropped from the metadata by default (embedding, vision_blobs)
+`;
+
+const formatBytes = (bytes) => bytes > 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(2)} KB`;
+
+// --- MAIN ---
+(async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            model: { type: 'string' },
+            keep: { type: 'string', default: '' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [inputFile, outputDir = inputFile && path.dirname(inputFile)] = positionals;
+    if (values.help || !inputFile) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+    if (!fs.existsSync(inputFile)) {
+        console.error(`❌ Error: Input file not found at ${inputFile}`);
+        process.exit(1);
+    }
+
+    const { buildVectorBundle, getBundleBaseName, getBundleFileNames, DEFAULT_OMIT_FIELDS } = await importShared('vectorBundle.js');
+    const keep = values.keep.split(',').map(f => f.trim()).filter(Boolean);
+    const baseName = getBundleBaseName(path.basename(inputFile));
+
+    const { records, invalidLines } = await readJsonlRecords(inputFile);
+    if (invalidLines.length > 0) {
+        console.error(`⚠️  Skipped ${invalidLines.length} unparseable line(s)`);
+    }
+
+    const { manifest, vectorBytes, metadataJson, skipped } = await buildVectorBundle(records, {
+        baseName,
+        modelId: values.model || (await describeProvider()).model,
+        omitFields: DEFAULT_OMIT_FIELDS.filter(f => !keep.includes(f))
+    });
+
+    const fileNames = getBundleFileNames(baseName);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, fileNames.vectors), Buffer.from(vectorBytes));
+    fs.writeFileSync(path.join(outputDir, fileNames.metadata), metadataJson);
+    const manifestPath = path.join(outputDir, fileNames.manifest);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+    const inputBytes = fs.statSync(inputFile).size;
+    const outputBytes = manifest.vectors.byteLength + manifest.metadata.byteLength;
+
+    console.log(`\n📦 Vector bundle written`);
+    console.log(`========================================`);
+    console.log(`🧠 Model:     ${manifest.model}`);
+    console.log(`📐 Vectors:   ${manifest.count} × ${manifest.dimension}d`);
+    if (skipped > 0) console.log(`⏭️  Skipped:   ${skipped} record(s) without embedding`);
+    console.log(`📏 Size:      ${formatBytes(inputBytes)} → ${formatBytes(outputBytes)}`);
+    console.log(`📄 Manifest:  ${manifestPath}`);
+})();
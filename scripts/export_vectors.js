@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { describeProvider } = require('./lib/embedding');
+const { readJsonlRecords } = require('./lib/jsonl');
+const { importShared } = require('./lib/shared');
+
+const USAGE = `
+Usage: node scripts/export_vectors.js <format> <embedded.jsonl> [output_dir] [options]
+
+Formats:
+  sqlite    <name>.sqlite: records table (id, document, payload JSON, float32 embedding BLOB),
+            named_vectors and meta tables
+  qdrant    <name>.qdrant.jsonl with one {"points": [...]} upsert body per line, and the
+            collection config in <name>.qdrant.json
+  chroma    <name>.chroma.json with ids, embeddings, metadatas and documents columns
+  lancedb   <name>.lancedb.jsonl with one row (id, vector, payload columns) per record
+  parquet   <name>.parquet with the lancedb columns, vector as LIST<FLOAT>
+  all       Every format above
+
+Record ids that are not UUIDs are replaced by a UUID hashed from them; the original
+is kept in the payload as source_id. Records without a float embedding are skipped,
+so export quantized files from their float original.
+
+Options:
+  --model <id>          Model id recorded when the records carry no provenance (default: current EMBEDDING_* settings)
+
+Example: node scripts/export_vectors.js qdrant jsonl/fa.embedded.jsonl exports/
+`;
+
+const formatBytes = (bytes) => bytes > 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(2)} KB`;
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                model: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    const { exportVectors, isExportFormat, EXPORT_FORMATS, EXPORT_LABELS } = await importShared('vectorExport.js');
+    const { getBundleBaseName } = await importShared('vectorBundle.js');
+
+    const [format, inputFile, outputDir = inputFile && path.dirname(inputFile)] = positionals;
+    if (values.help || !format || !inputFile) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+    if (format !== 'all' && !isExportFormat(format)) {
+        console.error(`❌ Unknown format "${format}"; expected ${Object.values(EXPORT_FORMATS).join(', ')} or all`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(inputFile)) {
+        console.error(`❌ Error: Input file not found at ${inputFile}`);
+        process.exit(1);
+    }
+
+    const { records, invalidLines } = await readJsonlRecords(inputFile);
+    if (invalidLines.length > 0) {
+        console.error(`⚠️  Skipped ${invalidLines.length} unparseable line(s)`);
+    }
+
+    const baseName = getBundleBaseName(path.basename(inputFile));
+    const modelId = values.model || (await describeProvider()).model;
+    const formats = format === 'all' ? Object.values(EXPORT_FORMATS) : [format];
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    console.log(`\n🗄️  Vector database export`);
+    console.log(`========================================`);
+    for (const [i, name] of formats.entries()) {
+        let result;
+        try {
+            result = await exportVectors(records, name, { baseName, modelId });
+        } catch (err) {
+            console.error(`❌ ${err.message}`);
+            process.exit(1);
+        }
+
+        if (i === 0) {
+            console.log(`📐 Vectors:   ${result.count} × ${result.dimension}d`);
+            if (result.skipped > 0) console.log(`⏭️  Skipped:   ${result.skipped} record(s) without a float embedding`);
+            if (result.derivedIds > 0) console.log(`🔑 Ids:       ${result.derivedIds} non-UUID or duplicate id(s) replaced, originals kept as source_id`);
+        }
+        for (const file of result.files) {
+            const filePath = path.join(outputDir, file.name);
+            fs.writeFileSync(filePath, file.data);
+            console.log(`📄 ${EXPORT_LABELS[name].padEnd(14)} ${filePath} (${formatBytes(fs.statSync(filePath).size)})`);
+        }
+    }
+})();
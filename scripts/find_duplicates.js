@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readJsonlRecords } = require('./lib/jsonl');
+const { importShared } = require('./lib/shared');
+
+// --- CONFIGURATION ---
+const DEFAULT_LIMIT = 20;
+const PREVIEW_CHARS = 100;
+
+const USAGE = `
+Usage: node scripts/find_duplicates.js <input.embedded.jsonl> [more inputs...] [options]
+
+Finds near-duplicate records by the cosine of their embeddings, within and across
+files, and flags conflicts: records whose questions match but whose answers differ.
+
+Options:
+  --threshold <0..1>   Cosine similarity that counts as a duplicate (default 0.95)
+  --limit <count>      Pairs to print (default ${DEFAULT_LIMIT})
+  --conflicts          Print only conflicting pairs
+  --out <file.jsonl>   Write a deduplicated file (each cluster merged into one record, inputs concatenated)
+  --log <file.json>    Merge log for --out (default <out>.merge-log.json)
+  --merge-conflicts    Also merge clusters that contain a conflict (skipped by default)
+  --allow-mixed        Compare files whose embedding provenance disagrees
+  --json               Print pairs and clusters as JSON
+
+Example: node scripts/find_duplicates.js jsonl/fa.embedded.jsonl jsonl/g3.embedded.jsonl --out jsonl/kb.dedup.jsonl
+`;
+
+const truncate = (text, max = PREVIEW_CHARS) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+};
+
+function describeSide(label, { record, source }) {
+    const page = record.source_page != null ? ` p.${record.source_page}` : '';
+    return [
+        `   ${label}  ${record.filename || source}${page}  [${record.id}]`,
+        `      Q: ${truncate(record.canonical_question || record.question || record.title)}`,
+        `      A: ${truncate(record.answer)}`
+    ].join('\n');
+}
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                threshold: { type: 'string' },
+                limit: { type: 'string', default: String(DEFAULT_LIMIT) },
+                conflicts: { type: 'boolean', default: false },
+                out: { type: 'string' },
+                log: { type: 'string' },
+                'merge-conflicts': { type: 'boolean', default: false },
+                'allow-mixed': { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const { findDuplicates, deduplicateRecords, DEFAULT_DUPLICATE_THRESHOLD } = await importShared('duplicates.js');
+    const { hasVector } = await importShared('search.js');
+    const { summarizeProvenance, checkProvenance } = await importShared('provenance.js');
+
+    const threshold = values.threshold === undefined ? DEFAULT_DUPLICATE_THRESHOLD : Number(values.threshold);
+    const limit = Number.parseInt(values.limit, 10);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+        console.error(`❌ --threshold must be in (0, 1], got "${values.threshold}"`);
+        process.exit(1);
+    }
+    if (!Number.isInteger(limit) || limit < 0) {
+        console.error(`❌ --limit must be a non-negative integer, got "${values.limit}"`);
+        process.exit(1);
+    }
+
+    const items = [];
+    const sources = [];
+    for (const file of positionals) {
+        if (!fs.existsSync(file)) {
+            console.error(`❌ Error: Input file not found at ${file}`);
+            process.exit(1);
+        }
+        const name = path.basename(file);
+        const { records } = await readJsonlRecords(file);
+        records.forEach(record => items.push({ record, source: name }));
+        sources.push({ name, summary: summarizeProvenance(records, hasVector) });
+    }
+
+    const provenance = checkProvenance(sources);
+    provenance.warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+    if (provenance.errors.length > 0) {
+        provenance.errors.forEach(error => console.error(`❌ ${error}`));
+        if (!values['allow-mixed']) {
+            process.exit(1);
+        }
+    }
+
+    const result = findDuplicates(items, { threshold });
+    const conflicts = result.pairs.filter(pair => pair.conflict);
+    const shown = (values.conflicts ? conflicts : result.pairs).slice(0, limit);
+
+    if (values.json) {
+        const ref = (i) => ({ id: items[i].record.id ?? null, source: items[i].source, source_page: items[i].record.source_page ?? null });
+        console.log(JSON.stringify({
+            threshold,
+            records: items.length,
+            compared: result.compared,
+            pairs: result.pairs.map(({ a, b, ...pair }) => ({ a: ref(a), b: ref(b), ...pair })),
+            clusters: result.clusters.map(({ members, ...cluster }) => ({ records: members.map(ref), ...cluster }))
+        }, null, 2));
+    } else {
+        console.log(`\n🔁 Duplicate scan: ${items.length} record(s) in ${positionals.length} file(s), threshold ${threshold}`);
+        if (result.skipped > 0) {
+            console.log(`⚠️  ${result.skipped} record(s) have no float embedding and were only checked for conflicts`);
+        }
+        const duplicates = result.pairs.filter(pair => pair.similarity !== null && pair.similarity >= threshold);
+        console.log(`📊 Pairs: ${duplicates.length} duplicate | ${conflicts.length} conflict | Clusters: ${result.clusters.length}\n`);
+
+        for (const pair of shown) {
+            const score = pair.similarity === null ? 'n/a' : pair.similarity.toFixed(4);
+            const flags = [
+                pair.conflict && `⚠️  CONFLICT (answers share ${Math.round(pair.answerOverlap * 100)}% of words)`,
+                !pair.conflict && pair.questionMatch && 'same question'
+            ].filter(Boolean).join(' ');
+            console.log(`${score}  ${flags}`);
+            console.log(describeSide('A', items[pair.a]));
+            console.log(describeSide('B', items[pair.b]));
+            console.log('');
+        }
+        const total = values.conflicts ? conflicts.length : result.pairs.length;
+        if (total > shown.length) {
+            console.log(`... and ${total - shown.length} more (use --limit)`);
+        }
+    }
+
+    if (values.out) {
+        const { items: kept, log } = deduplicateRecords(items, result, { threshold, mergeConflicts: values['merge-conflicts'] });
+        // Keep stdout clean for --json
+        const report = values.json ? console.error : console.log;
+        const logFile = values.log || values.out.replace(/\.jsonl$/, '') + '.merge-log.json';
+        fs.writeFileSync(values.out, kept.map(({ record }) => JSON.stringify(record)).join('\n') + '\n');
+        fs.writeFileSync(logFile, JSON.stringify({
+            inputs: positionals.map(file => path.basename(file)),
+            created_at: new Date().toISOString(),
+            records_in: items.length,
+            records_out: kept.length,
+            ...log
+        }, null, 2));
+        report(`✅ Deduplicated ${items.length} → ${kept.length} record(s) (${log.merged.length} cluster(s) merged, ${log.skipped_conflicts.length} conflicting cluster(s) kept)`);
+        report(`📄 Saved to: ${values.out}`);
+        report(`📝 Merge log: ${logFile}`);
+    }
+})();
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { convertSourceFile } = require('./lib/ingest');
+const { importShared } = require('./lib/shared');
+
+const USAGE = `
+Usage: node scripts/ingest_sources.js <source> [more sources...] [options]
+
+Converts Markdown (.md), plain text (.txt), CSV (.csv) and HTML (.html) sources into
+KB JSONL records (id, document_id, filename, title, source_section, text, dense_context)
+ready for embed_jsonl.js. Documents are split by headings, and sections longer than
+--max-chars are split on paragraph and sentence boundaries. CSV rows with question and
+answer columns become FAQ records. Ids are stable across runs.
+
+Options:
+  --out-dir <dir>     Where to write <name>_rag.jsonl (default: next to each source)
+  --out <file>        Output path, only with a single source
+  --max-chars <n>     Longest section text before splitting (default 2000)
+  --format <name>     Read every source as markdown, text, csv or html instead of by extension
+
+Example: node scripts/ingest_sources.js docs/runbooks/*.md --out-dir jsonl
+`;
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    let maxChars;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                'out-dir': { type: 'string' },
+                out: { type: 'string' },
+                'max-chars': { type: 'string' },
+                format: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+        if (values['max-chars'] !== undefined) {
+            maxChars = Number.parseInt(values['max-chars'], 10);
+            if (!Number.isInteger(maxChars) || maxChars < 1) {
+                throw new Error(`--max-chars must be a positive integer, got "${values['max-chars']}"`);
+            }
+        }
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+    if (values.out && positionals.length > 1) {
+        console.error(`❌ Error: --out takes a single source; use --out-dir for ${positionals.length} sources`);
+        process.exit(1);
+    }
+
+    const { getSourceFormat, SOURCE_FORMATS, SOURCE_FILE_ACCEPT } = await importShared('ingest.js');
+    if (values.format && !Object.values(SOURCE_FORMATS).includes(values.format)) {
+        console.error(`❌ Error: Unknown --format "${values.format}", expected ${Object.values(SOURCE_FORMATS).join(', ')}`);
+        process.exit(1);
+    }
+    for (const file of positionals) {
+        if (!fs.existsSync(file)) {
+            console.error(`❌ Error: Input file not found at ${file}`);
+            process.exit(1);
+        }
+        if (!values.format && !getSourceFormat(file)) {
+            console.error(`❌ Error: ${file} is not a supported source (${SOURCE_FILE_ACCEPT}); pass --format to read it anyway`);
+            process.exit(1);
+        }
+    }
+    if (values['out-dir']) {
+        fs.mkdirSync(values['out-dir'], { recursive: true });
+    }
+
+    let failed = 0;
+    for (const file of positionals) {
+        try {
+            const { outputPath, format, title, records } = await convertSourceFile(file, {
+                maxChars,
+                format: values.format,
+                outputDir: values['out-dir'],
+                outputFile: values.out
+            });
+            const sections = new Set(records.map(record => record.source_section)).size;
+            console.log(`📥 ${path.basename(file)} (${format}, "${title}") → ${records.length} record(s) from ${sections} section(s) → ${outputPath}`);
+        } catch (err) {
+            console.error(`❌ ${file}: ${err.message}`);
+            failed++;
+        }
+    }
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+    console.log(`✅ Converted ${positionals.length} source(s)`);
+})();
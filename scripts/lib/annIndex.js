@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonlRecords } = require('./jsonl');
+const { importShared } = require('./shared');
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// Builds the HNSW index (app/src/lib/hnsw.js) for an embedded JSONL file, writes it
+// next to the file as `<name>.hnsw.bin` and measures recall@k against exact search
+// using a sample of the indexed vectors as queries.
+async function buildIndexFile(embeddedFile, { m, efConstruction, ef, k = 10, sample = 200, outputFile = null } = {}) {
+    const { buildRecordIndex, serializeHnswIndex, measureRecall, getIndexFileName, DEFAULT_EF_SEARCH, RECALL_EF_VALUES } = await importShared('hnsw.js');
+    const { records } = await readJsonlRecords(embeddedFile);
+
+    const start = Date.now();
+    const index = buildRecordIndex(records, { m, efConstruction });
+    if (index.count === 0) {
+        throw new Error(`${embeddedFile} has no float embeddings to index (quantized files keep only embedding_q)`);
+    }
+    const buildMs = Date.now() - start;
+
+    const { buffer, sizes } = serializeHnswIndex(index);
+    const indexPath = outputFile || path.join(path.dirname(embeddedFile), getIndexFileName(path.basename(embeddedFile)));
+    fs.writeFileSync(indexPath, Buffer.from(buffer));
+
+    const searchEf = ef || DEFAULT_EF_SEARCH;
+    const efValues = [...new Set([...RECALL_EF_VALUES.filter(value => value >= k), searchEf])].sort((a, b) => a - b);
+    const recall = measureRecall(index, { k, efValues, sample });
+
+    return {
+        indexPath,
+        report: {
+            vectors: index.count,
+            dimension: index.dimension,
+            model: index.model,
+            m: index.m,
+            efConstruction: index.efConstruction,
+            levels: index.maxLevel + 1,
+            buildMs,
+            sizes,
+            ef: searchEf,
+            recall
+        }
+    };
+}
+
+function printIndexReport(report, indexPath) {
+    console.log(`\n🕸️  HNSW index: ${report.vectors} vectors, ${report.dimension}d, ${report.levels} level(s) (M ${report.m}, efConstruction ${report.efConstruction}, built in ${(report.buildMs / 1000).toFixed(2)}s)`);
+    console.log(`📏 Size: ${formatBytes(report.sizes.total)} (vectors ${formatBytes(report.sizes.vectors)}, graph ${formatBytes(report.sizes.graph)}, ids ${formatBytes(report.sizes.header)})`);
+    const { queries, k, results } = report.recall;
+    console.log(`🎯 recall@${k} vs exact search over ${queries} sampled vectors:`);
+    for (const { ef, recall, avgMs, exactMs } of results) {
+        const marker = ef === report.ef ? '  ← default ef' : '';
+        console.log(`   ef ${String(ef).padEnd(4)} recall ${recall.toFixed(3)} | ${avgMs.toFixed(2)} ms/query (exact ${exactMs.toFixed(2)} ms)${marker}`);
+    }
+    console.log(`📄 Index: ${indexPath}`);
+}
+
+// Loads the index that sits next to an embedded file, if there is one.
+async function loadIndex(embeddedFile) {
+    const { getIndexFileName, loadHnswIndex } = await importShared('hnsw.js');
+    const indexPath = path.join(path.dirname(embeddedFile), getIndexFileName(path.basename(embeddedFile)));
+    if (!fs.existsSync(indexPath)) return null;
+    return loadHnswIndex(fs.readFileSync(indexPath));
+}
+
+module.exports = {
+    buildIndexFile,
+    printIndexReport,
+    loadIndex
+};
@@ -0,0 +1,62 @@
+// Collects texts from many records into batches of `batchSize` and keeps at most
+// `concurrency` batch requests in flight. `enqueue(texts)` resolves to the vectors
+// for exactly those texts, in order, or rejects if their batch failed. When
+// `splitOnError(err)` holds for a failed batch, its texts are sent again one by one,
+// so a single bad input only fails the records it belongs to.
+function createBatchQueue({ batchSize, concurrency, embed, splitOnError = () => false }) {
+    const pending = [];
+    const inFlight = new Set();
+
+    // Runs inside the failed batch's slot, so it does not add to the requests in flight.
+    async function sendEach(items) {
+        for (const item of items) {
+            await embed([item.text]).then(([vector]) => item.resolve(vector), item.reject);
+        }
+    }
+
+    async function send(items) {
+        if (items.length === 0) return;
+        while (inFlight.size >= concurrency) {
+            await Promise.race(inFlight);
+        }
+
+        const request = embed(items.map(item => item.text))
+            .then(
+                vectors => items.forEach((item, i) => item.resolve(vectors[i])),
+                err => (items.length > 1 && splitOnError(err)
+                    ? sendEach(items)
+                    : items.forEach(item => item.reject(err)))
+            )
+            .finally(() => inFlight.delete(request));
+        inFlight.add(request);
+    }
+
+    function enqueue(texts) {
+        return Promise.all(texts.map(text => new Promise((resolve, reject) => {
+            pending.push({ text, resolve, reject });
+        })));
+    }
+
+    // Sends every full batch; call after each enqueue so batches fill across records.
+    async function flushFull() {
+        while (pending.length >= batchSize) {
+            await send(pending.splice(0, batchSize));
+        }
+    }
+
+    // Sends whatever is queued, even a partial batch.
+    async function flush() {
+        await send(pending.splice(0));
+    }
+
+    async function drain() {
+        await flush();
+        await Promise.all(inFlight);
+    }
+
+    return { enqueue, flush, flushFull, drain };
+}
+
+module.exports = {
+    createBatchQueue
+};
@@ -0,0 +1,155 @@
+const { importShared } = require('./shared');
+const { withRetry } = require('./retry');
+
+// Embedding provider selection shared by the Node scripts. Providers live in the
+// registry at app/src/lib/providers.js, which the React app uses as well; this file
+// builds the same config from environment variables and adds retries:
+//   EMBEDDING_PROVIDER  transformers (default) | openai (alias api) | ollama | hash
+//   EMBEDDING_MODEL     model for openai / ollama / hash (TRANSFORMER_MODEL for transformers)
+//   EMBEDDING_API_URL   endpoint for openai / ollama
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'transformers').toLowerCase();
+const TRANSFORMER_MODEL = process.env.TRANSFORMER_MODEL || 'Xenova/all-MiniLM-L6-v2';
+// Model window in tokens for chunking; defaults to the provider's (256 for MiniLM, 8192 for remote models)
+const MAX_TOKENS = Number.parseInt(process.env.EMBEDDING_MAX_TOKENS, 10) || null;
+// Remote API resilience: retries with exponential backoff + jitter, and a per-request timeout
+const MAX_RETRIES = Number.parseInt(process.env.EMBEDDING_MAX_RETRIES ?? '5', 10);
+const RETRY_BASE_MS = Number.parseInt(process.env.EMBEDDING_RETRY_BASE_MS, 10) || 500;
+const RETRY_MAX_MS = Number.parseInt(process.env.EMBEDDING_RETRY_MAX_MS, 10) || 30000;
+const REQUEST_TIMEOUT_MS = Number.parseInt(process.env.EMBEDDING_TIMEOUT_MS, 10) || 60000;
+// Statuses on which a rejected batch is split and sent again in halves
+const BATCH_REJECTED_STATUS = new Set([400, 413, 422]);
+// Only 413 says the batch is too big; 400 and 422 can come from a single bad input,
+// so they split just that batch and leave the limit for the rest of the run alone
+const BATCH_TOO_LARGE_STATUS = 413;
+
+// Largest batch the server has accepted after rejecting a bigger one
+let maxAcceptedBatch = Infinity;
+
+let registryPromise = null;
+let loadedModel = null;
+
+// Resolves to { registry, config, settings } for the environment's provider.
+function getProvider() {
+    if (!registryPromise) {
+        registryPromise = importShared('providers.js').then(registry => {
+            const name = registry.normalizeProviderName(EMBEDDING_PROVIDER);
+            const isTransformers = name === registry.PROVIDER_NAMES.TRANSFORMERS;
+            const config = {
+                provider: name,
+                providers: {
+                    [name]: {
+                        model: isTransformers ? TRANSFORMER_MODEL : process.env.EMBEDDING_MODEL,
+                        url: process.env.EMBEDDING_API_URL
+                    }
+                },
+                maxTokens: MAX_TOKENS
+            };
+            const settings = registry.getProviderSettings(config);
+            const { maxBatch } = registry.getProviderCapabilities(config);
+            if (maxBatch) maxAcceptedBatch = maxBatch;
+            return { registry, config, settings };
+        });
+    }
+    return registryPromise;
+}
+
+// { mode, model, apiUrl?, provider } for banners and provenance checks.
+async function describeProvider() {
+    const { registry, settings } = await getProvider();
+    return {
+        provider: settings.provider,
+        mode: registry.PROVIDER_LABELS[settings.provider],
+        model: settings.model,
+        ...(settings.url ? { apiUrl: settings.url } : {})
+    };
+}
+
+// Fields for `embedding_provenance`; dimension and normalization are filled in from the vector.
+async function getProvenanceBase() {
+    const { registry, config } = await getProvider();
+    return registry.getProviderProvenance(config);
+}
+
+// Resolves to { countTokens(text), maxTokens, exact }. Remote models have no local
+// tokenizer, so their counts are estimates.
+async function getTokenCounter() {
+    const { registry, config } = await getProvider();
+    return registry.getProviderTokenCounter(config);
+}
+
+// { maxBatch, maxTokens, dimension, exactTokens } of the environment's provider.
+async function getCapabilities() {
+    const { registry, config } = await getProvider();
+    return registry.getProviderCapabilities(config);
+}
+
+async function fetchEmbedding(text) {
+    try {
+        const [embedding] = await fetchEmbeddings([text]);
+        return embedding;
+    } catch (error) {
+        console.error(`\n❌ Embedding request failed: ${error.message}`);
+        return null;
+    }
+}
+
+// Embeds `texts` in order. Throws once retries (and batch splitting) are exhausted.
+async function fetchEmbeddings(texts) {
+    if (texts.length === 0) return [];
+    const { registry, config, settings } = await getProvider();
+    if (settings.provider === registry.PROVIDER_NAMES.TRANSFORMERS && loadedModel !== settings.model) {
+        // Progress goes to stderr so `--json` output on stdout stays pipeable
+        console.error(`\n⏬ Loading ${settings.model} via @xenova/transformers...`);
+        await registry.getProviderTokenCounter(config);
+        console.error(`✅ Loaded ${settings.model}\n`);
+        loadedModel = settings.model;
+    }
+    return embedWithRetry(texts, registry, config);
+}
+
+async function embedWithRetry(texts, registry, config) {
+    if (texts.length > maxAcceptedBatch) {
+        return splitBatch(texts, registry, config);
+    }
+
+    try {
+        return await withRetry(() => registry.embedWithProvider(texts, config, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) }), {
+            retries: MAX_RETRIES,
+            baseMs: RETRY_BASE_MS,
+            maxMs: RETRY_MAX_MS,
+            onRetry: (err, attempt, delay) => {
+                console.error(`\n⚠️  ${err.message.slice(0, 120)} - retry ${attempt}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+            }
+        });
+    } catch (err) {
+        if (texts.length > 1 && BATCH_REJECTED_STATUS.has(err.status)) {
+            if (err.status === BATCH_TOO_LARGE_STATUS) {
+                maxAcceptedBatch = Math.min(maxAcceptedBatch, Math.ceil(texts.length / 2));
+                console.error(`\n✂️  Server rejected a batch of ${texts.length} as too large (${err.status}), splitting to ${maxAcceptedBatch}`);
+            } else {
+                console.error(`\n✂️  Server rejected a batch of ${texts.length} (${err.status}), splitting it in half`);
+            }
+            return splitBatch(texts, registry, config);
+        }
+        throw err;
+    }
+}
+
+async function splitBatch(texts, registry, config) {
+    const size = Math.min(maxAcceptedBatch, Math.ceil(texts.length / 2));
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += size) {
+        embeddings.push(...await embedWithRetry(texts.slice(i, i + size), registry, config));
+    }
+    return embeddings;
+}
+
+module.exports = {
+    TRANSFORMER_MODEL,
+    describeProvider,
+    getProvenanceBase,
+    getTokenCounter,
+    getCapabilities,
+    fetchEmbedding,
+    fetchEmbeddings
+};
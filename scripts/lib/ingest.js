@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const { importShared } = require('./shared');
+
+// Converts a Markdown / text / CSV / HTML source (app/src/lib/ingest.js) to KB JSONL,
+// written as `<name>_rag.jsonl` in `outputDir` (default: next to the source) or to `outputFile`.
+async function convertSourceFile(sourceFile, { maxChars, format, outputDir = null, outputFile = null } = {}) {
+    const { convertSource, getIngestedFileName, recordsToJsonl } = await importShared('ingest.js');
+    const fileName = path.basename(sourceFile);
+    const result = await convertSource(fs.readFileSync(sourceFile, 'utf8'), fileName, { maxChars, format });
+    if (result.records.length === 0) {
+        throw new Error(`${sourceFile} has no text to convert`);
+    }
+
+    const outputPath = outputFile || path.join(outputDir || path.dirname(sourceFile), getIngestedFileName(fileName));
+    fs.writeFileSync(outputPath, recordsToJsonl(result.records));
+    return { outputPath, ...result };
+}
+
+async function isSourceFile(file) {
+    const { getSourceFormat } = await importShared('ingest.js');
+    return getSourceFormat(file) !== null;
+}
+
+module.exports = {
+    convertSourceFile,
+    isSourceFile
+};
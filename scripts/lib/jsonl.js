@@ -0,0 +1,37 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Yields { line, lineNumber } for every non-blank line of a JSONL file.
+async function* readLines(filePath) {
+    const rl = readline.createInterface({
+        input: fs.createReadStream(filePath),
+        crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of rl) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        yield { line, lineNumber };
+    }
+}
+
+async function readJsonlRecords(filePath) {
+    const records = [];
+    const invalidLines = [];
+
+    for await (const { line, lineNumber } of readLines(filePath)) {
+        try {
+            records.push(JSON.parse(line));
+        } catch (err) {
+            invalidLines.push({ lineNumber, message: err.message });
+        }
+    }
+
+    return { records, invalidLines };
+}
+
+module.exports = {
+    readLines,
+    readJsonlRecords
+};
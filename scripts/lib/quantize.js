@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchEmbedding } = require('./embedding');
+const { readLines } = require('./jsonl');
+const { importShared } = require('./shared');
+const { loadReducer, copyReducer } = require('./reduce');
+
+// Quantizes an embedded JSONL file, writes the `.quantization.json` sidecar and
+// measures recall@k of quantized vs full-precision search using the file's own
+// question / canonical_question fields as queries.
+async function quantizeFile(inputFile, outputFile, { format, modelId = null }) {
+    const { quantizeWithReport, getQuantizationSidecarName } = await importShared('quantization.js');
+
+    const entries = [];
+    for await (const { line } of readLines(inputFile)) {
+        try {
+            entries.push({ record: JSON.parse(line) });
+        } catch {
+            entries.push({ raw: line });
+        }
+    }
+
+    const records = entries.filter(e => e.record).map(e => e.record);
+    // Codes of a reduced file are compared with queries reduced the same way
+    const { reduceVector, isReducedBy } = await importShared('reduction.js');
+    const reducer = await loadReducer(inputFile);
+    const applyReducer = reducer && records.some(record => isReducedBy(record, reducer));
+    const { report: quantization } = await quantizeWithReport(records, format, async (texts) => {
+        const vectors = [];
+        for (const text of texts) {
+            const vector = await fetchEmbedding(text);
+            vectors.push(applyReducer && vector ? reduceVector(reducer, vector) : vector);
+        }
+        return vectors;
+    });
+
+    const lines = entries.map(e => (e.record ? JSON.stringify(e.record) : e.raw));
+    fs.writeFileSync(outputFile, lines.join('\n') + '\n');
+    if (applyReducer) await copyReducer(inputFile, outputFile);
+
+    const report = {
+        ...quantization,
+        model: modelId,
+        source: path.basename(inputFile),
+        createdAt: new Date().toISOString()
+    };
+    const sidecarPath = path.join(path.dirname(outputFile), getQuantizationSidecarName(path.basename(outputFile)));
+    fs.writeFileSync(sidecarPath, JSON.stringify(report, null, 2));
+
+    return { report, sidecarPath };
+}
+
+function printQuantizationReport(report, sidecarPath) {
+    console.log(`\n🗜️  Quantization: ${report.format} (${report.vectors} vectors, ${report.dimension}d)`);
+    console.log(`📏 Vector JSON size: ${(report.floatBytes / 1024).toFixed(1)} KB → ${(report.quantizedBytes / 1024).toFixed(1)} KB`);
+    if (report.queries > 0) {
+        const recall = Object.entries(report.recall)
+            .map(([k, value]) => `recall${k} ${value.toFixed(3)}`)
+            .join(' | ');
+        console.log(`🎯 vs full precision over ${report.queries} self-queries: ${recall}`);
+    } else {
+        console.log(`🎯 No question/canonical_question fields found; recall not measured`);
+    }
+    console.log(`📄 Codebook: ${sidecarPath}`);
+}
+
+// Loads the sidecar that sits next to an embedded file, if there is one.
+async function loadCodebook(embeddedFile) {
+    const { getQuantizationSidecarName } = await importShared('quantization.js');
+    const sidecarPath = path.join(path.dirname(embeddedFile), getQuantizationSidecarName(path.basename(embeddedFile)));
+    if (!fs.existsSync(sidecarPath)) return null;
+    return JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+}
+
+module.exports = {
+    quantizeFile,
+    printQuantizationReport,
+    loadCodebook
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchEmbedding } = require('./embedding');
+const { readLines } = require('./jsonl');
+const { importShared } = require('./shared');
+
+// Reduces the vectors of an embedded JSONL file, writes the `.reduction.json` sidecar
+// (the reducer plus its report) and measures how retrieval with the file's own
+// question / canonical_question fields changes.
+async function reduceFile(inputFile, outputFile, { method, dimension, modelId = null }) {
+    const { reduceWithReport } = await importShared('reduction.js');
+
+    const entries = [];
+    for await (const { line } of readLines(inputFile)) {
+        try {
+            entries.push({ record: JSON.parse(line) });
+        } catch {
+            entries.push({ raw: line });
+        }
+    }
+
+    const records = entries.filter(e => e.record).map(e => e.record);
+    const { report: reduction } = await reduceWithReport(records, { method, dimension }, async (texts) => {
+        const vectors = [];
+        for (const text of texts) {
+            vectors.push(await fetchEmbedding(text));
+        }
+        return vectors;
+    });
+
+    const lines = entries.map(e => (e.record ? JSON.stringify(e.record) : e.raw));
+    fs.writeFileSync(outputFile, lines.join('\n') + '\n');
+
+    const report = {
+        ...reduction,
+        model: modelId,
+        source: path.basename(inputFile),
+        createdAt: new Date().toISOString()
+    };
+    const sidecarPath = await getReducerPath(outputFile);
+    fs.writeFileSync(sidecarPath, JSON.stringify(report, null, 2));
+
+    return { report, sidecarPath };
+}
+
+function printReductionReport(report, sidecarPath) {
+    const formatMetrics = (metrics, label) => Object.entries(metrics)
+        .map(([k, value]) => `${label}${k} ${value.toFixed(3)}`)
+        .join(' | ');
+
+    console.log(`\n📉 Reduction: ${report.method} ${report.from}d → ${report.dimension}d (${report.vectors} vectors)`);
+    console.log(`📊 Variance kept: ${(report.explained * 100).toFixed(1)}%`);
+    console.log(`📏 Vector JSON size: ${(report.floatBytes / 1024).toFixed(1)} KB → ${(report.reducedBytes / 1024).toFixed(1)} KB`);
+    if (report.queries > 0) {
+        console.log(`🎯 vs full dimension over ${report.queries} self-queries: ${formatMetrics(report.recall, 'recall')}`);
+        console.log(`   Own record found, full:    ${formatMetrics(report.hits.full, 'hit')}`);
+        console.log(`   Own record found, reduced: ${formatMetrics(report.hits.reduced, 'hit')}`);
+    } else {
+        console.log(`🎯 No question/canonical_question fields found; impact not measured`);
+    }
+    console.log(`📄 Reducer: ${sidecarPath}`);
+}
+
+async function getReducerPath(embeddedFile) {
+    const { getReductionSidecarName } = await importShared('reduction.js');
+    return path.join(path.dirname(embeddedFile), getReductionSidecarName(path.basename(embeddedFile)));
+}
+
+// Loads the reducer that sits next to an embedded file, if there is one.
+async function loadReducer(embeddedFile) {
+    const { parseReducer } = await importShared('reduction.js');
+    const sidecarPath = await getReducerPath(embeddedFile);
+    if (!fs.existsSync(sidecarPath)) return null;
+    return parseReducer(JSON.parse(fs.readFileSync(sidecarPath, 'utf8')));
+}
+
+// Copies the reducer along when a reduced file is rewritten under another name.
+async function copyReducer(fromFile, toFile) {
+    const [from, to] = await Promise.all([getReducerPath(fromFile), getReducerPath(toFile)]);
+    if (from !== to && fs.existsSync(from)) fs.copyFileSync(from, to);
+}
+
+module.exports = {
+    reduceFile,
+    printReductionReport,
+    loadReducer,
+    copyReducer
+};
@@ -0,0 +1,34 @@
+// Retry helpers for the remote embedding API: exponential backoff with full
+// jitter on 429 / 5xx / timeouts / network errors.
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+function isRetryableError(err) {
+    // HTTP failures carry the response status (ProviderHttpError in app/src/lib/providers.js)
+    if (typeof err.status === 'number') return RETRYABLE_STATUS.has(err.status);
+    // fetch() reports connection failures as TypeError; AbortSignal.timeout() as TimeoutError
+    return err.name === 'TimeoutError' || err.name === 'AbortError' || err instanceof TypeError;
+}
+
+function backoffDelay(attempt, { baseMs, maxMs }) {
+    return Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withRetry(fn, { retries, baseMs, maxMs, onRetry = () => {} }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !isRetryableError(err)) throw err;
+            const delay = err.retryAfterMs != null ? Math.min(err.retryAfterMs, maxMs) : backoffDelay(attempt, { baseMs, maxMs });
+            onRetry(err, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    isRetryableError,
+    withRetry
+};
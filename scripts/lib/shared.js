@@ -0,0 +1,13 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Browser-safe ES modules that the React app and the Node scripts both use.
+const SHARED_LIB_DIR = path.join(__dirname, '../../app/src/lib');
+
+function importShared(moduleName) {
+    return import(pathToFileURL(path.join(SHARED_LIB_DIR, moduleName)).href);
+}
+
+module.exports = {
+    importShared
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const { importShared } = require('./shared');
+
+// Template selection for the CLI. EMBEDDING_TEMPLATE picks a template id (built-in
+// or from the config file) or holds an inline template string. The config file
+// (EMBEDDING_TEMPLATE_CONFIG, default embedding.templates.json in the repo root) is
+//   { "template": "<default id>", "templates": { "<id>": { "label", "template", "maxLength" } } }
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../../embedding.templates.json');
+
+function readTemplateConfig(configFile) {
+    if (!fs.existsSync(configFile)) {
+        if (process.env.EMBEDDING_TEMPLATE_CONFIG) {
+            throw new Error(`Template config not found at ${configFile}`);
+        }
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (err) {
+        throw new Error(`Invalid template config ${configFile}: ${err.message}`);
+    }
+}
+
+// Resolves to { id, definition, render(record) }.
+async function loadEmbeddingTemplate(selection = process.env.EMBEDDING_TEMPLATE) {
+    const { resolveTemplate, compileTemplate } = await importShared('templates.js');
+    const configFile = process.env.EMBEDDING_TEMPLATE_CONFIG || DEFAULT_CONFIG_FILE;
+    const config = readTemplateConfig(configFile);
+
+    const { id, definition } = resolveTemplate(selection || config.template, config.templates);
+    return { id, definition, render: compileTemplate(definition) };
+}
+
+module.exports = {
+    loadEmbeddingTemplate
+};
@@ -0,0 +1,41 @@
+const path = require('path');
+const { readLines } = require('./jsonl');
+const { importShared } = require('./shared');
+
+// Validates one or more JSONL files together, so duplicate ids and related_ids are
+// checked across all of them. `render` is the embedding template, if any.
+async function validateJsonlFiles(filePaths, { render = null } = {}) {
+    const { createValidator } = await importShared('validation.js');
+    const validator = createValidator({ getEmbeddingText: render });
+    const labelFiles = filePaths.length > 1;
+
+    for (const filePath of filePaths) {
+        const source = labelFiles ? path.basename(filePath) : null;
+        for await (const { line, lineNumber } of readLines(filePath)) {
+            validator.addLine(line, lineNumber, source);
+        }
+    }
+    return validator.finish();
+}
+
+async function printValidationReport(report, { maxIssues = 20 } = {}) {
+    const { describeValidation, formatIssueLocation, SEVERITY } = await importShared('validation.js');
+    const icon = report.errors > 0 ? '❌' : report.warnings > 0 ? '⚠️ ' : '✅';
+    console.log(`${icon} Validation: ${describeValidation(report)}`);
+
+    const shown = [...report.issues]
+        .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === SEVERITY.ERROR ? -1 : 1))
+        .slice(0, maxIssues);
+    for (const issue of shown) {
+        console.log(`   ${issue.severity === SEVERITY.ERROR ? 'error  ' : 'warning'} ${formatIssueLocation(issue)}: ${issue.message}`);
+    }
+    const total = report.errors + report.warnings;
+    if (total > shown.length) {
+        console.log(`   ... and ${total - shown.length} more`);
+    }
+}
+
+module.exports = {
+    validateJsonlFiles,
+    printValidationReport
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readLines, readJsonlRecords } = require('./lib/jsonl');
+const { importShared } = require('./lib/shared');
+
+const USAGE = `
+Usage: node scripts/merge_jsonl.js <output.jsonl> <input.jsonl> [more inputs...] [--allow-mixed]
+
+Concatenates embedded JSONL files. Refuses to merge files whose
+embedding_provenance (model, dimension, pooling, normalization) disagrees,
+unless --allow-mixed is given.
+`;
+
+// --- MAIN ---
+(async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'allow-mixed': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [outputFile, ...inputFiles] = positionals;
+    if (values.help || !outputFile || inputFiles.length === 0) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const { hasVector } = await importShared('search.js');
+    const { summarizeProvenance, checkProvenance } = await importShared('provenance.js');
+
+    const sources = [];
+    for (const file of inputFiles) {
+        if (!fs.existsSync(file)) {
+            console.error(`❌ Error: Input file not found at ${file}`);
+            process.exit(1);
+        }
+        const { records } = await readJsonlRecords(file);
+        sources.push({ name: path.basename(file), summary: summarizeProvenance(records, hasVector) });
+    }
+
+    const { errors, warnings } = checkProvenance(sources);
+    warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        if (!values['allow-mixed']) {
+            process.exit(1);
+        }
+    }
+
+    const outputStream = fs.createWriteStream(outputFile, { flags: 'w' });
+    let lineCount = 0;
+    for (const file of inputFiles) {
+        for await (const { line } of readLines(file)) {
+            outputStream.write(line + '\n');
+            lineCount++;
+        }
+    }
+    await new Promise(resolve => outputStream.end(resolve));
+
+    console.log(`✅ Merged ${inputFiles.length} file(s), ${lineCount} line(s) → ${outputFile}`);
+})();
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readJsonlRecords } = require('./lib/jsonl');
+const { loadEmbeddingTemplate } = require('./lib/templates');
+
+// --- CONFIGURATION ---
+const DEFAULT_COUNT = 3;
+const DEFAULT_INPUT = path.join(__dirname, '../jsonl/knowledge.jsonl');
+
+const USAGE = `
+Usage: node scripts/preview_template.js [input.jsonl] [options]
+
+Prints the text that embed_jsonl.js would embed for the first few records.
+
+Options:
+  --template <id|string>  Template id or inline template (default: EMBEDDING_TEMPLATE or the config file)
+  --n <count>             Number of records to show (default ${DEFAULT_COUNT})
+
+Example: node scripts/preview_template.js jsonl/fa.jsonl --template '{{title}}: {{answer | max: 200}}'
+`;
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                template: { type: 'string' },
+                n: { type: 'string', default: String(DEFAULT_COUNT) },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const inputFile = positionals[0] || DEFAULT_INPUT;
+    const count = Number.parseInt(values.n, 10);
+    if (!Number.isInteger(count) || count < 1) {
+        console.error(`❌ --n must be a positive integer, got "${values.n}"`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(inputFile)) {
+        console.error(`❌ Error: Input file not found at ${inputFile}`);
+        process.exit(1);
+    }
+
+    let template;
+    try {
+        template = await loadEmbeddingTemplate(values.template);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    const { records } = await readJsonlRecords(inputFile);
+    console.log(`\n📝 Template: ${template.id}`);
+    console.log(`📂 Input:    ${inputFile}`);
+
+    for (const record of records.slice(0, count)) {
+        const text = template.render(record);
+        console.log(`\n--- ${record.id ?? '(no id)'} (${text.length} chars) ---`);
+        console.log(text || '(empty: record would be skipped)');
+    }
+})();
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { describeProvider } = require('./lib/embedding');
+const { quantizeFile, printQuantizationReport } = require('./lib/quantize');
+
+const USAGE = `
+Usage: node scripts/quantize_jsonl.js <embedded.jsonl> <output.jsonl> --format <int8|int8-dim|binary>
+
+Formats:
+  int8       int8 codes with one scale per vector
+  int8-dim   int8 codes with one scale per dimension (stored in the .quantization.json sidecar)
+  binary     1 bit per dimension, scored by Hamming distance
+
+Queries for the recall report are embedded with the current EMBEDDING_PROVIDER,
+which must be the model the file was embedded with.
+`;
+
+// --- MAIN ---
+(async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'int8' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [inputFile, outputFile] = positionals;
+    if (values.help || !inputFile || !outputFile) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+    if (!fs.existsSync(inputFile)) {
+        console.error(`❌ Error: Input file not found at ${inputFile}`);
+        process.exit(1);
+    }
+
+    try {
+        const { report, sidecarPath } = await quantizeFile(inputFile, outputFile, {
+            format: values.format,
+            modelId: (await describeProvider()).model
+        });
+        printQuantizationReport(report, sidecarPath);
+        console.log(`📄 Saved to: ${outputFile}`);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { describeProvider } = require('./lib/embedding');
+const { reduceFile, printReductionReport } = require('./lib/reduce');
+
+const USAGE = `
+Usage: node scripts/reduce_jsonl.js <embedded.jsonl> <output.jsonl> --method <truncate|pca> --dim <n>
+
+Methods:
+  truncate   Keep the first <n> dimensions and re-normalize. Only meaningful for
+             Matryoshka-trained models (e.g. Qwen3-Embedding, nomic-embed-text-v1.5)
+  pca        Fit a PCA projection to <n> dimensions on the file's own vectors
+
+The reducer is saved to a .reduction.json sidecar next to the output; search_jsonl.js,
+evaluate_retrieval.js and the embeddings server use it to reduce queries the same way.
+Queries for the impact report are embedded with the current EMBEDDING_PROVIDER, which
+must be the model the file was embedded with. Reduce before quantizing.
+
+Example: node scripts/reduce_jsonl.js jsonl/fa.embedded.jsonl jsonl/fa.pca256.embedded.jsonl --method pca --dim 256
+`;
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                method: { type: 'string', default: 'truncate' },
+                dim: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    const [inputFile, outputFile] = positionals;
+    if (values.help || !inputFile || !outputFile) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+    if (!fs.existsSync(inputFile)) {
+        console.error(`❌ Error: Input file not found at ${inputFile}`);
+        process.exit(1);
+    }
+    const dimension = Number.parseInt(values.dim, 10);
+    if (!Number.isInteger(dimension) || dimension < 1) {
+        console.error(`❌ --dim must be a positive integer, got "${values.dim ?? ''}"`);
+        process.exit(1);
+    }
+
+    try {
+        const { report, sidecarPath } = await reduceFile(inputFile, outputFile, {
+            method: values.method,
+            dimension,
+            modelId: (await describeProvider()).model
+        });
+        printReductionReport(report, sidecarPath);
+        console.log(`📄 Saved to: ${outputFile}`);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+})();
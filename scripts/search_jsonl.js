@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { describeProvider, fetchEmbedding } = require('./lib/embedding');
+const { readJsonlRecords } = require('./lib/jsonl');
+const { importShared } = require('./lib/shared');
+const { loadCodebook } = require('./lib/quantize');
+const { loadReducer } = require('./lib/reduce');
+const { loadIndex } = require('./lib/annIndex');
+
+// --- CONFIGURATION ---
+const DEFAULT_K = 5;
+const DEFAULT_VECTOR_WEIGHT = 0.5;
+const MODES = ['vector', 'keyword', 'hybrid'];
+const FUSIONS = ['rrf', 'weighted'];
+const DEFAULT_INPUT = path.join(__dirname, '../jsonl/knowledge.embedded.jsonl');
+
+const USAGE = `
+Usage: node scripts/search_jsonl.js "<query>" [embedded.jsonl ...] [options]
+
+Options:
+  --k <n>                 Number of results to print (default ${DEFAULT_K})
+  --json                  Print results as JSON (for piping into jq etc.)
+  --mode <vector|keyword|hybrid>  Cosine only, BM25 keywords only, or both fused (default vector)
+  --fusion <rrf|weighted> How hybrid mode fuses the rankings (default rrf)
+  --vector-weight <0..1>  Share of the vector score for --fusion weighted (default ${DEFAULT_VECTOR_WEIGHT})
+  --type <value>          Only search records with this \`type\`
+  --persona <value>       Only search records with this \`persona\`
+  --action-type <value>   Only search records with this \`action_type\`
+  --tag <value>           Only search records with this tag (repeatable, any may match)
+  --document-id <value>   Only search records with this \`document_id\`
+  --doc-version <value>   Only search records with this \`doc_version\`
+  --where <field=value>   Filter on any other record field (repeatable)
+  --ignore-not-about      Do not demote records whose \`not_about\` matches the query
+  --ann                   Use each file's HNSW index (scripts/build_index.js) instead of scanning every vector
+  --ef <n>                Candidates the index explores with --ann (default 64; higher = closer to exact)
+  --allow-mixed           Search even if the files' embedding provenance disagrees
+  --combine <max|weighted>  How to combine named vectors (EMBEDDING_VECTORS) with the content score (default max)
+  --weights <name=w,...>  Weights for --combine weighted, e.g. content=1,question=1,alt_titles=0.7
+
+Example: node scripts/search_jsonl.js "FA-REG screen error" jsonl/fa.embedded.jsonl --mode hybrid --k 3 --type GUIDE
+`;
+
+const parseCli = () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            k: { type: 'string', default: String(DEFAULT_K) },
+            json: { type: 'boolean', default: false },
+            mode: { type: 'string', default: 'vector' },
+            fusion: { type: 'string', default: 'rrf' },
+            'vector-weight': { type: 'string', default: String(DEFAULT_VECTOR_WEIGHT) },
+            type: { type: 'string' },
+            persona: { type: 'string' },
+            'action-type': { type: 'string' },
+            tag: { type: 'string', multiple: true, default: [] },
+            'document-id': { type: 'string' },
+            'doc-version': { type: 'string' },
+            where: { type: 'string', multiple: true, default: [] },
+            'ignore-not-about': { type: 'boolean', default: false },
+            ann: { type: 'boolean', default: false },
+            ef: { type: 'string' },
+            'allow-mixed': { type: 'boolean', default: false },
+            combine: { type: 'string', default: 'max' },
+            weights: { type: 'string', default: '' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [query, ...files] = positionals;
+    const filters = {};
+    if (values.type) filters.type = values.type;
+    if (values.persona) filters.persona = values.persona;
+    if (values['action-type']) filters.action_type = values['action-type'];
+    if (values.tag.length > 0) filters.tags = values.tag;
+    if (values['document-id']) filters.document_id = values['document-id'];
+    if (values['doc-version']) filters.doc_version = values['doc-version'];
+    for (const clause of values.where) {
+        const separator = clause.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid --where clause "${clause}", expected field=value`);
+        }
+        filters[clause.slice(0, separator)] = clause.slice(separator + 1);
+    }
+
+    const k = Number.parseInt(values.k, 10);
+    if (!Number.isInteger(k) || k < 1) {
+        throw new Error(`--k must be a positive integer, got "${values.k}"`);
+    }
+
+    if (!['max', 'weighted'].includes(values.combine)) {
+        throw new Error(`--combine must be max or weighted, got "${values.combine}"`);
+    }
+
+    if (!MODES.includes(values.mode)) {
+        throw new Error(`--mode must be one of ${MODES.join(', ')}, got "${values.mode}"`);
+    }
+
+    if (!FUSIONS.includes(values.fusion)) {
+        throw new Error(`--fusion must be one of ${FUSIONS.join(', ')}, got "${values.fusion}"`);
+    }
+
+    const ef = values.ef === undefined ? null : Number.parseInt(values.ef, 10);
+    if (ef !== null && (!Number.isInteger(ef) || ef < 1)) {
+        throw new Error(`--ef must be a positive integer, got "${values.ef}"`);
+    }
+
+    const vectorWeight = Number(values['vector-weight']);
+    if (!Number.isFinite(vectorWeight) || vectorWeight < 0 || vectorWeight > 1) {
+        throw new Error(`--vector-weight must be between 0 and 1, got "${values['vector-weight']}"`);
+    }
+
+    return {
+        help: values.help,
+        query,
+        files: files.length ? files : [DEFAULT_INPUT],
+        k,
+        json: values.json,
+        allowMixed: values['allow-mixed'],
+        combine: values.combine,
+        weights: values.weights,
+        mode: values.mode,
+        fusion: values.fusion,
+        vectorWeight,
+        useNotAbout: !values['ignore-not-about'],
+        ann: values.ann,
+        ef,
+        filters
+    };
+};
+
+const toResult = ({ item, score, vectorScore, keywordScore, notAbout }, index) => ({
+    rank: index + 1,
+    score,
+    vector_score: vectorScore,
+    keyword_score: keywordScore,
+    not_about: notAbout,
+    id: item.record.id ?? null,
+    title: item.record.title ?? null,
+    question: item.record.question ?? null,
+    type: item.record.type ?? null,
+    filename: item.record.filename ?? null,
+    source_page: item.record.source_page ?? null,
+    source_section: item.record.source_section ?? null,
+    file: item.file
+});
+
+const printResults = (results) => {
+    if (results.length === 0) {
+        console.log('No matching records.');
+        return;
+    }
+
+    for (const result of results) {
+        console.log(`${String(result.rank).padStart(2)}. ${result.score.toFixed(4)}  ${result.title || result.question || '(untitled)'}`);
+        const details = [`id: ${result.id}`];
+        if (result.source_section) details.push(`§ ${result.source_section}`);
+        if (result.source_page != null) details.push(`p.${result.source_page}`);
+        details.push(path.basename(result.file));
+        console.log(`    ${details.join(' | ')}`);
+        if (result.vector_score !== null && result.keyword_score !== null) {
+            console.log(`    cosine ${result.vector_score.toFixed(4)} | bm25 ${result.keyword_score.toFixed(2)}`);
+        }
+        if (result.not_about) {
+            console.log(`    ⚠️  Demoted: not about "${result.not_about}"`);
+        }
+    }
+};
+
+// --- MAIN ---
+(async () => {
+    let options;
+    try {
+        options = parseCli();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help || !options.query) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const { hasVector, getRecordDimension } = await importShared('search.js');
+    const { createHybridIndex, hybridSearch, matchesFilters } = await importShared('hybridSearch.js');
+    const { summarizeProvenance, checkProvenance } = await importShared('provenance.js');
+    const { parseVectorWeights, hasNamedVectors } = await importShared('namedVectors.js');
+    const { searchHnsw, mapIndexRows, DEFAULT_EF_SEARCH } = await importShared('hnsw.js');
+    const { createQueryReducer, isReducedBy } = await importShared('reduction.js');
+    let weights;
+    try {
+        weights = parseVectorWeights(options.weights);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+    let namedRecords = 0;
+
+    const isKeywordOnly = options.mode === 'keyword';
+    const useAnn = options.ann && !isKeywordOnly;
+    const ef = options.ef || DEFAULT_EF_SEARCH;
+    const items = [];
+    const itemIndexes = new Map();
+    const annIndexes = [];
+    const dimensions = new Set();
+    const codebooks = new Map();
+    const reducers = new Map();
+    const provenanceSources = [];
+    for (const file of options.files) {
+        if (!fs.existsSync(file)) {
+            console.error(`❌ Error: Input file not found at ${file}`);
+            process.exit(1);
+        }
+        const { records, invalidLines } = await readJsonlRecords(file);
+        if (invalidLines.length > 0) {
+            console.error(`⚠️  ${file}: skipped ${invalidLines.length} unparseable line(s)`);
+        }
+        const codebook = await loadCodebook(file);
+        codebooks.set(file, codebook);
+        let reducer;
+        try {
+            reducer = await loadReducer(file);
+        } catch (err) {
+            console.error(`❌ ${path.basename(file)}: ${err.message}`);
+            process.exit(1);
+        }
+        if (reducer && !records.some(record => hasVector(record) && isReducedBy(record, reducer))) {
+            console.error(`⚠️  ${path.basename(file)}: ignoring its reduction sidecar, which did not produce the file's vectors`);
+            reducer = null;
+        }
+        reducers.set(file, reducer);
+        provenanceSources.push({ name: path.basename(file), summary: summarizeProvenance(records, hasVector) });
+        // Keyword search also covers records that were never embedded
+        for (const record of records) {
+            if (!hasVector(record) && !isKeywordOnly) continue;
+            // A reduced file is searched with the query reduced the same way, so it expects full-size queries
+            if (hasVector(record)) dimensions.add(reducer && isReducedBy(record, reducer) ? reducer.from : getRecordDimension(record, codebook));
+            if (hasNamedVectors(record)) namedRecords++;
+            itemIndexes.set(record, items.length);
+            items.push({ record, file });
+        }
+        if (useAnn) {
+            try {
+                const index = await loadIndex(file);
+                if (!index) {
+                    throw new Error(`No HNSW index next to ${file}; build one with node scripts/build_index.js ${file}`);
+                }
+                annIndexes.push({ index, rows: mapIndexRows(index, records), reducer });
+            } catch (err) {
+                console.error(`❌ ${path.basename(file)}: ${err.message}`);
+                process.exit(1);
+            }
+        }
+    }
+    const searched = items.filter(item => matchesFilters(item.record, options.filters)).length;
+
+    let provider = null;
+    let queryVector = null;
+    if (!isKeywordOnly) {
+        try {
+            provider = await describeProvider();
+        } catch (err) {
+            console.error(`❌ ${err.message}`);
+            process.exit(1);
+        }
+        const { errors, warnings } = checkProvenance(provenanceSources, provider.model);
+        warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`❌ ${error}`));
+            if (!options.allowMixed) {
+                console.error('   Re-embed the files with one model, or pass --allow-mixed to search anyway.');
+                process.exit(1);
+            }
+        }
+
+        queryVector = await fetchEmbedding(options.query);
+        if (!queryVector) {
+            console.error('❌ Could not embed the query');
+            process.exit(1);
+        }
+
+        if (items.length > 0 && !dimensions.has(queryVector.length)) {
+            console.error(`⚠️  Query vector is ${queryVector.length}d but documents are ${[...dimensions].join('/')}d. Check EMBEDDING_PROVIDER / model settings.`);
+        }
+    }
+
+    // Each index returns its `ef` nearest records; only those get a vector score
+    let annScores = null;
+    if (useAnn) {
+        annScores = new Map();
+        try {
+            const reduceQuery = createQueryReducer(queryVector);
+            for (const { index, rows, reducer } of annIndexes) {
+                const indexQuery = reduceQuery(reducer);
+                if (!indexQuery) continue;
+                for (const hit of searchHnsw(index, indexQuery, { k: ef, ef })) {
+                    annScores.set(itemIndexes.get(rows[hit.row]), hit.score);
+                }
+            }
+        } catch (err) {
+            console.error(`❌ ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    // The keyword index covers all files, so term rarity is judged across the whole KB.
+    const results = hybridSearch(createHybridIndex(items), {
+        query: options.query,
+        queryVector,
+        mode: options.mode,
+        fusion: options.fusion,
+        vectorWeight: options.vectorWeight,
+        topK: options.k,
+        filters: options.filters,
+        getCodebook: item => codebooks.get(item.file),
+        getReducer: item => reducers.get(item.file),
+        combine: options.combine,
+        weights,
+        useNotAbout: options.useNotAbout,
+        annScores
+    }).map(toResult);
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            query: options.query,
+            model: isKeywordOnly ? null : provider.model,
+            mode: options.mode,
+            fusion: options.mode === 'hybrid' ? options.fusion : null,
+            filters: options.filters,
+            combine: namedRecords > 0 && !useAnn ? options.combine : null,
+            ann: useAnn ? { ef } : null,
+            searched,
+            results
+        }, null, 2));
+        return;
+    }
+
+    console.log(`\n🔎 Query:   ${options.query}`);
+    if (!isKeywordOnly) {
+        console.log(`🧠 Model:   ${provider.model} (${provider.mode})`);
+    }
+    console.log(`🧭 Mode:    ${options.mode}${options.mode === 'hybrid' ? ` (${options.fusion === 'weighted' ? `weighted, vector ${options.vectorWeight}` : 'reciprocal rank fusion'})` : ''}`);
+    if (Object.keys(options.filters).length > 0) {
+        console.log(`🏷️  Filters: ${Object.entries(options.filters).map(([k, v]) => `${k}=${[].concat(v).join('|')}`).join(', ')}`);
+    }
+    console.log(`📚 Searched ${searched} ${isKeywordOnly ? '' : 'embedded '}record(s) in ${options.files.length} file(s)`);
+    for (const [file, reducer] of reducers) {
+        if (reducer) console.log(`📉 Reduced: ${path.basename(file)} (${reducer.method} ${reducer.from}d → ${reducer.dimension}d)`);
+    }
+    if (useAnn) {
+        console.log(`🕸️  ANN:     HNSW index, ef ${ef} (approximate${namedRecords > 0 ? '; named vectors ignored' : ''})`);
+    } else if (namedRecords > 0) {
+        console.log(`🏷️  Named vectors on ${namedRecords} record(s), combined by ${options.combine}`);
+    }
+    console.log(`========================================`);
+    printResults(results);
+    console.log('');
+})();
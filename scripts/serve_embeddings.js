@@ -0,0 +1,345 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { TRANSFORMER_MODEL } = require('./lib/embedding');
+const { readJsonlRecords } = require('./lib/jsonl');
+const { importShared } = require('./lib/shared');
+const { loadCodebook } = require('./lib/quantize');
+const { loadReducer } = require('./lib/reduce');
+
+// --- CONFIGURATION ---
+// Same port as the default LM Studio URL, so only the host changes
+const DEFAULT_PORT = 9989;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_MAX_BATCH = 256;
+const DEFAULT_K = 5;
+const MAX_K = 100;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const USAGE = `
+Usage: node scripts/serve_embeddings.js [options]
+
+OpenAI-compatible embeddings server backed by @xenova/transformers, the same pipeline
+as EMBEDDING_PROVIDER=transformers. Point the UI's OpenAI-compatible provider or embed_jsonl.js at it:
+  EMBEDDING_PROVIDER=openai EMBEDDING_API_URL=http://localhost:${DEFAULT_PORT}/v1/embeddings \\
+  EMBEDDING_MODEL=${TRANSFORMER_MODEL} node scripts/embed_jsonl.js in.jsonl out.embedded.jsonl
+
+Endpoints:
+  POST /v1/embeddings   {"model": "...", "input": "text" | ["text", ...], "encoding_format": "float" | "base64"}
+  POST /v1/search       {"query": "...", "k": 5, "mode": "vector|keyword|hybrid", "filters": {"type": "GUIDE"}}
+  GET  /v1/models       Models this server answers for
+  GET  /health
+
+Options:
+  --port <n>          Port (default ${DEFAULT_PORT})
+  --host <address>    Interface to listen on (default ${DEFAULT_HOST}; 0.0.0.0 to serve the LAN)
+  --provider <name>   Registry provider that computes the vectors (default transformers; hash needs no model download)
+  --model <id>        Model to serve (repeatable; the first is the default, default ${TRANSFORMER_MODEL} for transformers)
+  --any-model         Answer requests for unlisted model names with the default model instead of a 404
+  --max-batch <n>     Inputs per request before answering 413 (clients then split the batch; default ${DEFAULT_MAX_BATCH})
+  --search <file>     Embedded JSONL to serve /v1/search over (repeatable)
+`;
+
+class ApiError extends Error {
+    constructor(status, message, code = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, `Request body exceeds ${MAX_BODY_BYTES / 1024 / 1024} MB`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch {
+                reject(new ApiError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// The ONNX runtime already uses every core, so requests are embedded one at a time.
+let queue = Promise.resolve();
+const runExclusive = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+};
+
+const toBase64 = (vector) => Buffer.from(new Float32Array(vector).buffer).toString('base64');
+
+// Loads the files for /v1/search and picks the served model their vectors came from.
+async function loadSearchCorpus(files, models) {
+    const { hasVector } = await importShared('search.js');
+    const { createHybridIndex } = await importShared('hybridSearch.js');
+    const { summarizeProvenance, checkProvenance } = await importShared('provenance.js');
+
+    const items = [];
+    const codebooks = new Map();
+    const reducers = new Map();
+    const sources = [];
+    for (const file of files) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Search file not found at ${file}`);
+        }
+        const { records, invalidLines } = await readJsonlRecords(file);
+        if (invalidLines.length > 0) {
+            console.error(`⚠️  ${file}: skipped ${invalidLines.length} unparseable line(s)`);
+        }
+        codebooks.set(file, await loadCodebook(file));
+        reducers.set(file, await loadReducer(file));
+        sources.push({ name: path.basename(file), summary: summarizeProvenance(records, hasVector) });
+        // Unembedded records still answer keyword searches
+        records.forEach(record => items.push({ record, file }));
+    }
+
+    const { errors, warnings } = checkProvenance(sources);
+    warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+    if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+    }
+    const documentModels = [...new Set(sources.flatMap(({ summary }) => [...summary.spaces.values()].map(space => space.provenance.model)))];
+    const model = documentModels[0] || models[0];
+    if (!models.includes(model)) {
+        throw new Error(`The search files were embedded with ${model}; serve it with --model ${model}`);
+    }
+
+    return { index: createHybridIndex(items), codebooks, reducers, model, files };
+}
+
+// --- MAIN ---
+(async () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                port: { type: 'string', default: String(DEFAULT_PORT) },
+                host: { type: 'string', default: DEFAULT_HOST },
+                provider: { type: 'string', default: 'transformers' },
+                model: { type: 'string', multiple: true, default: [] },
+                'any-model': { type: 'boolean', default: false },
+                'max-batch': { type: 'string', default: String(DEFAULT_MAX_BATCH) },
+                search: { type: 'string', multiple: true, default: [] },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const port = Number.parseInt(values.port, 10);
+    const maxBatch = Number.parseInt(values['max-batch'], 10);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`❌ --port must be a port number, got "${values.port}"`);
+        process.exit(1);
+    }
+    if (!Number.isInteger(maxBatch) || maxBatch < 1) {
+        console.error(`❌ --max-batch must be a positive integer, got "${values['max-batch']}"`);
+        process.exit(1);
+    }
+    const { hybridSearch, SEARCH_MODES, FUSION_MODES } = await importShared('hybridSearch.js');
+    const { embedWithProvider, getProviderTokenCounter, getProviderSettings, normalizeProviderName, PROVIDER_NAMES } = await importShared('providers.js');
+
+    const provider = normalizeProviderName(values.provider);
+    // Provider config for one model, in the shape the app and embedding.js use
+    const configFor = (model) => ({ provider, providers: { [provider]: { model } } });
+    let models;
+    let corpus = null;
+    try {
+        const defaultProviderModel = getProviderSettings(configFor(null)).model;
+        models = values.model.length > 0
+            ? [...new Set(values.model)]
+            : [provider === PROVIDER_NAMES.TRANSFORMERS ? TRANSFORMER_MODEL : defaultProviderModel];
+        // Load the default model up front so a bad id fails here, not on the first request
+        await getProviderTokenCounter(configFor(models[0]));
+        if (values.search.length > 0) {
+            corpus = await loadSearchCorpus(values.search, models);
+        }
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    const [defaultModel] = models;
+    const resolveModel = (requested) => {
+        if (!requested || models.includes(requested)) return requested || defaultModel;
+        if (values['any-model']) return defaultModel;
+        throw new ApiError(404, `Model "${requested}" is not served here; available: ${models.join(', ')}`, 'model_not_found');
+    };
+
+    // Returns { vectors, tokens } for `texts`, in order.
+    const embed = (texts, model) => runExclusive(async () => {
+        const { countTokens } = await getProviderTokenCounter(configFor(model));
+        const vectors = await embedWithProvider(texts, configFor(model));
+        return { vectors, tokens: texts.reduce((acc, text) => acc + countTokens(text), 0) };
+    });
+
+    const handleEmbeddings = async (body) => {
+        const { input, encoding_format: encoding = 'float' } = body;
+        const texts = Array.isArray(input) ? input : [input];
+        if (texts.length === 0 || texts.some(text => typeof text !== 'string')) {
+            throw new ApiError(400, '`input` must be a string or an array of strings (token arrays are not supported)');
+        }
+        if (texts.length > maxBatch) {
+            throw new ApiError(413, `At most ${maxBatch} inputs per request, got ${texts.length}`);
+        }
+        if (!['float', 'base64'].includes(encoding)) {
+            throw new ApiError(400, '`encoding_format` must be float or base64');
+        }
+        const model = resolveModel(body.model);
+        const { vectors, tokens } = await embed(texts, model);
+        return {
+            object: 'list',
+            data: vectors.map((vector, index) => ({
+                object: 'embedding',
+                index,
+                embedding: encoding === 'base64' ? toBase64(vector) : vector
+            })),
+            model,
+            usage: { prompt_tokens: tokens, total_tokens: tokens }
+        };
+    };
+
+    const handleSearch = async (body) => {
+        if (!corpus) {
+            throw new ApiError(404, 'No search files loaded; start the server with --search <embedded.jsonl>');
+        }
+        const { query, mode = SEARCH_MODES.VECTOR, fusion = FUSION_MODES.RRF, filters = {} } = body;
+        const k = body.k ?? DEFAULT_K;
+        if (typeof query !== 'string' || !query.trim()) {
+            throw new ApiError(400, '`query` must be a non-empty string');
+        }
+        if (!Number.isInteger(k) || k < 1 || k > MAX_K) {
+            throw new ApiError(400, `\`k\` must be an integer from 1 to ${MAX_K}`);
+        }
+        if (!Object.values(SEARCH_MODES).includes(mode)) {
+            throw new ApiError(400, `\`mode\` must be one of ${Object.values(SEARCH_MODES).join(', ')}`);
+        }
+        if (!Object.values(FUSION_MODES).includes(fusion)) {
+            throw new ApiError(400, `\`fusion\` must be one of ${Object.values(FUSION_MODES).join(', ')}`);
+        }
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            throw new ApiError(400, '`filters` must be an object of field → value(s)');
+        }
+
+        const queryVector = mode === SEARCH_MODES.KEYWORD ? null : (await embed([query], corpus.model)).vectors[0];
+        const results = hybridSearch(corpus.index, {
+            query,
+            queryVector,
+            mode,
+            fusion,
+            topK: k,
+            filters,
+            getCodebook: item => corpus.codebooks.get(item.file),
+            getReducer: item => corpus.reducers.get(item.file)
+        });
+        return {
+            object: 'list',
+            model: mode === SEARCH_MODES.KEYWORD ? null : corpus.model,
+            mode,
+            data: results.map(({ item, score, vectorScore, keywordScore, notAbout }, index) => ({
+                rank: index + 1,
+                score,
+                vector_score: vectorScore,
+                keyword_score: keywordScore,
+                not_about: notAbout,
+                id: item.record.id ?? null,
+                title: item.record.title ?? null,
+                question: item.record.question ?? null,
+                answer: item.record.answer ?? null,
+                type: item.record.type ?? null,
+                source_page: item.record.source_page ?? null,
+                source_section: item.record.source_section ?? null,
+                file: path.basename(item.file)
+            }))
+        };
+    };
+
+    const routes = {
+        'GET /health': async () => ({ status: 'ok', models, search_records: corpus ? corpus.index.records.length : 0 }),
+        'GET /v1/models': async () => ({
+            object: 'list',
+            data: models.map(id => ({ id, object: 'model', owned_by: provider }))
+        }),
+        'POST /v1/embeddings': handleEmbeddings,
+        'POST /v1/search': handleSearch
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const start = Date.now();
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${pathname.replace(/\/+$/, '') || '/'}`;
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        let status = 200;
+        try {
+            const handler = routes[route];
+            if (!handler) {
+                throw new ApiError(404, `No route for ${req.method} ${pathname}`);
+            }
+            const body = req.method === 'POST' ? await readJsonBody(req) : null;
+            sendJson(res, status, await handler(body));
+        } catch (err) {
+            status = err instanceof ApiError ? err.status : 500;
+            if (status === 500) console.error(`❌ ${route}: ${err.stack || err.message}`);
+            sendJson(res, status, {
+                error: { message: err.message, type: status === 500 ? 'server_error' : 'invalid_request_error', code: err.code || null }
+            });
+        }
+        console.log(`${new Date().toISOString()} ${route} ${status} ${Date.now() - start}ms`);
+    });
+
+    server.on('error', err => {
+        console.error(`❌ ${err.code === 'EADDRINUSE' ? `Port ${port} is already in use; pick another with --port` : err.message}`);
+        process.exit(1);
+    });
+
+    server.listen(port, values.host, () => {
+        const url = `http://${values.host === '0.0.0.0' ? 'localhost' : values.host}:${server.address().port}`;
+        console.log(`\n🛰️  Embeddings server listening on ${url}`);
+        console.log(`========================================`);
+        console.log(`🧠 Models:  ${models.join(', ')} via ${provider}${values['any-model'] ? ' (any requested name → default)' : ''}`);
+        console.log(`🔌 API:     ${url}/v1/embeddings`);
+        if (corpus) {
+            console.log(`🔎 Search:  ${url}/v1/search over ${corpus.index.records.length} record(s) in ${corpus.files.length} file(s) (${corpus.model})`);
+        }
+        console.log(`========================================\n`);
+    });
+})();
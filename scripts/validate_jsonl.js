@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadEmbeddingTemplate } = require('./lib/templates');
+const { validateJsonlFiles, printValidationReport } = require('./lib/validation');
+
+// --- CONFIGURATION ---
+const DEFAULT_MAX_ISSUES = 20;
+const DEFAULT_INPUT = path.join(__dirname, '../jsonl/knowledge.jsonl');
+
+const USAGE = `
+Usage: node scripts/validate_jsonl.js [input.jsonl ...] [options]
+
+Checks RAG JSONL records against their schema_version (see app/src/lib/validation.js):
+duplicate ids, missing required fields, wrong field types, unparseable lines,
+empty embedding text, related_ids that match no record and confidence outside 0..1.
+Several files are validated together, so ids and related_ids are checked across them.
+
+Exits with code 1 if there are errors (or warnings with --strict).
+
+Options:
+  --template <id|string>  Template used for the empty-text check (default: EMBEDDING_TEMPLATE or the config file)
+  --max <count>           Issues to print (default ${DEFAULT_MAX_ISSUES})
+  --strict                Treat warnings as errors
+  --json                  Print the full report as JSON
+
+Example: node scripts/validate_jsonl.js jsonl/*_rag.jsonl --strict
+`;
+
+// --- MAIN ---
+(async () => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                template: { type: 'string' },
+                max: { type: 'string', default: String(DEFAULT_MAX_ISSUES) },
+                strict: { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const inputFiles = positionals.length > 0 ? positionals : [DEFAULT_INPUT];
+    const maxIssues = Number.parseInt(values.max, 10);
+    if (!Number.isInteger(maxIssues) || maxIssues < 0) {
+        console.error(`❌ --max must be a non-negative integer, got "${values.max}"`);
+        process.exit(1);
+    }
+    const missing = inputFiles.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+        console.error(`❌ Error: Input file not found at ${missing.join(', ')}`);
+        process.exit(1);
+    }
+
+    let template;
+    try {
+        template = await loadEmbeddingTemplate(values.template);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    const report = await validateJsonlFiles(inputFiles, { render: template.render });
+
+    if (values.json) {
+        console.log(JSON.stringify({ files: inputFiles, template: template.id, ...report }, null, 2));
+    } else {
+        console.log(`\n🔎 Validating ${inputFiles.length} file(s) (template: ${template.id})`);
+        console.log(`📄 Lines: ${report.lines} | Records: ${report.records} | Versions: ${Object.entries(report.versions).map(([v, n]) => `${v} ×${n}`).join(', ') || '-'}\n`);
+        await printValidationReport(report, { maxIssues });
+    }
+
+    if (report.errors > 0 || (values.strict && report.warnings > 0)) {
+        process.exitCode = 1;
+    }
+})();